@@ -1,6 +1,9 @@
 const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const Faculty = require('../models/Faculty');
+const Migrator = require('./migrator');
 
 class Database {
   constructor() {
@@ -23,54 +26,26 @@ class Database {
     });
   }
 
-  // Initialize database schema
+  // Bring the schema up to date by applying pending migrations (see migrations/)
   async initializeSchema() {
-    const queries = [
-      // Sessions table
-      `CREATE TABLE IF NOT EXISTS sessions (
-        id TEXT PRIMARY KEY,
-        faculty_id TEXT NOT NULL,
-        course_name TEXT NOT NULL,
-        course_code TEXT NOT NULL,
-        section TEXT NOT NULL,
-        start_time DATETIME NOT NULL,
-        end_time DATETIME,
-        is_active BOOLEAN DEFAULT 1,
-        current_token TEXT,
-        token_expiry DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Students table (hardcoded data)
-      `CREATE TABLE IF NOT EXISTS students (
-        roll_number TEXT PRIMARY KEY,
-        email TEXT UNIQUE NOT NULL,
-        name TEXT NOT NULL,
-        branch TEXT NOT NULL,
-        year TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Attendance table
-      `CREATE TABLE IF NOT EXISTS attendance (
-        id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        student_email TEXT NOT NULL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        ip_address TEXT,
-        user_agent TEXT,
-        FOREIGN KEY (session_id) REFERENCES sessions (id),
-        FOREIGN KEY (student_email) REFERENCES students (email),
-        UNIQUE(session_id, student_email)
-      )`
-    ];
+    return this.migrate();
+  }
+
+  // Apply pending migrations up to a version (default: the latest); returns the migrations applied
+  async migrate(targetVersion) {
+    return new Migrator(this).migrate(targetVersion);
+  }
 
-    for (const query of queries) {
-      await this.run(query);
+  // Add a column to an existing table unless it is already there
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+      await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
     }
   }
 
-  // Insert hardcoded student data
+  // Insert hardcoded demo student data for test fixtures (init-db imports scripts/sample-students.csv;
+  // real rosters are loaded with npm run import-students)
   async insertHardcodedStudents() {
     const students = [
       {
@@ -147,6 +122,46 @@ class Database {
     }
   }
 
+  // Insert default faculty account for the dashboard (run by init-db, never at startup).
+  // Without FACULTY_DEFAULT_PASSWORD a random password is generated and returned, so the
+  // account never ships with a known password.
+  async insertHardcodedFaculty() {
+    const configuredPassword = process.env.FACULTY_DEFAULT_PASSWORD;
+    const password = configuredPassword || crypto.randomBytes(12).toString('base64url');
+
+    const insertQuery = `
+      INSERT OR IGNORE INTO faculty (id, email, name, password_hash)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const result = await this.run(insertQuery, [
+      'faculty-001',
+      'faculty@heritageit.edu.in',
+      'Faculty Member',
+      Faculty.hashPassword(password)
+    ]);
+
+    const created = result.changes > 0;
+    return {
+      created,
+      generatedPassword: created && !configuredPassword ? password : null
+    };
+  }
+
+  // Insert a sample course section with its roster (init-db only; real rosters come from import-roster)
+  async insertHardcodedCourses() {
+    await this.run(`
+      INSERT OR IGNORE INTO courses (course_code, section, course_name)
+      VALUES (?, ?, ?)
+    `, ['CSE101', 'A', 'Computer Science Fundamentals']);
+
+    // Enroll the seeded CSE students in the sample section
+    await this.run(`
+      INSERT OR IGNORE INTO enrollments (course_code, section, student_email)
+      SELECT 'CSE101', 'A', email FROM students WHERE branch = 'CSE'
+    `);
+  }
+
   // Generic database operations
   async run(query, params = []) {
     return new Promise((resolve, reject) => {
@@ -1,4 +1,9 @@
+const fs = require('fs');
+const path = require('path');
 const Database = require('./database');
+const StudentImportService = require('../services/StudentImportService');
+
+const SAMPLE_STUDENTS_CSV = path.join(__dirname, '..', 'scripts', 'sample-students.csv');
 
 async function initializeDatabase() {
   const db = new Database();
@@ -13,15 +18,33 @@ async function initializeDatabase() {
     console.log('Creating database schema...');
     await db.initializeSchema();
     
-    // Insert hardcoded student data
-    console.log('Inserting hardcoded student data...');
-    await db.insertHardcodedStudents();
+    // Import the demo students through the same pipeline as real rosters
+    console.log(`Importing demo students from ${SAMPLE_STUDENTS_CSV}...`);
+    const importResult = await new StudentImportService(db).importCsv(fs.readFileSync(SAMPLE_STUDENTS_CSV, 'utf8'));
+    console.log(`Inserted ${importResult.summary.inserted}, updated ${importResult.summary.updated}, failed ${importResult.summary.failed}`);
+    importResult.errors.forEach(rowError => {
+      console.log(`❌ Row ${rowError.row} (${rowError.email || rowError.rollNumber || 'unknown'}): ${rowError.errors.join('; ')}`);
+    });
+
+    // Insert default faculty account
+    console.log('Inserting default faculty account...');
+    const faculty = await db.insertHardcodedFaculty();
+    if (!faculty.created) {
+      console.log('Default faculty account already exists, password left unchanged');
+    } else if (faculty.generatedPassword) {
+      console.log('Default faculty account: faculty@heritageit.edu.in');
+      console.log(`Generated password (shown once, set FACULTY_DEFAULT_PASSWORD to choose it): ${faculty.generatedPassword}`);
+    }
+
+    // Insert sample course roster (enrolls the seeded CSE students in CSE101/A once)
+    console.log('Inserting sample course roster...');
+    await db.insertHardcodedCourses();
     
     console.log('Database initialization completed successfully!');
     
     // Verify data insertion
     const students = await db.all('SELECT * FROM students');
-    console.log(`Inserted ${students.length} students:`);
+    console.log(`${students.length} students in the database:`);
     students.forEach(student => {
       console.log(`- ${student.name} (${student.email})`);
     });
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migration files are named <version>_<name>.js, e.g. 003_add_room_to_sessions.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+class Migrator {
+  /**
+   * @param {Object} database - Database wrapper
+   * @param {Object} [options] - Migrator options
+   * @param {string} [options.directory] - Directory holding the migration files (default: migrations/)
+   */
+  constructor(database, options = {}) {
+    this.db = database;
+    this.directory = options.directory || DEFAULT_MIGRATIONS_DIR;
+  }
+
+  /**
+   * Load the migrations in the migrations directory, oldest first
+   * @returns {Object[]} Migrations with version, name, up and down
+   * @throws {Error} If two files share a version or a file lacks up or down
+   */
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const { up, down } = require(path.join(this.directory, file));
+        if (typeof up !== 'function' || typeof down !== 'function') {
+          throw new Error(`Migration ${file} must export up and down functions`);
+        }
+        return { version: parseInt(match[1], 10), name: match[2], file, up, down };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  // Create the table recording which migrations have been applied
+  async ensureMigrationsTable() {
+    await this.db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  /**
+   * Get the applied migrations, oldest first
+   * @returns {Promise<Object[]>} schema_migrations rows
+   */
+  async getApplied() {
+    await this.ensureMigrationsTable();
+    return this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  /**
+   * Get the schema version and the state of every migration
+   * @returns {Promise<Object>} Current version and migrations; applied versions without a file are listed as missing
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    const entries = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedByVersion.has(migration.version),
+      appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+    }));
+
+    const known = new Set(migrations.map(migration => migration.version));
+    const missing = applied
+      .filter(row => !known.has(row.version))
+      .map(row => ({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true }));
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      migrations: [...entries, ...missing].sort((a, b) => a.version - b.version)
+    };
+  }
+
+  /**
+   * Apply pending migrations up to a version, oldest first. Each migration runs in its own
+   * transaction, so a failing migration leaves the schema at the last one that succeeded.
+   * @param {number} [targetVersion] - Last version to apply (default: the latest)
+   * @returns {Promise<Object[]>} Migrations applied
+   */
+  async migrate(targetVersion = Infinity) {
+    const migrations = this.loadMigrations();
+    const appliedVersions = new Set((await this.getApplied()).map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !appliedVersions.has(migration.version) && migration.version <= targetVersion
+    );
+
+    for (const migration of pending) {
+      await this.runInTransaction(migration, async () => {
+        await migration.up(this.db);
+        await this.db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      });
+    }
+
+    return pending;
+  }
+
+  /**
+   * Roll back applied migrations newer than a version, newest first
+   * @param {number} targetVersion - Version to roll back to (0 rolls back everything)
+   * @returns {Promise<Object[]>} Migrations rolled back
+   * @throws {Error} If an applied migration's file is missing, since its down cannot be run
+   */
+  async rollback(targetVersion) {
+    if (!Number.isInteger(targetVersion) || targetVersion < 0) {
+      throw new Error('Target version must be a whole number, 0 or more');
+    }
+
+    const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+    const toRollBack = (await this.getApplied())
+      .filter(row => row.version > targetVersion)
+      .reverse();
+
+    const missing = toRollBack.find(row => !migrations.has(row.version));
+    if (missing) {
+      throw new Error(`Cannot roll back migration ${missing.version} (${missing.name}): its file is missing`);
+    }
+
+    const rolledBack = [];
+    for (const row of toRollBack) {
+      const migration = migrations.get(row.version);
+      await this.runInTransaction(migration, async () => {
+        await migration.down(this.db);
+        await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  }
+
+  /**
+   * Run a migration step in a transaction, rolling it back if it fails
+   * @param {Object} migration - Migration being run
+   * @param {Function} step - Work to do
+   * @throws {Error} The step's error, naming the migration
+   */
+  async runInTransaction(migration, step) {
+    await this.db.run('BEGIN');
+    try {
+      await step();
+      await this.db.run('COMMIT');
+    } catch (error) {
+      await this.db.run('ROLLBACK');
+      error.message = `Migration ${migration.file} failed: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+module.exports = Migrator;
@@ -48,6 +48,21 @@ const ERROR_CODES = {
     message: 'Session is not active.',
     userMessage: 'This attendance session is not currently active.'
   },
+  SESSION_PAUSED: {
+    status: 409,
+    message: 'Session is paused.',
+    userMessage: 'This attendance session is paused. Scan the new QR code once your instructor resumes it.'
+  },
+  SESSION_NOT_PAUSED: {
+    status: 409,
+    message: 'Session is not paused.',
+    userMessage: 'This attendance session is not paused.'
+  },
+  DISPLAY_LINK_INVALID: {
+    status: 401,
+    message: 'Display link is invalid or has expired.',
+    userMessage: 'This display link is no longer valid. Open a new one from the faculty dashboard.'
+  },
   ACTIVE_SESSION_EXISTS: {
     status: 409,
     message: 'Faculty already has an active session.',
@@ -58,6 +73,36 @@ const ERROR_CODES = {
     message: 'Session does not belong to this faculty.',
     userMessage: 'You can only manage your own attendance sessions.'
   },
+  SCHEDULE_NOT_FOUND: {
+    status: 404,
+    message: 'Schedule not found.',
+    userMessage: 'The scheduled class could not be found. It may have been deleted.'
+  },
+  SCHEDULE_UNAUTHORIZED: {
+    status: 403,
+    message: 'Schedule does not belong to this faculty.',
+    userMessage: 'You can only manage your own scheduled classes.'
+  },
+  SCHEDULE_CONFLICT: {
+    status: 409,
+    message: 'Schedule overlaps another scheduled class.',
+    userMessage: 'This time slot overlaps one of your other scheduled classes.'
+  },
+  TIMETABLE_MISMATCH: {
+    status: 403,
+    message: 'Session does not match the faculty timetable.',
+    userMessage: 'This class is not on your timetable right now. Check the course, section and time.'
+  },
+  TIMETABLE_UNAVAILABLE: {
+    status: 503,
+    message: 'Timetable system is unavailable.',
+    userMessage: 'Your timetable could not be loaded. Please try again later.'
+  },
+  COURSE_NOT_FOUND: {
+    status: 404,
+    message: 'No attendance sessions found for this course section.',
+    userMessage: 'You have not run any attendance sessions for this course section yet.'
+  },
 
   // Token errors
   TOKEN_EXPIRED: {
@@ -82,11 +127,51 @@ const ERROR_CODES = {
     message: 'Attendance already marked for this session.',
     userMessage: 'You have already marked your attendance for this session.'
   },
+  ATTENDANCE_NOT_FOUND: {
+    status: 404,
+    message: 'Attendance record not found.',
+    userMessage: 'No attendance record exists for this student in this session.'
+  },
+  FLAG_NOT_FOUND: {
+    status: 404,
+    message: 'Attendance flag not found.',
+    userMessage: 'This flag does not exist for the session.'
+  },
   ATTENDANCE_WINDOW_CLOSED: {
     status: 400,
     message: 'Attendance marking window has closed.',
     userMessage: 'The time window for marking attendance has closed.'
   },
+  DEVICE_NOT_ALLOWED: {
+    status: 403,
+    message: 'Attendance request came from an unrecognised or shared device.',
+    userMessage: 'Attendance must be marked from your own registered device.'
+  },
+  PRESENCE_CODE_INVALID: {
+    status: 400,
+    message: 'Presence code is missing or does not match.',
+    userMessage: 'The code you entered does not match the one shown in your classroom.'
+  },
+  PRESENCE_CODE_ATTEMPTS_EXCEEDED: {
+    status: 429,
+    message: 'Too many incorrect presence codes for this session.',
+    userMessage: 'Too many incorrect codes. Ask your instructor to mark your attendance.'
+  },
+  LOCATION_REQUIRED: {
+    status: 400,
+    message: 'Location is required for this session.',
+    userMessage: 'This session requires your location. Please allow location access and try again.'
+  },
+  NETWORK_NOT_ALLOWED: {
+    status: 403,
+    message: 'Attendance request came from a network that is not allowed.',
+    userMessage: 'Attendance can only be marked from the campus network. Connect to the college Wi-Fi and try again.'
+  },
+  OUTSIDE_GEOFENCE: {
+    status: 403,
+    message: 'Attendance location is outside the session area.',
+    userMessage: 'You appear to be outside the classroom. Attendance can only be marked from the session location.'
+  },
 
   // Rate limiting errors
   RATE_LIMIT_EXCEEDED: {
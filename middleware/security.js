@@ -85,6 +85,31 @@ const facultyRateLimit = rateLimit({
   legacyHeaders: false
 });
 
+/**
+ * Faculty password login rate limiting
+ * Counts failed logins per IP and email, so passwords cannot be guessed by brute force
+ */
+const facultyLoginRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 failed logins per email per windowMs
+  message: {
+    success: false,
+    error: {
+      code: 'LOGIN_RATE_LIMIT_EXCEEDED',
+      message: 'Too many failed login attempts. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  // Only failed logins count towards the limit
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => {
+    const ip = req.ip || req.connection.remoteAddress;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return `${ip}:${email}`;
+  }
+});
+
 /**
  * CSRF protection middleware using csurf library
  * Provides robust CSRF protection for state-changing operations
@@ -492,6 +517,7 @@ module.exports = {
   strictAttendanceRateLimit,
   apiRateLimit,
   facultyRateLimit,
+  facultyLoginRateLimit,
   csrfProtection,
   simpleCSRFProtection,
   csrfErrorHandler,
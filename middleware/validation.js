@@ -1,4 +1,5 @@
 const { AppError, createValidationError } = require('./errorHandler');
+const NetworkPolicyService = require('../services/NetworkPolicyService');
 
 /**
  * Validation schemas and rules
@@ -31,6 +32,54 @@ const VALIDATION_RULES = {
   section: {
     pattern: /^[a-zA-Z0-9]{1,10}$/,
     message: 'Section must be 1-10 characters, alphanumeric'
+  },
+  tokenMode: {
+    values: ['random', 'totp']
+  },
+  tokenExpirySeconds: {
+    min: 10,
+    max: 600
+  },
+  geofenceRadius: {
+    min: 10,
+    max: 5000
+  },
+  geofenceAction: {
+    values: ['reject', 'flag']
+  },
+  attendanceStatus: {
+    values: ['present', 'late', 'excused', 'absent']
+  },
+  lateAfterMinutes: {
+    min: 0,
+    max: 240
+  },
+  maxDurationMinutes: {
+    min: 10,
+    max: 720
+  },
+  idleTimeoutMinutes: {
+    min: 5,
+    max: 240
+  },
+  overrideReason: {
+    min: 3,
+    max: 500
+  },
+  flagReviewStatus: {
+    values: ['open', 'confirmed', 'dismissed']
+  },
+  weekday: {
+    min: 0,
+    max: 6
+  },
+  scheduleStartTime: {
+    pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+    message: 'Start time must be in 24-hour HH:MM format'
+  },
+  scheduleDuration: {
+    min: 5,
+    max: 480
   }
 };
 
@@ -76,6 +125,30 @@ const sanitizers = {
     return input.toLowerCase();
   },
 
+  /**
+   * Convert numeric strings to integers
+   */
+  integer: (input) => {
+    if (typeof input !== 'string' || !/^\d+$/.test(input.trim())) return input;
+    return parseInt(input, 10);
+  },
+
+  /**
+   * Convert numeric strings to numbers
+   */
+  number: (input) => {
+    if (typeof input !== 'string' || input.trim() === '' || isNaN(Number(input))) return input;
+    return Number(input);
+  },
+
+  /**
+   * Split a comma-separated string into a trimmed list
+   */
+  list: (input) => {
+    if (typeof input !== 'string') return input;
+    return input.split(',').map(item => item.trim()).filter(Boolean);
+  },
+
   /**
    * Remove non-alphanumeric characters except specified
    */
@@ -280,13 +353,162 @@ const schemas = {
   }),
 
   sessionCreation: new ValidationSchema({
-    facultyId: {
+    courseName: {
       sanitizers: ['trim'],
       validators: [
         (value, field) => validators.required(value, field),
-        (value, field) => validators.pattern(value, field, VALIDATION_RULES.facultyId.pattern, VALIDATION_RULES.facultyId.message)
+        (value, field) => validators.pattern(value, field, VALIDATION_RULES.courseName.pattern, VALIDATION_RULES.courseName.message)
+      ]
+    },
+    courseCode: {
+      sanitizers: ['trim'],
+      validators: [
+        (value, field) => validators.required(value, field),
+        (value, field) => validators.pattern(value, field, VALIDATION_RULES.courseCode.pattern, VALIDATION_RULES.courseCode.message)
+      ]
+    },
+    section: {
+      sanitizers: ['trim'],
+      validators: [
+        (value, field) => validators.required(value, field),
+        (value, field) => validators.pattern(value, field, VALIDATION_RULES.section.pattern, VALIDATION_RULES.section.message)
+      ]
+    },
+    tokenMode: {
+      sanitizers: ['trim', 'lowercase'],
+      validators: [
+        (value, field) => value === undefined || validators.enum(value, field, VALIDATION_RULES.tokenMode.values)
+      ]
+    },
+    tokenExpirySeconds: {
+      sanitizers: ['integer'],
+      validators: [
+        (value, field) => {
+          if (value === undefined) return true;
+          if (!Number.isInteger(value)) {
+            throw createValidationError(field, 'must be a whole number of seconds');
+          }
+          return validators.number(value, field, VALIDATION_RULES.tokenExpirySeconds.min, VALIDATION_RULES.tokenExpirySeconds.max);
+        }
+      ]
+    },
+    latitude: {
+      sanitizers: ['number'],
+      validators: [
+        (value, field) => value === undefined || validators.number(value, field, -90, 90)
+      ]
+    },
+    longitude: {
+      sanitizers: ['number'],
+      validators: [
+        (value, field) => value === undefined || validators.number(value, field, -180, 180)
+      ]
+    },
+    radiusMeters: {
+      sanitizers: ['integer'],
+      validators: [
+        (value, field) => value === undefined ||
+          validators.number(value, field, VALIDATION_RULES.geofenceRadius.min, VALIDATION_RULES.geofenceRadius.max)
+      ]
+    },
+    geofenceAction: {
+      sanitizers: ['trim', 'lowercase'],
+      validators: [
+        (value, field) => value === undefined || validators.enum(value, field, VALIDATION_RULES.geofenceAction.values)
+      ]
+    },
+    lateAfterMinutes: {
+      sanitizers: ['integer'],
+      validators: [
+        (value, field) => {
+          if (value === undefined) return true;
+          if (!Number.isInteger(value)) {
+            throw createValidationError(field, 'must be a whole number of minutes');
+          }
+          return validators.number(value, field, VALIDATION_RULES.lateAfterMinutes.min, VALIDATION_RULES.lateAfterMinutes.max);
+        }
+      ]
+    },
+    maxDurationMinutes: {
+      sanitizers: ['integer'],
+      validators: [
+        (value, field) => {
+          if (value === undefined) return true;
+          if (!Number.isInteger(value)) {
+            throw createValidationError(field, 'must be a whole number of minutes');
+          }
+          return validators.number(value, field, VALIDATION_RULES.maxDurationMinutes.min, VALIDATION_RULES.maxDurationMinutes.max);
+        }
+      ]
+    },
+    idleTimeoutMinutes: {
+      sanitizers: ['integer'],
+      validators: [
+        (value, field) => {
+          if (value === undefined) return true;
+          if (!Number.isInteger(value)) {
+            throw createValidationError(field, 'must be a whole number of minutes');
+          }
+          return validators.number(value, field, VALIDATION_RULES.idleTimeoutMinutes.min, VALIDATION_RULES.idleTimeoutMinutes.max);
+        }
+      ]
+    },
+    allowedNetworks: {
+      sanitizers: ['list'],
+      validators: [
+        (value, field) => {
+          if (value === undefined) return true;
+          if (!Array.isArray(value)) {
+            throw createValidationError(field, 'must be a list of CIDR ranges');
+          }
+          const invalid = value.find(range => !NetworkPolicyService.parseCidr(range));
+          if (invalid !== undefined) {
+            throw createValidationError(field, `contains an invalid CIDR range: ${invalid}`);
+          }
+          return true;
+        }
+      ]
+    },
+    requirePresenceCode: {
+      validators: [
+        (value, field) => value === undefined || validators.boolean(value, field)
+      ]
+    }
+  }),
+
+  attendanceOverride: new ValidationSchema({
+    studentEmail: {
+      sanitizers: ['trim', 'lowercase'],
+      validators: [
+        (value, field) => value === undefined || validators.email(value, field)
+      ]
+    },
+    status: {
+      sanitizers: ['trim', 'lowercase'],
+      validators: [
+        (value, field) => value === undefined || validators.enum(value, field, VALIDATION_RULES.attendanceStatus.values)
       ]
     },
+    reason: {
+      sanitizers: ['trim', 'html'],
+      validators: [
+        (value, field) => validators.required(value, field),
+        (value, field) => validators.length(value, field, VALIDATION_RULES.overrideReason.min, VALIDATION_RULES.overrideReason.max)
+      ]
+    }
+  }),
+
+  flagReview: new ValidationSchema({
+    status: {
+      sanitizers: ['trim', 'lowercase'],
+      validators: [
+        (value, field) => validators.required(value, field),
+        (value, field) => validators.enum(value, field, VALIDATION_RULES.flagReviewStatus.values)
+      ]
+    }
+  }),
+
+  schedule: new ValidationSchema({
     courseName: {
       sanitizers: ['trim'],
       validators: [
@@ -307,6 +529,42 @@ const schemas = {
         (value, field) => validators.required(value, field),
         (value, field) => validators.pattern(value, field, VALIDATION_RULES.section.pattern, VALIDATION_RULES.section.message)
       ]
+    },
+    weekday: {
+      sanitizers: ['integer'],
+      validators: [
+        (value, field) => validators.required(value, field),
+        (value, field) => {
+          if (!Number.isInteger(value)) {
+            throw createValidationError(field, 'must be a whole number from 0 (Sunday) to 6 (Saturday)');
+          }
+          return validators.number(value, field, VALIDATION_RULES.weekday.min, VALIDATION_RULES.weekday.max);
+        }
+      ]
+    },
+    startTime: {
+      sanitizers: ['trim'],
+      validators: [
+        (value, field) => validators.required(value, field),
+        (value, field) => validators.pattern(value, field, VALIDATION_RULES.scheduleStartTime.pattern, VALIDATION_RULES.scheduleStartTime.message)
+      ]
+    },
+    durationMinutes: {
+      sanitizers: ['integer'],
+      validators: [
+        (value, field) => validators.required(value, field),
+        (value, field) => {
+          if (!Number.isInteger(value)) {
+            throw createValidationError(field, 'must be a whole number of minutes');
+          }
+          return validators.number(value, field, VALIDATION_RULES.scheduleDuration.min, VALIDATION_RULES.scheduleDuration.max);
+        }
+      ]
+    },
+    enabled: {
+      validators: [
+        (value, field) => value === undefined || validators.boolean(value, field)
+      ]
     }
   }),
 
@@ -0,0 +1,218 @@
+// The schema as it stood before migrations were introduced.
+// Every statement is idempotent, so databases created by older releases adopt it without losing data.
+
+async function up(db) {
+  const queries = [
+    // Sessions table
+    `CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      faculty_id TEXT NOT NULL,
+      course_name TEXT NOT NULL,
+      course_code TEXT NOT NULL,
+      section TEXT NOT NULL,
+      start_time DATETIME NOT NULL,
+      end_time DATETIME,
+      is_active BOOLEAN DEFAULT 1,
+      current_token TEXT,
+      token_expiry DATETIME,
+      token_mode TEXT DEFAULT 'random',
+      token_secret TEXT,
+      token_expiry_seconds INTEGER,
+      location_latitude REAL,
+      location_longitude REAL,
+      location_radius_meters INTEGER,
+      geofence_action TEXT DEFAULT 'reject',
+      allowed_networks TEXT,
+      late_after_minutes INTEGER,
+      schedule_id TEXT,
+      scheduled_end_time DATETIME,
+      max_duration_minutes INTEGER,
+      idle_timeout_minutes INTEGER,
+      last_heartbeat_at DATETIME,
+      paused_at DATETIME,
+      presence_secret TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    
+    // Students table (hardcoded data)
+    `CREATE TABLE IF NOT EXISTS students (
+      roll_number TEXT PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      branch TEXT NOT NULL,
+      year TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    
+    // Attendance table
+    `CREATE TABLE IF NOT EXISTS attendance (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      student_email TEXT NOT NULL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      status TEXT DEFAULT 'present',
+      ip_address TEXT,
+      user_agent TEXT,
+      latitude REAL,
+      longitude REAL,
+      location_accuracy REAL,
+      distance_meters REAL,
+      location_flagged BOOLEAN DEFAULT 0,
+      device_id TEXT,
+      device_flag TEXT,
+      marked_by TEXT,
+      FOREIGN KEY (session_id) REFERENCES sessions (id),
+      FOREIGN KEY (student_email) REFERENCES students (email),
+      UNIQUE(session_id, student_email)
+    )`,
+
+    // Faculty table (local accounts for the faculty dashboard)
+    `CREATE TABLE IF NOT EXISTS faculty (
+      id TEXT PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Courses table (one row per course section)
+    `CREATE TABLE IF NOT EXISTS courses (
+      course_code TEXT NOT NULL,
+      section TEXT NOT NULL,
+      course_name TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (course_code, section)
+    )`,
+
+    // Enrollments table (course section rosters)
+    `CREATE TABLE IF NOT EXISTS enrollments (
+      course_code TEXT NOT NULL,
+      section TEXT NOT NULL,
+      student_email TEXT NOT NULL,
+      enrolled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (course_code, section, student_email),
+      FOREIGN KEY (course_code, section) REFERENCES courses (course_code, section),
+      FOREIGN KEY (student_email) REFERENCES students (email)
+    )`,
+
+    // Student devices table (devices bound to a student on first login)
+    `CREATE TABLE IF NOT EXISTS student_devices (
+      device_id TEXT NOT NULL,
+      student_email TEXT NOT NULL,
+      user_agent TEXT,
+      bound_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (device_id, student_email),
+      FOREIGN KEY (student_email) REFERENCES students (email)
+    )`,
+
+    // Attendance audit table (manual changes made by faculty)
+    `CREATE TABLE IF NOT EXISTS attendance_audit (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      student_email TEXT NOT NULL,
+      faculty_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      previous_status TEXT,
+      new_status TEXT,
+      reason TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions (id),
+      FOREIGN KEY (student_email) REFERENCES students (email)
+    )`,
+
+
+    // Schedules table (weekly class slots the scheduler starts and ends sessions for)
+    `CREATE TABLE IF NOT EXISTS schedules (
+      id TEXT PRIMARY KEY,
+      faculty_id TEXT NOT NULL,
+      course_name TEXT NOT NULL,
+      course_code TEXT NOT NULL,
+      section TEXT NOT NULL,
+      weekday INTEGER NOT NULL,
+      start_time TEXT NOT NULL,
+      duration_minutes INTEGER NOT NULL,
+      is_enabled BOOLEAN DEFAULT 1,
+      last_run_date TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Timetable cache (faculty course assignments and class slots pulled from the timetable system)
+    `CREATE TABLE IF NOT EXISTS timetable_assignments (
+      faculty_id TEXT NOT NULL,
+      course_code TEXT NOT NULL,
+      section TEXT NOT NULL,
+      course_name TEXT,
+      PRIMARY KEY (faculty_id, course_code, section)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS timetable_slots (
+      faculty_id TEXT NOT NULL,
+      course_code TEXT NOT NULL,
+      section TEXT NOT NULL,
+      weekday INTEGER NOT NULL,
+      start_time TEXT NOT NULL,
+      duration_minutes INTEGER NOT NULL,
+      room TEXT
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS timetable_sync (
+      faculty_id TEXT PRIMARY KEY,
+      synced_at DATETIME NOT NULL
+    )`
+  ];
+
+  for (const query of queries) {
+    await db.run(query);
+  }
+
+  // Columns added before migrations existed; CREATE TABLE IF NOT EXISTS leaves older databases without them
+  await db.addColumnIfMissing('sessions', 'token_mode', "TEXT DEFAULT 'random'");
+  await db.addColumnIfMissing('sessions', 'token_secret', 'TEXT');
+  await db.addColumnIfMissing('sessions', 'token_expiry_seconds', 'INTEGER');
+  await db.addColumnIfMissing('sessions', 'location_latitude', 'REAL');
+  await db.addColumnIfMissing('sessions', 'location_longitude', 'REAL');
+  await db.addColumnIfMissing('sessions', 'location_radius_meters', 'INTEGER');
+  await db.addColumnIfMissing('sessions', 'geofence_action', "TEXT DEFAULT 'reject'");
+  await db.addColumnIfMissing('sessions', 'allowed_networks', 'TEXT');
+  await db.addColumnIfMissing('sessions', 'late_after_minutes', 'INTEGER');
+  await db.addColumnIfMissing('sessions', 'schedule_id', 'TEXT');
+  await db.addColumnIfMissing('sessions', 'scheduled_end_time', 'DATETIME');
+  await db.addColumnIfMissing('sessions', 'max_duration_minutes', 'INTEGER');
+  await db.addColumnIfMissing('sessions', 'idle_timeout_minutes', 'INTEGER');
+  await db.addColumnIfMissing('sessions', 'last_heartbeat_at', 'DATETIME');
+  await db.addColumnIfMissing('sessions', 'paused_at', 'DATETIME');
+  await db.addColumnIfMissing('sessions', 'presence_secret', 'TEXT');
+  await db.addColumnIfMissing('attendance', 'latitude', 'REAL');
+  await db.addColumnIfMissing('attendance', 'longitude', 'REAL');
+  await db.addColumnIfMissing('attendance', 'location_accuracy', 'REAL');
+  await db.addColumnIfMissing('attendance', 'distance_meters', 'REAL');
+  await db.addColumnIfMissing('attendance', 'location_flagged', 'BOOLEAN DEFAULT 0');
+  await db.addColumnIfMissing('attendance', 'device_id', 'TEXT');
+  await db.addColumnIfMissing('attendance', 'device_flag', 'TEXT');
+  await db.addColumnIfMissing('attendance', 'marked_by', 'TEXT');
+  await db.addColumnIfMissing('attendance', 'status', "TEXT DEFAULT 'present'");
+}
+
+async function down(db) {
+  const tables = [
+    'timetable_sync',
+    'timetable_slots',
+    'timetable_assignments',
+    'schedules',
+    'attendance_audit',
+    'student_devices',
+    'enrollments',
+    'courses',
+    'faculty',
+    'attendance',
+    'students',
+    'sessions'
+  ];
+
+  for (const table of tables) {
+    await db.run(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
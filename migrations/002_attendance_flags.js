@@ -0,0 +1,29 @@
+// Suspicious-activity flags: scans the analyzer found suspicious, for faculty review,
+// and the hash of the QR token each mark was made with, so token reuse can be counted
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS attendance_flags (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    attendance_id TEXT NOT NULL,
+    student_email TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    details TEXT,
+    review_status TEXT DEFAULT 'open',
+    reviewed_by TEXT,
+    reviewed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions (id),
+    FOREIGN KEY (student_email) REFERENCES students (email)
+  )`);
+
+  // Development databases may already have the column from before this migration
+  await db.addColumnIfMissing('attendance', 'token_hash', 'TEXT');
+}
+
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS attendance_flags');
+  await db.run('ALTER TABLE attendance DROP COLUMN token_hash');
+}
+
+module.exports = { up, down };
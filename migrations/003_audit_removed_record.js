@@ -0,0 +1,12 @@
+// The attendance row a manual removal deleted, kept as JSON on its audit entry,
+// so the scan evidence (time, IP, device, location) survives the removal
+
+async function up(db) {
+  await db.addColumnIfMissing('attendance_audit', 'removed_record', 'TEXT');
+}
+
+async function down(db) {
+  await db.run('ALTER TABLE attendance_audit DROP COLUMN removed_record');
+}
+
+module.exports = { up, down };
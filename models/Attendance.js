@@ -1,24 +1,50 @@
 const { v4: uuidv4 } = require('uuid');
 
+// Statuses stored on attendance rows; 'absent' is implied by having no row
+const RECORDED_STATUSES = ['present', 'late', 'excused'];
+const ATTENDANCE_STATUSES = [...RECORDED_STATUSES, 'absent'];
+
 class Attendance {
   constructor(database) {
     this.db = database;
   }
 
-  // Mark attendance for a student
+  // Mark attendance for a student; scans are classified as present or late unless a status is given
   async markAttendance(sessionId, studentEmail, metadata = {}) {
     const id = uuidv4();
     const query = `
-      INSERT INTO attendance (id, session_id, student_email, ip_address, user_agent)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO attendance (id, session_id, student_email, status, ip_address, user_agent,
+        latitude, longitude, location_accuracy, distance_meters, location_flagged, device_id, device_flag, marked_by,
+        token_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
+
+    const location = metadata.location || {};
+    let status = metadata.status;
+
+    if (status === undefined) {
+      const session = await this.db.get('SELECT start_time, late_after_minutes FROM sessions WHERE id = ?', [sessionId]);
+      status = this.classifyMark(session);
+    } else if (!RECORDED_STATUSES.includes(status)) {
+      throw new Error(`Unsupported attendance status: ${status}`);
+    }
     
     const params = [
       id,
       sessionId,
       studentEmail,
+      status,
       metadata.ipAddress || null,
-      metadata.userAgent || null
+      metadata.userAgent || null,
+      location.latitude ?? null,
+      location.longitude ?? null,
+      location.accuracy ?? null,
+      metadata.distanceMeters ?? null,
+      metadata.locationFlagged ? 1 : 0,
+      metadata.deviceId || null,
+      metadata.deviceFlag || null,
+      metadata.markedBy || null,
+      metadata.tokenHash || null
     ];
 
     try {
@@ -32,6 +58,27 @@ class Attendance {
     }
   }
 
+  // Classify a mark as present or late from the session's late threshold (minutes after start_time)
+  classifyMark(session, markedAt = Date.now()) {
+    if (!session || session.late_after_minutes === null || session.late_after_minutes === undefined) {
+      return 'present';
+    }
+
+    const lateAfter = new Date(session.start_time).getTime() + session.late_after_minutes * 60 * 1000;
+    return markedAt > lateAfter ? 'late' : 'present';
+  }
+
+  // Change the status of an existing attendance record
+  async updateStatus(sessionId, studentEmail, status) {
+    if (!RECORDED_STATUSES.includes(status)) {
+      throw new Error(`Unsupported attendance status: ${status}`);
+    }
+
+    const query = 'UPDATE attendance SET status = ? WHERE session_id = ? AND student_email = ?';
+    const result = await this.db.run(query, [status, sessionId, studentEmail]);
+    return result.changes > 0;
+  }
+
   // Find attendance record by ID
   async findById(id) {
     const query = `
@@ -50,6 +97,24 @@ class Attendance {
     return !!result;
   }
 
+  // Find a student's attendance record for a session
+  async findBySessionAndStudent(sessionId, studentEmail) {
+    const query = `
+      SELECT a.*, s.name as student_name
+      FROM attendance a
+      LEFT JOIN students s ON a.student_email = s.email
+      WHERE a.session_id = ? AND a.student_email = ?
+    `;
+    return await this.db.get(query, [sessionId, studentEmail]);
+  }
+
+  // Remove a student's attendance record for a session
+  async removeBySessionAndStudent(sessionId, studentEmail) {
+    const query = 'DELETE FROM attendance WHERE session_id = ? AND student_email = ?';
+    const result = await this.db.run(query, [sessionId, studentEmail]);
+    return result.changes > 0;
+  }
+
   // Get attendance for a specific session
   async getSessionAttendance(sessionId) {
     const query = `
@@ -62,6 +127,17 @@ class Attendance {
     return await this.db.all(query, [sessionId]);
   }
 
+  // Get the scanned (not faculty-added) marks in a session, oldest first
+  async getScannedMarks(sessionId) {
+    const query = `
+      SELECT id, student_email, ip_address, user_agent, token_hash, timestamp
+      FROM attendance
+      WHERE session_id = ? AND marked_by IS NULL
+      ORDER BY timestamp, rowid
+    `;
+    return await this.db.all(query, [sessionId]);
+  }
+
   // Get attendance count for a session
   async getSessionAttendanceCount(sessionId) {
     const query = 'SELECT COUNT(*) as count FROM attendance WHERE session_id = ?';
@@ -69,63 +145,93 @@ class Attendance {
     return result.count;
   }
 
-  // Get all students who haven't marked attendance for a session
+  // Get enrolled students who haven't marked attendance for a session
   async getAbsentStudents(sessionId) {
     const query = `
       SELECT s.*
-      FROM students s
-      WHERE s.email NOT IN (
-        SELECT student_email 
-        FROM attendance 
-        WHERE session_id = ?
-      )
+      FROM sessions ses
+      JOIN enrollments e ON e.course_code = ses.course_code AND e.section = ses.section
+      JOIN students s ON e.student_email = s.email
+      WHERE ses.id = ?
+        AND s.email NOT IN (
+          SELECT student_email 
+          FROM attendance 
+          WHERE session_id = ?
+        )
       ORDER BY s.name
     `;
-    return await this.db.all(query, [sessionId]);
+    return await this.db.all(query, [sessionId, sessionId]);
   }
 
-  // Get attendance summary for a session
+  // Get attendance summary for a session, scoped to the roster of its course section
   async getSessionSummary(sessionId) {
-    const presentQuery = `
+    const enrolledQuery = `
       SELECT a.*, s.name as student_name, s.roll_number, s.branch, s.year
       FROM attendance a
+      JOIN sessions ses ON a.session_id = ses.id
+      JOIN enrollments e ON e.course_code = ses.course_code
+        AND e.section = ses.section
+        AND e.student_email = a.student_email
       JOIN students s ON a.student_email = s.email
       WHERE a.session_id = ?
       ORDER BY a.timestamp
     `;
-    
-    const absentQuery = `
-      SELECT s.*
-      FROM students s
-      WHERE s.email NOT IN (
-        SELECT student_email 
-        FROM attendance 
-        WHERE session_id = ?
-      )
-      ORDER BY s.name
+
+    // Marks from students outside the roster are reported separately
+    const unenrolledQuery = `
+      SELECT a.*, s.name as student_name, s.roll_number, s.branch, s.year
+      FROM attendance a
+      JOIN sessions ses ON a.session_id = ses.id
+      LEFT JOIN enrollments e ON e.course_code = ses.course_code
+        AND e.section = ses.section
+        AND e.student_email = a.student_email
+      JOIN students s ON a.student_email = s.email
+      WHERE a.session_id = ? AND e.student_email IS NULL
+      ORDER BY a.timestamp
     `;
 
-    const totalStudentsQuery = 'SELECT COUNT(*) as count FROM students';
+    const totalStudentsQuery = `
+      SELECT COUNT(*) as count
+      FROM sessions ses
+      JOIN enrollments e ON e.course_code = ses.course_code AND e.section = ses.section
+      WHERE ses.id = ?
+    `;
 
-    const [present, absent, totalResult] = await Promise.all([
-      this.db.all(presentQuery, [sessionId]),
-      this.db.all(absentQuery, [sessionId]),
-      this.db.get(totalStudentsQuery)
+    const [enrolled, unenrolled, absent, totalResult] = await Promise.all([
+      this.db.all(enrolledQuery, [sessionId]),
+      this.db.all(unenrolledQuery, [sessionId]),
+      this.getAbsentStudents(sessionId),
+      this.db.get(totalStudentsQuery, [sessionId])
     ]);
 
+    // Enrolled students with a row attended (on time or late) unless they were excused
+    const attended = enrolled.filter(record => record.status !== 'excused');
+    const excused = enrolled.filter(record => record.status === 'excused');
+
     const totalStudents = totalResult.count;
-    const presentCount = present.length;
+    const presentCount = attended.length;
     const absentCount = absent.length;
-    const attendancePercentage = totalStudents > 0 ? (presentCount / totalStudents) * 100 : 0;
+    // As in the course reports, excused students are left out of the percentage
+    const countedStudents = totalStudents - excused.length;
+    const attendancePercentage = countedStudents > 0 ? (presentCount / countedStudents) * 100 : 0;
 
     return {
-      present,
+      present: attended,
+      excused,
       absent,
+      unenrolled,
       summary: {
         totalStudents,
         presentCount,
         absentCount,
-        attendancePercentage: Math.round(attendancePercentage * 100) / 100
+        unenrolledCount: unenrolled.length,
+        attendancePercentage: Math.round(attendancePercentage * 100) / 100,
+        byStatus: {
+          present: attended.filter(record => record.status !== 'late').length,
+          late: attended.filter(record => record.status === 'late').length,
+          excused: excused.length,
+          absent: absentCount
+        }
       }
     };
   }
@@ -149,6 +255,20 @@ class Attendance {
     return await this.db.all(query, [studentEmail]);
   }
 
+  // Get every mark from a faculty member's sessions of a course section
+  async getCourseSectionAttendance(courseCode, section, facultyId) {
+    const query = `
+      SELECT a.session_id, a.student_email, a.status, a.timestamp,
+             s.name as student_name, s.roll_number, s.branch, s.year
+      FROM attendance a
+      JOIN sessions ses ON a.session_id = ses.id
+      JOIN students s ON a.student_email = s.email
+      WHERE ses.course_code = ? AND ses.section = ? AND ses.faculty_id = ?
+      ORDER BY s.name
+    `;
+    return await this.db.all(query, [courseCode, section, facultyId]);
+  }
+
   // Get recent attendance records
   async getRecentAttendance(limit = 10) {
     const query = `
@@ -163,4 +283,6 @@ class Attendance {
   }
 }
 
-module.exports = Attendance;
\ No newline at end of file
+module.exports = Attendance;
+module.exports.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+module.exports.RECORDED_STATUSES = RECORDED_STATUSES;
\ No newline at end of file
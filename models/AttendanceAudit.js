@@ -0,0 +1,59 @@
+const { v4: uuidv4 } = require('uuid');
+
+class AttendanceAudit {
+  constructor(database) {
+    this.db = database;
+  }
+
+  // Record a manual attendance change made by faculty; a removed attendance row is stored as JSON
+  async create(entry) {
+    const id = uuidv4();
+    const query = `
+      INSERT INTO attendance_audit (id, session_id, student_email, faculty_id, action,
+        previous_status, new_status, reason, removed_record)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      id,
+      entry.sessionId,
+      entry.studentEmail,
+      entry.facultyId,
+      entry.action,
+      entry.previousStatus || null,
+      entry.newStatus || null,
+      entry.reason,
+      entry.removedRecord ? JSON.stringify(entry.removedRecord) : null
+    ];
+
+    await this.db.run(query, params);
+    return this.findById(id);
+  }
+
+  // Find audit entry by ID
+  async findById(id) {
+    const query = `
+      SELECT au.*, s.name as student_name, f.name as faculty_name
+      FROM attendance_audit au
+      LEFT JOIN students s ON au.student_email = s.email
+      LEFT JOIN faculty f ON au.faculty_id = f.id
+      WHERE au.id = ?
+    `;
+    return await this.db.get(query, [id]);
+  }
+
+  // Get the change history for a session, oldest first
+  async findBySession(sessionId) {
+    const query = `
+      SELECT au.*, s.name as student_name, f.name as faculty_name
+      FROM attendance_audit au
+      LEFT JOIN students s ON au.student_email = s.email
+      LEFT JOIN faculty f ON au.faculty_id = f.id
+      WHERE au.session_id = ?
+      ORDER BY au.created_at, au.rowid
+    `;
+    return await this.db.all(query, [sessionId]);
+  }
+}
+
+module.exports = AttendanceAudit;
@@ -0,0 +1,108 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Reasons the analyzer flags a scan for, and what faculty can decide about a flag
+const FLAG_REASONS = ['shared_client', 'unusual_network', 'token_reuse'];
+const REVIEW_STATUSES = ['open', 'confirmed', 'dismissed'];
+
+class AttendanceFlag {
+  constructor(database) {
+    this.db = database;
+  }
+
+  // Record a suspicious scan; details are stored as JSON
+  async create(entry) {
+    if (!FLAG_REASONS.includes(entry.reason)) {
+      throw new Error(`Unsupported flag reason: ${entry.reason}`);
+    }
+
+    const id = uuidv4();
+    const query = `
+      INSERT INTO attendance_flags (id, session_id, attendance_id, student_email, reason, details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      id,
+      entry.sessionId,
+      entry.attendanceId,
+      entry.studentEmail,
+      entry.reason,
+      entry.details ? JSON.stringify(entry.details) : null
+    ];
+
+    await this.db.run(query, params);
+    return this.findById(id);
+  }
+
+  // Find flag by ID
+  async findById(id) {
+    const query = `
+      SELECT af.*, s.name as student_name, f.name as reviewer_name
+      FROM attendance_flags af
+      LEFT JOIN students s ON af.student_email = s.email
+      LEFT JOIN faculty f ON af.reviewed_by = f.id
+      WHERE af.id = ?
+    `;
+    return await this.db.get(query, [id]);
+  }
+
+  // Get the flags raised in a session, oldest first
+  async findBySession(sessionId) {
+    const query = `
+      SELECT af.*, s.name as student_name, f.name as reviewer_name
+      FROM attendance_flags af
+      LEFT JOIN students s ON af.student_email = s.email
+      LEFT JOIN faculty f ON af.reviewed_by = f.id
+      WHERE af.session_id = ?
+      ORDER BY af.created_at, af.rowid
+    `;
+    return await this.db.all(query, [sessionId]);
+  }
+
+  // Check whether a mark already carries a flag for a reason
+  async hasFlag(attendanceId, reason) {
+    const query = 'SELECT id FROM attendance_flags WHERE attendance_id = ? AND reason = ?';
+    const result = await this.db.get(query, [attendanceId, reason]);
+    return !!result;
+  }
+
+  // Record a faculty decision on a flag
+  async setReviewStatus(id, status, facultyId) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new Error(`Unsupported review status: ${status}`);
+    }
+
+    const query = `
+      UPDATE attendance_flags
+      SET review_status = ?, reviewed_by = ?, reviewed_at = ?
+      WHERE id = ?
+    `;
+    const reviewed = status !== 'open';
+    await this.db.run(query, [
+      status,
+      reviewed ? facultyId : null,
+      reviewed ? new Date().toISOString() : null,
+      id
+    ]);
+    return this.findById(id);
+  }
+
+  // Record the same decision on every open flag of a mark; returns the number of flags changed
+  async reviewOpenByAttendance(attendanceId, status, facultyId) {
+    if (!REVIEW_STATUSES.includes(status) || status === 'open') {
+      throw new Error(`Unsupported review status: ${status}`);
+    }
+
+    const query = `
+      UPDATE attendance_flags
+      SET review_status = ?, reviewed_by = ?, reviewed_at = ?
+      WHERE attendance_id = ? AND review_status = 'open'
+    `;
+    const result = await this.db.run(query, [status, facultyId, new Date().toISOString(), attendanceId]);
+    return result.changes;
+  }
+}
+
+module.exports = AttendanceFlag;
+module.exports.FLAG_REASONS = FLAG_REASONS;
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
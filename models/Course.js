@@ -0,0 +1,89 @@
+class Course {
+  constructor(database) {
+    this.db = database;
+  }
+
+  // Create a course section (returns the existing one if already present)
+  async create(courseData) {
+    const query = `
+      INSERT OR IGNORE INTO courses (course_code, section, course_name)
+      VALUES (?, ?, ?)
+    `;
+
+    await this.db.run(query, [
+      courseData.courseCode,
+      courseData.section,
+      courseData.courseName || null
+    ]);
+    return this.findByCodeAndSection(courseData.courseCode, courseData.section);
+  }
+
+  // Find course section by course code and section
+  async findByCodeAndSection(courseCode, section) {
+    const query = 'SELECT * FROM courses WHERE course_code = ? AND section = ?';
+    return await this.db.get(query, [courseCode, section]);
+  }
+
+  // Get all course sections
+  async findAll() {
+    const query = 'SELECT * FROM courses ORDER BY course_code, section';
+    return await this.db.all(query);
+  }
+
+  // Enroll a student in a course section
+  async enrollStudent(courseCode, section, studentEmail) {
+    const course = await this.findByCodeAndSection(courseCode, section);
+    if (!course) {
+      throw new Error('Course not found');
+    }
+
+    const query = `
+      INSERT OR IGNORE INTO enrollments (course_code, section, student_email)
+      VALUES (?, ?, ?)
+    `;
+    const result = await this.db.run(query, [courseCode, section, studentEmail]);
+    return result.changes > 0;
+  }
+
+  // Remove a student from a course section
+  async unenrollStudent(courseCode, section, studentEmail) {
+    const query = 'DELETE FROM enrollments WHERE course_code = ? AND section = ? AND student_email = ?';
+    const result = await this.db.run(query, [courseCode, section, studentEmail]);
+    return result.changes > 0;
+  }
+
+  // Check if a student is enrolled in a course section
+  async isEnrolled(courseCode, section, studentEmail) {
+    const query = 'SELECT 1 FROM enrollments WHERE course_code = ? AND section = ? AND student_email = ?';
+    const result = await this.db.get(query, [courseCode, section, studentEmail]);
+    return !!result;
+  }
+
+  // Get the students enrolled in a course section
+  async getRoster(courseCode, section) {
+    const query = `
+      SELECT s.*
+      FROM enrollments e
+      JOIN students s ON e.student_email = s.email
+      WHERE e.course_code = ? AND e.section = ?
+      ORDER BY s.name
+    `;
+    return await this.db.all(query, [courseCode, section]);
+  }
+
+  // Get the number of students enrolled in a course section
+  async getRosterCount(courseCode, section) {
+    const query = 'SELECT COUNT(*) as count FROM enrollments WHERE course_code = ? AND section = ?';
+    const result = await this.db.get(query, [courseCode, section]);
+    return result.count;
+  }
+
+  // Delete a course section and its enrollments (for testing purposes)
+  async delete(courseCode, section) {
+    await this.db.run('DELETE FROM enrollments WHERE course_code = ? AND section = ?', [courseCode, section]);
+    const result = await this.db.run('DELETE FROM courses WHERE course_code = ? AND section = ?', [courseCode, section]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = Course;
@@ -0,0 +1,69 @@
+class Device {
+  constructor(database) {
+    this.db = database;
+  }
+
+  // Bind a device to a student (no-op if already bound); returns true if a new binding was made
+  async bind(deviceId, studentEmail, userAgent = null) {
+    const query = `
+      INSERT OR IGNORE INTO student_devices (device_id, student_email, user_agent)
+      VALUES (?, ?, ?)
+    `;
+    const result = await this.db.run(query, [deviceId, studentEmail, userAgent]);
+    return result.changes > 0;
+  }
+
+  // Check if a device is bound to a student
+  async isBound(deviceId, studentEmail) {
+    const query = 'SELECT 1 FROM student_devices WHERE device_id = ? AND student_email = ?';
+    const result = await this.db.get(query, [deviceId, studentEmail]);
+    return !!result;
+  }
+
+  // Get the devices bound to a student
+  async findByStudent(studentEmail) {
+    const query = 'SELECT * FROM student_devices WHERE student_email = ? ORDER BY bound_at';
+    return await this.db.all(query, [studentEmail]);
+  }
+
+  // Find another student this device is already bound to
+  async findOtherStudent(deviceId, studentEmail) {
+    const query = `
+      SELECT student_email FROM student_devices
+      WHERE device_id = ? AND student_email != ?
+      ORDER BY bound_at
+      LIMIT 1
+    `;
+    const result = await this.db.get(query, [deviceId, studentEmail]);
+    return result ? result.student_email : null;
+  }
+
+  // Record that a bound device was used again
+  async touch(deviceId, studentEmail) {
+    const query = `
+      UPDATE student_devices SET last_seen_at = CURRENT_TIMESTAMP
+      WHERE device_id = ? AND student_email = ?
+    `;
+    await this.db.run(query, [deviceId, studentEmail]);
+  }
+
+  // Find another student who already marked attendance from this device in a session
+  async findOtherStudentInSession(deviceId, sessionId, studentEmail) {
+    const query = `
+      SELECT student_email FROM attendance
+      WHERE device_id = ? AND session_id = ? AND student_email != ?
+      LIMIT 1
+    `;
+    const result = await this.db.get(query, [deviceId, sessionId, studentEmail]);
+    return result ? result.student_email : null;
+  }
+
+  // Remove all devices bound to a student (e.g. after a phone replacement)
+  async unbindStudent(studentEmail) {
+    const query = 'DELETE FROM student_devices WHERE student_email = ?';
+    const result = await this.db.run(query, [studentEmail]);
+    return result.changes;
+  }
+}
+
+module.exports = Device;
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+class Faculty {
+  constructor(database) {
+    this.db = database;
+  }
+
+  // Create a new faculty account
+  async create(facultyData) {
+    const query = `
+      INSERT INTO faculty (id, email, name, password_hash)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const params = [
+      facultyData.id,
+      facultyData.email.toLowerCase(),
+      facultyData.name,
+      Faculty.hashPassword(facultyData.password)
+    ];
+
+    try {
+      await this.db.run(query, params);
+      return this.findById(facultyData.id);
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('Faculty account already exists');
+      }
+      throw error;
+    }
+  }
+
+  // Find faculty by ID
+  async findById(id) {
+    const query = 'SELECT * FROM faculty WHERE id = ?';
+    return await this.db.get(query, [id]);
+  }
+
+  // Find faculty by email
+  async findByEmail(email) {
+    const query = 'SELECT * FROM faculty WHERE email = ?';
+    return await this.db.get(query, [email.toLowerCase()]);
+  }
+
+  // Get all faculty accounts (without password hashes)
+  async findAll() {
+    const query = 'SELECT id, email, name, created_at FROM faculty ORDER BY name';
+    return await this.db.all(query);
+  }
+
+  // Check credentials and return the faculty record on success
+  async authenticate(email, password) {
+    const faculty = await this.findByEmail(email);
+    if (!faculty || !Faculty.verifyPassword(password, faculty.password_hash)) {
+      return null;
+    }
+    return faculty;
+  }
+
+  // Update faculty password
+  async updatePassword(id, password) {
+    const query = 'UPDATE faculty SET password_hash = ? WHERE id = ?';
+    const result = await this.db.run(query, [Faculty.hashPassword(password), id]);
+    return result.changes > 0;
+  }
+
+  // Delete faculty account (for testing purposes)
+  async delete(id) {
+    const query = 'DELETE FROM faculty WHERE id = ?';
+    const result = await this.db.run(query, [id]);
+    return result.changes > 0;
+  }
+
+  // Hash password using scrypt with a random salt (stored as salt:hash)
+  static hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+  }
+
+  // Verify password against a stored salt:hash string
+  static verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || !storedHash || !storedHash.includes(':')) {
+      return false;
+    }
+
+    const [salt, hash] = storedHash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = Faculty;
@@ -0,0 +1,98 @@
+const { v4: uuidv4 } = require('uuid');
+
+class Schedule {
+  constructor(database) {
+    this.db = database;
+  }
+
+  // Create a weekly class slot
+  async create(scheduleData) {
+    const id = uuidv4();
+    const query = `
+      INSERT INTO schedules (id, faculty_id, course_name, course_code, section, weekday,
+        start_time, duration_minutes, is_enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      id,
+      scheduleData.facultyId,
+      scheduleData.courseName,
+      scheduleData.courseCode,
+      scheduleData.section,
+      scheduleData.weekday,
+      scheduleData.startTime,
+      scheduleData.durationMinutes,
+      scheduleData.enabled === false ? 0 : 1
+    ];
+
+    await this.db.run(query, params);
+    return this.findById(id);
+  }
+
+  // Find schedule by ID
+  async findById(id) {
+    const query = 'SELECT * FROM schedules WHERE id = ?';
+    return await this.db.get(query, [id]);
+  }
+
+  // Get a faculty member's schedules in weekly order
+  async findByFaculty(facultyId) {
+    const query = `
+      SELECT * FROM schedules
+      WHERE faculty_id = ?
+      ORDER BY weekday, start_time, created_at
+    `;
+    return await this.db.all(query, [facultyId]);
+  }
+
+  // Get the enabled schedules for a weekday (0 = Sunday)
+  async findEnabledByWeekday(weekday) {
+    const query = `
+      SELECT * FROM schedules
+      WHERE weekday = ? AND is_enabled = 1
+      ORDER BY start_time, created_at
+    `;
+    return await this.db.all(query, [weekday]);
+  }
+
+  // Update a schedule's slot details
+  async update(id, scheduleData) {
+    const query = `
+      UPDATE schedules
+      SET course_name = ?, course_code = ?, section = ?, weekday = ?, start_time = ?,
+        duration_minutes = ?, is_enabled = ?
+      WHERE id = ?
+    `;
+
+    const params = [
+      scheduleData.courseName,
+      scheduleData.courseCode,
+      scheduleData.section,
+      scheduleData.weekday,
+      scheduleData.startTime,
+      scheduleData.durationMinutes,
+      scheduleData.enabled === false ? 0 : 1,
+      id
+    ];
+
+    await this.db.run(query, params);
+    return this.findById(id);
+  }
+
+  // Record the local date a slot was last run so it is only started once per day
+  async markRun(id, date) {
+    const query = 'UPDATE schedules SET last_run_date = ? WHERE id = ?';
+    const result = await this.db.run(query, [date, id]);
+    return result.changes > 0;
+  }
+
+  // Delete a schedule
+  async delete(id) {
+    const query = 'DELETE FROM schedules WHERE id = ?';
+    const result = await this.db.run(query, [id]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = Schedule;
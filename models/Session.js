@@ -1,6 +1,20 @@
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 
+// Token modes: 'random' stores a fresh token on every rotation, 'totp' derives it from a per-session secret
+const TOKEN_MODES = ['random', 'totp'];
+// Token lifetime (and rotation interval) when neither the session nor QR_TOKEN_EXPIRY_SECONDS sets one
+const DEFAULT_TOKEN_EXPIRY_SECONDS = 30;
+// How far back a time-based token is still recognised as expired rather than invalid
+const TOKEN_EXPIRED_LOOKBACK_STEPS = 10;
+// Limits applied when neither the session nor SESSION_MAX_DURATION_MINUTES / SESSION_IDLE_TIMEOUT_MINUTES sets one
+const DEFAULT_MAX_DURATION_MINUTES = 180;
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+// Idle time after which a session left active by a previous server process is ended instead of resumed
+const DEFAULT_STALE_AFTER_MINUTES = 10;
+// Length of the proof-of-presence code shown next to the QR code
+const PRESENCE_CODE_DIGITS = 6;
+
 class Session {
   constructor(database) {
     this.db = database;
@@ -10,14 +24,32 @@ class Session {
   async create(sessionData) {
     const id = uuidv4();
     const startTime = new Date().toISOString();
-    
-    // Generate initial token if not provided
-    const token = sessionData.currentToken || this.generateSecureToken();
-    const tokenExpiry = sessionData.tokenExpiry || this.getTokenExpiry();
+    const tokenMode = sessionData.tokenMode || 'random';
+    const tokenExpirySeconds = sessionData.tokenExpirySeconds || Session.getDefaultTokenExpirySeconds();
+    const location = sessionData.location || null;
+
+    if (!TOKEN_MODES.includes(tokenMode)) {
+      throw new Error(`Unsupported token mode: ${tokenMode}`);
+    }
+
+    // Time-based sessions only need their secret; tokens are derived on demand
+    let token = null;
+    let tokenExpiry = null;
+    let tokenSecret = null;
+
+    if (tokenMode === 'totp') {
+      tokenSecret = this.generateSecureToken();
+    } else {
+      // Generate initial token if not provided
+      token = sessionData.currentToken || this.generateSecureToken();
+      tokenExpiry = sessionData.tokenExpiry || this.getTokenExpiry(tokenExpirySeconds);
+    }
     
     const query = `
-      INSERT INTO sessions (id, faculty_id, course_name, course_code, section, start_time, current_token, token_expiry, is_active)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+      INSERT INTO sessions (id, faculty_id, course_name, course_code, section, start_time, current_token, token_expiry, token_mode, token_secret, token_expiry_seconds,
+        location_latitude, location_longitude, location_radius_meters, geofence_action, allowed_networks, late_after_minutes,
+        schedule_id, scheduled_end_time, max_duration_minutes, idle_timeout_minutes, presence_secret, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
     `;
     
     const params = [
@@ -28,7 +60,28 @@ class Session {
       sessionData.section,
       startTime,
       token,
-      tokenExpiry
+      tokenExpiry,
+      tokenMode,
+      tokenSecret,
+      tokenExpirySeconds,
+      location ? location.latitude : null,
+      location ? location.longitude : null,
+      location ? location.radiusMeters : null,
+      (location && location.action) || 'reject',
+      // Stored comma-separated; an empty list leaves the session open to any network the institution allows
+      sessionData.allowedNetworks && sessionData.allowedNetworks.length > 0
+        ? sessionData.allowedNetworks.join(',')
+        : null,
+      // Minutes after start_time before a scan counts as late; null means scans are never late
+      sessionData.lateAfterMinutes ?? null,
+      // Set for sessions the scheduler started, which it ends again at scheduled_end_time
+      sessionData.scheduleId || null,
+      sessionData.scheduledEndTime || null,
+      // Limits after which the session is ended automatically; 0 means no limit
+      sessionData.maxDurationMinutes ?? Session.getDefaultMaxDurationMinutes(),
+      sessionData.idleTimeoutMinutes ?? Session.getDefaultIdleTimeoutMinutes(),
+      // Key for the presence codes students must type in; null means scanning the QR code is enough
+      sessionData.requirePresenceCode ? this.generateSecureToken() : null
     ];
 
     await this.db.run(query, params);
@@ -47,6 +100,21 @@ class Session {
     return await this.db.all(query);
   }
 
+  // Find active sessions started by the scheduler whose slot has finished
+  async findScheduledDue(now = new Date()) {
+    const query = `
+      SELECT * FROM sessions
+      WHERE is_active = 1 AND schedule_id IS NOT NULL AND scheduled_end_time <= ?
+    `;
+    return await this.db.all(query, [now.toISOString()]);
+  }
+
+  // Find active sessions started by hand; scheduled sessions end with their slot instead
+  async findActiveManual() {
+    const query = 'SELECT * FROM sessions WHERE is_active = 1 AND scheduled_end_time IS NULL';
+    return await this.db.all(query);
+  }
+
   // Update session
   async update(id, updateData) {
     const fields = [];
@@ -80,7 +148,8 @@ class Session {
       is_active: 0,
       end_time: new Date().toISOString(),
       current_token: null,
-      token_expiry: null
+      token_expiry: null,
+      paused_at: null
     };
     
     return await this.update(id, updateData);
@@ -96,6 +165,11 @@ class Session {
     return await this.update(id, updateData);
   }
 
+  // Record that the faculty dashboard is still open on an active session
+  async recordHeartbeat(id) {
+    return await this.update(id, { last_heartbeat_at: new Date().toISOString() });
+  }
+
   // Check if session is active
   async isActive(id) {
     const session = await this.findById(id);
@@ -113,6 +187,15 @@ class Session {
     if (!session.is_active) {
       return { valid: false, reason: 'Session is not active' };
     }
+
+    // No token is accepted while the faculty has the session paused
+    if (this.isPaused(session)) {
+      return { valid: false, reason: 'Session is paused' };
+    }
+
+    if (this.isTimeBased(session)) {
+      return this.validateTimeBasedToken(session, token);
+    }
     
     if (!session.current_token || session.current_token !== token) {
       return { valid: false, reason: 'Invalid token' };
@@ -125,6 +208,101 @@ class Session {
     return { valid: true, session };
   }
 
+  // Validate a time-based token against the current and previous time step
+  validateTimeBasedToken(session, token, now = Date.now()) {
+    const currentStep = this.getTimeStep(session, now);
+
+    for (const step of [currentStep, currentStep - 1]) {
+      if (this.tokensMatch(this.generateTimeBasedToken(session, step), token)) {
+        return { valid: true, session };
+      }
+    }
+
+    // A token from a recent step was genuine but has aged out, so the student can rescan
+    for (let step = currentStep - 2; step >= currentStep - TOKEN_EXPIRED_LOOKBACK_STEPS; step--) {
+      if (this.tokensMatch(this.generateTimeBasedToken(session, step), token)) {
+        return { valid: false, reason: 'Token expired' };
+      }
+    }
+
+    return { valid: false, reason: 'Invalid token' };
+  }
+
+  // Check whether a session derives its tokens from the time step
+  isTimeBased(session) {
+    return session.token_mode === 'totp';
+  }
+
+  // Check whether a session is paused
+  isPaused(session) {
+    return Boolean(session.paused_at);
+  }
+
+  // Get the time step index for a timestamp; each step lasts one token lifetime
+  getTimeStep(session, now = Date.now()) {
+    return Math.floor(now / this.getTokenLifetimeMs(session));
+  }
+
+  // Derive the token for a time step: HMAC-SHA256 over session id and step, keyed by the session secret
+  generateTimeBasedToken(session, step) {
+    return crypto
+      .createHmac('sha256', session.token_secret)
+      .update(`${session.id}:${step}`)
+      .digest('hex');
+  }
+
+  // Get the token currently shown for a session along with its expiry
+  getCurrentToken(session, now = Date.now()) {
+    if (!this.isTimeBased(session)) {
+      return { token: session.current_token, expiresAt: session.token_expiry };
+    }
+
+    const step = this.getTimeStep(session, now);
+    return {
+      token: this.generateTimeBasedToken(session, step),
+      expiresAt: new Date((step + 1) * this.getTokenLifetimeMs(session)).toISOString()
+    };
+  }
+
+  // Check whether students must also type the presence code shown next to the QR code
+  requiresPresenceCode(session) {
+    return Boolean(session.presence_secret);
+  }
+
+  // Derive the presence code for a token. It changes with every rotation and never appears in the QR URL.
+  generatePresenceCode(session, token) {
+    if (!this.requiresPresenceCode(session) || !token) {
+      return null;
+    }
+
+    const digest = crypto
+      .createHmac('sha256', session.presence_secret)
+      .update(`${session.id}:${token}`)
+      .digest();
+    return String(digest.readUInt32BE(0) % 10 ** PRESENCE_CODE_DIGITS).padStart(PRESENCE_CODE_DIGITS, '0');
+  }
+
+  // Check a typed presence code against the scanned token's code, or the code on screen now
+  // in case the QR code rotated while the student was typing
+  presenceCodeMatches(session, token, code, now = Date.now()) {
+    if (typeof code !== 'string') {
+      return false;
+    }
+
+    const { token: currentToken } = this.getCurrentToken(session, now);
+    return [token, currentToken]
+      .map(candidate => this.generatePresenceCode(session, candidate))
+      .some(expected => expected !== null && this.tokensMatch(expected, code.trim()));
+  }
+
+  // Compare tokens in constant time
+  tokensMatch(expected, actual) {
+    if (typeof actual !== 'string' || expected.length !== actual.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+  }
+
   // Check if token is expired
   isTokenExpired(tokenExpiry) {
     if (!tokenExpiry) return true;
@@ -136,17 +314,51 @@ class Session {
     return crypto.randomBytes(32).toString('hex');
   }
 
-  // Get token expiry time (30 seconds from now)
-  getTokenExpiry() {
-    return new Date(Date.now() + 30000).toISOString();
+  // Get token expiry time (the default lifetime from now unless given)
+  getTokenExpiry(seconds) {
+    return new Date(Date.now() + (seconds || Session.getDefaultTokenExpirySeconds()) * 1000).toISOString();
+  }
+
+  // Get how long a session's tokens stay valid, which is also its rotation interval
+  getTokenLifetimeMs(session) {
+    return (session.token_expiry_seconds || Session.getDefaultTokenExpirySeconds()) * 1000;
+  }
+
+  // Get the configured default token lifetime in seconds
+  static getDefaultTokenExpirySeconds() {
+    const seconds = parseInt(process.env.QR_TOKEN_EXPIRY_SECONDS, 10);
+    return seconds > 0 ? seconds : DEFAULT_TOKEN_EXPIRY_SECONDS;
+  }
+
+  // Get the configured default maximum session length in minutes (0 turns the limit off)
+  static getDefaultMaxDurationMinutes() {
+    const minutes = parseInt(process.env.SESSION_MAX_DURATION_MINUTES, 10);
+    return minutes >= 0 ? minutes : DEFAULT_MAX_DURATION_MINUTES;
+  }
+
+  // Get the configured default idle timeout in minutes (0 turns the timeout off)
+  static getDefaultIdleTimeoutMinutes() {
+    const minutes = parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES, 10);
+    return minutes >= 0 ? minutes : DEFAULT_IDLE_TIMEOUT_MINUTES;
+  }
+
+  // Get the configured stale threshold for resuming sessions after a restart (0 ends every session left running)
+  static getDefaultStaleAfterMinutes() {
+    const minutes = parseInt(process.env.SESSION_STALE_AFTER_MINUTES, 10);
+    return minutes >= 0 ? minutes : DEFAULT_STALE_AFTER_MINUTES;
   }
 
   // Activate session
   async activate(id) {
+    const session = await this.findById(id);
+    if (session && this.isTimeBased(session)) {
+      return await this.update(id, { is_active: 1 });
+    }
+
     const updateData = {
       is_active: 1,
       current_token: this.generateSecureToken(),
-      token_expiry: this.getTokenExpiry()
+      token_expiry: this.getTokenExpiry(session && session.token_expiry_seconds)
     };
     
     return await this.update(id, updateData);
@@ -163,6 +375,41 @@ class Session {
     return await this.update(id, updateData);
   }
 
+  // Pause an active session, dropping its current token
+  async pause(id) {
+    const updateData = {
+      paused_at: new Date().toISOString(),
+      current_token: null,
+      token_expiry: null
+    };
+
+    return await this.update(id, updateData);
+  }
+
+  // Resume a paused session with a token that was never shown before the pause
+  async resume(id) {
+    const session = await this.findById(id);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    // Resuming counts as dashboard activity, so a long pause does not idle the session out
+    const updateData = {
+      paused_at: null,
+      last_heartbeat_at: new Date().toISOString()
+    };
+
+    // A new secret also retires every time-based token derived before the pause
+    if (this.isTimeBased(session)) {
+      updateData.token_secret = this.generateSecureToken();
+    } else {
+      updateData.current_token = this.generateSecureToken();
+      updateData.token_expiry = this.getTokenExpiry(session.token_expiry_seconds);
+    }
+
+    return await this.update(id, updateData);
+  }
+
   // Rotate token for active session
   async rotateToken(id) {
     const session = await this.findById(id);
@@ -174,13 +421,50 @@ class Session {
     if (!session.is_active) {
       throw new Error('Cannot rotate token for inactive session');
     }
+
+    if (this.isPaused(session)) {
+      throw new Error('Cannot rotate token for paused session');
+    }
+
+    // Time-based tokens advance with the clock, so there is nothing to store
+    if (this.isTimeBased(session)) {
+      return session;
+    }
     
     const newToken = this.generateSecureToken();
-    const newExpiry = this.getTokenExpiry();
+    const newExpiry = this.getTokenExpiry(session.token_expiry_seconds);
     
     return await this.updateToken(id, newToken, newExpiry);
   }
 
+  // Get the last time someone was using a session: its start, latest scan or latest dashboard heartbeat.
+  // Token rotation does not count, since it carries on with nobody in the room.
+  async getLastInteraction(session) {
+    const times = [
+      new Date(session.start_time).getTime(),
+      await this.getLastMarkedTime(session.id) || 0
+    ];
+    if (session.last_heartbeat_at) {
+      times.push(new Date(session.last_heartbeat_at).getTime());
+    }
+    return Math.max(...times);
+  }
+
+  // Get the time of a session's latest attendance record, or null if it has none
+  async getLastMarkedTime(sessionId) {
+    const latest = await this.db.get(
+      'SELECT MAX(timestamp) as last_marked FROM attendance WHERE session_id = ?',
+      [sessionId]
+    );
+
+    if (!latest || !latest.last_marked) {
+      return null;
+    }
+
+    // Attendance timestamps are stored as UTC without a zone suffix
+    return new Date(`${latest.last_marked.replace(' ', 'T')}Z`).getTime();
+  }
+
   // Get session with attendance count
   async getSessionWithStats(id) {
     const query = `
@@ -201,6 +485,28 @@ class Session {
     return await this.db.all(query, [facultyId]);
   }
 
+  // Find a faculty member's sessions for a course section, oldest first
+  async findByCourseSection(courseCode, section, facultyId) {
+    const query = `
+      SELECT * FROM sessions
+      WHERE course_code = ? AND section = ? AND faculty_id = ?
+      ORDER BY start_time, created_at, rowid
+    `;
+    return await this.db.all(query, [courseCode, section, facultyId]);
+  }
+
+  // Find the sessions of every course section a student is enrolled in, oldest first
+  async findForStudent(studentEmail) {
+    const query = `
+      SELECT ses.*
+      FROM sessions ses
+      JOIN enrollments e ON e.course_code = ses.course_code AND e.section = ses.section
+      WHERE e.student_email = ?
+      ORDER BY ses.start_time, ses.created_at, ses.rowid
+    `;
+    return await this.db.all(query, [studentEmail]);
+  }
+
   // Find active sessions by faculty
   async findActiveByfaculty(facultyId) {
     const query = 'SELECT * FROM sessions WHERE faculty_id = ? AND is_active = 1 ORDER BY created_at DESC';
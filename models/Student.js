@@ -21,6 +21,38 @@ class Student {
     return !!student;
   }
 
+  // Insert a student or update the existing record with the same roll number
+  async upsert(studentData) {
+    const existing = await this.findByRollNumber(studentData.rollNumber);
+
+    const query = `
+      INSERT INTO students (roll_number, email, name, branch, year)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(roll_number) DO UPDATE SET
+        email = excluded.email,
+        name = excluded.name,
+        branch = excluded.branch,
+        year = excluded.year
+    `;
+
+    try {
+      await this.db.run(query, [
+        studentData.rollNumber,
+        studentData.email,
+        studentData.name,
+        studentData.branch,
+        studentData.year
+      ]);
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('Email is already registered to another roll number');
+      }
+      throw error;
+    }
+
+    return existing ? 'updated' : 'inserted';
+  }
+
   // Get all students
   async findAll() {
     const query = 'SELECT * FROM students ORDER BY name';
@@ -0,0 +1,68 @@
+class Timetable {
+  constructor(database) {
+    this.db = database;
+  }
+
+  // Replace a faculty member's cached assignments and slots with a fresh copy from the timetable system.
+  // The sync time is cleared first and written last, so an interrupted refresh reads as never synced.
+  async replaceFacultyTimetable(facultyId, assignments, slots, syncedAt = new Date().toISOString()) {
+    await this.db.run('DELETE FROM timetable_sync WHERE faculty_id = ?', [facultyId]);
+    await this.db.run('DELETE FROM timetable_assignments WHERE faculty_id = ?', [facultyId]);
+    await this.db.run('DELETE FROM timetable_slots WHERE faculty_id = ?', [facultyId]);
+
+    for (const assignment of assignments) {
+      await this.db.run(`
+        INSERT OR REPLACE INTO timetable_assignments (faculty_id, course_code, section, course_name)
+        VALUES (?, ?, ?, ?)
+      `, [facultyId, assignment.courseCode, assignment.section, assignment.courseName || null]);
+    }
+
+    for (const slot of slots) {
+      await this.db.run(`
+        INSERT INTO timetable_slots (faculty_id, course_code, section, weekday, start_time, duration_minutes, room)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [facultyId, slot.courseCode, slot.section, slot.weekday, slot.startTime, slot.durationMinutes, slot.room || null]);
+    }
+
+    await this.db.run('INSERT INTO timetable_sync (faculty_id, synced_at) VALUES (?, ?)', [facultyId, syncedAt]);
+  }
+
+  // Get a faculty member's cached course assignments
+  async getAssignments(facultyId) {
+    const query = `
+      SELECT * FROM timetable_assignments
+      WHERE faculty_id = ?
+      ORDER BY course_code, section
+    `;
+    return await this.db.all(query, [facultyId]);
+  }
+
+  // Get a faculty member's cached class slots in weekly order
+  async getSlots(facultyId) {
+    const query = `
+      SELECT * FROM timetable_slots
+      WHERE faculty_id = ?
+      ORDER BY weekday, start_time, course_code, section
+    `;
+    return await this.db.all(query, [facultyId]);
+  }
+
+  // Get when a faculty member's timetable was last pulled (ISO string), or null if never
+  async getSyncedAt(facultyId) {
+    const row = await this.db.get('SELECT synced_at FROM timetable_sync WHERE faculty_id = ?', [facultyId]);
+    return row ? row.synced_at : null;
+  }
+
+  // Add or rename a course section from the timetable system
+  async upsertCourseSection(courseSection) {
+    const query = `
+      INSERT INTO courses (course_code, section, course_name)
+      VALUES (?, ?, ?)
+      ON CONFLICT (course_code, section) DO UPDATE SET course_name = excluded.course_name
+    `;
+    const result = await this.db.run(query, [courseSection.courseCode, courseSection.section, courseSection.courseName || null]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = Timetable;
@@ -0,0 +1,181 @@
+/**
+ * Projector Display JavaScript
+ * Shows the rotating QR code (and presence code, if required), countdown, course title and present count for one session.
+ * Opened with a read-only display link (/display.html#token=...) issued from the faculty dashboard.
+ */
+
+class SessionDisplay {
+    constructor() {
+        this.socket = null;
+        this.token = new URLSearchParams(window.location.hash.slice(1)).get('token');
+        this.qrExpiresAt = null;
+        this.qrLifetimeSeconds = 30;
+        this.timerInterval = null;
+
+        this.initializeElements();
+        this.fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
+
+        if (!this.token) {
+            this.showNotice('This display link is incomplete. Open a new one from the faculty dashboard.');
+            return;
+        }
+
+        this.initializeWebSocket();
+    }
+
+    initializeElements() {
+        this.courseTitle = document.getElementById('courseTitle');
+        this.courseSection = document.getElementById('courseSection');
+        this.displayQr = document.getElementById('displayQr');
+        this.presenceCode = document.getElementById('presenceCode');
+        this.displayTimer = document.getElementById('displayTimer');
+        this.timerProgress = document.getElementById('timerProgress');
+        this.timerText = document.getElementById('timerText');
+        this.presentCount = document.getElementById('presentCount');
+        this.fullscreenBtn = document.getElementById('fullscreenBtn');
+    }
+
+    initializeWebSocket() {
+        this.socket = io({ auth: { displayToken: this.token } });
+
+        // Load the current state on every connect, since QR updates may have been missed while offline
+        this.socket.on('connect', () => {
+            console.log('Connected to WebSocket server');
+            this.loadState();
+        });
+
+        this.socket.on('connect_error', (error) => {
+            console.error('WebSocket connection refused:', error.message);
+            if (error.data && error.data.code === 'SESSION_INACTIVE') {
+                this.showEnded();
+            } else if (error.data && error.data.code === 'DISPLAY_LINK_INVALID') {
+                this.showNotice('This display link has expired. Open a new one from the faculty dashboard.');
+            }
+        });
+
+        this.socket.on('qr-update', (data) => {
+            this.showQRCode(data.qrData);
+        });
+
+        this.socket.on('present-count', (data) => {
+            this.presentCount.textContent = data.presentCount;
+        });
+
+        this.socket.on('session-status-change', (data) => {
+            if (data.status === 'paused') {
+                this.showNotice('Attendance is paused');
+            } else if (data.status === 'resumed') {
+                this.showQRCode(data.sessionData.qrData);
+            }
+        });
+
+        this.socket.on('session-ended', () => {
+            this.showEnded();
+            this.socket.disconnect();
+        });
+
+        this.socket.on('display-expired', () => {
+            this.showNotice('This display link has expired. Open a new one from the faculty dashboard.');
+        });
+    }
+
+    async loadState() {
+        try {
+            const response = await fetch('/api/display/state', {
+                cache: 'no-store',
+                headers: { 'X-Display-Token': this.token }
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                if (result.error.code === 'SESSION_INACTIVE') {
+                    this.showEnded();
+                } else {
+                    this.showNotice(result.error.message);
+                }
+                return;
+            }
+
+            const display = result.display;
+            this.courseTitle.textContent = `${display.courseName} (${display.courseCode})`;
+            this.courseSection.textContent = `Section ${display.section}`;
+            this.presentCount.textContent = display.presentCount;
+            this.qrLifetimeSeconds = display.tokenExpirySeconds || this.qrLifetimeSeconds;
+
+            if (display.isPaused) {
+                this.showNotice('Attendance is paused');
+            } else {
+                this.showQRCode(result.qrData);
+            }
+        } catch (error) {
+            console.error('Error loading display state:', error);
+            this.showNotice('Could not load the session');
+        }
+    }
+
+    showQRCode(qrData) {
+        if (!qrData || !qrData.qrCodeDataURL) return;
+
+        const image = document.createElement('img');
+        image.src = qrData.qrCodeDataURL;
+        image.alt = 'QR Code for Attendance';
+        this.displayQr.replaceChildren(image);
+
+        // Sessions that require a presence code show it under the QR code; it is not in the QR URL
+        this.presenceCode.textContent = qrData.presenceCode || '';
+        this.presenceCode.style.display = qrData.presenceCode ? 'block' : 'none';
+
+        this.qrExpiresAt = new Date(qrData.expiresAt);
+        this.startTimer();
+    }
+
+    showNotice(message) {
+        this.stopTimer();
+        this.presenceCode.style.display = 'none';
+
+        const notice = document.createElement('p');
+        notice.className = 'display-notice';
+        notice.textContent = message;
+        this.displayQr.replaceChildren(notice);
+    }
+
+    showEnded() {
+        this.showNotice('Attendance for this session has closed');
+    }
+
+    startTimer() {
+        this.stopTimer();
+        this.displayTimer.style.display = 'block';
+        this.updateTimerDisplay();
+        this.timerInterval = setInterval(() => this.updateTimerDisplay(), 1000);
+    }
+
+    stopTimer() {
+        clearInterval(this.timerInterval);
+        this.timerInterval = null;
+        this.displayTimer.style.display = 'none';
+    }
+
+    updateTimerDisplay() {
+        // The next qr-update replaces the code; until then the countdown rests at zero
+        const remaining = Math.max(0, Math.ceil((this.qrExpiresAt - Date.now()) / 1000));
+        const percentage = Math.min(100, (remaining / this.qrLifetimeSeconds) * 100);
+        this.timerProgress.style.width = `${percentage}%`;
+        this.timerText.textContent = remaining;
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            document.documentElement.requestFullscreen().catch(error => {
+                console.error('Could not enter fullscreen:', error);
+            });
+        }
+    }
+}
+
+// Initialize display when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new SessionDisplay();
+});
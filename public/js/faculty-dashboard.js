@@ -8,15 +8,37 @@ class FacultyDashboard {
         this.socket = null;
         this.currentSession = null;
         this.qrTimer = null;
-        this.qrTimeRemaining = 30;
-        this.facultyId = 'faculty-001'; // This would come from authentication in real implementation
+        this.qrLifetimeSeconds = 30;
+        this.qrTimeRemaining = this.qrLifetimeSeconds;
+        this.facultyId = null; // Set from the authenticated faculty session
         this.csrfToken = null;
         
         this.initializeElements();
         this.initializeEventListeners();
-        this.initializeWebSocket();
         this.showConnectionStatus('connecting');
         this.getCsrfToken();
+        this.initializeFaculty();
+    }
+
+    async initializeFaculty() {
+        try {
+            const response = await fetch('/auth/status', { cache: 'no-store' });
+            const result = await response.json();
+
+            if (!result.authenticated || result.user.role !== 'faculty') {
+                window.location.href = '/faculty-login.html';
+                return;
+            }
+
+            this.facultyId = result.user.id;
+            document.getElementById('facultyName').textContent = result.user.name;
+            document.getElementById('facultyId').textContent = this.facultyId;
+
+            this.initializeWebSocket();
+        } catch (error) {
+            console.error('Failed to load faculty profile:', error);
+            this.showConnectionStatus('disconnected');
+        }
     }
 
     initializeElements() {
@@ -25,11 +47,24 @@ class FacultyDashboard {
         this.sessionActive = document.getElementById('sessionActive');
         this.startSessionBtn = document.getElementById('startSessionBtn');
         this.endSessionBtn = document.getElementById('endSessionBtn');
+        this.pauseSessionBtn = document.getElementById('pauseSessionBtn');
+        this.openDisplayBtn = document.getElementById('openDisplayBtn');
+        this.resumeSessionBtn = document.getElementById('resumeSessionBtn');
         
         // Form inputs
         this.courseNameInput = document.getElementById('courseName');
         this.courseCodeInput = document.getElementById('courseCode');
         this.sectionInput = document.getElementById('section');
+        this.tokenModeSelect = document.getElementById('tokenMode');
+        this.tokenExpiryInput = document.getElementById('tokenExpirySeconds');
+        this.geofenceCheckbox = document.getElementById('geofenceEnabled');
+        this.geofenceRadiusInput = document.getElementById('geofenceRadius');
+        this.geofenceActionSelect = document.getElementById('geofenceAction');
+        this.allowedNetworksInput = document.getElementById('allowedNetworks');
+        this.lateAfterInput = document.getElementById('lateAfterMinutes');
+        this.maxDurationInput = document.getElementById('maxDurationMinutes');
+        this.idleTimeoutInput = document.getElementById('idleTimeoutMinutes');
+        this.presenceCodeCheckbox = document.getElementById('requirePresenceCode');
         
         // Session info elements
         this.activeSessionTitle = document.getElementById('activeSessionTitle');
@@ -49,23 +84,40 @@ class FacultyDashboard {
         this.presentCount = document.getElementById('presentCount');
         this.totalCount = document.getElementById('totalCount');
         this.attendancePercentage = document.getElementById('attendancePercentage');
+        this.lateCount = document.getElementById('lateCount');
+        this.excusedCount = document.getElementById('excusedCount');
+        this.absentCount = document.getElementById('absentCount');
         this.attendanceList = document.getElementById('attendanceList');
+        this.flagsList = document.getElementById('flagsList');
+        this.flagsCount = document.getElementById('flagsCount');
         this.refreshAttendanceBtn = document.getElementById('refreshAttendanceBtn');
         this.exportBtn = document.getElementById('exportBtn');
+        this.exportFormat = document.getElementById('exportFormat');
         
         // Status elements
         this.statusMessages = document.getElementById('statusMessages');
         this.loadingOverlay = document.getElementById('loadingOverlay');
-        
-        // Faculty info
-        document.getElementById('facultyId').textContent = this.facultyId;
+        this.logoutBtn = document.getElementById('logoutBtn');
     }
 
     initializeEventListeners() {
         this.startSessionBtn.addEventListener('click', () => this.startSession());
         this.endSessionBtn.addEventListener('click', () => this.endSession());
-        this.refreshAttendanceBtn.addEventListener('click', () => this.refreshAttendance());
+        this.pauseSessionBtn.addEventListener('click', () => this.pauseSession());
+        this.openDisplayBtn.addEventListener('click', () => this.openDisplay());
+        this.resumeSessionBtn.addEventListener('click', () => this.resumeSession());
+        this.refreshAttendanceBtn.addEventListener('click', () => {
+            this.refreshAttendance();
+            this.refreshFlags();
+        });
+        this.flagsList.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-flag-id]');
+            if (button) {
+                this.reviewFlag(button.dataset.flagId, button.dataset.status);
+            }
+        });
         this.exportBtn.addEventListener('click', () => this.exportAttendance());
+        this.logoutBtn.addEventListener('click', () => this.logout());
         
         // Form validation
         [this.courseNameInput, this.courseCodeInput, this.sectionInput].forEach(input => {
@@ -90,6 +142,20 @@ class FacultyDashboard {
                 this.showConnectionStatus('disconnected');
             });
             
+            // The server only accepts sockets from a signed-in faculty member
+            this.socket.on('connect_error', (error) => {
+                console.error('WebSocket connection refused:', error.message);
+                this.showConnectionStatus('disconnected');
+                if (error.data && error.data.code === 'UNAUTHORIZED') {
+                    window.location.href = '/faculty-login.html';
+                }
+            });
+            
+            this.socket.on('join-error', (data) => {
+                console.error('Could not join room:', data);
+                this.showMessage(`Live updates unavailable: ${data.message}`, 'error');
+            });
+            
             this.socket.on('reconnect', () => {
                 console.log('Reconnected to WebSocket server');
                 this.showConnectionStatus('connected');
@@ -111,10 +177,55 @@ class FacultyDashboard {
                 this.handleAttendanceUpdate(data);
             });
             
+            // Listen for scans the server flagged as possible proxy marking
+            this.socket.on('suspicious-activity', (data) => {
+                console.log('Suspicious activity:', data);
+                if (!this.currentSession || data.sessionId !== this.currentSession.id) {
+                    return;
+                }
+                const names = [...new Set(data.flags.map(flag => flag.studentName || flag.studentEmail))];
+                this.showMessage(`Flagged for review: ${names.join(', ')} (${this.describeFlagReason(data.flags[0].reason)})`, 'warning');
+                this.refreshAttendance();
+                this.refreshFlags();
+            });
+            
+            // Listen for sessions started by the scheduler
+            this.socket.on('session-started', (data) => {
+                console.log('Session started:', data);
+                this.showStartedSession(data.session, data.qrData);
+                this.showMessage(`Scheduled session for ${data.session.courseCode} started`, 'success');
+            });
+            
             // Listen for session ended
             this.socket.on('session-ended', (data) => {
                 console.log('Session ended:', data);
                 this.handleSessionEnded(data);
+                if (data.reason === 'schedule') {
+                    this.showMessage('Scheduled session ended', 'info');
+                } else if (data.reason === 'max-duration') {
+                    this.showMessage('Session ended automatically after reaching its maximum duration', 'warning');
+                } else if (data.reason === 'idle') {
+                    this.showMessage('Session ended automatically after a period without activity', 'warning');
+                }
+            });
+            
+            // Listen for the session being paused or resumed (possibly from another tab)
+            this.socket.on('session-status-change', (data) => {
+                console.log('Session status changed:', data);
+                if (!this.currentSession || data.sessionId !== this.currentSession.id) {
+                    return;
+                }
+                if (data.status === 'paused') {
+                    this.showPausedSession();
+                } else if (data.status === 'resumed') {
+                    this.showResumedSession(data.sessionData.qrData);
+                }
+            });
+            
+            // Listen for scheduled sessions that could not start
+            this.socket.on('schedule-skipped', (data) => {
+                console.log('Scheduled session skipped:', data);
+                this.showMessage(`Scheduled session for ${data.courseCode} did not start: ${data.reason}`, 'warning');
             });
             
         } catch (error) {
@@ -184,12 +295,60 @@ class FacultyDashboard {
         
         try {
             const sessionData = {
-                facultyId: this.facultyId,
                 courseName: this.courseNameInput.value.trim(),
                 courseCode: this.courseCodeInput.value.trim(),
-                section: this.sectionInput.value.trim()
+                section: this.sectionInput.value.trim(),
+                tokenMode: this.tokenModeSelect.value
             };
 
+            // Leave the lifetime to the server default unless the faculty sets one
+            const tokenExpirySeconds = parseInt(this.tokenExpiryInput.value, 10);
+            if (tokenExpirySeconds) {
+                sessionData.tokenExpirySeconds = tokenExpirySeconds;
+            }
+
+            // Scans after this many minutes count as late; blank means never late
+            const lateAfterMinutes = parseInt(this.lateAfterInput.value, 10);
+            if (!isNaN(lateAfterMinutes)) {
+                sessionData.lateAfterMinutes = lateAfterMinutes;
+            }
+
+            // Limits after which the server ends the session on its own; blank uses the server defaults
+            const maxDurationMinutes = parseInt(this.maxDurationInput.value, 10);
+            if (maxDurationMinutes) {
+                sessionData.maxDurationMinutes = maxDurationMinutes;
+            }
+            const idleTimeoutMinutes = parseInt(this.idleTimeoutInput.value, 10);
+            if (idleTimeoutMinutes) {
+                sessionData.idleTimeoutMinutes = idleTimeoutMinutes;
+            }
+
+            // A photo of the QR code is not enough without the code shown next to it
+            if (this.presenceCodeCheckbox.checked) {
+                sessionData.requirePresenceCode = true;
+            }
+
+            // Restrict marking to these CIDR ranges on top of the institution allow-list
+            const allowedNetworks = this.allowedNetworksInput.value.trim();
+            if (allowedNetworks) {
+                sessionData.allowedNetworks = allowedNetworks;
+            }
+
+            // Use the faculty's own position as the classroom location
+            if (this.geofenceCheckbox.checked) {
+                let position;
+                try {
+                    position = await this.getCurrentPosition();
+                } catch (error) {
+                    this.showMessage(error.message, 'error');
+                    return;
+                }
+                sessionData.latitude = position.coords.latitude;
+                sessionData.longitude = position.coords.longitude;
+                sessionData.radiusMeters = parseInt(this.geofenceRadiusInput.value, 10);
+                sessionData.geofenceAction = this.geofenceActionSelect.value;
+            }
+
             const response = await fetch('/api/faculty/sessions/start', {
                 method: 'POST',
                 headers: {
@@ -202,15 +361,8 @@ class FacultyDashboard {
             const result = await response.json();
 
             if (result.success) {
-                this.currentSession = result.session;
-                this.updateSessionUI(result.session);
-                this.updateQRCode(result.qrData);
-                this.startQRTimer();
+                this.showStartedSession(result.session, result.qrData);
                 this.showMessage('Attendance session started successfully!', 'success');
-                
-                // Enable export button and refresh attendance
-                this.exportBtn.disabled = false;
-                this.refreshAttendance();
             } else {
                 this.showMessage(result.error || 'Failed to start session', 'error');
             }
@@ -222,6 +374,190 @@ class FacultyDashboard {
         }
     }
 
+    showStartedSession(session, qrData) {
+        this.currentSession = session;
+        this.qrLifetimeSeconds = session.tokenExpirySeconds || 30;
+        this.updateSessionUI(session);
+        this.updateQRCode(qrData);
+        if (this.qrTimerInterval) {
+            clearInterval(this.qrTimerInterval);
+        }
+        this.startQRTimer();
+        this.startHeartbeat();
+        this.setPausedControls(false);
+
+        // Enable export button and refresh attendance
+        this.exportBtn.disabled = false;
+        this.refreshAttendance();
+        this.refreshFlags();
+    }
+
+    async pauseSession() {
+        if (!this.currentSession) {
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await fetch(`/api/faculty/sessions/${this.currentSession.id}/pause`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.csrfToken
+                },
+                body: JSON.stringify({})
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.showPausedSession();
+                this.showMessage('Session paused. Scans are refused until you resume it.', 'info');
+            } else {
+                this.showMessage(result.error?.message || 'Failed to pause session', 'error');
+            }
+        } catch (error) {
+            console.error('Error pausing session:', error);
+            this.showMessage('Network error. Please try again.', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Open the projector display, which shows only the QR code, course title and present count
+    async openDisplay() {
+        if (!this.currentSession) {
+            return;
+        }
+
+        // Open the window now, while the click still counts as a user action, so it is not blocked as a popup
+        const displayWindow = window.open('', '_blank');
+
+        try {
+            const response = await fetch(`/api/faculty/sessions/${this.currentSession.id}/display-link`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.csrfToken
+                },
+                body: JSON.stringify({})
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                if (displayWindow) {
+                    displayWindow.opener = null;
+                    displayWindow.location.href = result.url;
+                } else {
+                    window.open(result.url, '_blank', 'noopener');
+                }
+                this.showMessage(`Display link works until ${new Date(result.expiresAt).toLocaleTimeString()}`, 'info');
+            } else {
+                displayWindow?.close();
+                this.showMessage(result.error?.message || 'Failed to open the display', 'error');
+            }
+        } catch (error) {
+            displayWindow?.close();
+            console.error('Error opening display:', error);
+            this.showMessage('Network error. Please try again.', 'error');
+        }
+    }
+
+    async resumeSession() {
+        if (!this.currentSession) {
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await fetch(`/api/faculty/sessions/${this.currentSession.id}/resume`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.csrfToken
+                },
+                body: JSON.stringify({})
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.showResumedSession(result.qrData);
+                this.showMessage('Session resumed with a new QR code', 'success');
+            } else {
+                this.showMessage(result.error?.message || 'Failed to resume session', 'error');
+            }
+        } catch (error) {
+            console.error('Error resuming session:', error);
+            this.showMessage('Network error. Please try again.', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    showPausedSession() {
+        if (this.qrTimerInterval) {
+            clearInterval(this.qrTimerInterval);
+            this.qrTimerInterval = null;
+        }
+        this.qrTimer.style.display = 'none';
+        this.qrContainer.innerHTML = `
+            <div class="qr-placeholder">
+                <p>Session paused. Resume it to show a new QR code.</p>
+            </div>
+        `;
+        this.setPausedControls(true);
+    }
+
+    showResumedSession(qrData) {
+        this.updateQRCode(qrData);
+        if (this.qrTimerInterval) {
+            clearInterval(this.qrTimerInterval);
+        }
+        this.startQRTimer();
+        this.setPausedControls(false);
+    }
+
+    setPausedControls(paused) {
+        this.pauseSessionBtn.style.display = paused ? 'none' : '';
+        this.resumeSessionBtn.style.display = paused ? '' : 'none';
+    }
+
+    // Keep the session from idling out while the dashboard stays open
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatInterval = setInterval(() => this.sendHeartbeat(), 60 * 1000);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+    }
+
+    async sendHeartbeat() {
+        if (!this.currentSession) {
+            return;
+        }
+
+        try {
+            await fetch(`/api/faculty/sessions/${this.currentSession.id}/heartbeat`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.csrfToken
+                },
+                body: JSON.stringify({})
+            });
+        } catch (error) {
+            console.error('Error sending heartbeat:', error);
+        }
+    }
+
     async endSession() {
         if (!this.currentSession) {
             this.showMessage('No active session to end', 'warning');
@@ -237,7 +573,7 @@ class FacultyDashboard {
                     'Content-Type': 'application/json',
                     'X-CSRF-Token': this.csrfToken
                 },
-                body: JSON.stringify({ facultyId: this.facultyId })
+                body: JSON.stringify({})
             });
 
             const result = await response.json();
@@ -255,7 +591,7 @@ class FacultyDashboard {
                             'Content-Type': 'application/json',
                             'X-CSRF-Token': this.csrfToken
                         },
-                        body: JSON.stringify({ facultyId: this.facultyId })
+                        body: JSON.stringify({})
                     });
                     const retryResult = await retry.json();
                     if (retryResult.success) {
@@ -276,6 +612,19 @@ class FacultyDashboard {
         }
     }
 
+    getCurrentPosition() {
+        return new Promise((resolve, reject) => {
+            if (!navigator.geolocation) {
+                reject(new Error('Location is not available in this browser'));
+                return;
+            }
+
+            navigator.geolocation.getCurrentPosition(resolve, () => {
+                reject(new Error('Could not get your location. Allow location access or untick the location restriction.'));
+            }, { enableHighAccuracy: true, timeout: 15000 });
+        });
+    }
+
     updateSessionUI(session) {
         // Hide form, show active session
         this.sessionForm.style.display = 'none';
@@ -296,6 +645,7 @@ class FacultyDashboard {
                 <a href="${qrData.url}" target="_blank" title="Click to test attendance">
                     <img src="${qrData.qrCodeDataURL}" alt="QR Code for Attendance" style="cursor: pointer;" />
                 </a>
+                ${qrData.presenceCode ? `<p class="presence-code" title="Students type this code after scanning">${qrData.presenceCode}</p>` : ''}
                 <div class="qr-info">
                     <p><strong>Session:</strong> ${this.currentSession?.courseName || 'Active Session'}</p>
                     <p><strong>Valid until:</strong> ${new Date(qrData.expiresAt).toLocaleTimeString()}</p>
@@ -306,7 +656,7 @@ class FacultyDashboard {
 
     startQRTimer() {
         this.qrTimer.style.display = 'block';
-        this.qrTimeRemaining = 30;
+        this.qrTimeRemaining = this.qrLifetimeSeconds;
         this.updateTimerDisplay();
         
         this.qrTimerInterval = setInterval(() => {
@@ -320,12 +670,12 @@ class FacultyDashboard {
     }
 
     resetQRTimer() {
-        this.qrTimeRemaining = 30;
+        this.qrTimeRemaining = this.qrLifetimeSeconds;
         this.updateTimerDisplay();
     }
 
     updateTimerDisplay() {
-        const percentage = (this.qrTimeRemaining / 30) * 100;
+        const percentage = (this.qrTimeRemaining / this.qrLifetimeSeconds) * 100;
         this.timerProgress.style.width = `${percentage}%`;
         this.timerText.textContent = this.qrTimeRemaining;
     }
@@ -334,7 +684,7 @@ class FacultyDashboard {
         if (!this.currentSession) return;
         
         try {
-            const response = await fetch(`/api/faculty/sessions/${this.currentSession.id}/attendance?facultyId=${this.facultyId}`);
+            const response = await fetch(`/api/faculty/sessions/${this.currentSession.id}/attendance`);
             const result = await response.json();
             
             if (result.success) {
@@ -347,32 +697,150 @@ class FacultyDashboard {
         }
     }
 
-    updateAttendanceDisplay(attendanceData) {
-        // Update summary
-        const summary = attendanceData.summary;
+    async refreshFlags() {
+        if (!this.currentSession) return;
+
+        try {
+            const response = await fetch(`/api/faculty/sessions/${this.currentSession.id}/flags`);
+            const result = await response.json();
+
+            if (result.success) {
+                this.updateFlagsDisplay(result.flags, result.openCount);
+            } else {
+                console.error('Failed to refresh flags:', result.error);
+            }
+        } catch (error) {
+            console.error('Error refreshing flags:', error);
+        }
+    }
+
+    updateFlagsDisplay(flags, openCount) {
+        this.flagsCount.textContent = openCount;
+        this.flagsCount.style.display = openCount > 0 ? 'inline-block' : 'none';
+
+        if (flags.length === 0) {
+            this.flagsList.innerHTML = `
+                <div class="attendance-placeholder">
+                    <p>Nothing flagged</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Newest first, so fresh flags are at the top
+        this.flagsList.innerHTML = flags.slice().reverse().map(flag => `
+            <div class="flag-item${flag.reviewStatus === 'open' ? '' : ' reviewed'}">
+                <div class="student-info">
+                    <div class="student-name">
+                        ${flag.studentName || flag.studentEmail}
+                        <span class="attendance-tag flagged">${this.describeFlagReason(flag.reason)}</span>
+                    </div>
+                    <div class="flag-details">${this.describeFlagDetails(flag)}</div>
+                </div>
+                <div class="flag-actions">
+                    ${flag.reviewStatus === 'open' ? `
+                        <button class="btn btn-danger" data-flag-id="${flag.id}" data-status="confirmed">Confirm</button>
+                        <button class="btn btn-secondary" data-flag-id="${flag.id}" data-status="dismissed">Dismiss</button>
+                    ` : `
+                        <span>${flag.reviewStatus === 'confirmed' ? 'Confirmed' : 'Dismissed'}</span>
+                        <button class="btn btn-secondary" data-flag-id="${flag.id}" data-status="open">Reopen</button>
+                    `}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    describeFlagReason(reason) {
+        const labels = {
+            shared_client: 'Same phone as others',
+            unusual_network: 'Unusual network',
+            token_reuse: 'Overused QR code'
+        };
+        return labels[reason] || reason;
+    }
+
+    describeFlagDetails(flag) {
+        const details = flag.details || {};
+        const time = new Date(flag.createdAt.includes('T') ? flag.createdAt : `${flag.createdAt.replace(' ', 'T')}Z`).toLocaleTimeString();
+        if (flag.reason === 'shared_client') {
+            return `${time} • Marked from ${details.ipAddress} with the same browser as ${(details.otherStudents || []).join(', ')} within ${details.windowSeconds}s`;
+        }
+        if (flag.reason === 'unusual_network') {
+            return `${time} • ${details.ipAddress} is outside ${details.usualNetwork}, used by ${details.usualShare}% of the class`;
+        }
+        if (flag.reason === 'token_reuse') {
+            return `${time} • QR code used ${details.uses} times (limit ${details.limit})`;
+        }
+        return time;
+    }
+
+    async reviewFlag(flagId, status) {
+        if (!this.currentSession) return;
+
+        try {
+            const response = await fetch(`/api/faculty/sessions/${this.currentSession.id}/flags/${flagId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.csrfToken
+                },
+                body: JSON.stringify({ status })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.refreshFlags();
+                this.refreshAttendance();
+            } else {
+                this.showMessage(result.error?.message || 'Failed to update flag', 'error');
+            }
+        } catch (error) {
+            console.error('Error reviewing flag:', error);
+            this.showMessage('Network error. Please try again.', 'error');
+        }
+    }
+
+    updateSummary(summary) {
+        const byStatus = summary.byStatus || {};
         this.presentCount.textContent = summary.presentCount;
+        this.lateCount.textContent = byStatus.late || 0;
+        this.excusedCount.textContent = byStatus.excused || 0;
+        this.absentCount.textContent = summary.absentCount;
         this.totalCount.textContent = summary.totalStudents;
         this.attendancePercentage.textContent = `${summary.attendancePercentage.toFixed(1)}%`;
+    }
+
+    updateAttendanceDisplay(attendanceData) {
+        // Update summary
+        this.updateSummary(attendanceData.summary);
         
-        // Update attendance list
-        if (attendanceData.present.length === 0) {
+        // Update attendance list (excused students follow those present; students outside the course roster are listed last)
+        const unenrolled = (attendanceData.unenrolled || []).map(record => ({ ...record, unenrolled: true }));
+        const records = attendanceData.present.concat(attendanceData.excused || [], unenrolled);
+
+        if (records.length === 0) {
             this.attendanceList.innerHTML = `
                 <div class="attendance-placeholder">
                     <p>No attendance records yet</p>
                 </div>
             `;
         } else {
-            const attendanceHTML = attendanceData.present.map(record => `
-                <div class="attendance-item">
+            const attendanceHTML = records.map(record => `
+                <div class="attendance-item${record.unenrolled ? ' unenrolled' : ''}" data-email="${record.studentEmail}">
                     <div class="student-info">
-                        <div class="student-name">${record.studentName}</div>
+                        <div class="student-name">
+                            ${record.studentName}
+                            ${record.unenrolled ? '<span class="attendance-tag">Not enrolled</span>' : ''}
+                            ${this.renderRecordTags(record)}
+                        </div>
                         <div class="student-details">
                             ${record.studentEmail} • ${record.rollNumber} • ${record.branch} ${record.year}
                         </div>
                     </div>
                     <div class="attendance-time">
                         <div class="attendance-timestamp">${new Date(record.timestamp).toLocaleTimeString()}</div>
-                        <div>IP: ${record.ipAddress}</div>
+                        <div>${this.renderSource(record)}</div>
                     </div>
                 </div>
             `).join('');
@@ -381,21 +849,79 @@ class FacultyDashboard {
         }
     }
 
+    renderRecordTags(record) {
+        const tags = [];
+        if (record.status === 'late') {
+            tags.push('<span class="attendance-tag late">Late</span>');
+        } else if (record.status === 'excused') {
+            tags.push('<span class="attendance-tag excused">Excused</span>');
+        }
+        if (record.locationFlagged) {
+            tags.push('<span class="attendance-tag flagged">Outside area</span>');
+        }
+        if (record.deviceFlag === 'unbound') {
+            tags.push('<span class="attendance-tag flagged">Unrecognised device</span>');
+        } else if (record.deviceFlag === 'shared') {
+            tags.push('<span class="attendance-tag flagged">Shared device</span>');
+        }
+        (record.suspiciousFlags || []).forEach(reason => {
+            tags.push(`<span class="attendance-tag flagged">${this.describeFlagReason(reason)}</span>`);
+        });
+        return tags.join(' ');
+    }
+
+    renderSource(record) {
+        return record.manual ? 'Added by faculty' : `IP: ${record.ipAddress}`;
+    }
+
+    removeAttendanceRecord(studentEmail) {
+        const item = Array.from(this.attendanceList.querySelectorAll('.attendance-item'))
+            .find(element => element.dataset.email === studentEmail);
+        if (item) {
+            item.remove();
+        }
+
+        if (!this.attendanceList.querySelector('.attendance-item')) {
+            this.attendanceList.innerHTML = `
+                <div class="attendance-placeholder">
+                    <p>No attendance records yet</p>
+                </div>
+            `;
+        }
+    }
+
     handleAttendanceUpdate(data) {
         // Add new attendance record with animation
         if (data.newAttendance) {
             this.addNewAttendanceRecord(data.newAttendance);
         }
+
+        // Drop records removed by faculty
+        if (data.removedAttendance) {
+            this.removeAttendanceRecord(data.removedAttendance.studentEmail);
+        }
+
+        // Status changes can move a record between lists, so reload them
+        if (data.updatedAttendance) {
+            this.refreshAttendance();
+        }
         
         // Update summary
         if (data.summary) {
-            this.presentCount.textContent = data.summary.presentCount;
-            this.totalCount.textContent = data.summary.totalStudents;
-            this.attendancePercentage.textContent = `${data.summary.attendancePercentage.toFixed(1)}%`;
+            this.updateSummary(data.summary);
         }
         
         // Show notification
-        this.showMessage(`${data.newAttendance.studentName} marked attendance`, 'success');
+        if (data.updatedAttendance) {
+            this.showMessage(`${data.updatedAttendance.studentName} marked ${data.updatedAttendance.status} by faculty`, 'info');
+        } else if (data.removedAttendance) {
+            this.showMessage(`${data.removedAttendance.studentName} removed from attendance`, 'info');
+        } else if (data.newAttendance) {
+            const verb = data.newAttendance.manual
+                ? `was marked ${data.newAttendance.status} by faculty`
+                : data.newAttendance.status === 'late' ? 'marked attendance (late)' : 'marked attendance';
+            this.showMessage(`${data.newAttendance.studentName} ${verb}`, 'success');
+        }
     }
 
     addNewAttendanceRecord(record) {
@@ -408,17 +934,21 @@ class FacultyDashboard {
         // Create new attendance item
         const attendanceItem = document.createElement('div');
         attendanceItem.className = 'attendance-item';
+        attendanceItem.dataset.email = record.studentEmail;
         attendanceItem.style.backgroundColor = '#e8f5e8';
         attendanceItem.innerHTML = `
             <div class="student-info">
-                <div class="student-name">${record.studentName}</div>
+                <div class="student-name">
+                    ${record.studentName}
+                    ${this.renderRecordTags(record)}
+                </div>
                 <div class="student-details">
                     ${record.studentEmail} • Just now
                 </div>
             </div>
             <div class="attendance-time">
                 <div class="attendance-timestamp">${new Date(record.timestamp).toLocaleTimeString()}</div>
-                <div>IP: ${record.ipAddress}</div>
+                <div>${this.renderSource(record)}</div>
             </div>
         `;
         
@@ -435,10 +965,12 @@ class FacultyDashboard {
         // Clear current session
         this.currentSession = null;
         
-        // Stop QR timer
+        // Stop QR timer and heartbeat
         if (this.qrTimerInterval) {
             clearInterval(this.qrTimerInterval);
         }
+        this.stopHeartbeat();
+        this.setPausedControls(false);
         
         // Reset UI
         this.sessionForm.style.display = 'block';
@@ -461,6 +993,9 @@ class FacultyDashboard {
         
         // Reset attendance display
         this.presentCount.textContent = '0';
+        this.lateCount.textContent = '0';
+        this.excusedCount.textContent = '0';
+        this.absentCount.textContent = '0';
         this.totalCount.textContent = '0';
         this.attendancePercentage.textContent = '0%';
         this.attendanceList.innerHTML = `
@@ -468,6 +1003,7 @@ class FacultyDashboard {
                 <p>No attendance records yet</p>
             </div>
         `;
+        this.updateFlagsDisplay([], 0);
     }
 
     async exportAttendance() {
@@ -476,15 +1012,17 @@ class FacultyDashboard {
             return;
         }
         
+        const format = this.exportFormat ? this.exportFormat.value : 'json';
+
         try {
-            const response = await fetch(`/api/faculty/sessions/${this.currentSession.id}/export?facultyId=${this.facultyId}`);
+            const response = await fetch(`/api/faculty/sessions/${this.currentSession.id}/export?format=${format}`);
             
             if (response.ok) {
                 const blob = await response.blob();
                 const url = window.URL.createObjectURL(blob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = `attendance-${this.currentSession.id}-${Date.now()}.json`;
+                a.download = `attendance-${this.currentSession.id}-${Date.now()}.${format}`;
                 document.body.appendChild(a);
                 a.click();
                 document.body.removeChild(a);
@@ -501,6 +1039,22 @@ class FacultyDashboard {
         }
     }
 
+    async logout() {
+        try {
+            await fetch('/auth/faculty/logout', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.csrfToken
+                }
+            });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        } finally {
+            window.location.href = '/faculty-login.html';
+        }
+    }
+
     showMessage(message, type = 'info') {
         const messageDiv = document.createElement('div');
         messageDiv.className = `status-message ${type}`;
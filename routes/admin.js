@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const databaseService = require('../services/DatabaseService');
+const StudentImportService = require('../services/StudentImportService');
+const CourseRosterService = require('../services/CourseRosterService');
+const {
+  simpleCSRFProtection,
+  basicSecurityHeaders
+} = require('../middleware/security');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { VALIDATION_RULES } = require('../middleware/validation');
+const { requireAdmin } = require('./auth');
+
+// Initialize services (DatabaseService is a singleton)
+let studentImportService;
+let courseRosterService;
+
+const initializeServices = async () => {
+  if (!databaseService.isInitialized) {
+    await databaseService.initialize();
+  }
+
+  if (!studentImportService) {
+    studentImportService = new StudentImportService(databaseService.getDatabase());
+  }
+
+  if (!courseRosterService) {
+    courseRosterService = new CourseRosterService(databaseService.getDatabase());
+  }
+};
+
+// Read a boolean query flag such as ?dryRun=true
+const isFlagSet = value => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+// Check the course code and section in a course route
+const validateCourseParams = ({ courseCode, section }) => {
+  if (!VALIDATION_RULES.courseCode.pattern.test(courseCode)) {
+    throw new AppError('INVALID_COURSE_CODE');
+  }
+  if (!VALIDATION_RULES.section.pattern.test(section)) {
+    throw new AppError('INVALID_SECTION');
+  }
+};
+
+// Admin routes are limited to faculty accounts listed in ADMIN_FACULTY_IDS
+router.use(requireAdmin);
+
+/**
+ * POST /api/admin/students/import
+ * Import a student roster from a CSV request body (Content-Type: text/csv).
+ * Pass ?dryRun=true to validate the file without writing to the database.
+ */
+router.post('/students/import',
+  basicSecurityHeaders,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  simpleCSRFProtection,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      throw new AppError('MISSING_PARAMETERS', 'CSV body is required (Content-Type: text/csv)');
+    }
+
+    const dryRun = isFlagSet(req.query.dryRun);
+    const result = await studentImportService.importCsv(req.body, { dryRun });
+
+    res.json(result);
+  })
+);
+
+/**
+ * GET /api/admin/courses/:courseCode/sections/:section/roster
+ * List the students enrolled in a course section
+ */
+router.get('/courses/:courseCode/sections/:section/roster',
+  basicSecurityHeaders,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    validateCourseParams(req.params);
+    const { courseCode, section } = req.params;
+    const courseModel = databaseService.getCourseModel();
+
+    const course = await courseModel.findByCodeAndSection(courseCode, section);
+    if (!course) {
+      throw new AppError('NOT_FOUND', `Course section ${courseCode} ${section} not found`);
+    }
+
+    const roster = await courseModel.getRoster(courseCode, section);
+    res.json({
+      success: true,
+      courseCode,
+      section,
+      courseName: course.course_name,
+      students: roster.map(student => ({
+        rollNumber: student.roll_number,
+        email: student.email,
+        name: student.name,
+        branch: student.branch,
+        year: student.year
+      }))
+    });
+  })
+);
+
+/**
+ * POST /api/admin/courses/:courseCode/sections/:section/roster
+ * Enroll the students listed in a CSV request body (Content-Type: text/csv, an email or
+ * roll_number column). Creates the course section if needed (?courseName= names it).
+ * Pass ?replace=true to unenroll students missing from the file, ?dryRun=true to only validate.
+ */
+router.post('/courses/:courseCode/sections/:section/roster',
+  basicSecurityHeaders,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  simpleCSRFProtection,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    validateCourseParams(req.params);
+    const { courseCode, section } = req.params;
+
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      throw new AppError('MISSING_PARAMETERS', 'CSV body is required (Content-Type: text/csv)');
+    }
+
+    const result = await courseRosterService.importCsv(courseCode, section, req.body, {
+      courseName: req.query.courseName ? String(req.query.courseName).trim() : undefined,
+      replace: isFlagSet(req.query.replace),
+      dryRun: isFlagSet(req.query.dryRun)
+    });
+
+    res.json(result);
+  })
+);
+
+/**
+ * DELETE /api/admin/courses/:courseCode/sections/:section/roster/:studentEmail
+ * Unenroll one student from a course section
+ */
+router.delete('/courses/:courseCode/sections/:section/roster/:studentEmail',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    validateCourseParams(req.params);
+    const { courseCode, section } = req.params;
+    const studentEmail = req.params.studentEmail.trim().toLowerCase();
+
+    const removed = await databaseService.getCourseModel().unenrollStudent(courseCode, section, studentEmail);
+    if (!removed) {
+      throw new AppError('NOT_FOUND', `${studentEmail} is not enrolled in ${courseCode} ${section}`);
+    }
+
+    res.json({ success: true, courseCode, section, studentEmail });
+  })
+);
+
+module.exports = router;
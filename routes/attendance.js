@@ -3,6 +3,11 @@ const router = express.Router();
 const databaseService = require('../services/DatabaseService');
 const Attendance = require('../models/Attendance');
 const SessionService = require('../services/SessionService');
+const GeofenceService = require('../services/GeofenceService');
+const NetworkPolicyService = require('../services/NetworkPolicyService');
+const DeviceBindingService = require('../services/DeviceBindingService');
+const SuspiciousActivityService = require('../services/SuspiciousActivityService');
+const { AppError } = require('../middleware/errorHandler');
 const { requireAuth } = require('./auth');
 const { 
   attendanceRateLimit,
@@ -16,6 +21,59 @@ const {
 // Initialize services (DatabaseService is a singleton)
 let attendanceModel;
 let sessionService;
+let deviceBindingService;
+let suspiciousActivityService;
+const geofenceService = new GeofenceService();
+const networkPolicyService = new NetworkPolicyService();
+
+// Wrong presence codes a student may enter for a session before being turned away
+const MAX_PRESENCE_CODE_ATTEMPTS = 5;
+
+// Wrong presence codes per session and student, and per session and client address for the
+// POST endpoints, where the student email is unauthenticated and could be changed between guesses.
+// Kept on the server rather than in the login session, so clearing cookies does not reset the count.
+const presenceCodeFailures = new Map();
+
+// Counter keys for a student and, when given, their client address
+const presenceCodeFailureKeys = (sessionId, studentEmail, ipAddress) => {
+  const keys = [`${sessionId}:student:${String(studentEmail).toLowerCase()}`];
+  if (ipAddress) {
+    keys.push(`${sessionId}:ip:${ipAddress}`);
+  }
+  return keys;
+};
+
+// Check whether a student, or their client address when given, has used up the presence code attempts for a session
+const hasExceededPresenceCodeAttempts = (sessionId, studentEmail, ipAddress) => {
+  return presenceCodeFailureKeys(sessionId, studentEmail, ipAddress).some(key => {
+    const failures = presenceCodeFailures.get(key);
+    return !!failures && failures.count >= MAX_PRESENCE_CODE_ATTEMPTS;
+  });
+};
+
+// Count a wrong presence code against the student (and client address when given), returning the highest count
+const recordPresenceCodeFailure = (sessionId, studentEmail, ipAddress) => {
+  const now = Date.now();
+  const counts = presenceCodeFailureKeys(sessionId, studentEmail, ipAddress).map(key => {
+    const failures = presenceCodeFailures.get(key) || { count: 0 };
+    failures.count++;
+    failures.lastFailure = now;
+    presenceCodeFailures.set(key, failures);
+    return failures.count;
+  });
+
+  // Forget counts from long-finished sessions now and then
+  if (Math.random() < 0.01) {
+    const cutoff = now - 24 * 60 * 60 * 1000;
+    for (const [entryKey, entry] of presenceCodeFailures.entries()) {
+      if (entry.lastFailure < cutoff) {
+        presenceCodeFailures.delete(entryKey);
+      }
+    }
+  }
+
+  return Math.max(...counts);
+};
 
 // Initialize services when database is ready
 const initializeServices = async () => {
@@ -30,6 +88,32 @@ const initializeServices = async () => {
   if (!sessionService) {
     sessionService = new SessionService(databaseService.getDatabase());
   }
+
+  if (!deviceBindingService) {
+    deviceBindingService = new DeviceBindingService(databaseService.getDatabase());
+  }
+
+  if (!suspiciousActivityService) {
+    suspiciousActivityService = new SuspiciousActivityService(databaseService.getDatabase());
+  }
+};
+
+// Check a new mark for proxy-marking patterns and send any flags to the faculty dashboard.
+// The mark stands either way, so a failed analysis is only logged.
+const reportSuspiciousActivity = async (req, session, attendanceRecord) => {
+  const analysis = await suspiciousActivityService.analyzeMark(attendanceRecord);
+  if (!analysis.success) {
+    console.error('Error analyzing attendance mark:', analysis.error);
+    return;
+  }
+
+  if (analysis.flags.length > 0) {
+    req.app.get('webSocketService').broadcastSuspiciousActivity(
+      session.faculty_id,
+      session.id,
+      analysis.flags.map(flag => suspiciousActivityService.formatFlag(flag))
+    );
+  }
 };
 
 /**
@@ -49,13 +133,28 @@ router.get('/mark', basicSecurityHeaders, async (req, res) => {
 
     // Validate session and token
     const tokenValidation = await sessionService.validateAttendanceToken(sessionId, token);
-    if (!tokenValidation.success) {
+    if (!tokenValidation.success && tokenValidation.error === 'Session is paused') {
+      const errorUrl = `/attendance-error.html?code=SESSION_PAUSED&message=${encodeURIComponent(new AppError('SESSION_PAUSED').userMessage)}`;
+      return res.redirect(errorUrl);
+    }
+    // The presence code is asked for after sign-in, so a valid token still waiting for one goes on;
+    // the network is then checked at /attendance/submit
+    if (!tokenValidation.success && !tokenValidation.presenceCodeRequired) {
       const errorUrl = `/attendance-error.html?code=SESSION_EXPIRED&message=${encodeURIComponent('The attendance session has expired or the QR code is no longer valid')}&session=${sessionId}&token=${token}`;
       return res.redirect(errorUrl);
     }
 
-    // Check if user is already authenticated
-    if (req.isAuthenticated()) {
+    // Turn away off-campus networks before sending the student through sign-in
+    const networkCheck = tokenValidation.success
+      ? networkPolicyService.checkAddress(req.ip || req.connection.remoteAddress, tokenValidation.session)
+      : { allowed: true };
+    if (!networkCheck.allowed) {
+      const errorUrl = `/attendance-error.html?code=NETWORK_NOT_ALLOWED&message=${encodeURIComponent(new AppError('NETWORK_NOT_ALLOWED').userMessage)}&session=${sessionId}&token=${token}`;
+      return res.redirect(errorUrl);
+    }
+
+    // Check if user is already authenticated as a student
+    if (req.isAuthenticated() && req.user.role !== 'faculty') {
       // User is authenticated, proceed to mark attendance
       return res.redirect(`/attendance/submit?session=${sessionId}&token=${token}`);
     }
@@ -86,7 +185,7 @@ router.get('/mark', basicSecurityHeaders, async (req, res) => {
 router.get('/submit', basicSecurityHeaders, requireAuth, async (req, res) => {
   try {
     await initializeServices();
-    const { session: sessionId, token } = req.query;
+    const { session: sessionId, token, code: presenceCode } = req.query;
     const studentEmail = req.user.email;
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('User-Agent');
@@ -109,12 +208,36 @@ router.get('/submit', basicSecurityHeaders, requireAuth, async (req, res) => {
       });
     }
 
-    // Validate session token
-    const tokenValidation = await sessionService.validateAttendanceToken(sessionId, attendanceToken);
+    // Once a student has used up their attempts, even the right code is refused, so codes cannot be guessed
+    const attemptsExceededUrl = `/attendance-error.html?code=PRESENCE_CODE_ATTEMPTS_EXCEEDED&message=${encodeURIComponent(new AppError('PRESENCE_CODE_ATTEMPTS_EXCEEDED').userMessage)}`;
+    if (presenceCode && hasExceededPresenceCodeAttempts(sessionId, studentEmail)) {
+      return res.redirect(attemptsExceededUrl);
+    }
+
+    // Validate session token, and the presence code for sessions that require one
+    const tokenValidation = await sessionService.validateAttendanceToken(sessionId, attendanceToken, presenceCode);
+    if (tokenValidation.presenceCodeRequired) {
+      if (presenceCode && recordPresenceCodeFailure(sessionId, studentEmail) >= MAX_PRESENCE_CODE_ATTEMPTS) {
+        return res.redirect(attemptsExceededUrl);
+      }
+
+      // Ask for the code shown next to the QR code; the confirmation page comes back here with it
+      return res.redirect(`/attendance-confirm.html?session=${sessionId}&token=${attendanceToken}${presenceCode ? '&retry=1' : ''}`);
+    }
     if (!tokenValidation.success) {
       return res.status(400).json(tokenValidation);
     }
 
+    // Carried through the location page for sessions that ask for both
+    const presenceParam = presenceCode ? `&code=${encodeURIComponent(presenceCode)}` : '';
+
+    // Check the client network against the institution and session allow-lists
+    const networkCheck = networkPolicyService.checkAddress(ipAddress, tokenValidation.session);
+    if (!networkCheck.allowed) {
+      const errorUrl = `/attendance-error.html?code=NETWORK_NOT_ALLOWED&message=${encodeURIComponent(new AppError('NETWORK_NOT_ALLOWED').userMessage)}&session=${sessionId}&token=${attendanceToken}`;
+      return res.redirect(errorUrl);
+    }
+
     // Check if student has already marked attendance
     const hasMarked = await attendanceModel.hasMarkedAttendance(sessionId, studentEmail);
     if (hasMarked) {
@@ -122,17 +245,44 @@ router.get('/submit', basicSecurityHeaders, requireAuth, async (req, res) => {
       return res.redirect(errorUrl);
     }
 
+    const session = tokenValidation.session;
+
+    // Geofenced sessions collect the browser location first; the location page comes back here with it
+    const locationReported = req.query.latitude !== undefined || req.query.location === 'unavailable';
+    if (geofenceService.hasGeofence(session) && !locationReported) {
+      return res.redirect(`/attendance-location.html?session=${sessionId}&token=${attendanceToken}${presenceParam}`);
+    }
+
+    const location = geofenceService.parseLocation(req.query);
+    const locationCheck = geofenceService.checkLocation(session, location);
+    if (!locationCheck.allowed) {
+      const errorUrl = `/attendance-error.html?code=${locationCheck.code}&message=${encodeURIComponent(locationCheck.reason)}&session=${sessionId}&token=${attendanceToken}`;
+      return res.redirect(errorUrl);
+    }
+
+    // Check the device against the student's bound devices and earlier marks in this session
+    const deviceCheck = await deviceBindingService.checkDevice(req, sessionId, studentEmail);
+    if (!deviceCheck.allowed) {
+      const errorUrl = `/attendance-error.html?code=DEVICE_NOT_ALLOWED&message=${encodeURIComponent(new AppError('DEVICE_NOT_ALLOWED').userMessage)}`;
+      return res.redirect(errorUrl);
+    }
+
     // Mark attendance
     const attendanceRecord = await attendanceModel.markAttendance(sessionId, studentEmail, {
       ipAddress,
-      userAgent
+      userAgent,
+      location,
+      distanceMeters: locationCheck.distanceMeters,
+      locationFlagged: locationCheck.flagged,
+      deviceId: deviceCheck.deviceId,
+      deviceFlag: deviceCheck.flag,
+      tokenHash: SuspiciousActivityService.hashToken(attendanceToken)
     });
 
     // Get updated attendance summary for real-time updates
     const attendanceSummary = await attendanceModel.getSessionSummary(sessionId);
 
-    // Get session info to find faculty ID for WebSocket broadcast
-    const session = tokenValidation.session;
+    // Get faculty ID for WebSocket broadcast
     const webSocketService = req.app.get('webSocketService');
 
     // Broadcast attendance update to faculty dashboard
@@ -144,12 +294,17 @@ router.get('/submit', basicSecurityHeaders, requireAuth, async (req, res) => {
           studentEmail: attendanceRecord.student_email,
           studentName: attendanceRecord.student_name,
           timestamp: attendanceRecord.timestamp,
-          ipAddress: attendanceRecord.ip_address
+          ipAddress: attendanceRecord.ip_address,
+          status: attendanceRecord.status,
+          locationFlagged: attendanceRecord.location_flagged === 1,
+          deviceFlag: attendanceRecord.device_flag
         },
         summary: attendanceSummary.summary
       }
     );
 
+    await reportSuspiciousActivity(req, session, attendanceRecord);
+
     // Redirect to success page with student details
     const successUrl = `/attendance-success.html?name=${encodeURIComponent(req.user.name)}&email=${encodeURIComponent(req.user.email)}&roll=${encodeURIComponent(req.user.rollNumber)}`;
     res.redirect(successUrl);
@@ -184,16 +339,33 @@ router.get('/submit', basicSecurityHeaders, requireAuth, async (req, res) => {
 router.post('/mark-secure', basicSecurityHeaders, strictAttendanceRateLimit, attendanceCSRFProtection, validateAttendanceInput, async (req, res) => {
   try {
     await initializeServices();
-    const { sessionId, studentEmail, token } = req.body;
+    const { sessionId, studentEmail, token, presenceCode } = req.body;
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('User-Agent');
 
-    // Validate session token
-    const tokenValidation = await sessionService.validateAttendanceToken(sessionId, token);
+    // Once a student or their client address has used up the attempts, even the right code is refused,
+    // so codes cannot be guessed by switching the email
+    if (presenceCode && hasExceededPresenceCodeAttempts(sessionId, studentEmail, ipAddress)) {
+      const attemptsError = new AppError('PRESENCE_CODE_ATTEMPTS_EXCEEDED');
+      return res.status(attemptsError.status).json(attemptsError.toJSON());
+    }
+
+    // Validate session token, and the presence code for sessions that require one
+    const tokenValidation = await sessionService.validateAttendanceToken(sessionId, token, presenceCode);
     if (!tokenValidation.success) {
+      if (tokenValidation.presenceCodeRequired && presenceCode) {
+        recordPresenceCodeFailure(sessionId, studentEmail, ipAddress);
+      }
       return res.status(400).json(tokenValidation);
     }
 
+    // Check the client network against the institution and session allow-lists
+    const networkCheck = networkPolicyService.checkAddress(ipAddress, tokenValidation.session);
+    if (!networkCheck.allowed) {
+      const networkError = new AppError('NETWORK_NOT_ALLOWED', networkCheck.reason);
+      return res.status(networkError.status).json(networkError.toJSON());
+    }
+
     // Check if student has already marked attendance
     const hasMarked = await attendanceModel.hasMarkedAttendance(sessionId, studentEmail);
     if (hasMarked) {
@@ -206,17 +378,38 @@ router.post('/mark-secure', basicSecurityHeaders, strictAttendanceRateLimit, att
       });
     }
 
+    // Check the reported location against the session geofence
+    const session = tokenValidation.session;
+    const location = geofenceService.parseLocation(req.body);
+    const locationCheck = geofenceService.checkLocation(session, location);
+    if (!locationCheck.allowed) {
+      const locationError = new AppError(locationCheck.code, locationCheck.reason);
+      return res.status(locationError.status).json(locationError.toJSON());
+    }
+
+    // Check the device against the student's bound devices and earlier marks in this session
+    const deviceCheck = await deviceBindingService.checkDevice(req, sessionId, studentEmail);
+    if (!deviceCheck.allowed) {
+      const deviceError = new AppError('DEVICE_NOT_ALLOWED', deviceCheck.reason);
+      return res.status(deviceError.status).json(deviceError.toJSON());
+    }
+
     // Mark attendance
     const attendanceRecord = await attendanceModel.markAttendance(sessionId, studentEmail, {
       ipAddress,
-      userAgent
+      userAgent,
+      location,
+      distanceMeters: locationCheck.distanceMeters,
+      locationFlagged: locationCheck.flagged,
+      deviceId: deviceCheck.deviceId,
+      deviceFlag: deviceCheck.flag,
+      tokenHash: SuspiciousActivityService.hashToken(token)
     });
 
     // Get updated attendance summary for real-time updates
     const attendanceSummary = await attendanceModel.getSessionSummary(sessionId);
 
-    // Get session info to find faculty ID for WebSocket broadcast
-    const session = tokenValidation.session;
+    // Get faculty ID for WebSocket broadcast
     const webSocketService = req.app.get('webSocketService');
 
     // Broadcast attendance update to faculty dashboard
@@ -228,12 +421,17 @@ router.post('/mark-secure', basicSecurityHeaders, strictAttendanceRateLimit, att
           studentEmail: attendanceRecord.student_email,
           studentName: attendanceRecord.student_name,
           timestamp: attendanceRecord.timestamp,
-          ipAddress: attendanceRecord.ip_address
+          ipAddress: attendanceRecord.ip_address,
+          status: attendanceRecord.status,
+          locationFlagged: attendanceRecord.location_flagged === 1,
+          deviceFlag: attendanceRecord.device_flag
         },
         summary: attendanceSummary.summary
       }
     );
 
+    await reportSuspiciousActivity(req, session, attendanceRecord);
+
     res.status(201).json({
       success: true,
       message: 'Attendance marked successfully',
@@ -276,7 +474,7 @@ router.post('/mark-secure', basicSecurityHeaders, strictAttendanceRateLimit, att
 router.post('/mark', basicSecurityHeaders, attendanceRateLimit, attendanceCSRFProtection, async (req, res) => {
   try {
     await initializeServices();
-    const { sessionId, studentEmail, token } = req.body;
+    const { sessionId, studentEmail, token, presenceCode } = req.body;
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('User-Agent');
 
@@ -288,15 +486,37 @@ router.post('/mark', basicSecurityHeaders, attendanceRateLimit, attendanceCSRFPr
       });
     }
 
-    // Validate session token
-    const tokenValidation = await sessionService.validateAttendanceToken(sessionId, token);
+    // Once a student or their client address has used up the attempts, even the right code is refused,
+    // so codes cannot be guessed by switching the email
+    if (presenceCode && hasExceededPresenceCodeAttempts(sessionId, studentEmail, ipAddress)) {
+      const attemptsError = new AppError('PRESENCE_CODE_ATTEMPTS_EXCEEDED');
+      return res.status(attemptsError.status).json({
+        success: false,
+        error: attemptsError.message
+      });
+    }
+
+    // Validate session token, and the presence code for sessions that require one
+    const tokenValidation = await sessionService.validateAttendanceToken(sessionId, token, presenceCode);
     if (!tokenValidation.success) {
+      if (tokenValidation.presenceCodeRequired && presenceCode) {
+        recordPresenceCodeFailure(sessionId, studentEmail, ipAddress);
+      }
       return res.status(400).json({
         success: false,
         error: tokenValidation.error
       });
     }
 
+    // Check the client network against the institution and session allow-lists
+    const networkCheck = networkPolicyService.checkAddress(ipAddress, tokenValidation.session);
+    if (!networkCheck.allowed) {
+      return res.status(new AppError('NETWORK_NOT_ALLOWED').status).json({
+        success: false,
+        error: networkCheck.reason
+      });
+    }
+
     // Check if student has already marked attendance
     const hasMarked = await attendanceModel.hasMarkedAttendance(sessionId, studentEmail);
     if (hasMarked) {
@@ -306,17 +526,42 @@ router.post('/mark', basicSecurityHeaders, attendanceRateLimit, attendanceCSRFPr
       });
     }
 
+    // Check the reported location against the session geofence
+    const session = tokenValidation.session;
+    const location = geofenceService.parseLocation(req.body);
+    const locationCheck = geofenceService.checkLocation(session, location);
+    if (!locationCheck.allowed) {
+      return res.status(new AppError(locationCheck.code).status).json({
+        success: false,
+        error: locationCheck.reason
+      });
+    }
+
+    // Check the device against the student's bound devices and earlier marks in this session
+    const deviceCheck = await deviceBindingService.checkDevice(req, sessionId, studentEmail);
+    if (!deviceCheck.allowed) {
+      return res.status(new AppError('DEVICE_NOT_ALLOWED').status).json({
+        success: false,
+        error: deviceCheck.reason
+      });
+    }
+
     // Mark attendance
     const attendanceRecord = await attendanceModel.markAttendance(sessionId, studentEmail, {
       ipAddress,
-      userAgent
+      userAgent,
+      location,
+      distanceMeters: locationCheck.distanceMeters,
+      locationFlagged: locationCheck.flagged,
+      deviceId: deviceCheck.deviceId,
+      deviceFlag: deviceCheck.flag,
+      tokenHash: SuspiciousActivityService.hashToken(token)
     });
 
     // Get updated attendance summary for real-time updates
     const attendanceSummary = await attendanceModel.getSessionSummary(sessionId);
 
-    // Get session info to find faculty ID for WebSocket broadcast
-    const session = tokenValidation.session;
+    // Get faculty ID for WebSocket broadcast
     const webSocketService = req.app.get('webSocketService');
 
     // Broadcast attendance update to faculty dashboard
@@ -328,12 +573,17 @@ router.post('/mark', basicSecurityHeaders, attendanceRateLimit, attendanceCSRFPr
           studentEmail: attendanceRecord.student_email,
           studentName: attendanceRecord.student_name,
           timestamp: attendanceRecord.timestamp,
-          ipAddress: attendanceRecord.ip_address
+          ipAddress: attendanceRecord.ip_address,
+          status: attendanceRecord.status,
+          locationFlagged: attendanceRecord.location_flagged === 1,
+          deviceFlag: attendanceRecord.device_flag
         },
         summary: attendanceSummary.summary
       }
     );
 
+    await reportSuspiciousActivity(req, session, attendanceRecord);
+
     res.status(201).json({
       success: true,
       message: 'Attendance marked successfully',
@@ -382,10 +632,10 @@ router.get('/session/:sessionId', basicSecurityHeaders, apiRateLimit, async (req
       });
     }
 
-    // Validate session token if provided
+    // Validate session token if provided; the presence code is only needed to mark attendance
     if (token) {
       const tokenValidation = await sessionService.validateAttendanceToken(sessionId, token);
-      if (!tokenValidation.success) {
+      if (!tokenValidation.success && !tokenValidation.presenceCodeRequired) {
         return res.status(400).json({
           success: false,
           error: tokenValidation.error
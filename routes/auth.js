@@ -1,14 +1,22 @@
 const express = require('express');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const LocalStrategy = require('passport-local').Strategy;
 const databaseService = require('../services/DatabaseService');
 const Student = require('../models/Student');
-const { csrfProtection, basicSecurityHeaders } = require('../middleware/security');
+const Faculty = require('../models/Faculty');
+const DeviceBindingService = require('../services/DeviceBindingService');
+const { csrfProtection, simpleCSRFProtection, basicSecurityHeaders, facultyLoginRateLimit } = require('../middleware/security');
 
 const router = express.Router();
 
+// Prefix used to tell faculty apart from students in the serialized session
+const FACULTY_SESSION_PREFIX = 'faculty:';
+
 // Initialize services when needed
 let studentModel;
+let facultyModel;
+let deviceBindingService;
 
 const initializeServices = async () => {
   if (!databaseService.isInitialized) {
@@ -18,8 +26,24 @@ const initializeServices = async () => {
   if (!studentModel) {
     studentModel = new Student(databaseService.getDatabase());
   }
+
+  if (!facultyModel) {
+    facultyModel = new Faculty(databaseService.getDatabase());
+  }
+
+  if (!deviceBindingService) {
+    deviceBindingService = new DeviceBindingService(databaseService.getDatabase());
+  }
 };
 
+// Build the session user object for a faculty record
+const toFacultyUser = (faculty) => ({
+  id: faculty.id,
+  email: faculty.email,
+  name: faculty.name,
+  role: 'faculty'
+});
+
 // Configure Google OAuth Strategy
 passport.use(new GoogleStrategy({
   clientID: process.env.GOOGLE_CLIENT_ID,
@@ -73,6 +97,7 @@ passport.use(new GoogleStrategy({
       rollNumber: student.roll_number,
       branch: student.branch,
       year: student.year,
+      role: 'student',
       googleId: profile.id
     };
 
@@ -84,16 +109,45 @@ passport.use(new GoogleStrategy({
   }
 }));
 
+// Configure local strategy for faculty dashboard logins
+passport.use('faculty-local', new LocalStrategy({
+  usernameField: 'email',
+  passwordField: 'password'
+}, async (email, password, done) => {
+  try {
+    await initializeServices();
+
+    const faculty = await facultyModel.authenticate(email, password);
+    if (!faculty) {
+      return done(null, false, { message: 'Invalid email or password' });
+    }
+
+    return done(null, toFacultyUser(faculty));
+  } catch (error) {
+    console.error('❌ Faculty authentication error:', error);
+    return done(error, null);
+  }
+}));
+
 // Serialize user for session
 passport.serializeUser((user, done) => {
-  done(null, user.email); // Use email as the identifier
+  if (user.role === 'faculty') {
+    return done(null, `${FACULTY_SESSION_PREFIX}${user.id}`);
+  }
+  done(null, user.email); // Use email as the identifier for students
 });
 
 // Deserialize user from session
-passport.deserializeUser(async (email, done) => {
+passport.deserializeUser(async (key, done) => {
   try {
     await initializeServices();
-    const student = await studentModel.findByEmail(email);
+
+    if (key.startsWith(FACULTY_SESSION_PREFIX)) {
+      const faculty = await facultyModel.findById(key.slice(FACULTY_SESSION_PREFIX.length));
+      return done(null, faculty ? toFacultyUser(faculty) : false);
+    }
+
+    const student = await studentModel.findByEmail(key);
     if (student) {
       const user = {
         id: student.roll_number, // Use roll number as ID
@@ -101,7 +155,8 @@ passport.deserializeUser(async (email, done) => {
         name: student.name,
         rollNumber: student.roll_number,
         branch: student.branch,
-        year: student.year
+        year: student.year,
+        role: 'student'
       };
       done(null, user);
     } else {
@@ -122,20 +177,40 @@ router.get('/google', basicSecurityHeaders,
 );
 
 // Google OAuth callback
+// keepSessionInfo carries values stored before sign-in (pending attendance, returnTo)
+// across the session regeneration passport does on login
 router.get('/google/callback', basicSecurityHeaders,
   passport.authenticate('google', { 
     failureRedirect: '/auth/failure',
-    failureFlash: true 
+    failureFlash: true,
+    keepSessionInfo: true
   }),
-  (req, res) => {
+  async (req, res) => {
     // Successful authentication
     console.log('🔍 OAuth Callback Debug - State:', req.query.state);
+
+    // Bind this browser to the student on first login; later devices stay unbound and get flagged
+    try {
+      await initializeServices();
+      const { bound, boundToOther } = await deviceBindingService.bindOnLogin(req, res, req.user.email);
+      console.log('🔍 OAuth Callback Debug - Device bound to student:', bound);
+      if (boundToOther) {
+        console.warn(`⚠️ Device already bound to ${boundToOther}; not binding it to ${req.user.email}`);
+      }
+    } catch (error) {
+      console.error('❌ Device binding error:', error);
+    }
+
     console.log('🔍 OAuth Callback Debug - Pending Session:', req.session.pendingSessionId);
     console.log('🔍 OAuth Callback Debug - Pending Token:', req.session.pendingToken);
     
     // Check if there's a session parameter to redirect to attendance marking
     const sessionId = req.query.state || req.session.pendingSessionId;
     const token = req.session.pendingToken;
+
+    // Pages that sent the student to sign in (e.g. /student/attendance) get them back; local paths only
+    const returnTo = req.session.returnTo;
+    delete req.session.returnTo;
     
     if (sessionId) {
       // Clear the pending session from session storage
@@ -150,6 +225,8 @@ router.get('/google/callback', basicSecurityHeaders,
         console.log('✅ OAuth Callback Debug - Redirecting to attendance mark');
         res.redirect(`/attendance/mark?session=${sessionId}`);
       }
+    } else if (returnTo && returnTo.startsWith('/') && !returnTo.startsWith('//')) {
+      res.redirect(returnTo);
     } else {
       // No specific session, create a simple success page instead of JSON
       console.log('✅ OAuth Callback Debug - No session, showing success page');
@@ -181,6 +258,71 @@ router.get('/google/callback', basicSecurityHeaders,
   }
 );
 
+// Faculty login (email + password)
+router.post('/faculty/login', basicSecurityHeaders, facultyLoginRateLimit, simpleCSRFProtection, (req, res, next) => {
+  passport.authenticate('faculty-local', (err, user, info) => {
+    if (err) {
+      return next(err);
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTH_FAILED',
+          message: (info && info.message) || 'Invalid email or password'
+        }
+      });
+    }
+
+    req.logIn(user, (loginErr) => {
+      if (loginErr) {
+        return next(loginErr);
+      }
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      });
+    });
+  })(req, res, next);
+});
+
+// Close the live dashboard sockets opened under a login session, so they stop receiving updates after logout
+const disconnectLoginSockets = (req, loginId) => {
+  const webSocketService = req.app.get('webSocketService');
+  if (webSocketService) {
+    webSocketService.disconnectLogin(loginId).catch((error) => {
+      console.error('Failed to disconnect sockets on logout:', error);
+    });
+  }
+};
+
+// Faculty logout
+router.post('/faculty/logout', basicSecurityHeaders, simpleCSRFProtection, (req, res, next) => {
+  // Logging out regenerates the session, so note its ID first
+  const loginId = req.session.id;
+
+  req.logout((err) => {
+    if (err) {
+      return next(err);
+    }
+
+    disconnectLoginSockets(req, loginId);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  });
+});
+
 // Authentication success page
 router.get('/success', basicSecurityHeaders, (req, res) => {
   if (!req.isAuthenticated()) {
@@ -217,6 +359,8 @@ router.get('/failure', basicSecurityHeaders, (req, res) => {
 
 // Logout route
 router.post('/logout', basicSecurityHeaders, csrfProtection, (req, res) => {
+  const loginId = req.session.id;
+
   req.logout((err) => {
     if (err) {
       return res.status(500).json({
@@ -228,6 +372,8 @@ router.post('/logout', basicSecurityHeaders, csrfProtection, (req, res) => {
       });
     }
     
+    disconnectLoginSockets(req, loginId);
+
     req.session.destroy((err) => {
       if (err) {
         return res.status(500).json({
@@ -249,7 +395,17 @@ router.post('/logout', basicSecurityHeaders, csrfProtection, (req, res) => {
 
 // Check authentication status
 router.get('/status', basicSecurityHeaders, (req, res) => {
-  if (req.isAuthenticated()) {
+  if (req.isAuthenticated() && req.user.role === 'faculty') {
+    res.json({
+      authenticated: true,
+      user: {
+        id: req.user.id,
+        name: req.user.name,
+        email: req.user.email,
+        role: req.user.role
+      }
+    });
+  } else if (req.isAuthenticated()) {
     res.json({
       authenticated: true,
       user: {
@@ -257,7 +413,8 @@ router.get('/status', basicSecurityHeaders, (req, res) => {
         email: req.user.email,
         rollNumber: req.user.rollNumber,
         branch: req.user.branch,
-        year: req.user.year
+        year: req.user.year,
+        role: 'student'
       }
     });
   } else {
@@ -267,9 +424,9 @@ router.get('/status', basicSecurityHeaders, (req, res) => {
   }
 });
 
-// Middleware to check if user is authenticated
+// Middleware to check if user is an authenticated student
 const requireAuth = (req, res, next) => {
-  if (req.isAuthenticated()) {
+  if (req.isAuthenticated() && req.user.role !== 'faculty') {
     return next();
   }
   
@@ -282,9 +439,60 @@ const requireAuth = (req, res, next) => {
   });
 };
 
+// Middleware to check if user is an authenticated faculty member
+const requireFaculty = (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Faculty authentication required'
+      }
+    });
+  }
+
+  if (req.user.role !== 'faculty') {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Faculty access only'
+      }
+    });
+  }
+
+  next();
+};
+
+// Faculty accounts allowed to use admin endpoints (comma-separated IDs).
+// Nobody is an admin unless ADMIN_FACULTY_IDS names them.
+const getAdminFacultyIds = () => (process.env.ADMIN_FACULTY_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Middleware to check if user is a faculty member with admin rights
+const requireAdmin = (req, res, next) => {
+  requireFaculty(req, res, () => {
+    if (!getAdminFacultyIds().includes(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Admin access only'
+        }
+      });
+    }
+
+    next();
+  });
+};
+
 // Export router and middleware
 module.exports = {
   router,
   requireAuth,
+  requireFaculty,
+  requireAdmin,
   passport
 };
\ No newline at end of file
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const databaseService = require('../services/DatabaseService');
+const DisplayLinkService = require('../services/DisplayLinkService');
+const { basicSecurityHeaders } = require('../middleware/security');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+
+// Initialize services (DatabaseService is a singleton)
+let displayLinkService;
+
+const initializeServices = async () => {
+  if (!databaseService.isInitialized) {
+    await databaseService.initialize();
+  }
+
+  if (!displayLinkService) {
+    displayLinkService = new DisplayLinkService(databaseService.getDatabase());
+  }
+};
+
+// Display routes need no login; the display link token (X-Display-Token) is the only credential
+
+/**
+ * GET /api/display/state
+ * What the projector display shows: course title, current QR code and present count
+ */
+router.get('/state',
+  basicSecurityHeaders,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+
+    const token = req.get('X-Display-Token');
+    if (!token) {
+      throw new AppError('DISPLAY_LINK_INVALID');
+    }
+
+    const result = await displayLinkService.getDisplayState(token);
+    if (!result.success) {
+      throw new AppError(result.code, result.error);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(result);
+  })
+);
+
+module.exports = router;
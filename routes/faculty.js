@@ -1,12 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const SessionService = require('../services/SessionService');
+const NetworkPolicyService = require('../services/NetworkPolicyService');
+const AttendanceOverrideService = require('../services/AttendanceOverrideService');
+const AttendanceExportService = require('../services/AttendanceExportService');
+const CourseReportService = require('../services/CourseReportService');
+const SchedulerService = require('../services/SchedulerService');
+const TimetableService = require('../services/TimetableService');
+const DisplayLinkService = require('../services/DisplayLinkService');
+const SuspiciousActivityService = require('../services/SuspiciousActivityService');
 const databaseService = require('../services/DatabaseService');
 const Attendance = require('../models/Attendance');
 const { 
   simpleCSRFProtection, 
-  validateFacultyInput, 
-  validateSessionInput,
   basicSecurityHeaders 
 } = require('../middleware/security');
 const { 
@@ -14,11 +20,23 @@ const {
   asyncHandler, 
   handleDatabaseError 
 } = require('../middleware/errorHandler');
-const { createValidationMiddleware } = require('../middleware/validation');
+const { createValidationMiddleware, VALIDATION_RULES } = require('../middleware/validation');
+const { requireFaculty } = require('./auth');
 
 // Initialize services (DatabaseService is a singleton)
 let sessionService;
 let attendanceModel;
+let attendanceOverrideService;
+let courseReportService;
+let schedulerService;
+let timetableService;
+let displayLinkService;
+let suspiciousActivityService;
+const attendanceExportService = new AttendanceExportService();
+
+// Formats supported by the session export and the course report
+const EXPORT_FORMATS = ['json', 'csv', 'pdf'];
+const REPORT_FORMATS = ['json', 'csv'];
 
 // Initialize services when database is ready
 const initializeServices = async () => {
@@ -33,8 +51,150 @@ const initializeServices = async () => {
   if (!attendanceModel) {
     attendanceModel = new Attendance(databaseService.getDatabase());
   }
+
+  if (!attendanceOverrideService) {
+    attendanceOverrideService = new AttendanceOverrideService(databaseService.getDatabase());
+  }
+
+  if (!courseReportService) {
+    courseReportService = new CourseReportService(databaseService.getDatabase());
+  }
+
+  // Only used for schedule management here; the server process runs its own scheduler
+  if (!schedulerService) {
+    schedulerService = new SchedulerService(databaseService.getDatabase(), { sessionService });
+  }
+
+  if (!timetableService) {
+    timetableService = new TimetableService(databaseService.getDatabase());
+  }
+
+  if (!displayLinkService) {
+    displayLinkService = new DisplayLinkService(databaseService.getDatabase(), { sessionService });
+  }
+
+  if (!suspiciousActivityService) {
+    suspiciousActivityService = new SuspiciousActivityService(databaseService.getDatabase());
+  }
+};
+
+// Check the course code and section in a course route
+const validateCourseParams = ({ courseCode, section }) => {
+  if (!VALIDATION_RULES.courseCode.pattern.test(courseCode)) {
+    throw new AppError('INVALID_COURSE_CODE');
+  }
+  if (!VALIDATION_RULES.section.pattern.test(section)) {
+    throw new AppError('INVALID_SECTION');
+  }
+};
+
+// Shape a schedule for API responses
+const toScheduleResponse = schedule => ({
+  id: schedule.id,
+  courseName: schedule.course_name,
+  courseCode: schedule.course_code,
+  section: schedule.section,
+  weekday: schedule.weekday,
+  weekdayName: SchedulerService.WEEKDAYS[schedule.weekday],
+  startTime: schedule.start_time,
+  durationMinutes: schedule.duration_minutes,
+  enabled: schedule.is_enabled === 1,
+  lastRunDate: schedule.last_run_date,
+  createdAt: schedule.created_at
+});
+
+// Pick the schedule fields from a validated request body
+const toScheduleData = body => ({
+  courseName: body.courseName,
+  courseCode: body.courseCode,
+  section: body.section,
+  weekday: body.weekday,
+  startTime: body.startTime,
+  durationMinutes: body.durationMinutes,
+  enabled: body.enabled === undefined ? true : body.enabled === true || body.enabled === 'true'
+});
+
+// Check the schedule ID in a schedule route
+const validateScheduleId = scheduleId => {
+  if (!VALIDATION_RULES.sessionId.pattern.test(scheduleId)) {
+    throw new AppError('INVALID_INPUT', 'Schedule ID must be a valid UUID');
+  }
+};
+
+// Shape an audit entry for API responses
+const toAuditEntry = entry => ({
+  id: entry.id,
+  sessionId: entry.session_id,
+  studentEmail: entry.student_email,
+  studentName: entry.student_name,
+  facultyId: entry.faculty_id,
+  facultyName: entry.faculty_name,
+  action: entry.action,
+  previousStatus: entry.previous_status,
+  newStatus: entry.new_status,
+  reason: entry.reason,
+  removedRecord: entry.removed_record ? JSON.parse(entry.removed_record) : null,
+  createdAt: entry.created_at
+});
+
+// Apply a manual attendance change, then tell the dashboard about it
+const applyAttendanceOverride = async (req, res, change) => {
+  const { sessionId } = req.params;
+  const facultyId = req.user.id;
+
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(sessionId)) {
+    throw new AppError('INVALID_SESSION_ID');
+  }
+
+  const result = await attendanceOverrideService.setStatus(sessionId, change.studentEmail, change.status, {
+    facultyId,
+    reason: req.body.reason
+  });
+
+  if (!result.success) {
+    throw new AppError(result.code, result.error);
+  }
+
+  const attendanceSummary = await attendanceModel.getSessionSummary(sessionId);
+
+  req.app.get('webSocketService').broadcastAttendanceUpdate(facultyId, sessionId, {
+    newAttendance: result.action === 'add' ? {
+      studentEmail: result.attendance.student_email,
+      studentName: result.attendance.student_name,
+      timestamp: result.attendance.timestamp,
+      ipAddress: result.attendance.ip_address,
+      status: result.attendance.status,
+      locationFlagged: false,
+      deviceFlag: null,
+      manual: true
+    } : undefined,
+    updatedAttendance: result.action === 'update' ? {
+      studentEmail: result.student.email,
+      studentName: result.student.name,
+      status: result.status
+    } : undefined,
+    removedAttendance: result.action === 'remove' ? {
+      studentEmail: result.student.email,
+      studentName: result.student.name
+    } : undefined,
+    override: toAuditEntry(result.audit),
+    summary: attendanceSummary.summary
+  });
+
+  res.status(result.action === 'add' ? 201 : 200).json({
+    success: true,
+    action: result.action,
+    previousStatus: result.previousStatus,
+    status: result.status,
+    audit: toAuditEntry(result.audit),
+    summary: attendanceSummary.summary
+  });
 };
 
+// Every faculty route acts on behalf of the logged-in faculty member;
+// the faculty ID always comes from the server-side session (req.user.id).
+router.use(requireFaculty);
+
 /**
  * POST /api/faculty/sessions/start
  * Start a new attendance session
@@ -45,30 +205,68 @@ router.post('/sessions/start',
   createValidationMiddleware('sessionCreation'), 
   asyncHandler(async (req, res) => {
     await initializeServices();
-    const { facultyId, courseName, courseCode, section } = req.body;
+    const facultyId = req.user.id;
+    const {
+      courseName,
+      courseCode,
+      section,
+      tokenMode,
+      tokenExpirySeconds,
+      latitude,
+      longitude,
+      radiusMeters,
+      geofenceAction,
+      allowedNetworks,
+      lateAfterMinutes,
+      maxDurationMinutes,
+      idleTimeoutMinutes,
+      requirePresenceCode
+    } = req.body;
+
+    // A geofence is only set when the faculty supplied a classroom location
+    const location = latitude !== undefined || longitude !== undefined
+      ? { latitude, longitude, radiusMeters, action: geofenceAction }
+      : undefined;
 
     // Start the session
     const result = await sessionService.startSession({
       facultyId,
       courseName,
       courseCode,
-      section
+      section,
+      tokenMode,
+      tokenExpirySeconds,
+      location,
+      allowedNetworks: allowedNetworks && NetworkPolicyService.parseNetworkList(allowedNetworks),
+      lateAfterMinutes,
+      maxDurationMinutes,
+      idleTimeoutMinutes,
+      requirePresenceCode: requirePresenceCode === true || requirePresenceCode === 'true'
     });
 
     if (!result.success) {
       if (result.error.includes('already has an active session')) {
         throw new AppError('ACTIVE_SESSION_EXISTS');
       }
+      if (result.error.startsWith('Timetable')) {
+        throw new AppError('TIMETABLE_MISMATCH', result.error);
+      }
+      if (result.error.startsWith('Course code') ||
+          result.error.startsWith('Section must') ||
+          result.error.startsWith('Geofence') ||
+          result.error.startsWith('Invalid network range') ||
+          result.error.startsWith('Late threshold') ||
+          result.error.startsWith('Maximum duration') ||
+          result.error.startsWith('Idle timeout')) {
+        throw new AppError('INVALID_INPUT', result.error);
+      }
       throw new AppError('INTERNAL_ERROR', result.error);
     }
 
     // Start QR rotation with WebSocket callback
     const qrUpdateCallback = (sessionId, qrData) => {
-      // Emit QR update to faculty dashboard
-      req.app.get('io').to(`faculty-${facultyId}`).emit('qr-update', {
-        sessionId,
-        qrData
-      });
+      // Send the QR update to the faculty dashboard and any projector displays
+      req.app.get('webSocketService').broadcastQRUpdate(facultyId, sessionId, qrData);
     };
 
     // Only start QR rotation in non-test environment
@@ -84,7 +282,15 @@ router.post('/sessions/start',
         courseCode: result.session.course_code,
         section: result.session.section,
         startTime: result.session.start_time,
-        isActive: result.session.is_active === 1
+        isActive: result.session.is_active === 1,
+        tokenMode: result.session.token_mode,
+        tokenExpirySeconds: result.session.token_expiry_seconds,
+        location: sessionService.formatLocation(result.session),
+        allowedNetworks: NetworkPolicyService.parseNetworkList(result.session.allowed_networks),
+        lateAfterMinutes: result.session.late_after_minutes,
+        maxDurationMinutes: result.session.max_duration_minutes,
+        idleTimeoutMinutes: result.session.idle_timeout_minutes,
+        requirePresenceCode: Boolean(result.session.presence_secret)
       },
       qrData: result.qrData
     });
@@ -98,11 +304,10 @@ router.post('/sessions/start',
 router.post('/sessions/:sessionId/end', 
   basicSecurityHeaders, 
   simpleCSRFProtection, 
-  createValidationMiddleware('facultyOperation'), 
   asyncHandler(async (req, res) => {
     await initializeServices();
     const { sessionId } = req.params;
-    const { facultyId } = req.body;
+    const facultyId = req.user.id;
 
     // Validate session ID format
     if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(sessionId)) {
@@ -124,11 +329,8 @@ router.post('/sessions/:sessionId/end',
       throw new AppError('INTERNAL_ERROR', result.error);
     }
 
-    // Notify faculty dashboard that session ended
-    req.app.get('io').to(`faculty-${facultyId}`).emit('session-ended', {
-      sessionId,
-      endTime: result.session.end_time
-    });
+    // Notify the faculty dashboard and any projector displays that the session ended
+    req.app.get('webSocketService').broadcastSessionEnded(facultyId, result.session);
 
     res.json({
       success: true,
@@ -146,17 +348,197 @@ router.post('/sessions/:sessionId/end',
   })
 );
 
+/**
+ * POST /api/faculty/sessions/:sessionId/pause
+ * Pause a session: stop QR rotation and refuse scans until it is resumed
+ */
+router.post('/sessions/:sessionId/pause',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    const { sessionId } = req.params;
+    const facultyId = req.user.id;
+
+    // Validate session ID format
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(sessionId)) {
+      throw new AppError('INVALID_SESSION_ID');
+    }
+
+    const result = await sessionService.pauseSession(sessionId, facultyId);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        throw new AppError('SESSION_NOT_FOUND');
+      }
+      if (result.error.includes('Unauthorized')) {
+        throw new AppError('SESSION_UNAUTHORIZED');
+      }
+      if (result.error.includes('already ended')) {
+        throw new AppError('SESSION_INACTIVE');
+      }
+      if (result.error.includes('already paused')) {
+        throw new AppError('SESSION_PAUSED');
+      }
+      throw new AppError('INTERNAL_ERROR', result.error);
+    }
+
+    req.app.get('webSocketService').broadcastSessionStatusChange(facultyId, sessionId, 'paused', {
+      pausedAt: result.session.paused_at
+    });
+
+    res.json({
+      success: true,
+      session: {
+        id: result.session.id,
+        isActive: result.session.is_active === 1,
+        isPaused: true,
+        pausedAt: result.session.paused_at
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/faculty/sessions/:sessionId/resume
+ * Resume a paused session with a fresh QR code
+ */
+router.post('/sessions/:sessionId/resume',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    const { sessionId } = req.params;
+    const facultyId = req.user.id;
+
+    // Validate session ID format
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(sessionId)) {
+      throw new AppError('INVALID_SESSION_ID');
+    }
+
+    const result = await sessionService.resumeSession(sessionId, facultyId);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        throw new AppError('SESSION_NOT_FOUND');
+      }
+      if (result.error.includes('Unauthorized')) {
+        throw new AppError('SESSION_UNAUTHORIZED');
+      }
+      if (result.error.includes('already ended')) {
+        throw new AppError('SESSION_INACTIVE');
+      }
+      if (result.error.includes('not paused')) {
+        throw new AppError('SESSION_NOT_PAUSED');
+      }
+      throw new AppError('INTERNAL_ERROR', result.error);
+    }
+
+    const webSocketService = req.app.get('webSocketService');
+
+    // Only start QR rotation in non-test environment
+    if (process.env.NODE_ENV !== 'test') {
+      await sessionService.startQRRotation(sessionId, facultyId, (rotatedSessionId, qrData) => {
+        webSocketService.broadcastQRUpdate(facultyId, rotatedSessionId, qrData);
+      });
+    }
+
+    webSocketService.broadcastSessionStatusChange(facultyId, sessionId, 'resumed', {
+      qrData: result.qrData
+    });
+
+    res.json({
+      success: true,
+      session: {
+        id: result.session.id,
+        isActive: result.session.is_active === 1,
+        isPaused: false
+      },
+      qrData: result.qrData
+    });
+  })
+);
+
+/**
+ * POST /api/faculty/sessions/:sessionId/heartbeat
+ * Tell the server the dashboard is still open so the session does not idle out
+ */
+router.post('/sessions/:sessionId/heartbeat',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    const { sessionId } = req.params;
+    const facultyId = req.user.id;
+
+    // Validate session ID format
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(sessionId)) {
+      throw new AppError('INVALID_SESSION_ID');
+    }
+
+    const result = await sessionService.recordHeartbeat(sessionId, facultyId);
+
+    if (!result.success) {
+      if (result.error.includes('not found')) {
+        throw new AppError('SESSION_NOT_FOUND');
+      }
+      if (result.error.includes('Unauthorized')) {
+        throw new AppError('SESSION_UNAUTHORIZED');
+      }
+      if (result.error.includes('already ended')) {
+        throw new AppError('SESSION_INACTIVE');
+      }
+      throw new AppError('INTERNAL_ERROR', result.error);
+    }
+
+    res.json({
+      success: true,
+      lastHeartbeatAt: result.session.last_heartbeat_at
+    });
+  })
+);
+
+/**
+ * POST /api/faculty/sessions/:sessionId/display-link
+ * Issue an expiring, read-only link to a fullscreen QR display for projecting to the class
+ */
+router.post('/sessions/:sessionId/display-link',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    const { sessionId } = req.params;
+    const facultyId = req.user.id;
+
+    // Validate session ID format
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(sessionId)) {
+      throw new AppError('INVALID_SESSION_ID');
+    }
+
+    const result = await displayLinkService.createLink(sessionId, facultyId);
+
+    if (!result.success) {
+      throw new AppError(result.code, result.error);
+    }
+
+    res.json({
+      success: true,
+      url: result.url,
+      expiresAt: result.expiresAt
+    });
+  })
+);
+
 /**
  * GET /api/faculty/sessions/:sessionId/status
  * Get current session status and QR code data
  */
 router.get('/sessions/:sessionId/status', 
   basicSecurityHeaders, 
-  createValidationMiddleware('sessionQuery', 'query'),
   asyncHandler(async (req, res) => {
     await initializeServices();
     const { sessionId } = req.params;
-    const { facultyId } = req.query;
+    const facultyId = req.user.id;
 
     // Validate session ID format
     if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(sessionId)) {
@@ -187,14 +569,7 @@ router.get('/sessions/:sessionId/attendance', basicSecurityHeaders, async (req,
   try {
     await initializeServices();
     const { sessionId } = req.params;
-    const { facultyId } = req.query;
-
-    if (!facultyId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Faculty ID is required'
-      });
-    }
+    const facultyId = req.user.id;
 
     // Verify session belongs to faculty
     const sessionStatus = await sessionService.getSessionStatus(sessionId, facultyId);
@@ -205,19 +580,43 @@ router.get('/sessions/:sessionId/attendance', basicSecurityHeaders, async (req,
     // Get attendance summary
     const attendanceSummary = await attendanceModel.getSessionSummary(sessionId);
 
+    // Open suspicious-activity flags by mark, so the dashboard can tag the records
+    const flagsResult = await suspiciousActivityService.getSessionFlags(sessionId, facultyId);
+    const openFlags = new Map();
+    for (const flag of flagsResult.success ? flagsResult.flags : []) {
+      if (flag.review_status === 'open') {
+        openFlags.set(flag.attendance_id, [...(openFlags.get(flag.attendance_id) || []), flag.reason]);
+      }
+    }
+
+    const toAttendanceRecord = record => ({
+      studentEmail: record.student_email,
+      studentName: record.student_name,
+      rollNumber: record.roll_number,
+      branch: record.branch,
+      year: record.year,
+      timestamp: record.timestamp,
+      ipAddress: record.ip_address,
+      location: record.latitude === null ? null : {
+        latitude: record.latitude,
+        longitude: record.longitude,
+        accuracy: record.location_accuracy,
+        distanceMeters: record.distance_meters
+      },
+      locationFlagged: record.location_flagged === 1,
+      deviceFlag: record.device_flag,
+      suspiciousFlags: openFlags.get(record.id) || [],
+      manual: !!record.marked_by,
+      status: record.status
+    });
+
     res.json({
       success: true,
       sessionId,
       attendance: {
-        present: attendanceSummary.present.map(record => ({
-          studentEmail: record.student_email,
-          studentName: record.student_name,
-          rollNumber: record.roll_number,
-          branch: record.branch,
-          year: record.year,
-          timestamp: record.timestamp,
-          ipAddress: record.ip_address
-        })),
+        present: attendanceSummary.present.map(toAttendanceRecord),
+        excused: attendanceSummary.excused.map(toAttendanceRecord),
+        unenrolled: attendanceSummary.unenrolled.map(toAttendanceRecord),
         summary: attendanceSummary.summary
       }
     });
@@ -232,19 +631,161 @@ router.get('/sessions/:sessionId/attendance', basicSecurityHeaders, async (req,
 });
 
 /**
- * GET /api/faculty/sessions/:sessionId/export
- * Export attendance data in JSON format
+ * POST /api/faculty/sessions/:sessionId/attendance
+ * Mark a student present by hand; body: { studentEmail, reason }
+ */
+router.post('/sessions/:sessionId/attendance',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  createValidationMiddleware('attendanceOverride'),
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    const { studentEmail } = req.body;
+
+    if (!studentEmail) {
+      throw new AppError('MISSING_PARAMETERS', 'studentEmail is required');
+    }
+
+    await applyAttendanceOverride(req, res, { studentEmail, status: 'present' });
+  })
+);
+
+/**
+ * PATCH /api/faculty/sessions/:sessionId/attendance/:studentEmail
+ * Change a student's attendance status; body: { status, reason }
+ */
+router.patch('/sessions/:sessionId/attendance/:studentEmail',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  createValidationMiddleware('attendanceOverride'),
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    const { status } = req.body;
+
+    if (!status) {
+      throw new AppError('MISSING_PARAMETERS', 'status is required');
+    }
+
+    await applyAttendanceOverride(req, res, {
+      studentEmail: req.params.studentEmail.trim().toLowerCase(),
+      status
+    });
+  })
+);
+
+/**
+ * DELETE /api/faculty/sessions/:sessionId/attendance/:studentEmail
+ * Remove a student's attendance mark; body: { reason }
+ */
+router.delete('/sessions/:sessionId/attendance/:studentEmail',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  createValidationMiddleware('attendanceOverride'),
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+
+    await applyAttendanceOverride(req, res, {
+      studentEmail: req.params.studentEmail.trim().toLowerCase(),
+      status: 'absent'
+    });
+  })
+);
+
+/**
+ * GET /api/faculty/sessions/:sessionId/attendance/audit
+ * Get the manual attendance change history for a session
+ */
+router.get('/sessions/:sessionId/attendance/audit',
+  basicSecurityHeaders,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    const { sessionId } = req.params;
+
+    const result = await attendanceOverrideService.getAuditTrail(sessionId, req.user.id);
+    if (!result.success) {
+      throw new AppError(result.code, result.error);
+    }
+
+    res.json({
+      success: true,
+      sessionId,
+      entries: result.entries.map(toAuditEntry)
+    });
+  })
+);
+
+/**
+ * GET /api/faculty/sessions/:sessionId/flags
+ * Get the scans the analyzer flagged as suspicious in a session, for review
+ */
+router.get('/sessions/:sessionId/flags',
+  basicSecurityHeaders,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    const { sessionId } = req.params;
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(sessionId)) {
+      throw new AppError('INVALID_SESSION_ID');
+    }
+
+    const result = await suspiciousActivityService.getSessionFlags(sessionId, req.user.id);
+    if (!result.success) {
+      throw new AppError(result.code, result.error);
+    }
+
+    const flags = result.flags.map(flag => suspiciousActivityService.formatFlag(flag));
+    res.json({
+      success: true,
+      sessionId,
+      openCount: flags.filter(flag => flag.reviewStatus === 'open').length,
+      flags
+    });
+  })
+);
+
+/**
+ * PATCH /api/faculty/sessions/:sessionId/flags/:flagId
+ * Confirm or dismiss a flag (or reopen it); body: { status }
+ */
+router.patch('/sessions/:sessionId/flags/:flagId',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  createValidationMiddleware('flagReview'),
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    const { sessionId, flagId } = req.params;
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(sessionId)) {
+      throw new AppError('INVALID_SESSION_ID');
+    }
+
+    const result = await suspiciousActivityService.reviewFlag(sessionId, flagId, req.body.status, req.user.id);
+    if (!result.success) {
+      throw new AppError(result.code, result.error);
+    }
+
+    res.json({
+      success: true,
+      flag: suspiciousActivityService.formatFlag(result.flag)
+    });
+  })
+);
+
+/**
+ * GET /api/faculty/sessions/:sessionId/export?format=json|csv|pdf
+ * Export attendance data as JSON (default), CSV or a printable PDF sheet
  */
 router.get('/sessions/:sessionId/export', basicSecurityHeaders, async (req, res) => {
   try {
     await initializeServices();
     const { sessionId } = req.params;
-    const { facultyId } = req.query;
+    const facultyId = req.user.id;
+    const format = String(req.query.format || 'json').toLowerCase();
 
-    if (!facultyId) {
+    if (!EXPORT_FORMATS.includes(format)) {
       return res.status(400).json({
         success: false,
-        error: 'Faculty ID is required'
+        error: `Unsupported export format: ${format}. Use one of: ${EXPORT_FORMATS.join(', ')}`
       });
     }
 
@@ -257,6 +798,19 @@ router.get('/sessions/:sessionId/export', basicSecurityHeaders, async (req, res)
     // Get complete attendance summary
     const attendanceSummary = await attendanceModel.getSessionSummary(sessionId);
 
+    const toExportRecord = record => ({
+      email: record.student_email,
+      name: record.student_name,
+      rollNumber: record.roll_number,
+      branch: record.branch,
+      year: record.year,
+      status: record.status,
+      timestamp: record.timestamp,
+      locationFlagged: record.location_flagged === 1,
+      deviceFlag: record.device_flag,
+      markedBy: record.marked_by
+    });
+
     const exportData = {
       sessionInfo: {
         id: sessionStatus.session.id,
@@ -265,38 +819,46 @@ router.get('/sessions/:sessionId/export', basicSecurityHeaders, async (req, res)
         section: sessionStatus.session.section,
         startTime: sessionStatus.session.startTime,
         endTime: sessionStatus.session.endTime,
-        isActive: sessionStatus.session.isActive
+        isActive: sessionStatus.session.isActive,
+        location: sessionStatus.session.location
       },
       attendance: {
-        present: attendanceSummary.present.map(record => ({
-          email: record.student_email,
-          name: record.student_name,
-          rollNumber: record.roll_number,
-          branch: record.branch,
-          year: record.year,
-          timestamp: record.timestamp
-        })),
+        present: attendanceSummary.present.map(toExportRecord),
+        excused: attendanceSummary.excused.map(toExportRecord),
         absent: attendanceSummary.absent.map(student => ({
           email: student.email,
           name: student.name,
           rollNumber: student.roll_number,
           branch: student.branch,
           year: student.year
-        }))
+        })),
+        unenrolled: attendanceSummary.unenrolled.map(toExportRecord)
       },
       summary: {
         totalStudents: attendanceSummary.summary.totalStudents,
         presentCount: attendanceSummary.summary.presentCount,
         absentCount: attendanceSummary.summary.absentCount,
-        attendancePercentage: attendanceSummary.summary.attendancePercentage
+        unenrolledCount: attendanceSummary.summary.unenrolledCount,
+        attendancePercentage: attendanceSummary.summary.attendancePercentage,
+        byStatus: attendanceSummary.summary.byStatus
       },
       exportedAt: new Date().toISOString()
     };
 
     // Set headers for file download
+    res.setHeader('Content-Disposition', `attachment; filename="attendance-${sessionId}-${Date.now()}.${format}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(attendanceExportService.buildSessionCsv(exportData));
+    }
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      return res.send(attendanceExportService.buildSessionPdf(exportData, { facultyName: req.user.name }));
+    }
+
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename="attendance-${sessionId}-${Date.now()}.json"`);
-    
     res.json(exportData);
 
   } catch (error) {
@@ -308,6 +870,189 @@ router.get('/sessions/:sessionId/export', basicSecurityHeaders, async (req, res)
   }
 });
 
+/**
+ * GET /api/faculty/courses/:courseCode/sections/:section/export
+ * Download an .xlsx workbook with every session of the course section:
+ * students as rows, sessions as columns (P/L/E/A) and per-student percentages
+ */
+router.get('/courses/:courseCode/sections/:section/export',
+  basicSecurityHeaders,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    validateCourseParams(req.params);
+    const { courseCode, section } = req.params;
+
+    const matrix = await courseReportService.getAttendanceMatrix(courseCode, section, req.user.id);
+    if (!matrix.success) {
+      throw new AppError(matrix.code, matrix.error);
+    }
+
+    const workbook = attendanceExportService.buildCourseWorkbook(matrix);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="attendance-${courseCode}-${section}-${Date.now()}.xlsx"`);
+    res.send(workbook);
+  })
+);
+
+/**
+ * GET /api/faculty/courses/:courseCode/sections/:section/report?format=json|csv&threshold=75
+ * Attended/total sessions and percentage for every enrolled student,
+ * flagging defaulters below the threshold (default: DEFAULTER_THRESHOLD_PERCENT or 75)
+ */
+router.get('/courses/:courseCode/sections/:section/report',
+  basicSecurityHeaders,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    validateCourseParams(req.params);
+    const { courseCode, section } = req.params;
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new AppError('INVALID_INPUT', `Unsupported report format: ${format}. Use one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+
+    const threshold = req.query.threshold === undefined ? undefined : Number(req.query.threshold);
+    const report = await courseReportService.getDefaulterReport(courseCode, section, req.user.id, { threshold });
+    if (!report.success) {
+      throw new AppError(report.code, report.error);
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="attendance-report-${courseCode}-${section}-${Date.now()}.csv"`);
+      return res.send(attendanceExportService.buildDefaulterCsv(report));
+    }
+
+    res.json(report);
+  })
+);
+
+/**
+ * GET /api/faculty/timetable?refresh=true
+ * The faculty member's course assignments and class slots from the timetable system
+ * (cached; refresh=true pulls them again)
+ */
+router.get('/timetable',
+  basicSecurityHeaders,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+
+    if (!timetableService.isConfigured()) {
+      return res.json({ success: true, configured: false, assignments: [], slots: [] });
+    }
+
+    const result = await timetableService.getFacultyTimetable(req.user.id, { refresh: req.query.refresh === 'true' });
+    if (!result.success) {
+      throw new AppError(result.code, result.error);
+    }
+
+    res.json({
+      success: true,
+      configured: true,
+      validationMode: timetableService.validationMode,
+      timeZone: timetableService.localTime.getTimeZone(),
+      syncedAt: result.syncedAt,
+      stale: result.stale,
+      assignments: result.assignments,
+      slots: result.slots
+    });
+  })
+);
+
+/**
+ * GET /api/faculty/schedules
+ * List the faculty member's weekly class slots
+ */
+router.get('/schedules',
+  basicSecurityHeaders,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+
+    const result = await schedulerService.listSchedules(req.user.id);
+    if (!result.success) {
+      throw new AppError(result.code, result.error);
+    }
+
+    res.json({
+      success: true,
+      timeZone: schedulerService.localTime.getTimeZone(),
+      schedules: result.schedules.map(toScheduleResponse)
+    });
+  })
+);
+
+/**
+ * POST /api/faculty/schedules
+ * Add a weekly class slot; the scheduler starts a session at its start time and ends it after its duration
+ */
+router.post('/schedules',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  createValidationMiddleware('schedule'),
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+
+    const result = await schedulerService.createSchedule(req.user.id, toScheduleData(req.body));
+    if (!result.success) {
+      throw new AppError(result.code, result.error);
+    }
+
+    res.status(201).json({
+      success: true,
+      schedule: toScheduleResponse(result.schedule)
+    });
+  })
+);
+
+/**
+ * PUT /api/faculty/schedules/:scheduleId
+ * Replace a weekly class slot
+ */
+router.put('/schedules/:scheduleId',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  createValidationMiddleware('schedule'),
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    validateScheduleId(req.params.scheduleId);
+
+    const result = await schedulerService.updateSchedule(req.params.scheduleId, req.user.id, toScheduleData(req.body));
+    if (!result.success) {
+      throw new AppError(result.code, result.error);
+    }
+
+    res.json({
+      success: true,
+      schedule: toScheduleResponse(result.schedule)
+    });
+  })
+);
+
+/**
+ * DELETE /api/faculty/schedules/:scheduleId
+ * Remove a weekly class slot
+ */
+router.delete('/schedules/:scheduleId',
+  basicSecurityHeaders,
+  simpleCSRFProtection,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+    validateScheduleId(req.params.scheduleId);
+
+    const result = await schedulerService.deleteSchedule(req.params.scheduleId, req.user.id);
+    if (!result.success) {
+      throw new AppError(result.code, result.error);
+    }
+
+    res.json({
+      success: true,
+      schedule: toScheduleResponse(result.schedule),
+      message: 'Schedule deleted successfully'
+    });
+  })
+);
+
 /**
  * GET /api/faculty/:facultyId/sessions
  * Get faculty's session history
@@ -318,6 +1063,14 @@ router.get('/:facultyId/sessions', basicSecurityHeaders, async (req, res) => {
     const { facultyId } = req.params;
     const { activeOnly, limit } = req.query;
 
+    // Faculty can only list their own session history
+    if (facultyId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view your own sessions'
+      });
+    }
+
     const options = {
       activeOnly: activeOnly === 'true',
       limit: limit ? parseInt(limit) : undefined
@@ -344,18 +1097,11 @@ router.get('/:facultyId/sessions', basicSecurityHeaders, async (req, res) => {
  * POST /api/faculty/sessions/:sessionId/qr/rotate
  * Manually rotate QR code for a session
  */
-router.post('/sessions/:sessionId/qr/rotate', basicSecurityHeaders, simpleCSRFProtection, validateFacultyInput, async (req, res) => {
+router.post('/sessions/:sessionId/qr/rotate', basicSecurityHeaders, simpleCSRFProtection, async (req, res) => {
   try {
     await initializeServices();
     const { sessionId } = req.params;
-    const { facultyId } = req.body;
-
-    if (!facultyId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Faculty ID is required'
-      });
-    }
+    const facultyId = req.user.id;
 
     const result = await sessionService.rotateQRToken(sessionId, facultyId);
 
@@ -363,12 +1109,8 @@ router.post('/sessions/:sessionId/qr/rotate', basicSecurityHeaders, simpleCSRFPr
       return res.status(400).json(result);
     }
 
-    // Notify faculty dashboard of manual QR rotation
-    req.app.get('io').to(`faculty-${facultyId}`).emit('qr-update', {
-      sessionId,
-      qrData: result.qrData,
-      manual: true
-    });
+    // Notify faculty dashboard and any projector displays of manual QR rotation
+    req.app.get('webSocketService').broadcastQRUpdate(facultyId, sessionId, result.qrData);
 
     res.json(result);
 
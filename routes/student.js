@@ -0,0 +1,81 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const pageRouter = express.Router();
+const databaseService = require('../services/DatabaseService');
+const CourseReportService = require('../services/CourseReportService');
+const { basicSecurityHeaders } = require('../middleware/security');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth } = require('./auth');
+
+// Initialize services (DatabaseService is a singleton)
+let courseReportService;
+
+const initializeServices = async () => {
+  if (!databaseService.isInitialized) {
+    await databaseService.initialize();
+  }
+
+  if (!courseReportService) {
+    courseReportService = new CourseReportService(databaseService.getDatabase());
+  }
+};
+
+// Student routes only ever show the logged-in student's own records (req.user.email)
+router.use(requireAuth);
+
+/**
+ * GET /api/student/attendance
+ * The student's attendance history grouped by course section,
+ * with per-course percentages and their standing against the defaulter threshold
+ */
+router.get('/attendance',
+  basicSecurityHeaders,
+  asyncHandler(async (req, res) => {
+    await initializeServices();
+
+    const history = await courseReportService.getStudentHistory(req.user.email);
+    if (!history.success) {
+      throw new AppError(history.code, history.error);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      student: {
+        name: req.user.name,
+        email: req.user.email,
+        rollNumber: req.user.rollNumber,
+        branch: req.user.branch,
+        year: req.user.year
+      },
+      threshold: history.threshold,
+      warningMargin: history.warningMargin,
+      courses: history.courses
+    });
+  })
+);
+
+/**
+ * GET /student/attendance
+ * Attendance history page. Signed-out visitors are sent through Google sign-in and brought back here.
+ */
+pageRouter.get('/attendance',
+  basicSecurityHeaders,
+  (req, res, next) => {
+    if (!req.isAuthenticated()) {
+      req.session.returnTo = req.originalUrl;
+      return res.redirect('/auth/google');
+    }
+    next();
+  },
+  requireAuth,
+  (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'views', 'student-attendance.html'));
+  }
+);
+
+module.exports = {
+  router,
+  pageRouter
+};
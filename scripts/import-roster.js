@@ -0,0 +1,62 @@
+const fs = require('fs');
+const DatabaseService = require('../services/DatabaseService');
+const CourseRosterService = require('../services/CourseRosterService');
+
+// Usage: npm run import-roster -- <courseCode> <section> <file.csv> [--course-name=<name>] [--replace] [--dry-run]
+async function importRoster() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const replace = args.includes('--replace');
+  const courseNameArg = args.find(arg => arg.startsWith('--course-name='));
+  const [courseCode, section, filePath] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!courseCode || !section || !filePath) {
+    console.error('Usage: npm run import-roster -- <courseCode> <section> <file.csv> [--course-name=<name>] [--replace] [--dry-run]');
+    console.error('CSV columns: email or roll_number (one student per row)');
+    process.exit(1);
+  }
+
+  try {
+    const csvText = fs.readFileSync(filePath, 'utf8');
+
+    await DatabaseService.initialize();
+    const rosterService = new CourseRosterService(DatabaseService.getDatabase());
+
+    console.log(`${dryRun ? 'Validating' : 'Importing'} roster for ${courseCode} ${section} from ${filePath}...\n`);
+    const result = await rosterService.importCsv(courseCode, section, csvText, {
+      courseName: courseNameArg ? courseNameArg.slice('--course-name='.length) : undefined,
+      replace,
+      dryRun
+    });
+
+    console.log(dryRun ? 'Dry run (no changes written):' : 'Roster summary:');
+    console.log(`- Rows: ${result.summary.totalRows}`);
+    console.log(`- Enrolled: ${result.summary.enrolled}`);
+    console.log(`- Already enrolled: ${result.summary.alreadyEnrolled}`);
+    console.log(`- Unenrolled: ${result.summary.unenrolled}`);
+    console.log(`- Failed: ${result.summary.failed}`);
+
+    if (result.errors.length > 0) {
+      console.log('\nRow errors:');
+      result.errors.forEach(rowError => {
+        console.log(`❌ Row ${rowError.row} (${rowError.email || rowError.rollNumber || 'unknown'}):`);
+        rowError.errors.forEach(message => console.log(`   - ${message}`));
+      });
+      if (replace) {
+        console.log('\nNo students were unenrolled because the file has errors.');
+      }
+      process.exitCode = 1;
+    } else {
+      console.log(`\n✅ ${dryRun ? 'All rows are valid' : 'Roster import completed successfully'}!`);
+    }
+
+  } catch (error) {
+    console.error('❌ Roster import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await DatabaseService.close();
+  }
+}
+
+// Run import
+importRoster();
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const DatabaseService = require('../services/DatabaseService');
+const StudentImportService = require('../services/StudentImportService');
+
+// Usage: npm run import-students -- <file.csv> [--dry-run]
+async function importStudents() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const filePath = args.find(arg => !arg.startsWith('--'));
+
+  if (!filePath) {
+    console.error('Usage: npm run import-students -- <file.csv> [--dry-run]');
+    console.error('CSV columns: roll_number, email, name, branch, year');
+    process.exit(1);
+  }
+
+  try {
+    const csvText = fs.readFileSync(filePath, 'utf8');
+
+    await DatabaseService.initialize();
+    const importService = new StudentImportService(DatabaseService.getDatabase());
+
+    console.log(`${dryRun ? 'Validating' : 'Importing'} students from ${filePath}...\n`);
+    const result = await importService.importCsv(csvText, { dryRun });
+
+    console.log(dryRun ? 'Dry run (no changes written):' : 'Import summary:');
+    console.log(`- Rows: ${result.summary.totalRows}`);
+    console.log(`- Inserted: ${result.summary.inserted}`);
+    console.log(`- Updated: ${result.summary.updated}`);
+    console.log(`- Failed: ${result.summary.failed}`);
+
+    if (result.errors.length > 0) {
+      console.log('\nRow errors:');
+      result.errors.forEach(rowError => {
+        console.log(`❌ Row ${rowError.row} (${rowError.email || rowError.rollNumber || 'unknown'}):`);
+        rowError.errors.forEach(message => console.log(`   - ${message}`));
+      });
+      process.exitCode = 1;
+    } else {
+      console.log(`\n✅ ${dryRun ? 'All rows are valid' : 'Import completed successfully'}!`);
+    }
+
+  } catch (error) {
+    console.error('❌ Student import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await DatabaseService.close();
+  }
+}
+
+// Run import
+importStudents();
@@ -0,0 +1,69 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Database = require('../config/database');
+const Migrator = require('../config/migrator');
+
+const USAGE = [
+  'Usage: npm run migrate -- [command]',
+  '  status            List migrations and whether each is applied',
+  '  up [version]      Apply pending migrations, up to version if given (default command)',
+  '  down <version>    Roll back migrations newer than version (0 rolls back everything)'
+].join('\n');
+
+// Parse a version argument; undefined when absent, NaN when not a whole number
+const parseVersion = value => (value === undefined ? undefined : /^\d+$/.test(value) ? parseInt(value, 10) : NaN);
+
+// Usage: npm run migrate -- [status | up [version] | down <version>]
+// Works on attendance.db directly, without the automatic migration DatabaseService.initialize runs
+async function migrate() {
+  const [command = 'up', versionArg] = process.argv.slice(2);
+  const version = parseVersion(versionArg);
+
+  if (!['status', 'up', 'down'].includes(command) || Number.isNaN(version) ||
+      (command === 'down' && version === undefined)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const db = new Database();
+
+  try {
+    await db.connect();
+    const migrator = new Migrator(db);
+
+    if (command === 'status') {
+      const status = await migrator.status();
+      console.log(`Schema version: ${status.currentVersion}\n`);
+      status.migrations.forEach(migration => {
+        const state = migration.missing
+          ? `applied ${migration.appliedAt}, file missing`
+          : migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${migration.applied ? '✅' : '⬜'} ${String(migration.version).padStart(3, '0')} ${migration.name} (${state})`);
+      });
+      return;
+    }
+
+    const migrations = command === 'up'
+      ? await migrator.migrate(version)
+      : await migrator.rollback(version);
+
+    if (migrations.length === 0) {
+      console.log(command === 'up' ? '✨ Schema is up to date' : '✨ Nothing to roll back');
+    }
+    migrations.forEach(migration => {
+      console.log(`✅ ${command === 'up' ? 'Applied' : 'Rolled back'} ${migration.file}`);
+    });
+
+    const { currentVersion } = await migrator.status();
+    console.log(`\nSchema version: ${currentVersion}`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+// Run migrations
+migrate();
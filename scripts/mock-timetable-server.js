@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// Stand-in for the institution's timetable system, for development and tests.
+// Serves the endpoints TimetableService calls from a JSON file shaped like sample-timetable.json.
+//
+// Usage: npm run mock-timetable -- [timetable.json]
+// Listens on TIMETABLE_MOCK_PORT (4000) under /api and expects TIMETABLE_SYSTEM_API_KEY in X-API-Key,
+// so the defaults in .env.example point the app at it.
+
+/**
+ * Build the mock timetable API
+ * @param {Object} options - Mock options
+ * @param {Object} options.data - courseSections plus assignments and slots keyed by faculty ID
+ * @param {string} [options.apiKey] - Key required in X-API-Key (no check when empty)
+ * @returns {Object} Express app serving the API under /api
+ */
+function createMockTimetableApp({ data, apiKey = '' }) {
+  const app = express();
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    if (apiKey && req.get('X-API-Key') !== apiKey) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    next();
+  });
+
+  api.get('/course-sections', (req, res) => {
+    res.json({ courseSections: data.courseSections || [] });
+  });
+
+  api.get('/faculty/:facultyId/assignments', (req, res) => {
+    const faculty = (data.faculty || {})[req.params.facultyId];
+    if (!faculty) {
+      return res.status(404).json({ error: 'Faculty not found' });
+    }
+    res.json({ facultyId: req.params.facultyId, assignments: faculty.assignments || [] });
+  });
+
+  api.get('/faculty/:facultyId/slots', (req, res) => {
+    const faculty = (data.faculty || {})[req.params.facultyId];
+    if (!faculty) {
+      return res.status(404).json({ error: 'Faculty not found' });
+    }
+    res.json({ facultyId: req.params.facultyId, slots: faculty.slots || [] });
+  });
+
+  app.use('/api', api);
+  return app;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  const dataPath = process.argv[2] || path.join(__dirname, 'sample-timetable.json');
+  const port = parseInt(process.env.TIMETABLE_MOCK_PORT, 10) || 4000;
+  const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+
+  createMockTimetableApp({ data, apiKey: process.env.TIMETABLE_SYSTEM_API_KEY }).listen(port, () => {
+    console.log(`Mock timetable system serving ${dataPath}`);
+    console.log(`Set TIMETABLE_SYSTEM_API_URL=http://localhost:${port}/api to use it`);
+  });
+}
+
+module.exports = { createMockTimetableApp };
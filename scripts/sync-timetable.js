@@ -0,0 +1,49 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const DatabaseService = require('../services/DatabaseService');
+const TimetableService = require('../services/TimetableService');
+
+// Usage: npm run sync-timetable
+// Pulls course sections and every faculty member's timetable from TIMETABLE_SYSTEM_API_URL into the cache
+async function syncTimetable() {
+  try {
+    await DatabaseService.initialize();
+    const timetableService = new TimetableService(DatabaseService.getDatabase());
+
+    if (!timetableService.isConfigured()) {
+      console.error('❌ TIMETABLE_SYSTEM_API_URL is not set');
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`Syncing timetable from ${timetableService.baseUrl}...\n`);
+
+    const courseResult = await timetableService.syncCourseSections();
+    if (courseResult.success) {
+      console.log(`✅ Course sections: ${courseResult.count}`);
+    } else {
+      console.log(`❌ Course sections: ${courseResult.error}`);
+      process.exitCode = 1;
+    }
+
+    const facultyList = await DatabaseService.getFacultyModel().findAll();
+    for (const faculty of facultyList) {
+      const result = await timetableService.syncFaculty(faculty.id);
+      if (result.success) {
+        console.log(`✅ ${faculty.name} (${faculty.id}): ${result.assignments.length} course section(s), ${result.slots.length} slot(s)`);
+      } else {
+        console.log(`❌ ${faculty.name} (${faculty.id}): ${result.error}`);
+        process.exitCode = 1;
+      }
+    }
+  } catch (error) {
+    console.error('❌ Timetable sync failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await DatabaseService.close();
+  }
+}
+
+// Run sync
+syncTimetable();
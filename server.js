@@ -27,7 +27,10 @@ app.set('trust proxy', process.env.TRUST_PROXY ? parseInt(process.env.TRUST_PROX
 const WebSocketService = require('./services/WebSocketService');
 const facultyRoutes = require('./routes/faculty');
 const attendanceRoutes = require('./routes/attendance');
+const adminRoutes = require('./routes/admin');
 const { router: authRoutes, passport } = require('./routes/auth');
+const { router: studentRoutes, pageRouter: studentPageRoutes } = require('./routes/student');
+const displayRoutes = require('./routes/display');
 const { 
   apiRateLimit, 
   facultyRateLimit,
@@ -48,6 +51,11 @@ const { enhancedSanitization } = require('./middleware/validation');
 // Initialize WebSocket service
 const webSocketService = new WebSocketService(io);
 
+// Starts and ends scheduled sessions; created once the database is ready
+let schedulerService = null;
+// Ends sessions that outlive their maximum duration or go idle; created once the database is ready
+let sessionSweeperService = null;
+
 // Make io available to routes
 app.set('io', io);
 app.set('webSocketService', webSocketService);
@@ -74,7 +82,7 @@ app.use('/api/faculty', facultyRateLimit);
 app.use('/api/', apiRateLimit);
 
 // Session configuration
-app.use(session({
+const sessionMiddleware = session({
   secret: process.env.SESSION_SECRET || 'fallback-secret-key',
   resave: false,
   saveUninitialized: true, // Changed to true for CSRF to work
@@ -93,12 +101,26 @@ app.use(session({
     httpOnly: true,
     sameSite: 'lax' // Allow same-site requests
   }
-}));
+});
+app.use(sessionMiddleware);
 
 // Initialize Passport
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Share the login session with Socket.IO so WebSocketService knows which faculty member opened a socket.
+// Only the handshake request needs it; later requests of the same connection carry an engine sid.
+const onlyForHandshake = (middleware) => (req, res, next) => {
+  if (req._query.sid === undefined) {
+    middleware(req, res, next);
+  } else {
+    next();
+  }
+};
+io.engine.use(onlyForHandshake(sessionMiddleware));
+io.engine.use(onlyForHandshake(passport.initialize()));
+io.engine.use(onlyForHandshake(passport.session()));
+
 // Flash messages for error handling
 app.use(flash());
 
@@ -123,7 +145,11 @@ app.get('/attend/:sessionId', (req, res) => {
 // API Routes
 app.use('/api/faculty', facultyRoutes);
 app.use('/api/attendance', attendanceRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/student', studentRoutes);
+app.use('/api/display', displayRoutes); // Projector displays, authorized by display link
 app.use('/attendance', attendanceRoutes); // Student-facing attendance routes
+app.use('/student', studentPageRoutes); // Student attendance history page
 app.use('/auth', authRoutes);
 
 // CSRF error handler (must be after routes that use CSRF protection)
@@ -138,7 +164,9 @@ app.get('/', (req, res) => {
     <p><strong>Time:</strong> ${new Date().toISOString()}</p>
     <h2>Available Endpoints:</h2>
     <ul>
+      <li><a href="/faculty-login.html">Faculty Login</a></li>
       <li><a href="/faculty-dashboard.html">Faculty Dashboard</a></li>
+      <li><a href="/student/attendance">My Attendance (students)</a></li>
       <li><a href="/api/health">Health Check</a></li>
       <li><a href="/api/csrf-token">CSRF Token</a></li>
     </ul>
@@ -148,7 +176,9 @@ app.get('/', (req, res) => {
       <li>POST /api/faculty/sessions/:id/end</li>
       <li>GET /api/faculty/sessions/:id/status</li>
       <li>POST /api/attendance/mark</li>
+      <li>POST /api/admin/students/import</li>
       <li>GET /auth/google</li>
+      <li>POST /auth/faculty/login</li>
     </ul>
   `);
 });
@@ -207,21 +237,18 @@ async function gracefulShutdown(signal) {
     // Import database service for cleanup
     const databaseService = require('./services/DatabaseService');
     
-    // Initialize database if not already done
-    if (!databaseService.isInitialized) {
-      await databaseService.initialize();
+    // Stop the scheduler and sweeper so no sessions start or end while shutting down
+    if (schedulerService) {
+      schedulerService.stop();
     }
-    
-    // Close all active sessions
-    console.log('Closing all active sessions...');
-    const db = databaseService.getDatabase();
-    const result = await db.run(`
-      UPDATE sessions 
-      SET is_active = 0, end_time = datetime('now') 
-      WHERE is_active = 1
-    `);
-    
-    console.log(`Closed ${result.changes} active session(s)`);
+    if (sessionSweeperService) {
+      sessionSweeperService.stop();
+    }
+
+    // Stop QR rotation timers; active sessions stay open and resume on the next boot
+    const QRCodeService = require('./services/QRCodeService');
+    const rotationResult = new QRCodeService().stopAllRotations();
+    console.log(`Stopped QR rotation for ${rotationResult.stoppedCount} active session(s)`);
     
     // Close database connection
     if (databaseService.isInitialized) {
@@ -274,9 +301,70 @@ async function initializeApp() {
   }
 }
 
+// Resume QR rotation for sessions that were still active when the server stopped,
+// ending those idle longer than SESSION_STALE_AFTER_MINUTES
+async function resumeActiveSessions() {
+  try {
+    const databaseService = require('./services/DatabaseService');
+    const SessionService = require('./services/SessionService');
+    const sessionService = new SessionService(databaseService.getDatabase());
+
+    const result = await sessionService.resumeActiveSessions(
+      (session) => (sessionId, qrData) => {
+        webSocketService.broadcastQRUpdate(session.faculty_id, sessionId, qrData);
+      }
+    );
+
+    if (!result.success) {
+      console.error('❌ Failed to resume active sessions:', result.error);
+      return;
+    }
+
+    result.ended.forEach((session) => {
+      webSocketService.broadcastSessionEnded(session.faculty_id, session, { reason: 'stale' });
+    });
+
+    console.log(`✅ Resumed ${result.resumed.length} active session(s), ended ${result.ended.length} stale session(s)`);
+    return result;
+  } catch (error) {
+    console.error('❌ Failed to resume active sessions:', error);
+  }
+}
+
+// Start and end sessions for the faculty schedule (set SCHEDULER_ENABLED=false to turn it off)
+function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  try {
+    const databaseService = require('./services/DatabaseService');
+    const SchedulerService = require('./services/SchedulerService');
+    schedulerService = new SchedulerService(databaseService.getDatabase(), { webSocketService });
+    schedulerService.start();
+    console.log(`✅ Scheduler started (checking every ${schedulerService.tickIntervalMs / 1000}s)`);
+  } catch (error) {
+    console.error('❌ Failed to start scheduler:', error);
+  }
+}
+
+// End sessions left running past their maximum duration or idle timeout
+function startSessionSweeper() {
+  try {
+    const databaseService = require('./services/DatabaseService');
+    const SessionSweeperService = require('./services/SessionSweeperService');
+    sessionSweeperService = new SessionSweeperService(databaseService.getDatabase(), { webSocketService });
+    sessionSweeperService.start();
+    console.log(`✅ Session sweeper started (checking every ${sessionSweeperService.sweepIntervalMs / 1000}s)`);
+  } catch (error) {
+    console.error('❌ Failed to start session sweeper:', error);
+  }
+}
+
 // Only start server if not in test environment
 if (process.env.NODE_ENV !== 'test') {
-  initializeApp().then(() => {
+  initializeApp().then(resumeActiveSessions).then(startScheduler).then(startSessionSweeper).then(() => {
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV}`);
@@ -288,4 +376,4 @@ if (process.env.NODE_ENV !== 'test') {
   });
 }
 
-module.exports = { app, server, io };
\ No newline at end of file
+module.exports = { app, server, io, resumeActiveSessions };
\ No newline at end of file
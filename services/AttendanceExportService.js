@@ -0,0 +1,322 @@
+const XlsxService = require('./XlsxService');
+const PdfService = require('./PdfService');
+const { STATUS_CODES } = require('./CourseReportService');
+
+// Byte order mark so Excel opens UTF-8 CSV files with the right encoding
+const UTF8_BOM = '\uFEFF';
+
+// Columns of the session attendance CSV
+const SESSION_CSV_COLUMNS = [
+  { header: 'Roll Number', key: 'rollNumber' },
+  { header: 'Name', key: 'name' },
+  { header: 'Email', key: 'email' },
+  { header: 'Branch', key: 'branch' },
+  { header: 'Year', key: 'year' },
+  { header: 'Status', key: 'status' },
+  { header: 'Marked At (UTC)', key: 'timestamp' },
+  { header: 'Enrolled', key: 'enrolled' }
+];
+
+// Columns of the course defaulter report CSV
+const DEFAULTER_CSV_COLUMNS = [
+  { header: 'Roll Number', key: 'rollNumber' },
+  { header: 'Name', key: 'name' },
+  { header: 'Email', key: 'email' },
+  { header: 'Branch', key: 'branch' },
+  { header: 'Year', key: 'year' },
+  { header: 'Attended', key: 'attended' },
+  { header: 'Total Sessions', key: 'total' },
+  { header: 'Late', key: 'late' },
+  { header: 'Excused', key: 'excused' },
+  { header: 'Attendance %', key: 'percentage' },
+  { header: 'Defaulter', key: 'defaulter' }
+];
+
+// Student columns that lead each row of the course attendance matrix
+const MATRIX_STUDENT_COLUMNS = [
+  { header: 'Roll Number', key: 'rollNumber', width: 14 },
+  { header: 'Name', key: 'name', width: 26 },
+  { header: 'Email', key: 'email', width: 40 },
+  { header: 'Branch', key: 'branch', width: 8 },
+  { header: 'Year', key: 'year', width: 6 },
+  { header: 'Enrolled', key: 'enrolled', width: 9 }
+];
+
+const STATUS_LABELS = {
+  present: 'Present',
+  late: 'Late',
+  excused: 'Excused',
+  absent: 'Absent'
+};
+
+// Workbook cell for a session still running that the student has not marked yet
+const OPEN_CODE = '-';
+
+// Columns of the printable attendance sheet, widths in points (A4 less margins is 495)
+const SHEET_PRESENT_COLUMNS = [
+  { header: '#', width: 20 },
+  { header: 'Roll Number', width: 60 },
+  { header: 'Name', width: 115 },
+  { header: 'Email', width: 200 },
+  { header: 'Status', width: 48 },
+  { header: 'Marked At', width: 52 }
+];
+
+const SHEET_ABSENT_COLUMNS = [
+  { header: '#', width: 20 },
+  { header: 'Roll Number', width: 60 },
+  { header: 'Name', width: 115 },
+  { header: 'Email', width: 200 },
+  { header: 'Branch', width: 48 },
+  { header: 'Year', width: 52 }
+];
+
+class AttendanceExportService {
+  constructor() {
+    this.xlsxService = new XlsxService();
+    this.pdfService = new PdfService();
+  }
+
+  /**
+   * Format a timestamp in UTC (e.g. "2024-01-15 10:00").
+   * Accepts ISO strings and SQLite CURRENT_TIMESTAMP values, which are UTC without a zone.
+   * @param {string} value - Timestamp
+   * @param {boolean} [withSeconds=false] - Include seconds
+   * @returns {string} Formatted time, or '' when missing
+   */
+  formatUtc(value, withSeconds = false) {
+    if (!value) {
+      return '';
+    }
+    const text = String(value);
+    const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+    if (Number.isNaN(date.getTime())) {
+      return text;
+    }
+    return date.toISOString().slice(0, withSeconds ? 19 : 16).replace('T', ' ');
+  }
+
+  /**
+   * Quote a value for CSV (RFC 4180).
+   * Values that a spreadsheet would run as a formula are prefixed with an apostrophe.
+   * @param {*} value - Cell value
+   * @returns {string} CSV field
+   */
+  escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * Build CSV text from rows
+   * @param {Object[]} columns - Column definitions with header and key
+   * @param {Object[]} rows - Row objects
+   * @param {Object} [options] - CSV options
+   * @param {boolean} [options.bom=true] - Prefix a UTF-8 byte order mark for Excel
+   * @returns {string} CSV text with CRLF line endings
+   */
+  toCsv(columns, rows, options = {}) {
+    const bom = options.bom === undefined ? true : options.bom;
+    const lines = [
+      columns.map(column => this.escapeCsvValue(column.header)).join(','),
+      ...rows.map(row => columns.map(column => this.escapeCsvValue(row[column.key])).join(','))
+    ];
+
+    return `${bom ? UTF8_BOM : ''}${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Build the session attendance CSV from the JSON export.
+   * Students who attended come first in marking order, then excused, absent and unenrolled students.
+   * @param {Object} exportData - Data produced by the session export route
+   * @returns {string} CSV text
+   */
+  buildSessionCsv(exportData) {
+    const { attendance } = exportData;
+
+    const rows = [
+      ...attendance.present.map(record => ({ ...record, enrolled: 'Yes' })),
+      ...(attendance.excused || []).map(record => ({ ...record, enrolled: 'Yes' })),
+      ...attendance.absent.map(student => ({ ...student, status: 'absent', timestamp: null, enrolled: 'Yes' })),
+      ...(attendance.unenrolled || []).map(record => ({ ...record, enrolled: 'No' }))
+    ];
+
+    return this.toCsv(SESSION_CSV_COLUMNS, rows);
+  }
+
+  /**
+   * Build the course defaulter report CSV
+   * @param {Object} report - Result of CourseReportService.getDefaulterReport
+   * @returns {string} CSV text
+   */
+  buildDefaulterCsv(report) {
+    const rows = report.students.map(student => ({
+      ...student,
+      defaulter: student.defaulter ? 'Yes' : 'No'
+    }));
+    return this.toCsv(DEFAULTER_CSV_COLUMNS, rows);
+  }
+
+  /**
+   * Label a session column with its start time in UTC (e.g. "2024-01-15 10:00")
+   * @param {Object} session - Session from the attendance matrix
+   * @returns {string} Column label
+   */
+  formatSessionLabel(session) {
+    return this.formatUtc(session.startTime);
+  }
+
+  /**
+   * Build the course section workbook: an attendance matrix sheet and a sessions sheet
+   * @param {Object} matrix - Result of CourseReportService.getAttendanceMatrix
+   * @returns {Buffer} .xlsx file contents
+   */
+  buildCourseWorkbook(matrix) {
+    const statusKeys = Object.keys(STATUS_CODES);
+
+    const attendanceRows = [
+      [
+        ...MATRIX_STUDENT_COLUMNS.map(column => column.header),
+        ...matrix.sessions.map(session => this.formatSessionLabel(session)),
+        ...statusKeys.map(status => STATUS_LABELS[status]),
+        'Attendance %'
+      ],
+      ...matrix.students.map(student => [
+        ...MATRIX_STUDENT_COLUMNS.map(column => column.key === 'enrolled'
+          ? (student.enrolled ? 'Yes' : 'No')
+          : student[column.key]),
+        ...student.statuses.map(status => (status === 'open' ? OPEN_CODE : STATUS_CODES[status] || null)),
+        ...statusKeys.map(status => student.counts[status]),
+        student.percentage
+      ])
+    ];
+
+    const sessionRows = [
+      ['#', 'Started (UTC)', 'Ended (UTC)', 'Session ID', ...statusKeys.map(status => STATUS_LABELS[status])],
+      ...matrix.sessions.map((session, index) => [
+        index + 1,
+        this.formatSessionLabel(session),
+        session.endTime ? this.formatUtc(session.endTime) : 'In progress',
+        session.id,
+        ...statusKeys.map(status => matrix.students.filter(student => student.statuses[index] === status).length)
+      ]),
+      [],
+      ['Key'],
+      ...statusKeys.map(status => [STATUS_CODES[status], STATUS_LABELS[status]]),
+      [OPEN_CODE, 'In progress, not marked yet']
+    ];
+
+    return this.xlsxService.createWorkbook([
+      {
+        name: 'Attendance',
+        rows: attendanceRows,
+        columnWidths: [
+          ...MATRIX_STUDENT_COLUMNS.map(column => column.width),
+          ...matrix.sessions.map(() => 17),
+          ...statusKeys.map(() => 9),
+          13
+        ],
+        freezeColumns: 2
+      },
+      {
+        name: 'Sessions',
+        rows: sessionRows,
+        columnWidths: [5, 17, 17, 38, 9, 9, 9, 9]
+      }
+    ]);
+  }
+
+  /**
+   * Build the printable attendance sheet for a session from the JSON export
+   * @param {Object} exportData - Data produced by the session export route
+   * @param {Object} [options] - Sheet options
+   * @param {string} [options.facultyName] - Name printed above the signature line
+   * @returns {Buffer} PDF file contents
+   */
+  buildSessionPdf(exportData, options = {}) {
+    const { sessionInfo, attendance, summary } = exportData;
+    const excused = attendance.excused || [];
+    const unenrolled = attendance.unenrolled || [];
+    const byStatus = summary.byStatus || {};
+
+    const toPresentRow = (record, index) => [
+      index + 1,
+      record.rollNumber,
+      record.name,
+      record.email,
+      STATUS_LABELS[record.status] || STATUS_LABELS.present,
+      this.formatUtc(record.timestamp, true).slice(11)
+    ];
+    const toAbsentRow = (student, index) => [
+      index + 1,
+      student.rollNumber,
+      student.name,
+      student.email,
+      student.branch,
+      student.year
+    ];
+
+    const blocks = [
+      { type: 'title', text: 'Attendance Sheet' },
+      { type: 'text', text: `${sessionInfo.courseName} (${sessionInfo.courseCode}) - Section ${sessionInfo.section}`, bold: true },
+      { type: 'text', text: `Started: ${this.formatUtc(sessionInfo.startTime)} UTC` },
+      { type: 'text', text: `Ended: ${sessionInfo.endTime ? `${this.formatUtc(sessionInfo.endTime)} UTC` : 'In progress'}` },
+      { type: 'text', text: `Session ID: ${sessionInfo.id}` },
+      {
+        type: 'text',
+        text: `Attended: ${summary.presentCount} of ${summary.totalStudents - excused.length} (${summary.attendancePercentage}%)` +
+          ` - Late: ${byStatus.late || 0}, Excused: ${excused.length}, Absent: ${summary.absentCount}`
+      },
+      { type: 'heading', text: `Present (${attendance.present.length})` },
+      attendance.present.length > 0
+        ? { type: 'table', columns: SHEET_PRESENT_COLUMNS, rows: attendance.present.map(toPresentRow) }
+        : { type: 'text', text: 'No students marked attendance.' }
+    ];
+
+    if (excused.length > 0) {
+      blocks.push(
+        { type: 'heading', text: `Excused (${excused.length})` },
+        { type: 'table', columns: SHEET_PRESENT_COLUMNS, rows: excused.map(toPresentRow) }
+      );
+    }
+
+    blocks.push(
+      { type: 'heading', text: `Absent (${attendance.absent.length})` },
+      attendance.absent.length > 0
+        ? { type: 'table', columns: SHEET_ABSENT_COLUMNS, rows: attendance.absent.map(toAbsentRow) }
+        : { type: 'text', text: 'No enrolled students were absent.' }
+    );
+
+    if (unenrolled.length > 0) {
+      blocks.push(
+        { type: 'heading', text: `Marked but not enrolled (${unenrolled.length})` },
+        { type: 'table', columns: SHEET_PRESENT_COLUMNS, rows: unenrolled.map(toPresentRow) }
+      );
+    }
+
+    blocks.push(
+      { type: 'spacer', height: 10 },
+      { type: 'text', text: `Faculty: ${options.facultyName || ''}` },
+      { type: 'signature', labels: ['Faculty signature', 'Date'] }
+    );
+
+    return this.pdfService.render(blocks, {
+      title: `Attendance - ${sessionInfo.courseCode} ${sessionInfo.section}`,
+      footer: `Generated ${this.formatUtc(exportData.exportedAt)} UTC - Marked At times are UTC`
+    });
+  }
+}
+
+module.exports = AttendanceExportService;
+module.exports.UTF8_BOM = UTF8_BOM;
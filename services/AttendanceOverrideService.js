@@ -0,0 +1,175 @@
+const Session = require('../models/Session');
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const AttendanceAudit = require('../models/AttendanceAudit');
+const AttendanceFlag = require('../models/AttendanceFlag');
+
+const { ATTENDANCE_STATUSES } = Attendance;
+
+class AttendanceOverrideService {
+  constructor(database) {
+    this.sessionModel = new Session(database);
+    this.studentModel = new Student(database);
+    this.attendanceModel = new Attendance(database);
+    this.auditModel = new AttendanceAudit(database);
+    this.flagModel = new AttendanceFlag(database);
+  }
+
+  /**
+   * Load a session and check that it belongs to the faculty member
+   * @param {string} sessionId - Session ID
+   * @param {string} facultyId - Faculty ID
+   * @returns {Promise<Object>} Session, or an error with its AppError code
+   */
+  async getOwnedSession(sessionId, facultyId) {
+    const session = await this.sessionModel.findById(sessionId);
+    if (!session) {
+      return { success: false, code: 'SESSION_NOT_FOUND', error: 'Session not found' };
+    }
+    if (session.faculty_id !== facultyId) {
+      return { success: false, code: 'SESSION_UNAUTHORIZED', error: 'Unauthorized: Session belongs to different faculty' };
+    }
+    return { success: true, session };
+  }
+
+  /**
+   * Get a student's current status in a session
+   * @param {Object} record - Attendance record, if any
+   * @returns {string} Status
+   */
+  getStatus(record) {
+    return record ? record.status || 'present' : 'absent';
+  }
+
+  /**
+   * Set a student's attendance status for a session and record the change in the audit trail.
+   * Works on ended sessions too, since most corrections are made after class.
+   * @param {string} sessionId - Session ID
+   * @param {string} studentEmail - Student email
+   * @param {string} status - New status ('present', 'late', 'excused' or 'absent')
+   * @param {Object} change - Who is making the change and why
+   * @param {string} change.facultyId - Faculty making the change
+   * @param {string} change.reason - Reason for the change
+   * @returns {Promise<Object>} Change result with the audit entry, or an error with its AppError code
+   */
+  async setStatus(sessionId, studentEmail, status, { facultyId, reason }) {
+    try {
+      if (!ATTENDANCE_STATUSES.includes(status)) {
+        return { success: false, code: 'INVALID_INPUT', error: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}` };
+      }
+      if (typeof reason !== 'string' || reason.trim() === '') {
+        return { success: false, code: 'MISSING_PARAMETERS', error: 'A reason is required for manual attendance changes' };
+      }
+
+      const sessionResult = await this.getOwnedSession(sessionId, facultyId);
+      if (!sessionResult.success) {
+        return sessionResult;
+      }
+
+      const student = await this.studentModel.findByEmail(studentEmail);
+      if (!student) {
+        return { success: false, code: 'STUDENT_NOT_FOUND', error: `Student not found: ${studentEmail}` };
+      }
+
+      const existing = await this.attendanceModel.findBySessionAndStudent(sessionId, studentEmail);
+      const previousStatus = this.getStatus(existing);
+
+      if (previousStatus === status) {
+        return status === 'absent'
+          ? { success: false, code: 'ATTENDANCE_NOT_FOUND', error: 'Student has no attendance record for this session' }
+          : { success: false, code: 'ALREADY_MARKED', error: `Student is already marked ${status} for this session` };
+      }
+
+      // Absent means no row, so changes to or from absent add or remove the record
+      let attendance = null;
+      let action;
+      let removedRecord = null;
+      let flagsConfirmed = 0;
+      if (status === 'absent') {
+        // The deleted row is the only record of the scan, so the audit entry keeps a copy of it
+        removedRecord = existing;
+        await this.attendanceModel.removeBySessionAndStudent(sessionId, studentEmail);
+        // Removing a flagged mark settles its review: the suspicion was upheld
+        flagsConfirmed = await this.flagModel.reviewOpenByAttendance(existing.id, 'confirmed', facultyId);
+        action = 'remove';
+      } else if (previousStatus === 'absent') {
+        attendance = await this.attendanceModel.markAttendance(sessionId, studentEmail, { markedBy: facultyId, status });
+        action = 'add';
+      } else {
+        await this.attendanceModel.updateStatus(sessionId, studentEmail, status);
+        attendance = await this.attendanceModel.findBySessionAndStudent(sessionId, studentEmail);
+        action = 'update';
+      }
+
+      const audit = await this.auditModel.create({
+        sessionId,
+        studentEmail,
+        facultyId,
+        action,
+        previousStatus,
+        newStatus: status,
+        reason: reason.trim(),
+        removedRecord
+      });
+
+      return {
+        success: true,
+        session: sessionResult.session,
+        student,
+        action,
+        previousStatus,
+        status,
+        attendance,
+        flagsConfirmed,
+        audit
+      };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+
+  /**
+   * Mark a student present by hand (e.g. their phone was dead)
+   * @param {string} sessionId - Session ID
+   * @param {string} studentEmail - Student email
+   * @param {Object} change - facultyId and reason
+   * @returns {Promise<Object>} Change result
+   */
+  async addAttendance(sessionId, studentEmail, change) {
+    return this.setStatus(sessionId, studentEmail, 'present', change);
+  }
+
+  /**
+   * Remove a student's attendance mark (e.g. a fraudulent scan). The removed row is kept
+   * on the audit entry and the mark's open suspicious-activity flags are confirmed.
+   * @param {string} sessionId - Session ID
+   * @param {string} studentEmail - Student email
+   * @param {Object} change - facultyId and reason
+   * @returns {Promise<Object>} Change result
+   */
+  async removeAttendance(sessionId, studentEmail, change) {
+    return this.setStatus(sessionId, studentEmail, 'absent', change);
+  }
+
+  /**
+   * Get the manual change history for a session
+   * @param {string} sessionId - Session ID
+   * @param {string} facultyId - Faculty ID
+   * @returns {Promise<Object>} Audit entries, or an error with its AppError code
+   */
+  async getAuditTrail(sessionId, facultyId) {
+    try {
+      const sessionResult = await this.getOwnedSession(sessionId, facultyId);
+      if (!sessionResult.success) {
+        return sessionResult;
+      }
+
+      const entries = await this.auditModel.findBySession(sessionId);
+      return { success: true, entries };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+}
+
+module.exports = AttendanceOverrideService;
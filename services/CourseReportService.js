@@ -0,0 +1,316 @@
+const Session = require('../models/Session');
+const Course = require('../models/Course');
+const Attendance = require('../models/Attendance');
+
+// Single-letter codes used in attendance registers
+const STATUS_CODES = {
+  present: 'P',
+  late: 'L',
+  excused: 'E',
+  absent: 'A'
+};
+
+// Attendance percentage below which a student is a defaulter when DEFAULTER_THRESHOLD_PERCENT is not set
+const DEFAULT_DEFAULTER_THRESHOLD = 75;
+// Percentage points above the threshold at which students are warned they are close to it
+const DEFAULT_WARNING_MARGIN = 5;
+
+class CourseReportService {
+  /**
+   * @param {Object} database - Database wrapper
+   * @param {Object} [options] - Report options
+   * @param {number} [options.defaulterThreshold] - Default defaulter threshold in percent
+   *   (default: DEFAULTER_THRESHOLD_PERCENT or 75)
+   * @param {number} [options.warningMargin] - Percentage points above the threshold that trigger a warning
+   *   (default: DEFAULTER_WARNING_MARGIN_PERCENT or 5)
+   */
+  constructor(database, options = {}) {
+    this.sessionModel = new Session(database);
+    this.courseModel = new Course(database);
+    this.attendanceModel = new Attendance(database);
+
+    const envThreshold = parseFloat(process.env.DEFAULTER_THRESHOLD_PERCENT);
+    this.defaulterThreshold = options.defaulterThreshold ??
+      (this.isValidThreshold(envThreshold) ? envThreshold : DEFAULT_DEFAULTER_THRESHOLD);
+
+    const envMargin = parseFloat(process.env.DEFAULTER_WARNING_MARGIN_PERCENT);
+    this.warningMargin = options.warningMargin ??
+      (this.isValidThreshold(envMargin) ? envMargin : DEFAULT_WARNING_MARGIN);
+  }
+
+  /**
+   * Check a defaulter threshold
+   * @param {number} threshold - Threshold in percent
+   * @returns {boolean} True if it is a number from 0 to 100
+   */
+  isValidThreshold(threshold) {
+    return typeof threshold === 'number' && Number.isFinite(threshold) && threshold >= 0 && threshold <= 100;
+  }
+
+  /**
+   * Work out a student's attendance percentage.
+   * Late counts as attended; excused sessions are left out of the total.
+   * @param {Object} counts - Session counts by status
+   * @returns {number|null} Percentage rounded to two decimals, or null with nothing to count
+   */
+  calculatePercentage(counts) {
+    const countable = counts.present + counts.late + counts.absent;
+    if (countable === 0) {
+      return null;
+    }
+    return Math.round(((counts.present + counts.late) / countable) * 10000) / 100;
+  }
+
+  /**
+   * Build the students x sessions attendance matrix for a faculty member's course section.
+   * Enrolled students without a mark in a session still running are 'open' and left out of the counts.
+   * @param {string} courseCode - Course code
+   * @param {string} section - Section
+   * @param {string} facultyId - Faculty ID; only their sessions are included
+   * @returns {Promise<Object>} Sessions and one row per student, or an error with its AppError code
+   */
+  async getAttendanceMatrix(courseCode, section, facultyId) {
+    try {
+      const sessions = await this.sessionModel.findByCourseSection(courseCode, section, facultyId);
+      if (sessions.length === 0) {
+        return {
+          success: false,
+          code: 'COURSE_NOT_FOUND',
+          error: `No attendance sessions found for ${courseCode} section ${section}`
+        };
+      }
+
+      const [roster, marks] = await Promise.all([
+        this.courseModel.getRoster(courseCode, section),
+        this.attendanceModel.getCourseSectionAttendance(courseCode, section, facultyId)
+      ]);
+
+      // Enrolled students first, then anyone who marked attendance without being on the roster
+      const students = new Map();
+      roster.forEach(student => {
+        students.set(student.email, {
+          email: student.email,
+          name: student.name,
+          rollNumber: student.roll_number,
+          branch: student.branch,
+          year: student.year,
+          enrolled: true,
+          marks: new Map()
+        });
+      });
+
+      marks.forEach(mark => {
+        if (!students.has(mark.student_email)) {
+          students.set(mark.student_email, {
+            email: mark.student_email,
+            name: mark.student_name,
+            rollNumber: mark.roll_number,
+            branch: mark.branch,
+            year: mark.year,
+            enrolled: false,
+            marks: new Map()
+          });
+        }
+        students.get(mark.student_email).marks.set(mark.session_id, mark.status || 'present');
+      });
+
+      const rows = Array.from(students.values()).map(({ marks: studentMarks, ...student }) => {
+        const counts = { present: 0, late: 0, excused: 0, absent: 0 };
+
+        // Students outside the roster were never expected, so a missing mark is blank rather than absent.
+        // Sessions still running are 'open' until the student marks or the session ends, and are not counted.
+        const statuses = sessions.map(session => {
+          const missing = session.is_active ? 'open' : 'absent';
+          const status = studentMarks.get(session.id) || (student.enrolled ? missing : null);
+          if (counts[status] !== undefined) {
+            counts[status]++;
+          }
+          return status;
+        });
+
+        return {
+          ...student,
+          statuses,
+          counts,
+          percentage: this.calculatePercentage(counts)
+        };
+      });
+
+      return {
+        success: true,
+        courseCode,
+        section,
+        courseName: sessions[sessions.length - 1].course_name,
+        sessions: sessions.map(session => ({
+          id: session.id,
+          startTime: session.start_time,
+          endTime: session.end_time,
+          isActive: !!session.is_active
+        })),
+        students: rows
+      };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+
+  /**
+   * Build the attendance percentage and defaulter report for a faculty member's course section.
+   * Lists every enrolled student; late counts as attended and excused sessions are left out of the total.
+   * @param {string} courseCode - Course code
+   * @param {string} section - Section
+   * @param {string} facultyId - Faculty ID; only their sessions are included
+   * @param {Object} [options] - Report options
+   * @param {number} [options.threshold] - Defaulter threshold in percent (default: the service default)
+   * @returns {Promise<Object>} One entry per enrolled student, or an error with its AppError code
+   */
+  async getDefaulterReport(courseCode, section, facultyId, options = {}) {
+    const threshold = options.threshold ?? this.defaulterThreshold;
+    if (!this.isValidThreshold(threshold)) {
+      return { success: false, code: 'INVALID_INPUT', error: 'Threshold must be a number from 0 to 100' };
+    }
+
+    const matrix = await this.getAttendanceMatrix(courseCode, section, facultyId);
+    if (!matrix.success) {
+      return matrix;
+    }
+
+    const students = matrix.students
+      .filter(student => student.enrolled)
+      .map(student => ({
+        email: student.email,
+        name: student.name,
+        rollNumber: student.rollNumber,
+        branch: student.branch,
+        year: student.year,
+        attended: student.counts.present + student.counts.late,
+        total: student.counts.present + student.counts.late + student.counts.absent,
+        late: student.counts.late,
+        excused: student.counts.excused,
+        percentage: student.percentage,
+        // Students excused from every session have no percentage and are not defaulters
+        defaulter: student.percentage !== null && student.percentage < threshold
+      }));
+
+    return {
+      success: true,
+      courseCode,
+      section,
+      courseName: matrix.courseName,
+      threshold,
+      totalSessions: matrix.sessions.length,
+      summary: {
+        totalStudents: students.length,
+        defaulterCount: students.filter(student => student.defaulter).length
+      },
+      students
+    };
+  }
+
+  /**
+   * Classify an attendance percentage against the defaulter threshold
+   * @param {number|null} percentage - Attendance percentage
+   * @returns {string} 'defaulter' below the threshold, 'warning' within the warning margin above it,
+   *   otherwise 'ok' (also when there is nothing to count yet)
+   */
+  getStanding(percentage) {
+    if (percentage === null) {
+      return 'ok';
+    }
+    if (percentage < this.defaulterThreshold) {
+      return 'defaulter';
+    }
+    if (percentage < this.defaulterThreshold + this.warningMargin) {
+      return 'warning';
+    }
+    return 'ok';
+  }
+
+  /**
+   * Build a student's attendance history grouped by course section.
+   * Covers every session of the course sections they are enrolled in plus any other session they marked.
+   * Sessions still running that the student has not marked yet are 'open' and left out of the percentage.
+   * @param {string} studentEmail - Student email
+   * @returns {Promise<Object>} Courses with sessions, counts, percentage and standing
+   */
+  async getStudentHistory(studentEmail) {
+    try {
+      const [enrolledSessions, marks] = await Promise.all([
+        this.sessionModel.findForStudent(studentEmail),
+        this.attendanceModel.getStudentAttendance(studentEmail)
+      ]);
+
+      const marksBySession = new Map(marks.map(mark => [mark.session_id, mark]));
+      const courses = new Map();
+
+      const getCourse = (courseCode, section, courseName, enrolled) => {
+        const key = `${courseCode}|${section}`;
+        if (!courses.has(key)) {
+          courses.set(key, { courseCode, section, courseName, enrolled, sessions: [] });
+        }
+        return courses.get(key);
+      };
+
+      enrolledSessions.forEach(session => {
+        const course = getCourse(session.course_code, session.section, session.course_name, true);
+        course.courseName = session.course_name;
+
+        const mark = marksBySession.get(session.id);
+        marksBySession.delete(session.id);
+        course.sessions.push({
+          sessionId: session.id,
+          startTime: session.start_time,
+          endTime: session.end_time,
+          status: mark ? mark.status || 'present' : (session.is_active ? 'open' : 'absent'),
+          markedAt: mark ? mark.timestamp : null
+        });
+      });
+
+      // Marks in course sections the student is not enrolled in (getStudentAttendance is newest first)
+      Array.from(marksBySession.values()).reverse().forEach(mark => {
+        const course = getCourse(mark.course_code, mark.section, mark.course_name, false);
+        course.sessions.push({
+          sessionId: mark.session_id,
+          startTime: mark.start_time,
+          endTime: null,
+          status: mark.status || 'present',
+          markedAt: mark.timestamp
+        });
+      });
+
+      const courseList = Array.from(courses.values()).map(course => {
+        const counts = { present: 0, late: 0, excused: 0, absent: 0 };
+        course.sessions.forEach(session => {
+          if (counts[session.status] !== undefined) {
+            counts[session.status]++;
+          }
+        });
+        const percentage = this.calculatePercentage(counts);
+
+        return {
+          ...course,
+          attended: counts.present + counts.late,
+          total: counts.present + counts.late + counts.absent,
+          counts,
+          percentage,
+          standing: this.getStanding(percentage)
+        };
+      });
+
+      courseList.sort((a, b) => a.courseCode.localeCompare(b.courseCode) || a.section.localeCompare(b.section));
+
+      return {
+        success: true,
+        threshold: this.defaulterThreshold,
+        warningMargin: this.warningMargin,
+        courses: courseList
+      };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+}
+
+module.exports = CourseReportService;
+module.exports.STATUS_CODES = STATUS_CODES;
+module.exports.DEFAULT_DEFAULTER_THRESHOLD = DEFAULT_DEFAULTER_THRESHOLD;
@@ -0,0 +1,164 @@
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const StudentImportService = require('./StudentImportService');
+
+// Accepted header spellings for each roster column
+const HEADER_ALIASES = {
+  roll_number: 'rollNumber',
+  rollnumber: 'rollNumber',
+  roll: 'rollNumber',
+  email: 'email'
+};
+
+class CourseRosterService {
+  constructor(database) {
+    this.courseModel = new Course(database);
+    this.studentModel = new Student(database);
+    // Shares the CSV parser with the student import
+    this.csvParser = new StudentImportService(database);
+  }
+
+  /**
+   * Enroll the students listed in a CSV into a course section
+   * @param {string} courseCode - Course code (e.g. CSE101)
+   * @param {string} section - Section letter
+   * @param {string} csvText - CSV with an email or roll_number column, one student per row
+   * @param {Object} [options] - Import options
+   * @param {string} [options.courseName] - Name for the course section if it does not exist yet
+   * @param {boolean} [options.replace=false] - Unenroll students who are not in the file
+   * @param {boolean} [options.dryRun=false] - Validate and report without writing to the database
+   * @returns {Promise<Object>} Import summary with a per-row error report
+   */
+  async importCsv(courseCode, section, csvText, options = {}) {
+    const dryRun = !!options.dryRun;
+    const replace = !!options.replace;
+    const records = this.mapRows(this.csvParser.parseCsv(csvText));
+
+    const summary = { totalRows: records.length, enrolled: 0, alreadyEnrolled: 0, unenrolled: 0, failed: 0 };
+    const errors = [];
+    const listedEmails = new Set();
+
+    if (!dryRun) {
+      await this.courseModel.create({ courseCode, section, courseName: options.courseName });
+    }
+
+    for (const record of records) {
+      const rowErrors = [];
+      const student = await this.findStudent(record.values, rowErrors);
+
+      if (student && listedEmails.has(student.email)) {
+        rowErrors.push(`Duplicate student ${student.email} in file`);
+      }
+
+      if (rowErrors.length === 0) {
+        listedEmails.add(student.email);
+
+        const alreadyEnrolled = await this.courseModel.isEnrolled(courseCode, section, student.email);
+        if (!alreadyEnrolled && !dryRun) {
+          await this.courseModel.enrollStudent(courseCode, section, student.email);
+        }
+        summary[alreadyEnrolled ? 'alreadyEnrolled' : 'enrolled']++;
+        continue;
+      }
+
+      summary.failed++;
+      errors.push({
+        row: record.line,
+        rollNumber: record.values.rollNumber || null,
+        email: record.values.email || null,
+        errors: rowErrors
+      });
+    }
+
+    // A file with bad rows never shrinks the roster, so a typo cannot unenroll a student
+    if (replace && summary.failed === 0) {
+      const roster = await this.courseModel.getRoster(courseCode, section);
+      for (const student of roster) {
+        if (!listedEmails.has(student.email)) {
+          if (!dryRun) {
+            await this.courseModel.unenrollStudent(courseCode, section, student.email);
+          }
+          summary.unenrolled++;
+        }
+      }
+    }
+
+    return {
+      success: true,
+      dryRun,
+      replace,
+      courseCode,
+      section,
+      summary,
+      errors
+    };
+  }
+
+  /**
+   * Look up the student a roster row refers to
+   * @param {Object} values - Raw column values keyed by field name
+   * @param {Array<string>} errors - Row errors to append to
+   * @returns {Promise<Object|null>} Student record, or null if the row does not match one
+   */
+  async findStudent(values, errors) {
+    const email = (values.email || '').trim().toLowerCase();
+    const rollNumber = (values.rollNumber || '').trim();
+
+    if (!email && !rollNumber) {
+      errors.push('Email or roll number is required');
+      return null;
+    }
+
+    const student = email
+      ? await this.studentModel.findByEmail(email)
+      : await this.studentModel.findByRollNumber(rollNumber);
+
+    if (!student) {
+      errors.push(`No student with ${email ? `email ${email}` : `roll number ${rollNumber}`}; import the student first`);
+      return null;
+    }
+
+    if (email && rollNumber && student.roll_number !== rollNumber) {
+      errors.push(`Roll number ${rollNumber} does not match ${email} (${student.roll_number})`);
+      return null;
+    }
+
+    return student;
+  }
+
+  /**
+   * Map parsed CSV rows to field values. Without a header row, each row is a single
+   * email or roll number.
+   * @param {Array<Object>} rows - Parsed rows ({ line, cells })
+   * @returns {Array<Object>} Records ({ line, values })
+   */
+  mapRows(rows) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const headerCells = rows[0].cells.map(cell => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+    if (headerCells.some(cell => HEADER_ALIASES[cell])) {
+      const columns = headerCells.map(cell => HEADER_ALIASES[cell] || null);
+      return rows.slice(1).map(row => {
+        const values = {};
+        columns.forEach((field, index) => {
+          if (field) {
+            values[field] = row.cells[index] || '';
+          }
+        });
+        return { line: row.line, values };
+      });
+    }
+
+    return rows.map(row => {
+      const value = row.cells[0].trim();
+      return {
+        line: row.line,
+        values: value.includes('@') ? { email: value } : { rollNumber: value }
+      };
+    });
+  }
+}
+
+module.exports = CourseRosterService;
@@ -2,6 +2,8 @@ const Database = require('../config/database');
 const Session = require('../models/Session');
 const Student = require('../models/Student');
 const Attendance = require('../models/Attendance');
+const Faculty = require('../models/Faculty');
+const Course = require('../models/Course');
 
 class DatabaseService {
   constructor() {
@@ -9,6 +11,8 @@ class DatabaseService {
     this.sessionModel = null;
     this.studentModel = null;
     this.attendanceModel = null;
+    this.facultyModel = null;
+    this.courseModel = null;
     this.isInitialized = false;
   }
 
@@ -21,13 +25,19 @@ class DatabaseService {
       // Initialize database connection
       this.db = new Database();
       await this.db.connect();
-      await this.db.initializeSchema();
-      await this.db.insertHardcodedStudents();
+
+      // Bring the schema up to date before anything queries it
+      const applied = await this.db.migrate();
+      if (applied.length > 0) {
+        console.log(`Applied ${applied.length} database migration(s): ${applied.map(migration => migration.file).join(', ')}`);
+      }
 
       // Initialize models
       this.sessionModel = new Session(this.db);
       this.studentModel = new Student(this.db);
       this.attendanceModel = new Attendance(this.db);
+      this.facultyModel = new Faculty(this.db);
+      this.courseModel = new Course(this.db);
 
       this.isInitialized = true;
       console.log('Database service initialized successfully');
@@ -53,6 +63,16 @@ class DatabaseService {
     return this.attendanceModel;
   }
 
+  getFacultyModel() {
+    this.ensureInitialized();
+    return this.facultyModel;
+  }
+
+  getCourseModel() {
+    this.ensureInitialized();
+    return this.courseModel;
+  }
+
   // Direct database access (for advanced queries)
   getDatabase() {
     this.ensureInitialized();
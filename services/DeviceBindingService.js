@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Device = require('../models/Device');
+
+const DEVICE_COOKIE_NAME = 'qtrack_device';
+const DEVICE_COOKIE_MAX_AGE_MS = 2 * 365 * 24 * 60 * 60 * 1000;
+const BINDING_MODES = ['flag', 'reject', 'off'];
+
+class DeviceBindingService {
+  /**
+   * @param {Object} database - Database wrapper
+   * @param {Object} options - Device binding options
+   * @param {string} options.secret - Key used to sign device cookies (default: DEVICE_COOKIE_SECRET or SESSION_SECRET)
+   * @param {string} options.mode - 'flag' (default) records suspicious marks, 'reject' refuses them, 'off' skips the check
+   */
+  constructor(database, options = {}) {
+    this.deviceModel = new Device(database);
+    this.secret = options.secret ||
+      process.env.DEVICE_COOKIE_SECRET ||
+      process.env.SESSION_SECRET ||
+      'fallback-secret-key';
+
+    const mode = options.mode || process.env.DEVICE_BINDING_MODE || 'flag';
+    this.mode = BINDING_MODES.includes(mode) ? mode : 'flag';
+  }
+
+  /**
+   * Sign a device ID for storage in a cookie
+   * @param {string} deviceId - Device ID
+   * @returns {string} Cookie value in the form <deviceId>.<signature>
+   */
+  sign(deviceId) {
+    const signature = crypto.createHmac('sha256', this.secret).update(deviceId).digest('base64url');
+    return `${deviceId}.${signature}`;
+  }
+
+  /**
+   * Verify a signed cookie value
+   * @param {string} value - Cookie value
+   * @returns {string|null} Device ID, or null if the signature does not match
+   */
+  verify(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const separator = value.lastIndexOf('.');
+    if (separator <= 0) {
+      return null;
+    }
+
+    const deviceId = value.slice(0, separator);
+    const expected = Buffer.from(this.sign(deviceId));
+    const actual = Buffer.from(value);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return deviceId;
+  }
+
+  /**
+   * Read the device ID from the request's signed device cookie
+   * @param {Object} req - Express request
+   * @returns {string|null} Device ID, or null if missing or tampered with
+   */
+  readDeviceId(req) {
+    const header = req.headers && req.headers.cookie;
+    if (!header) {
+      return null;
+    }
+
+    for (const part of header.split(';')) {
+      const separator = part.indexOf('=');
+      if (separator === -1) continue;
+
+      if (part.slice(0, separator).trim() === DEVICE_COOKIE_NAME) {
+        try {
+          return this.verify(decodeURIComponent(part.slice(separator + 1).trim()));
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the request's device ID, issuing a new signed cookie if it has none
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {string} Device ID
+   */
+  ensureDeviceId(req, res) {
+    const existing = this.readDeviceId(req);
+    if (existing) {
+      return existing;
+    }
+
+    const deviceId = uuidv4();
+    res.cookie(DEVICE_COOKIE_NAME, this.sign(deviceId), {
+      maxAge: DEVICE_COOKIE_MAX_AGE_MS,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production'
+    });
+    return deviceId;
+  }
+
+  /**
+   * Bind the request's device to a student on their first login.
+   * Later logins from other devices are not bound, so those devices stay flagged.
+   * A device already bound to another student is never bound again, so one phone
+   * cannot become the registered device of a whole group of students.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} studentEmail - Student who just signed in
+   * @returns {Promise<Object>} Device ID, whether it is bound to the student, and the
+   *   student it already belongs to (boundToOther) when the binding was refused
+   */
+  async bindOnLogin(req, res, studentEmail) {
+    const deviceId = this.ensureDeviceId(req, res);
+    const devices = await this.deviceModel.findByStudent(studentEmail);
+
+    if (devices.length === 0) {
+      const boundToOther = await this.deviceModel.findOtherStudent(deviceId, studentEmail);
+      if (boundToOther) {
+        return { deviceId, bound: false, boundToOther };
+      }
+
+      await this.deviceModel.bind(deviceId, studentEmail, req.get ? req.get('User-Agent') : null);
+      return { deviceId, bound: true };
+    }
+
+    const bound = devices.some(device => device.device_id === deviceId);
+    if (bound) {
+      await this.deviceModel.touch(deviceId, studentEmail);
+    }
+    return { deviceId, bound };
+  }
+
+  /**
+   * Check the device a mark comes from
+   * @param {Object} req - Express request
+   * @param {string} sessionId - Session being marked
+   * @param {string} studentEmail - Student being marked present
+   * @returns {Promise<Object>} allowed, flag ('unbound' or 'shared'), reason and device ID
+   */
+  async checkDevice(req, sessionId, studentEmail) {
+    const deviceId = this.readDeviceId(req);
+
+    if (this.mode === 'off') {
+      return { allowed: true, flag: null, deviceId };
+    }
+
+    const rejectFlagged = this.mode === 'reject';
+
+    if (!deviceId || !(await this.deviceModel.isBound(deviceId, studentEmail))) {
+      return {
+        allowed: !rejectFlagged,
+        flag: 'unbound',
+        reason: 'Device is not registered to this student',
+        deviceId
+      };
+    }
+
+    const otherStudent = await this.deviceModel.findOtherStudentInSession(deviceId, sessionId, studentEmail);
+    if (otherStudent) {
+      return {
+        allowed: !rejectFlagged,
+        flag: 'shared',
+        reason: 'Device was already used by another student in this session',
+        deviceId
+      };
+    }
+
+    return { allowed: true, flag: null, deviceId };
+  }
+}
+
+module.exports = DeviceBindingService;
+module.exports.DEVICE_COOKIE_NAME = DEVICE_COOKIE_NAME;
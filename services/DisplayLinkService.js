@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const Attendance = require('../models/Attendance');
+const SessionService = require('./SessionService');
+
+// How long a display link works when DISPLAY_LINK_TTL_MINUTES is not set
+const DEFAULT_TTL_MINUTES = 240;
+
+class DisplayLinkService {
+  /**
+   * @param {Object} database - Database wrapper
+   * @param {Object} [options] - Display link options
+   * @param {string} [options.secret] - Key used to sign display tokens (default: DISPLAY_LINK_SECRET or SESSION_SECRET)
+   * @param {number} [options.ttlMinutes] - How long a link works (default: DISPLAY_LINK_TTL_MINUTES or 240)
+   * @param {Object} [options.sessionService] - Session service used to build the current QR code
+   */
+  constructor(database, options = {}) {
+    this.sessionModel = new Session(database);
+    this.attendanceModel = new Attendance(database);
+    this.sessionService = options.sessionService || new SessionService(database);
+    this.secret = options.secret ||
+      process.env.DISPLAY_LINK_SECRET ||
+      process.env.SESSION_SECRET ||
+      'fallback-secret-key';
+
+    const envTtlMinutes = parseInt(process.env.DISPLAY_LINK_TTL_MINUTES, 10);
+    this.ttlMinutes = options.ttlMinutes ||
+      (envTtlMinutes > 0 ? envTtlMinutes : DEFAULT_TTL_MINUTES);
+  }
+
+  /**
+   * Sign a session ID and expiry time
+   * @param {string} sessionId - Session ID
+   * @param {number} expiresAtMs - Expiry time in milliseconds since the epoch
+   * @returns {string} Token in the form <sessionId>.<expiresAtMs>.<signature>
+   */
+  sign(sessionId, expiresAtMs) {
+    const payload = `${sessionId}.${expiresAtMs}`;
+    const signature = crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+  }
+
+  /**
+   * Check a display token's signature and expiry. Does not look at the session itself.
+   * @param {string} token - Display token
+   * @param {Date} [now] - Current time
+   * @returns {Object|null} { sessionId, expiresAt }, or null if the token is forged or has expired
+   */
+  verifyToken(token, now = new Date()) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3 || !/^\d+$/.test(parts[1])) {
+      return null;
+    }
+
+    const [sessionId, expiresAtText] = parts;
+    const expected = Buffer.from(this.sign(sessionId, expiresAtText));
+    const actual = Buffer.from(token);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const expiresAt = new Date(Number(expiresAtText));
+    if (expiresAt <= now) {
+      return null;
+    }
+    return { sessionId, expiresAt };
+  }
+
+  /**
+   * Issue a read-only display link for an active session
+   * @param {string} sessionId - Session ID
+   * @param {string} facultyId - Faculty ID for authorization
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Token, display page URL and expiry time
+   */
+  async createLink(sessionId, facultyId, now = new Date()) {
+    const session = await this.sessionModel.findById(sessionId);
+    if (!session) {
+      return { success: false, code: 'SESSION_NOT_FOUND', error: 'Session not found' };
+    }
+
+    if (session.faculty_id !== facultyId) {
+      return { success: false, code: 'SESSION_UNAUTHORIZED', error: 'Unauthorized: Session does not belong to this faculty' };
+    }
+
+    if (session.is_active !== 1) {
+      return { success: false, code: 'SESSION_INACTIVE', error: 'Session has already ended' };
+    }
+
+    const expiresAtMs = now.getTime() + this.ttlMinutes * 60 * 1000;
+    const token = this.sign(sessionId, expiresAtMs);
+
+    return {
+      success: true,
+      token,
+      // The token goes in the fragment so it stays out of access logs and Referer headers
+      url: `/display.html#token=${encodeURIComponent(token)}`,
+      expiresAt: new Date(expiresAtMs).toISOString()
+    };
+  }
+
+  /**
+   * Get what the display page shows: course title, current QR code and present count.
+   * Student details are never included.
+   * @param {string} token - Display token
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Display state
+   */
+  async getDisplayState(token, now = new Date()) {
+    const link = this.verifyToken(token, now);
+    if (!link) {
+      return { success: false, code: 'DISPLAY_LINK_INVALID', error: 'Display link is invalid or has expired' };
+    }
+
+    const session = await this.sessionModel.findById(link.sessionId);
+    if (!session) {
+      return { success: false, code: 'SESSION_NOT_FOUND', error: 'Session not found' };
+    }
+
+    if (session.is_active !== 1) {
+      return { success: false, code: 'SESSION_INACTIVE', error: 'Session has already ended' };
+    }
+
+    const [status, attendanceSummary] = await Promise.all([
+      this.sessionService.getSessionStatus(session.id, session.faculty_id),
+      this.attendanceModel.getSessionSummary(session.id)
+    ]);
+    if (!status.success) {
+      return { success: false, error: status.error };
+    }
+
+    return {
+      success: true,
+      display: {
+        sessionId: session.id,
+        courseName: session.course_name,
+        courseCode: session.course_code,
+        section: session.section,
+        isPaused: status.session.isPaused,
+        tokenExpirySeconds: status.session.tokenExpirySeconds,
+        presentCount: attendanceSummary.summary.presentCount,
+        linkExpiresAt: link.expiresAt.toISOString()
+      },
+      qrData: status.qrData || null
+    };
+  }
+}
+
+module.exports = DisplayLinkService;
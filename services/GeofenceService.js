@@ -0,0 +1,125 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+class GeofenceService {
+  /**
+   * @param {Object} options - Geofence options
+   * @param {number} options.maxAccuracyMeters - Coarsest location fix accepted as proof of presence
+   *   (default: GEOFENCE_MAX_ACCURACY_METERS or 100)
+   */
+  constructor(options = {}) {
+    this.maxAccuracyMeters = options.maxAccuracyMeters ||
+      parseInt(process.env.GEOFENCE_MAX_ACCURACY_METERS, 10) ||
+      100;
+  }
+
+  /**
+   * Check whether a session restricts attendance to a location
+   * @param {Object} session - Session row
+   * @returns {boolean} True if the session has a geofence
+   */
+  hasGeofence(session) {
+    return session.location_latitude !== null && session.location_latitude !== undefined &&
+      session.location_longitude !== null && session.location_longitude !== undefined &&
+      session.location_radius_meters > 0;
+  }
+
+  /**
+   * Parse a browser-reported location from request fields
+   * @param {Object} input - Object with latitude, longitude and accuracy fields
+   * @returns {Object|null} Parsed location, or null if missing or malformed
+   */
+  parseLocation(input = {}) {
+    const latitude = Number(input.latitude);
+    const longitude = Number(input.longitude);
+    const accuracy = input.accuracy === undefined || input.accuracy === '' ? null : Number(input.accuracy);
+
+    if (input.latitude === undefined || input.latitude === '' ||
+        input.longitude === undefined || input.longitude === '') {
+      return null;
+    }
+
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+        !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+      return null;
+    }
+
+    if (accuracy !== null && (!Number.isFinite(accuracy) || accuracy < 0)) {
+      return null;
+    }
+
+    return { latitude, longitude, accuracy };
+  }
+
+  /**
+   * Great-circle distance between two points (haversine formula)
+   * @returns {number} Distance in meters
+   */
+  distanceMeters(latitude1, longitude1, latitude2, longitude2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const deltaLatitude = toRadians(latitude2 - latitude1);
+    const deltaLongitude = toRadians(longitude2 - longitude1);
+
+    const a = Math.sin(deltaLatitude / 2) ** 2 +
+      Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(deltaLongitude / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Check a student's location against the session geofence
+   * @param {Object} session - Session row
+   * @param {Object|null} location - Parsed location from parseLocation
+   * @returns {Object} allowed/flagged outcome, error code when outside, and distance from the session location
+   */
+  checkLocation(session, location) {
+    if (!this.hasGeofence(session)) {
+      return { allowed: true, flagged: false, distanceMeters: null };
+    }
+
+    // Sessions set to 'flag' record out-of-area marks for review instead of refusing them
+    const flagOnly = session.geofence_action === 'flag';
+
+    if (!location) {
+      return {
+        allowed: flagOnly,
+        flagged: true,
+        code: 'LOCATION_REQUIRED',
+        reason: 'Location is required for this session',
+        distanceMeters: null
+      };
+    }
+
+    const distanceMeters = Math.round(this.distanceMeters(
+      session.location_latitude,
+      session.location_longitude,
+      location.latitude,
+      location.longitude
+    ));
+
+    // A coarse fix (e.g. IP-based) cannot place the student in the room
+    if (location.accuracy !== null && location.accuracy > this.maxAccuracyMeters) {
+      return {
+        allowed: flagOnly,
+        flagged: true,
+        code: 'OUTSIDE_GEOFENCE',
+        reason: `Location accuracy of ${Math.round(location.accuracy)}m is too low`,
+        distanceMeters
+      };
+    }
+
+    // Give the student the benefit of the reported accuracy
+    if (distanceMeters - (location.accuracy || 0) > session.location_radius_meters) {
+      return {
+        allowed: flagOnly,
+        flagged: true,
+        code: 'OUTSIDE_GEOFENCE',
+        reason: `Location is ${distanceMeters}m from the session location`,
+        distanceMeters
+      };
+    }
+
+    return { allowed: true, flagged: false, distanceMeters };
+  }
+}
+
+module.exports = GeofenceService;
@@ -0,0 +1,85 @@
+// Weekday numbers follow Date#getDay (0 = Sunday)
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Reads points in time as the weekday and time of day of the institution's time zone,
+ * which is what class slots (schedules and timetable) are written in
+ */
+class LocalTimeService {
+  /**
+   * @param {string} [timeZone] - IANA time zone (default: SCHEDULE_TIMEZONE or the server's time zone)
+   */
+  constructor(timeZone) {
+    this.timeZone = timeZone || process.env.SCHEDULE_TIMEZONE || undefined;
+    // Throws a RangeError for an unknown time zone, so a bad setting fails at startup rather than on first use
+    this.dateFormatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+
+  /**
+   * Get the name of the time zone in use
+   * @returns {string} IANA time zone
+   */
+  getTimeZone() {
+    return this.dateFormatter.resolvedOptions().timeZone;
+  }
+
+  /**
+   * Get the weekday, date and time of day in the time zone
+   * @param {Date} now - Point in time
+   * @returns {Object} weekday (0 = Sunday), date ('YYYY-MM-DD') and minutes since midnight
+   */
+  getLocalTime(now) {
+    const parts = {};
+    this.dateFormatter.formatToParts(now).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      weekday: WEEKDAYS.findIndex(day => day.startsWith(parts.weekday)),
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+  }
+
+  /**
+   * Check an 'HH:MM' time of day
+   * @param {*} value - Value to check
+   * @returns {boolean} True for a 24-hour HH:MM string
+   */
+  static isTimeOfDay(value) {
+    return typeof value === 'string' && TIME_OF_DAY_PATTERN.test(value);
+  }
+
+  /**
+   * Convert an 'HH:MM' time of day to minutes since midnight
+   * @param {string} time - Time of day
+   * @returns {number} Minutes since midnight
+   */
+  static toMinutes(time) {
+    const [, hours, minutes] = time.match(TIME_OF_DAY_PATTERN);
+    return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+  }
+
+  /**
+   * Format minutes since midnight as 'HH:MM'
+   * @param {number} minutes - Minutes since midnight
+   * @returns {string} Time of day
+   */
+  static formatMinutes(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+}
+
+module.exports = LocalTimeService;
+module.exports.WEEKDAYS = WEEKDAYS;
@@ -0,0 +1,122 @@
+const net = require('net');
+
+class NetworkPolicyService {
+  /**
+   * @param {Object} options - Network policy options
+   * @param {string|string[]} options.allowedNetworks - Institution-wide CIDR allow-list
+   *   (default: ATTENDANCE_ALLOWED_NETWORKS; empty means any network)
+   * @throws {Error} If a configured range is not valid CIDR notation
+   */
+  constructor(options = {}) {
+    const configured = options.allowedNetworks !== undefined
+      ? options.allowedNetworks
+      : process.env.ATTENDANCE_ALLOWED_NETWORKS;
+
+    this.institutionNetworks = NetworkPolicyService.parseNetworkList(configured);
+    this.institutionBlockList = NetworkPolicyService.createBlockList(this.institutionNetworks);
+  }
+
+  /**
+   * Parse a CIDR range such as 10.20.0.0/16 or 2001:db8::/32; a bare address is a single-host range
+   * @param {string} value - CIDR range
+   * @returns {Object|null} Parsed range with address, prefix and family, or null if invalid
+   */
+  static parseCidr(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const [address, prefixText, ...rest] = value.trim().split('/');
+    const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    if (!family || rest.length > 0) {
+      return null;
+    }
+
+    const maxPrefix = family === 'ipv4' ? 32 : 128;
+    if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) {
+      return null;
+    }
+
+    const prefix = prefixText === undefined ? maxPrefix : parseInt(prefixText, 10);
+    if (prefix > maxPrefix) {
+      return null;
+    }
+
+    return { cidr: `${address}/${prefix}`, address, prefix, family };
+  }
+
+  /**
+   * Parse a comma-separated string or array of CIDR ranges
+   * @param {string|string[]} value - CIDR ranges
+   * @returns {string[]} Normalised CIDR ranges
+   * @throws {Error} If any range is invalid
+   */
+  static parseNetworkList(value) {
+    if (value === undefined || value === null || value === '') {
+      return [];
+    }
+
+    const entries = Array.isArray(value) ? value : String(value).split(',');
+
+    return entries
+      .map(entry => String(entry).trim())
+      .filter(Boolean)
+      .map(entry => {
+        const range = NetworkPolicyService.parseCidr(entry);
+        if (!range) {
+          throw new Error(`Invalid network range: ${entry}`);
+        }
+        return range.cidr;
+      });
+  }
+
+  /**
+   * Build a lookup for a list of CIDR ranges
+   * @param {string[]} networks - Normalised CIDR ranges
+   * @returns {net.BlockList} Address lookup
+   */
+  static createBlockList(networks) {
+    const blockList = new net.BlockList();
+    for (const network of networks) {
+      const { address, prefix, family } = NetworkPolicyService.parseCidr(network);
+      blockList.addSubnet(address, prefix, family);
+    }
+    return blockList;
+  }
+
+  /**
+   * Check whether an address falls inside a set of ranges
+   * @param {net.BlockList} blockList - Ranges to check against
+   * @param {string} ipAddress - Client address (IPv4-mapped IPv6 addresses match IPv4 ranges)
+   * @returns {boolean} True if the address is in one of the ranges
+   */
+  static matches(blockList, ipAddress) {
+    if (!ipAddress || !net.isIP(ipAddress)) {
+      return false;
+    }
+    return blockList.check(ipAddress, net.isIPv6(ipAddress) ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Check a client address against the institution allow-list and the session's own ranges.
+   * Both lists apply when set, so a session can narrow the campus networks to one building.
+   * @param {string} ipAddress - Client address
+   * @param {Object} session - Session row
+   * @returns {Object} Whether the address is allowed and, if not, why
+   */
+  checkAddress(ipAddress, session = {}) {
+    if (this.institutionNetworks.length > 0 && !NetworkPolicyService.matches(this.institutionBlockList, ipAddress)) {
+      return { allowed: false, reason: `Address ${ipAddress} is outside the institution network` };
+    }
+
+    const sessionNetworks = NetworkPolicyService.parseNetworkList(session.allowed_networks);
+    if (sessionNetworks.length > 0 &&
+        !NetworkPolicyService.matches(NetworkPolicyService.createBlockList(sessionNetworks), ipAddress)) {
+      return { allowed: false, reason: `Address ${ipAddress} is outside the networks allowed for this session` };
+    }
+
+    return { allowed: true };
+  }
+}
+
+module.exports = NetworkPolicyService;
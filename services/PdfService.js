@@ -0,0 +1,260 @@
+// A4 portrait in PDF points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FOOTER_SIZE = 8;
+
+// Helvetica advance widths (1/1000 em) for printable ASCII, from the standard font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+/**
+ * Renders simple text documents (titles, paragraphs, tables, signature lines) as PDF
+ * using the built-in Helvetica fonts, so no font files or external libraries are needed.
+ */
+class PdfService {
+  /**
+   * Measure text in the Helvetica font.
+   * Bold text is measured with the regular widths plus 5%, which is close enough for layout.
+   * @param {string} text - Text
+   * @param {number} size - Font size in points
+   * @param {boolean} [bold=false] - Whether the bold face is used
+   * @returns {number} Width in points
+   */
+  measureText(text, size, bold = false) {
+    const units = Array.from(String(text)).reduce((total, char) => {
+      const code = char.charCodeAt(0);
+      return total + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+    }, 0);
+    return (units * size / 1000) * (bold ? 1.05 : 1);
+  }
+
+  /**
+   * Shorten text with an ellipsis so it fits a width
+   * @param {string} text - Text
+   * @param {number} width - Available width in points
+   * @param {number} size - Font size in points
+   * @param {boolean} [bold=false] - Whether the bold face is used
+   * @returns {string} Text that fits
+   */
+  fitText(text, width, size, bold = false) {
+    let fitted = String(text);
+    if (this.measureText(fitted, size, bold) <= width) {
+      return fitted;
+    }
+    while (fitted.length > 0 && this.measureText(`${fitted}...`, size, bold) > width) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}...`;
+  }
+
+  /**
+   * Encode text as a PDF literal string in WinAnsi (Latin-1) encoding.
+   * Characters outside Latin-1 are replaced with '?'.
+   * @param {string} text - Text
+   * @returns {string} PDF string literal, including the parentheses
+   */
+  encodeText(text) {
+    const body = Array.from(String(text)).map(char => {
+      const code = char.charCodeAt(0);
+      if (char === '\\' || char === '(' || char === ')') {
+        return `\\${char}`;
+      }
+      if (code >= 32 && code <= 126) {
+        return char;
+      }
+      if (code >= 160 && code <= 255) {
+        return `\\${code.toString(8)}`;
+      }
+      return '?';
+    }).join('');
+    return `(${body})`;
+  }
+
+  /**
+   * Render a document
+   * @param {Object[]} blocks - Content in reading order. Supported types:
+   *   { type: 'title', text }, { type: 'heading', text }, { type: 'text', text, bold },
+   *   { type: 'table', columns: [{ header, width }], rows: [[...]] },
+   *   { type: 'signature', labels: [...] } and { type: 'spacer', height }
+   * @param {Object} [options] - Document options
+   * @param {string} [options.title] - Document title metadata
+   * @param {string} [options.footer] - Text printed at the bottom left of every page
+   * @returns {Buffer} PDF file contents
+   */
+  render(blocks, options = {}) {
+    const pages = [];
+    let operations;
+    let y;
+
+    const newPage = () => {
+      operations = [];
+      pages.push(operations);
+      y = PAGE_HEIGHT - MARGIN;
+    };
+
+    const ensureSpace = (height) => {
+      if (y - height < MARGIN + FOOTER_SIZE * 2) {
+        newPage();
+        return true;
+      }
+      return false;
+    };
+
+    const drawText = (text, x, size, bold = false) => {
+      operations.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${this.encodeText(text)} Tj ET`);
+    };
+
+    const drawLine = (x1, x2, lineY) => {
+      operations.push(`${x1.toFixed(2)} ${lineY.toFixed(2)} m ${x2.toFixed(2)} ${lineY.toFixed(2)} l S`);
+    };
+
+    const drawTableHeader = (columns, size) => {
+      let x = MARGIN;
+      columns.forEach(column => {
+        drawText(this.fitText(column.header, column.width - 4, size, true), x, size, true);
+        x += column.width;
+      });
+      drawLine(MARGIN, PAGE_WIDTH - MARGIN, y - 4);
+      y -= size + 8;
+    };
+
+    newPage();
+
+    blocks.forEach(block => {
+      switch (block.type) {
+      case 'title':
+        ensureSpace(24);
+        y -= 18;
+        drawText(block.text, MARGIN, 18, true);
+        y -= 14;
+        break;
+
+      case 'heading':
+        // Keep a heading together with at least the first couple of lines below it
+        ensureSpace(50);
+        y -= 14;
+        drawText(block.text, MARGIN, 12, true);
+        y -= 10;
+        break;
+
+      case 'text':
+        ensureSpace(14);
+        y -= 10;
+        drawText(this.fitText(block.text, PAGE_WIDTH - MARGIN * 2, 10, block.bold), MARGIN, 10, block.bold);
+        y -= 4;
+        break;
+
+      case 'table': {
+        const size = 9;
+        ensureSpace(size * 3);
+        y -= size;
+        drawTableHeader(block.columns, size);
+
+        block.rows.forEach(row => {
+          // Repeat the header at the top of every page the table spans
+          if (ensureSpace(size + 6)) {
+            y -= size;
+            drawTableHeader(block.columns, size);
+          }
+          let x = MARGIN;
+          block.columns.forEach((column, index) => {
+            const value = row[index] === null || row[index] === undefined ? '' : row[index];
+            drawText(this.fitText(value, column.width - 4, size), x, size);
+            x += column.width;
+          });
+          y -= size + 5;
+        });
+        break;
+      }
+
+      case 'signature': {
+        ensureSpace(60);
+        y -= 40;
+        const labels = block.labels || ['Signature'];
+        const gap = 20;
+        const width = (PAGE_WIDTH - MARGIN * 2 - gap * (labels.length - 1)) / labels.length;
+        labels.forEach((label, index) => {
+          const x = MARGIN + index * (width + gap);
+          drawLine(x, x + width, y);
+          const labelY = y;
+          y -= 12;
+          drawText(label, x, 9);
+          y = labelY;
+        });
+        y -= 16;
+        break;
+      }
+
+      case 'spacer':
+        y -= block.height || 10;
+        break;
+
+      default:
+        throw new Error(`Unsupported PDF block type: ${block.type}`);
+      }
+    });
+
+    // Footers need the final page count
+    pages.forEach((pageOperations, index) => {
+      const footerY = MARGIN - FOOTER_SIZE;
+      if (options.footer) {
+        pageOperations.push(`BT /F1 ${FOOTER_SIZE} Tf ${MARGIN} ${footerY} Td ${this.encodeText(options.footer)} Tj ET`);
+      }
+      const pageLabel = `Page ${index + 1} of ${pages.length}`;
+      const x = PAGE_WIDTH - MARGIN - this.measureText(pageLabel, FOOTER_SIZE);
+      pageOperations.push(`BT /F1 ${FOOTER_SIZE} Tf ${x.toFixed(2)} ${footerY} Td ${this.encodeText(pageLabel)} Tj ET`);
+    });
+
+    return this.buildFile(pages, options.title);
+  }
+
+  /**
+   * Assemble PDF objects, cross-reference table and trailer
+   * @param {string[][]} pages - Content stream operations per page
+   * @param {string} [title] - Document title metadata
+   * @returns {Buffer} PDF file contents
+   */
+  buildFile(pages, title) {
+    // Objects 1-5 are fixed; each page then takes a page object and a content stream
+    const pageObjectNumber = index => 6 + index * 2;
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pages.map((page, index) => `${pageObjectNumber(index)} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Producer (QTrack)${title ? ` /Title ${this.encodeText(title)}` : ''} >>`
+    ];
+
+    pages.forEach((operations, index) => {
+      const stream = `0.5 w\n${operations.join('\n')}\n`;
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObjectNumber(index) + 1} 0 R >>`,
+        `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}endstream`
+      );
+    });
+
+    let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((object, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = PdfService;
@@ -1,10 +1,18 @@
 const QRCode = require('qrcode');
 const crypto = require('crypto');
+const Session = require('../models/Session');
+
+// Rotation timers are shared by every QRCodeService instance so a rotation
+// started by one service (e.g. resumed on boot) can be stopped by another
+const activeRotationTimers = new Map();
+
+// Default token lifetime from QR_TOKEN_EXPIRY_SECONDS; sessions may override it
+const getDefaultTokenLifetimeMs = () => Session.getDefaultTokenExpirySeconds() * 1000;
 
 class QRCodeService {
   constructor(baseUrl = 'http://localhost:3000') {
     this.baseUrl = baseUrl;
-    this.activeRotationTimers = new Map(); // Track active rotation timers
+    this.activeRotationTimers = activeRotationTimers; // Track active rotation timers
   }
 
   /**
@@ -12,9 +20,13 @@ class QRCodeService {
    * @param {string} sessionId - Session ID
    * @param {string} token - Secure token for the session
    * @param {Object} options - QR code generation options
+   * @param {string} options.expiresAt - Token expiry to report (default: the configured token lifetime from now)
+   * @param {string} options.presenceCode - Presence code to show next to the QR code; never put in the QR URL
    * @returns {Promise<Object>} QR code data and metadata
    */
   async generateQRCode(sessionId, token, options = {}) {
+    const { expiresAt, presenceCode, ...renderOptions } = options;
+
     try {
       // Validate inputs
       if (!sessionId || !token) {
@@ -34,8 +46,8 @@ class QRCodeService {
           dark: '#000000',
           light: '#FFFFFF'
         },
-        width: options.width || 256,
-        ...options
+        width: renderOptions.width || 256,
+        ...renderOptions
       };
 
       // Generate QR code as data URL
@@ -56,7 +68,8 @@ class QRCodeService {
           qrCodeDataURL: qrCodeDataUrl, // Use consistent naming
           qrCodeSvg,
           generatedAt: new Date().toISOString(),
-          expiresAt: new Date(Date.now() + 30000).toISOString() // 30 seconds
+          expiresAt: expiresAt || this.getTokenExpiry(),
+          presenceCode: presenceCode || null
         }
       };
     } catch (error) {
@@ -72,10 +85,10 @@ class QRCodeService {
    * @param {string} sessionId - Session ID
    * @param {Function} tokenRotationCallback - Callback to rotate session token
    * @param {Function} qrUpdateCallback - Callback to broadcast new QR code
-   * @param {number} intervalMs - Rotation interval in milliseconds (default: 30000)
+   * @param {number} intervalMs - Rotation interval in milliseconds (default: the configured token lifetime)
    * @returns {Object} Rotation control object
    */
-  startQRRotation(sessionId, tokenRotationCallback, qrUpdateCallback, intervalMs = 30000) {
+  startQRRotation(sessionId, tokenRotationCallback, qrUpdateCallback, intervalMs = getDefaultTokenLifetimeMs()) {
     try {
       // Clear any existing rotation for this session
       this.stopQRRotation(sessionId);
@@ -92,7 +105,10 @@ class QRCodeService {
           }
 
           // Generate new QR code with the new token
-          const qrResult = await this.generateQRCode(sessionId, tokenResult.qrData.token);
+          const qrResult = await this.generateQRCode(sessionId, tokenResult.qrData.token, {
+            expiresAt: tokenResult.qrData.expiresAt,
+            presenceCode: tokenResult.qrData.presenceCode
+          });
           
           if (!qrResult.success) {
             console.error(`Failed to generate QR code for session ${sessionId}:`, qrResult.error);
@@ -276,10 +292,10 @@ class QRCodeService {
 
   /**
    * Get token expiry timestamp
-   * @param {number} durationMs - Duration in milliseconds (default: 30000)
+   * @param {number} durationMs - Duration in milliseconds (default: the configured token lifetime)
    * @returns {string} ISO timestamp for token expiry
    */
-  getTokenExpiry(durationMs = 30000) {
+  getTokenExpiry(durationMs = getDefaultTokenLifetimeMs()) {
     return new Date(Date.now() + durationMs).toISOString();
   }
 
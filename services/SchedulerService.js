@@ -0,0 +1,352 @@
+const Schedule = require('../models/Schedule');
+const Session = require('../models/Session');
+const SessionService = require('./SessionService');
+const LocalTimeService = require('./LocalTimeService');
+
+const { WEEKDAYS, toMinutes } = LocalTimeService;
+
+// Shortest and longest class slot a schedule may describe
+const MIN_DURATION_MINUTES = 5;
+const MAX_DURATION_MINUTES = 480;
+// How often the scheduler checks for slots to start or end when SCHEDULER_TICK_SECONDS is not set
+const DEFAULT_TICK_SECONDS = 30;
+
+class SchedulerService {
+  /**
+   * @param {Object} database - Database wrapper
+   * @param {Object} [options] - Scheduler options
+   * @param {Object} [options.webSocketService] - Used to push scheduler actions to the faculty room
+   * @param {Object} [options.sessionService] - Session service used to start and end sessions
+   * @param {string} [options.timeZone] - IANA time zone schedules are written in
+   *   (default: SCHEDULE_TIMEZONE or the server's time zone)
+   * @param {number} [options.tickIntervalMs] - How often to check the schedule (default: SCHEDULER_TICK_SECONDS or 30s)
+   */
+  constructor(database, options = {}) {
+    this.scheduleModel = new Schedule(database);
+    this.sessionModel = new Session(database);
+    this.sessionService = options.sessionService || new SessionService(database);
+    this.webSocketService = options.webSocketService || null;
+
+    this.localTime = new LocalTimeService(options.timeZone);
+
+    const envTickSeconds = parseInt(process.env.SCHEDULER_TICK_SECONDS, 10);
+    this.tickIntervalMs = options.tickIntervalMs ||
+      (envTickSeconds > 0 ? envTickSeconds : DEFAULT_TICK_SECONDS) * 1000;
+
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Check schedule details
+   * @param {Object} scheduleData - Schedule details
+   * @returns {string|null} Error message, or null if the schedule is valid
+   */
+  validateSchedule(scheduleData) {
+    const { weekday, startTime, durationMinutes } = scheduleData;
+
+    // Slots must describe sessions SessionService is willing to start
+    try {
+      this.sessionService.validateSessionData(scheduleData);
+    } catch (error) {
+      return error.message;
+    }
+
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return 'Weekday must be a whole number from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (!LocalTimeService.isTimeOfDay(startTime)) {
+      return 'Start time must be in 24-hour HH:MM format';
+    }
+    if (!Number.isInteger(durationMinutes) ||
+        durationMinutes < MIN_DURATION_MINUTES || durationMinutes > MAX_DURATION_MINUTES) {
+      return `Duration must be a whole number of minutes from ${MIN_DURATION_MINUTES} to ${MAX_DURATION_MINUTES}`;
+    }
+    if (toMinutes(startTime) + durationMinutes > 24 * 60) {
+      return 'Scheduled slots must end by midnight';
+    }
+    return null;
+  }
+
+  /**
+   * Find another enabled slot of the same faculty member that overlaps a schedule
+   * @param {string} facultyId - Faculty ID
+   * @param {Object} scheduleData - Schedule details
+   * @param {string} [excludeId] - Schedule being updated
+   * @returns {Promise<Object|null>} Overlapping schedule row, if any
+   */
+  async findConflict(facultyId, scheduleData, excludeId = null) {
+    if (scheduleData.enabled === false) {
+      return null;
+    }
+
+    const start = toMinutes(scheduleData.startTime);
+    const end = start + scheduleData.durationMinutes;
+    const schedules = await this.scheduleModel.findByFaculty(facultyId);
+
+    return schedules.find(schedule => {
+      if (schedule.id === excludeId || !schedule.is_enabled || schedule.weekday !== scheduleData.weekday) {
+        return false;
+      }
+      const otherStart = toMinutes(schedule.start_time);
+      return start < otherStart + schedule.duration_minutes && otherStart < end;
+    }) || null;
+  }
+
+  /**
+   * Load a schedule and check that it belongs to the faculty member
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} facultyId - Faculty ID
+   * @returns {Promise<Object>} Schedule, or an error with its AppError code
+   */
+  async getOwnedSchedule(scheduleId, facultyId) {
+    const schedule = await this.scheduleModel.findById(scheduleId);
+    if (!schedule) {
+      return { success: false, code: 'SCHEDULE_NOT_FOUND', error: 'Schedule not found' };
+    }
+    if (schedule.faculty_id !== facultyId) {
+      return { success: false, code: 'SCHEDULE_UNAUTHORIZED', error: 'Unauthorized: Schedule belongs to different faculty' };
+    }
+    return { success: true, schedule };
+  }
+
+  /**
+   * Check a schedule and make sure it does not overlap the faculty member's other slots
+   * @param {string} facultyId - Faculty ID
+   * @param {Object} scheduleData - Schedule details
+   * @param {string} [excludeId] - Schedule being updated
+   * @returns {Promise<Object|null>} Error with its AppError code, or null if the schedule can be saved
+   */
+  async checkSchedule(facultyId, scheduleData, excludeId = null) {
+    const validationError = this.validateSchedule({ ...scheduleData, facultyId });
+    if (validationError) {
+      return { success: false, code: 'INVALID_INPUT', error: validationError };
+    }
+
+    const conflict = await this.findConflict(facultyId, scheduleData, excludeId);
+    if (conflict) {
+      return {
+        success: false,
+        code: 'SCHEDULE_CONFLICT',
+        error: `Overlaps ${conflict.course_code} section ${conflict.section} on ${WEEKDAYS[conflict.weekday]} at ${conflict.start_time}`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Get a faculty member's schedules
+   * @param {string} facultyId - Faculty ID
+   * @returns {Promise<Object>} Schedules in weekly order
+   */
+  async listSchedules(facultyId) {
+    try {
+      const schedules = await this.scheduleModel.findByFaculty(facultyId);
+      return { success: true, schedules };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+
+  /**
+   * Add a weekly slot for a faculty member
+   * @param {string} facultyId - Faculty ID
+   * @param {Object} scheduleData - courseName, courseCode, section, weekday, startTime ('HH:MM'),
+   *   durationMinutes and optionally enabled
+   * @returns {Promise<Object>} Created schedule, or an error with its AppError code
+   */
+  async createSchedule(facultyId, scheduleData) {
+    try {
+      const checkError = await this.checkSchedule(facultyId, scheduleData);
+      if (checkError) {
+        return checkError;
+      }
+
+      const schedule = await this.scheduleModel.create({ ...scheduleData, facultyId });
+      return { success: true, schedule };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+
+  /**
+   * Replace the details of a faculty member's slot.
+   * A session the slot already started keeps its original end time.
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} facultyId - Faculty ID
+   * @param {Object} scheduleData - Same fields as createSchedule
+   * @returns {Promise<Object>} Updated schedule, or an error with its AppError code
+   */
+  async updateSchedule(scheduleId, facultyId, scheduleData) {
+    try {
+      const ownedResult = await this.getOwnedSchedule(scheduleId, facultyId);
+      if (!ownedResult.success) {
+        return ownedResult;
+      }
+
+      const checkError = await this.checkSchedule(facultyId, scheduleData, scheduleId);
+      if (checkError) {
+        return checkError;
+      }
+
+      const schedule = await this.scheduleModel.update(scheduleId, scheduleData);
+      return { success: true, schedule };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+
+  /**
+   * Delete a faculty member's slot. A session it already started still ends on time.
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} facultyId - Faculty ID
+   * @returns {Promise<Object>} Deleted schedule, or an error with its AppError code
+   */
+  async deleteSchedule(scheduleId, facultyId) {
+    try {
+      const ownedResult = await this.getOwnedSchedule(scheduleId, facultyId);
+      if (!ownedResult.success) {
+        return ownedResult;
+      }
+
+      await this.scheduleModel.delete(scheduleId);
+      return { success: true, schedule: ownedResult.schedule };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+
+  /**
+   * Start checking the schedule on an interval. The timer does not keep the process alive.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const runTick = () => {
+      this.tick().catch(error => console.error('Scheduler tick failed:', error));
+    };
+
+    this.timer = setInterval(runTick, this.tickIntervalMs);
+    this.timer.unref();
+    runTick();
+  }
+
+  /**
+   * Stop checking the schedule. Sessions already running are left as they are.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * End scheduled sessions whose slot has finished, then start sessions for slots that are due.
+   * Each slot is started at most once per day; a slot whose faculty member already has a session
+   * running is skipped for the day.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Started and ended sessions and skipped schedules
+   */
+  async tick(now = new Date()) {
+    const result = { success: true, started: [], ended: [], skipped: [] };
+
+    // A slow tick must not overlap the next one, or a slot could be started twice
+    if (this.ticking) {
+      return result;
+    }
+    this.ticking = true;
+
+    try {
+      for (const session of await this.sessionModel.findScheduledDue(now)) {
+        const endResult = await this.sessionService.endSession(session.id, session.faculty_id);
+        if (!endResult.success) {
+          console.error(`Scheduler failed to end session ${session.id}:`, endResult.error);
+          continue;
+        }
+
+        result.ended.push(endResult.session);
+        this.notify('broadcastSessionEnded', session.faculty_id, endResult.session, { reason: 'schedule' });
+      }
+
+      const local = this.localTime.getLocalTime(now);
+      for (const schedule of await this.scheduleModel.findEnabledByWeekday(local.weekday)) {
+        const slotStart = toMinutes(schedule.start_time);
+        const slotEnd = slotStart + schedule.duration_minutes;
+
+        if (schedule.last_run_date === local.date || local.minutes < slotStart || local.minutes >= slotEnd) {
+          continue;
+        }
+
+        await this.scheduleModel.markRun(schedule.id, local.date);
+        const startResult = await this.startScheduledSession(schedule, now, slotEnd - local.minutes);
+
+        if (startResult.success) {
+          result.started.push(startResult.session);
+        } else {
+          result.skipped.push({ schedule, reason: startResult.error });
+          this.notify('broadcastScheduleSkipped', schedule.faculty_id, schedule, startResult.error);
+        }
+      }
+
+      return result;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Start the session for a due slot and begin rotating its QR code
+   * @param {Object} schedule - Schedule row
+   * @param {Date} now - Current time
+   * @param {number} minutesLeft - Minutes until the slot ends
+   * @returns {Promise<Object>} Started session and QR data, or an error
+   */
+  async startScheduledSession(schedule, now, minutesLeft) {
+    // The slot ends on a whole minute of local time
+    const scheduledEnd = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    scheduledEnd.setSeconds(0, 0);
+
+    const startResult = await this.sessionService.startSession({
+      facultyId: schedule.faculty_id,
+      courseName: schedule.course_name,
+      courseCode: schedule.course_code,
+      section: schedule.section,
+      scheduleId: schedule.id,
+      scheduledEndTime: scheduledEnd.toISOString()
+    });
+
+    if (!startResult.success) {
+      return startResult;
+    }
+
+    const { session, qrData } = startResult;
+    const rotationResult = await this.sessionService.startQRRotation(session.id, session.faculty_id, (sessionId, newQrData) => {
+      this.notify('broadcastQRUpdate', session.faculty_id, sessionId, newQrData);
+    });
+    if (!rotationResult.success) {
+      console.error(`Scheduler failed to start QR rotation for session ${session.id}:`, rotationResult.error);
+    }
+
+    this.notify('broadcastSessionStarted', session.faculty_id, session, qrData);
+    return startResult;
+  }
+
+  /**
+   * Push a scheduler action to the faculty room when a WebSocket service is attached
+   * @param {string} method - WebSocketService method name
+   * @param {...*} args - Method arguments
+   */
+  notify(method, ...args) {
+    if (this.webSocketService) {
+      this.webSocketService[method](...args);
+    }
+  }
+}
+
+module.exports = SchedulerService;
+module.exports.WEEKDAYS = WEEKDAYS;
+module.exports.MIN_DURATION_MINUTES = MIN_DURATION_MINUTES;
+module.exports.MAX_DURATION_MINUTES = MAX_DURATION_MINUTES;
@@ -1,5 +1,7 @@
 const Session = require('../models/Session');
 const QRCodeService = require('./QRCodeService');
+const NetworkPolicyService = require('./NetworkPolicyService');
+const TimetableService = require('./TimetableService');
 
 class SessionService {
   constructor(database, baseUrl = null) {
@@ -9,6 +11,7 @@ class SessionService {
       ? 'https://qtrack-kwqi.onrender.com' 
       : 'http://localhost:3000';
     this.qrCodeService = new QRCodeService(baseUrl || defaultBaseUrl);
+    this.timetableService = new TimetableService(database);
   }
 
   /**
@@ -18,6 +21,19 @@ class SessionService {
    * @param {string} sessionData.courseName - Course name
    * @param {string} sessionData.courseCode - Course code
    * @param {string} sessionData.section - Section identifier
+   * @param {string} [sessionData.tokenMode] - 'random' (default) or 'totp' for time-based tokens
+   * @param {number} [sessionData.tokenExpirySeconds] - Token lifetime and rotation interval (default: QR_TOKEN_EXPIRY_SECONDS)
+   * @param {Object} [sessionData.location] - Optional geofence: latitude, longitude, radiusMeters and
+   *   action ('reject' refuses marks outside the radius, 'flag' records them for review)
+   * @param {string[]} [sessionData.allowedNetworks] - CIDR ranges students must mark from, on top of the institution allow-list
+   * @param {number} [sessionData.lateAfterMinutes] - Minutes after the start time after which scans count as late (default: never late)
+   * @param {string} [sessionData.scheduleId] - Schedule that started the session (set by SchedulerService)
+   * @param {string} [sessionData.scheduledEndTime] - ISO time at which the scheduler ends the session
+   * @param {number} [sessionData.maxDurationMinutes] - Minutes after which the session is ended automatically
+   *   (default: SESSION_MAX_DURATION_MINUTES)
+   * @param {number} [sessionData.idleTimeoutMinutes] - Minutes without a scan or dashboard heartbeat after which
+   *   the session is ended automatically (default: SESSION_IDLE_TIMEOUT_MINUTES)
+   * @param {boolean} [sessionData.requirePresenceCode] - Students must also type the short code shown next to the QR code
    * @returns {Promise<Object>} Created session with initial QR token and QR code
    */
   async startSession(sessionData) {
@@ -31,11 +47,17 @@ class SessionService {
         throw new Error('Faculty already has an active session. Please end the current session first.');
       }
 
+      // Sessions must match the faculty's timetable when the timetable system is configured
+      const timetableCheck = await this.timetableService.checkSessionStart(sessionData);
+      if (!timetableCheck.allowed) {
+        throw new Error(timetableCheck.reason);
+      }
+
       // Create new session
       const session = await this.sessionModel.create(sessionData);
       
       // Generate initial QR code
-      const qrResult = await this.qrCodeService.generateQRCode(session.id, session.current_token);
+      const qrResult = await this.generateSessionQRCode(session);
       
       if (!qrResult.success) {
         throw new Error(`Failed to generate QR code: ${qrResult.error}`);
@@ -125,22 +147,34 @@ class SessionService {
           startTime: session.start_time,
           endTime: session.end_time,
           isActive: session.is_active === 1,
+          isPaused: this.sessionModel.isPaused(session),
+          pausedAt: session.paused_at,
+          tokenMode: session.token_mode,
+          tokenExpirySeconds: this.sessionModel.getTokenLifetimeMs(session) / 1000,
+          location: this.formatLocation(session),
+          allowedNetworks: NetworkPolicyService.parseNetworkList(session.allowed_networks),
+          lateAfterMinutes: session.late_after_minutes,
+          maxDurationMinutes: session.max_duration_minutes,
+          idleTimeoutMinutes: session.idle_timeout_minutes,
+          lastHeartbeatAt: session.last_heartbeat_at,
+          requirePresenceCode: this.sessionModel.requiresPresenceCode(session),
           attendanceCount: sessionWithStats.attendance_count
         }
       };
 
-      // Include QR data if session is active
-      if (session.is_active === 1) {
-        const qrResult = await this.qrCodeService.generateQRCode(session.id, session.current_token);
+      // Include QR data if session is active; a paused session has no valid code to show
+      if (session.is_active === 1 && !this.sessionModel.isPaused(session)) {
+        const { token, expiresAt } = this.sessionModel.getCurrentToken(session);
+        const qrResult = await this.generateSessionQRCode(session);
         
         if (qrResult.success) {
           response.qrData = qrResult.qrData;
         } else {
           response.qrData = {
             sessionId: session.id,
-            token: session.current_token,
-            expiresAt: session.token_expiry,
-            isExpired: this.sessionModel.isTokenExpired(session.token_expiry),
+            token,
+            expiresAt,
+            isExpired: this.sessionModel.isTokenExpired(expiresAt),
             error: 'Failed to generate QR code'
           };
         }
@@ -155,6 +189,127 @@ class SessionService {
     }
   }
 
+  /**
+   * Record that the faculty dashboard is still open on a session, which keeps it from idling out
+   * @param {string} sessionId - Session ID
+   * @param {string} facultyId - Faculty ID for authorization
+   * @returns {Promise<Object>} Updated session
+   */
+  async recordHeartbeat(sessionId, facultyId) {
+    try {
+      const session = await this.sessionModel.findById(sessionId);
+      if (!session) {
+        throw new Error('Session not found');
+      }
+
+      if (session.faculty_id !== facultyId) {
+        throw new Error('Unauthorized: Session does not belong to this faculty');
+      }
+
+      if (!session.is_active) {
+        throw new Error('Session is already ended');
+      }
+
+      const updatedSession = await this.sessionModel.recordHeartbeat(sessionId);
+
+      return {
+        success: true,
+        session: updatedSession
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Pause an active session: stop QR rotation and drop the current token so scans are refused
+   * @param {string} sessionId - Session ID
+   * @param {string} facultyId - Faculty ID for authorization
+   * @returns {Promise<Object>} Paused session
+   */
+  async pauseSession(sessionId, facultyId) {
+    try {
+      const session = await this.sessionModel.findById(sessionId);
+      if (!session) {
+        throw new Error('Session not found');
+      }
+
+      if (session.faculty_id !== facultyId) {
+        throw new Error('Unauthorized: Session does not belong to this faculty');
+      }
+
+      if (!session.is_active) {
+        throw new Error('Session is already ended');
+      }
+
+      if (this.sessionModel.isPaused(session)) {
+        throw new Error('Session is already paused');
+      }
+
+      this.qrCodeService.stopQRRotation(sessionId);
+      const pausedSession = await this.sessionModel.pause(sessionId);
+
+      return {
+        success: true,
+        session: pausedSession
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Resume a paused session with a fresh QR token.
+   * QR rotation is not restarted here; call startQRRotation with the broadcast callback.
+   * @param {string} sessionId - Session ID
+   * @param {string} facultyId - Faculty ID for authorization
+   * @returns {Promise<Object>} Resumed session with its new QR code
+   */
+  async resumeSession(sessionId, facultyId) {
+    try {
+      const session = await this.sessionModel.findById(sessionId);
+      if (!session) {
+        throw new Error('Session not found');
+      }
+
+      if (session.faculty_id !== facultyId) {
+        throw new Error('Unauthorized: Session does not belong to this faculty');
+      }
+
+      if (!session.is_active) {
+        throw new Error('Session is already ended');
+      }
+
+      if (!this.sessionModel.isPaused(session)) {
+        throw new Error('Session is not paused');
+      }
+
+      const resumedSession = await this.sessionModel.resume(sessionId);
+      const qrResult = await this.generateSessionQRCode(resumedSession);
+
+      if (!qrResult.success) {
+        throw new Error(`Failed to generate QR code: ${qrResult.error}`);
+      }
+
+      return {
+        success: true,
+        session: resumedSession,
+        qrData: qrResult.qrData
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Rotate QR code token for active session
    * @param {string} sessionId - Session ID
@@ -176,11 +331,11 @@ class SessionService {
         throw new Error('Cannot rotate token for inactive session');
       }
 
-      // Rotate the token
+      // Rotate the token (time-based sessions just move on to the current step)
       const updatedSession = await this.sessionModel.rotateToken(sessionId);
 
       // Generate new QR code with the rotated token
-      const qrResult = await this.qrCodeService.generateQRCode(sessionId, updatedSession.current_token);
+      const qrResult = await this.generateSessionQRCode(updatedSession);
       
       if (!qrResult.success) {
         throw new Error(`Failed to generate QR code after token rotation: ${qrResult.error}`);
@@ -198,6 +353,19 @@ class SessionService {
     }
   }
 
+  /**
+   * Generate the QR code for a session's current token, with its presence code if the session requires one
+   * @param {Object} session - Session row
+   * @returns {Promise<Object>} QR code generation result
+   */
+  async generateSessionQRCode(session) {
+    const { token, expiresAt } = this.sessionModel.getCurrentToken(session);
+    return this.qrCodeService.generateQRCode(session.id, token, {
+      expiresAt,
+      presenceCode: this.sessionModel.generatePresenceCode(session, token)
+    });
+  }
+
   /**
    * Check if session exists
    * @param {string} sessionId - Session ID
@@ -213,12 +381,15 @@ class SessionService {
   }
 
   /**
-   * Validate session token for attendance marking
+   * Validate session token for attendance marking.
+   * Sessions that require a presence code also need the code shown next to the QR code;
+   * a valid token without it fails with presenceCodeRequired set, so the student can be asked for it.
    * @param {string} sessionId - Session ID
    * @param {string} token - Token to validate
+   * @param {string} [presenceCode] - Presence code typed by the student
    * @returns {Promise<Object>} Validation result
    */
-  async validateAttendanceToken(sessionId, token) {
+  async validateAttendanceToken(sessionId, token, presenceCode) {
     try {
       const validation = await this.sessionModel.validateSessionToken(sessionId, token);
       
@@ -230,6 +401,17 @@ class SessionService {
         };
       }
 
+      const session = validation.session;
+      if (this.sessionModel.requiresPresenceCode(session) &&
+          !this.sessionModel.presenceCodeMatches(session, token, presenceCode)) {
+        return {
+          success: false,
+          error: presenceCode ? 'Invalid presence code' : 'Presence code required',
+          presenceCodeRequired: true,
+          canRetry: true
+        };
+      }
+
       return {
         success: true,
         session: validation.session,
@@ -311,16 +493,22 @@ class SessionService {
         throw new Error('Cannot start rotation for inactive session');
       }
 
+      if (this.sessionModel.isPaused(session)) {
+        throw new Error('Cannot start rotation for paused session');
+      }
+
       // Create token rotation callback
       const tokenRotationCallback = async (sessionId) => {
         return await this.rotateQRToken(sessionId, facultyId);
       };
 
       // Start QR rotation
+      // Rotate once per token lifetime so each QR code is replaced as it expires
       const rotationResult = this.qrCodeService.startQRRotation(
         sessionId,
         tokenRotationCallback,
-        qrUpdateCallback
+        qrUpdateCallback,
+        this.sessionModel.getTokenLifetimeMs(session)
       );
 
       return rotationResult;
@@ -350,6 +538,69 @@ class SessionService {
     return this.qrCodeService.getRotationStatus(sessionId);
   }
 
+  /**
+   * Resume QR rotation for sessions left active by a previous server process.
+   * Sessions with no scan or dashboard heartbeat for longer than the stale threshold
+   * (downtime included) are ended instead, since their faculty is unlikely to still be
+   * in the room. Both token modes are judged the same way. Paused sessions are left paused.
+   * @param {Function} createQRUpdateCallback - Returns the QR broadcast callback for a session row
+   * @param {Object} options - Resume options
+   * @param {number} options.staleAfterMs - Idle time after which a session is ended (default: SESSION_STALE_AFTER_MINUTES)
+   * @returns {Promise<Object>} Resumed and ended sessions
+   */
+  async resumeActiveSessions(createQRUpdateCallback, options = {}) {
+    try {
+      const staleAfterMs = options.staleAfterMs ?? Session.getDefaultStaleAfterMinutes() * 60 * 1000;
+      const activeSessions = await this.sessionModel.findActive();
+      const resumed = [];
+      const ended = [];
+
+      for (const session of activeSessions) {
+        if (this.sessionModel.isPaused(session)) {
+          continue;
+        }
+
+        const lastInteraction = await this.sessionModel.getLastInteraction(session);
+
+        if (Date.now() - lastInteraction > staleAfterMs) {
+          const endResult = await this.endSession(session.id, session.faculty_id);
+          if (endResult.success) {
+            ended.push(endResult.session);
+          } else {
+            console.error(`Failed to end stale session ${session.id}:`, endResult.error);
+          }
+          continue;
+        }
+
+        const qrUpdateCallback = createQRUpdateCallback(session);
+
+        // Issue a fresh token right away; the stored one has usually expired while the server was down
+        const tokenResult = await this.rotateQRToken(session.id, session.faculty_id);
+        if (tokenResult.success && qrUpdateCallback) {
+          qrUpdateCallback(session.id, tokenResult.qrData);
+        }
+
+        const rotationResult = await this.startQRRotation(session.id, session.faculty_id, qrUpdateCallback);
+        if (rotationResult.success) {
+          resumed.push(session);
+        } else {
+          console.error(`Failed to resume QR rotation for session ${session.id}:`, rotationResult.error);
+        }
+      }
+
+      return {
+        success: true,
+        resumed,
+        ended
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Cleanup expired tokens across all active sessions
    * @returns {Promise<Object>} Cleanup result
@@ -387,6 +638,24 @@ class SessionService {
     return this.qrCodeService.getBaseUrl();
   }
 
+  /**
+   * Format a session's geofence for API responses
+   * @param {Object} session - Session row
+   * @returns {Object|null} Geofence settings, or null if the session has none
+   */
+  formatLocation(session) {
+    if (session.location_latitude === null || session.location_latitude === undefined) {
+      return null;
+    }
+
+    return {
+      latitude: session.location_latitude,
+      longitude: session.location_longitude,
+      radiusMeters: session.location_radius_meters,
+      action: session.geofence_action
+    };
+  }
+
   /**
    * Validate session data for creation
    * @param {Object} sessionData - Session data to validate
@@ -410,6 +679,50 @@ class SessionService {
     if (!/^[A-Z]$/.test(sessionData.section)) {
       throw new Error('Section must be a single uppercase letter (A, B, C, etc.)');
     }
+
+    // Validate geofence
+    if (sessionData.location) {
+      const { latitude, longitude, radiusMeters, action } = sessionData.location;
+      if (typeof latitude !== 'number' || typeof longitude !== 'number' || typeof radiusMeters !== 'number') {
+        throw new Error('Geofence requires latitude, longitude and radiusMeters');
+      }
+      if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        throw new Error('Geofence coordinates are out of range');
+      }
+      if (radiusMeters <= 0) {
+        throw new Error('Geofence radius must be positive');
+      }
+      if (action !== undefined && !['reject', 'flag'].includes(action)) {
+        throw new Error('Geofence action must be reject or flag');
+      }
+    }
+
+    // Validate network allow-list (throws on an invalid range)
+    if (sessionData.allowedNetworks !== undefined) {
+      NetworkPolicyService.parseNetworkList(sessionData.allowedNetworks);
+    }
+
+    // Validate token lifetime override
+    if (sessionData.tokenExpirySeconds !== undefined &&
+        (!Number.isInteger(sessionData.tokenExpirySeconds) || sessionData.tokenExpirySeconds <= 0)) {
+      throw new Error('Token expiry must be a positive whole number of seconds');
+    }
+
+    // Validate late threshold
+    if (sessionData.lateAfterMinutes !== undefined &&
+        (!Number.isInteger(sessionData.lateAfterMinutes) || sessionData.lateAfterMinutes < 0)) {
+      throw new Error('Late threshold must be a whole number of minutes');
+    }
+
+    // Validate automatic end limits
+    if (sessionData.maxDurationMinutes !== undefined &&
+        (!Number.isInteger(sessionData.maxDurationMinutes) || sessionData.maxDurationMinutes <= 0)) {
+      throw new Error('Maximum duration must be a positive whole number of minutes');
+    }
+    if (sessionData.idleTimeoutMinutes !== undefined &&
+        (!Number.isInteger(sessionData.idleTimeoutMinutes) || sessionData.idleTimeoutMinutes <= 0)) {
+      throw new Error('Idle timeout must be a positive whole number of minutes');
+    }
   }
 }
 
@@ -0,0 +1,121 @@
+const Session = require('../models/Session');
+const SessionService = require('./SessionService');
+
+// How often the sweeper looks for sessions to end when SESSION_SWEEP_INTERVAL_SECONDS is not set
+const DEFAULT_SWEEP_SECONDS = 60;
+
+class SessionSweeperService {
+  /**
+   * @param {Object} database - Database wrapper
+   * @param {Object} [options] - Sweeper options
+   * @param {Object} [options.webSocketService] - Used to tell the faculty dashboard a session was ended
+   * @param {Object} [options.sessionService] - Session service used to end sessions
+   * @param {number} [options.sweepIntervalMs] - How often to sweep (default: SESSION_SWEEP_INTERVAL_SECONDS or 60s)
+   */
+  constructor(database, options = {}) {
+    this.sessionModel = new Session(database);
+    this.sessionService = options.sessionService || new SessionService(database);
+    this.webSocketService = options.webSocketService || null;
+
+    const envSweepSeconds = parseInt(process.env.SESSION_SWEEP_INTERVAL_SECONDS, 10);
+    this.sweepIntervalMs = options.sweepIntervalMs ||
+      (envSweepSeconds > 0 ? envSweepSeconds : DEFAULT_SWEEP_SECONDS) * 1000;
+
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Start sweeping on an interval. The timer does not keep the process alive.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const runSweep = () => {
+      this.sweep().catch(error => console.error('Session sweep failed:', error));
+    };
+
+    this.timer = setInterval(runSweep, this.sweepIntervalMs);
+    this.timer.unref();
+    runSweep();
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Work out whether a session has run past one of its limits.
+   * Sessions stored before the limits existed fall back to the configured defaults.
+   * A paused session is not idle, since nobody can scan it; only its maximum duration applies.
+   * @param {Object} session - Session row
+   * @param {Date} now - Current time
+   * @returns {Promise<string|null>} 'max-duration' or 'idle', or null if the session may keep running
+   */
+  async getTimeoutReason(session, now) {
+    const maxDurationMinutes = session.max_duration_minutes ?? Session.getDefaultMaxDurationMinutes();
+    const idleTimeoutMinutes = session.idle_timeout_minutes ?? Session.getDefaultIdleTimeoutMinutes();
+
+    if (maxDurationMinutes > 0 &&
+        now.getTime() - new Date(session.start_time).getTime() >= maxDurationMinutes * 60 * 1000) {
+      return 'max-duration';
+    }
+
+    if (idleTimeoutMinutes > 0 && !this.sessionModel.isPaused(session) &&
+        now.getTime() - await this.sessionModel.getLastInteraction(session) >= idleTimeoutMinutes * 60 * 1000) {
+      return 'idle';
+    }
+
+    return null;
+  }
+
+  /**
+   * End manually started sessions that have run past their maximum duration or gone idle.
+   * Scheduled sessions are left to SchedulerService, which ends them when their slot finishes.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Ended sessions with the reason each was ended
+   */
+  async sweep(now = new Date()) {
+    const result = { success: true, ended: [] };
+
+    // A slow sweep must not overlap the next one, or a session could be ended twice
+    if (this.sweeping) {
+      return result;
+    }
+    this.sweeping = true;
+
+    try {
+      for (const session of await this.sessionModel.findActiveManual()) {
+        const reason = await this.getTimeoutReason(session, now);
+        if (!reason) {
+          continue;
+        }
+
+        const endResult = await this.sessionService.endSession(session.id, session.faculty_id);
+        if (!endResult.success) {
+          console.error(`Sweeper failed to end session ${session.id}:`, endResult.error);
+          continue;
+        }
+
+        result.ended.push({ session: endResult.session, reason });
+        if (this.webSocketService) {
+          this.webSocketService.broadcastSessionEnded(session.faculty_id, endResult.session, { reason });
+        }
+      }
+
+      return result;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+}
+
+module.exports = SessionSweeperService;
@@ -0,0 +1,237 @@
+const Student = require('../models/Student');
+
+// Column order used when the CSV has no header row
+const DEFAULT_COLUMNS = ['rollNumber', 'email', 'name', 'branch', 'year'];
+
+// Accepted header spellings for each column
+const HEADER_ALIASES = {
+  roll_number: 'rollNumber',
+  rollnumber: 'rollNumber',
+  roll: 'rollNumber',
+  email: 'email',
+  name: 'name',
+  branch: 'branch',
+  year: 'year'
+};
+
+class StudentImportService {
+  constructor(database) {
+    this.studentModel = new Student(database);
+  }
+
+  /**
+   * Import students from CSV text
+   * @param {string} csvText - CSV with roll number, email, name, branch, year columns
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.dryRun=false] - Validate and report without writing to the database
+   * @returns {Promise<Object>} Import summary with a per-row error report
+   */
+  async importCsv(csvText, options = {}) {
+    const dryRun = !!options.dryRun;
+    const rows = this.parseCsv(csvText);
+    const records = this.mapRows(rows);
+
+    const summary = { totalRows: records.length, inserted: 0, updated: 0, failed: 0 };
+    const errors = [];
+    const seenRollNumbers = new Set();
+    const seenEmails = new Set();
+
+    for (const record of records) {
+      const { student, errors: rowErrors } = this.validateRecord(record.values);
+
+      if (student) {
+        if (seenRollNumbers.has(student.rollNumber)) {
+          rowErrors.push(`Duplicate roll number ${student.rollNumber} in file`);
+        }
+        if (seenEmails.has(student.email)) {
+          rowErrors.push(`Duplicate email ${student.email} in file`);
+        }
+        seenRollNumbers.add(student.rollNumber);
+        seenEmails.add(student.email);
+      }
+
+      if (rowErrors.length === 0) {
+        try {
+          const action = dryRun
+            ? await this.previewUpsert(student)
+            : await this.studentModel.upsert(student);
+          summary[action]++;
+          continue;
+        } catch (error) {
+          rowErrors.push(error.message);
+        }
+      }
+
+      summary.failed++;
+      errors.push({
+        row: record.line,
+        rollNumber: record.values.rollNumber || null,
+        email: record.values.email || null,
+        errors: rowErrors
+      });
+    }
+
+    return {
+      success: true,
+      dryRun,
+      summary,
+      errors
+    };
+  }
+
+  /**
+   * Work out what an upsert would do without writing anything
+   * @param {Object} student - Validated student record
+   * @returns {Promise<string>} 'inserted' or 'updated'
+   */
+  async previewUpsert(student) {
+    const owner = await this.studentModel.findByEmail(student.email);
+    if (owner && owner.roll_number !== student.rollNumber) {
+      throw new Error('Email is already registered to another roll number');
+    }
+
+    const existing = await this.studentModel.findByRollNumber(student.rollNumber);
+    return existing ? 'updated' : 'inserted';
+  }
+
+  /**
+   * Validate a CSV record against the institutional email format
+   * @param {Object} values - Raw column values keyed by field name
+   * @returns {Object} { student, errors } where student is null if the row is unusable
+   */
+  validateRecord(values) {
+    const errors = [];
+    const rollNumber = (values.rollNumber || '').trim();
+    const email = (values.email || '').trim().toLowerCase();
+    const name = (values.name || '').trim();
+    let branch = (values.branch || '').trim().toUpperCase();
+    let year = (values.year || '').trim();
+
+    if (!rollNumber) errors.push('Roll number is required');
+    if (!email) errors.push('Email is required');
+    if (!name) errors.push('Name is required');
+
+    if (email && !Student.validateEmailPattern(email)) {
+      errors.push('Email must follow firstname.lastname.branchyear@heritageit.edu.in');
+    }
+
+    const derived = email ? Student.extractBranchYear(email) : null;
+    if (derived) {
+      // Short years (e.g. 28) are expanded the same way the email suffix is
+      if (/^\d{2}$/.test(year)) {
+        year = `20${year}`;
+      }
+
+      if (branch && branch !== derived.branch) {
+        errors.push(`Branch ${branch} does not match email (${derived.branch})`);
+      }
+      if (year && year !== derived.year) {
+        errors.push(`Year ${year} does not match email (${derived.year})`);
+      }
+
+      branch = branch || derived.branch;
+      year = year || derived.year;
+    }
+
+    if (!rollNumber || !email) {
+      return { student: null, errors };
+    }
+
+    return {
+      student: { rollNumber, email, name, branch, year },
+      errors
+    };
+  }
+
+  /**
+   * Map parsed CSV rows to field values, honouring an optional header row
+   * @param {Array<Object>} rows - Parsed rows ({ line, cells })
+   * @returns {Array<Object>} Records ({ line, values })
+   */
+  mapRows(rows) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    let columns = DEFAULT_COLUMNS;
+    let dataRows = rows;
+
+    const headerCells = rows[0].cells.map(cell => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+    if (headerCells.includes('email')) {
+      columns = headerCells.map(cell => HEADER_ALIASES[cell] || null);
+      dataRows = rows.slice(1);
+    }
+
+    return dataRows.map(row => {
+      const values = {};
+      columns.forEach((field, index) => {
+        if (field) {
+          values[field] = row.cells[index] || '';
+        }
+      });
+      return { line: row.line, values };
+    });
+  }
+
+  /**
+   * Parse CSV text (RFC 4180 quoting, blank lines skipped)
+   * @param {string} text - CSV content
+   * @returns {Array<Object>} Rows as { line, cells } with 1-based line numbers
+   */
+  parseCsv(text) {
+    const rows = [];
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+      cells.push(cell);
+      if (cells.some(value => value.trim() !== '')) {
+        rows.push({ line: rowLine, cells });
+      }
+      cells = [];
+      cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') line++;
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        endRow();
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || cells.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  }
+}
+
+module.exports = StudentImportService;
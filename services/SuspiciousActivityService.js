@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const net = require('net');
+const Session = require('../models/Session');
+const Attendance = require('../models/Attendance');
+const AttendanceFlag = require('../models/AttendanceFlag');
+
+const { REVIEW_STATUSES } = AttendanceFlag;
+
+// Defaults used when the SUSPICIOUS_* environment variables are not set
+const DEFAULT_SHARED_CLIENT_WINDOW_SECONDS = 10;
+const DEFAULT_TOKEN_USE_LIMIT = 25;
+const DEFAULT_NETWORK_MIN_MARKS = 5;
+const DEFAULT_NETWORK_PREFIX = 24;
+
+// Read a positive integer option, falling back to an environment variable and then a default
+const positiveInteger = (value, envValue, fallback) => {
+  const parsed = parseInt(value !== undefined ? value : envValue, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+class SuspiciousActivityService {
+  /**
+   * @param {Object} database - Database wrapper
+   * @param {Object} [options] - Analyzer options
+   * @param {number} [options.sharedClientWindowSeconds] - Marks from the same IP address and browser this close
+   *   together are flagged (default: SUSPICIOUS_SHARED_CLIENT_WINDOW_SECONDS or 10)
+   * @param {number} [options.tokenUseLimit] - Marks made with one QR token beyond this many are flagged
+   *   (default: SUSPICIOUS_TOKEN_USE_LIMIT or 25)
+   * @param {number} [options.networkMinMarks] - Marks a session needs before a network counts as unusual
+   *   (default: SUSPICIOUS_NETWORK_MIN_MARKS or 5)
+   * @param {number} [options.networkPrefix] - IPv4 prefix length that groups addresses into one network
+   *   (default: SUSPICIOUS_NETWORK_PREFIX or 24; IPv6 addresses are grouped by /64)
+   */
+  constructor(database, options = {}) {
+    this.sessionModel = new Session(database);
+    this.attendanceModel = new Attendance(database);
+    this.flagModel = new AttendanceFlag(database);
+
+    this.sharedClientWindowSeconds = positiveInteger(
+      options.sharedClientWindowSeconds,
+      process.env.SUSPICIOUS_SHARED_CLIENT_WINDOW_SECONDS,
+      DEFAULT_SHARED_CLIENT_WINDOW_SECONDS
+    );
+    this.tokenUseLimit = positiveInteger(
+      options.tokenUseLimit,
+      process.env.SUSPICIOUS_TOKEN_USE_LIMIT,
+      DEFAULT_TOKEN_USE_LIMIT
+    );
+    this.networkMinMarks = positiveInteger(
+      options.networkMinMarks,
+      process.env.SUSPICIOUS_NETWORK_MIN_MARKS,
+      DEFAULT_NETWORK_MIN_MARKS
+    );
+    this.networkPrefix = Math.min(32, positiveInteger(
+      options.networkPrefix,
+      process.env.SUSPICIOUS_NETWORK_PREFIX,
+      DEFAULT_NETWORK_PREFIX
+    ));
+  }
+
+  /**
+   * Hash a QR token for storage on the attendance row, so token reuse can be counted without keeping tokens
+   * @param {string} token - QR token the student scanned
+   * @returns {string|null} Token hash, or null without a token
+   */
+  static hashToken(token) {
+    if (typeof token !== 'string' || token === '') {
+      return null;
+    }
+    return crypto.createHash('sha256').update(token).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * Get the network an address belongs to: its IPv4 prefix (networkPrefix bits) or its IPv6 /64
+   * @param {string} ipAddress - Client address (IPv4-mapped IPv6 addresses count as IPv4)
+   * @returns {string|null} Network in CIDR notation, or null for a missing or invalid address
+   */
+  getNetwork(ipAddress) {
+    if (!ipAddress || !net.isIP(ipAddress)) {
+      return null;
+    }
+
+    const mapped = ipAddress.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const address = mapped ? mapped[1] : ipAddress;
+
+    if (net.isIPv4(address)) {
+      const value = address.split('.').reduce((total, octet) => total * 256 + parseInt(octet, 10), 0);
+      const mask = 0xffffffff - (2 ** (32 - this.networkPrefix) - 1);
+      const network = (value & mask) >>> 0;
+      const octets = [24, 16, 8, 0].map(shift => (network >>> shift) & 255);
+      return `${octets.join('.')}/${this.networkPrefix}`;
+    }
+
+    // Expand "::" so the first four groups can be read
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+      ? headGroups
+      : [...headGroups, ...Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill('0'), ...tailGroups];
+
+    return `${groups.slice(0, 4).map(group => parseInt(group, 16).toString(16)).join(':')}::/64`;
+  }
+
+  /**
+   * Parse an attendance timestamp, stored as UTC without a zone suffix
+   * @param {string} timestamp - Attendance timestamp
+   * @returns {number} Milliseconds since the epoch
+   */
+  parseTimestamp(timestamp) {
+    const text = String(timestamp);
+    return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text).getTime();
+  }
+
+  /**
+   * Check a new scan against the session's other scans and record a flag for each suspicious pattern:
+   * - shared_client: other students marked from the same IP address and browser within the window
+   *   (the other students' marks are flagged too)
+   * - unusual_network: the scan came from a network none of the session's other scans used,
+   *   while most of them share one network
+   * - token_reuse: the QR token had already been used tokenUseLimit times
+   * Flags do not block the mark; faculty review them from the dashboard.
+   * @param {Object} attendance - Attendance row just inserted
+   * @returns {Promise<Object>} Analysis result with the flags raised
+   */
+  async analyzeMark(attendance) {
+    try {
+      const marks = await this.attendanceModel.getScannedMarks(attendance.session_id);
+      const others = marks.filter(mark => mark.id !== attendance.id);
+
+      const flags = [
+        ...await this.checkSharedClient(attendance, others),
+        ...await this.checkNetwork(attendance, others),
+        ...await this.checkTokenReuse(attendance, marks)
+      ];
+
+      return { success: true, flags };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Flag marks made from the same IP address and user agent within the window
+   * @param {Object} attendance - New attendance row
+   * @param {Object[]} others - The session's other scanned marks
+   * @returns {Promise<Object[]>} Flags raised
+   */
+  async checkSharedClient(attendance, others) {
+    if (!attendance.ip_address || !attendance.user_agent) {
+      return [];
+    }
+
+    const markedAt = this.parseTimestamp(attendance.timestamp);
+    const windowMs = this.sharedClientWindowSeconds * 1000;
+    const matches = others.filter(mark =>
+      mark.ip_address === attendance.ip_address &&
+      mark.user_agent === attendance.user_agent &&
+      Math.abs(this.parseTimestamp(mark.timestamp) - markedAt) <= windowMs
+    );
+
+    if (matches.length === 0) {
+      return [];
+    }
+
+    const flags = [await this.flagModel.create({
+      sessionId: attendance.session_id,
+      attendanceId: attendance.id,
+      studentEmail: attendance.student_email,
+      reason: 'shared_client',
+      details: {
+        ipAddress: attendance.ip_address,
+        otherStudents: matches.map(mark => mark.student_email),
+        windowSeconds: this.sharedClientWindowSeconds
+      }
+    })];
+
+    // The first student of the group is just as suspicious as the ones after
+    for (const mark of matches) {
+      if (!await this.flagModel.hasFlag(mark.id, 'shared_client')) {
+        flags.push(await this.flagModel.create({
+          sessionId: attendance.session_id,
+          attendanceId: mark.id,
+          studentEmail: mark.student_email,
+          reason: 'shared_client',
+          details: {
+            ipAddress: mark.ip_address,
+            otherStudents: [attendance.student_email],
+            windowSeconds: this.sharedClientWindowSeconds
+          }
+        }));
+      }
+    }
+
+    return flags;
+  }
+
+  /**
+   * Flag a mark from a network no other scan in the session used, once most scans share one network
+   * @param {Object} attendance - New attendance row
+   * @param {Object[]} others - The session's other scanned marks
+   * @returns {Promise<Object[]>} Flags raised
+   */
+  async checkNetwork(attendance, others) {
+    const network = this.getNetwork(attendance.ip_address);
+    if (!network) {
+      return [];
+    }
+
+    const counts = new Map();
+    for (const mark of others) {
+      const otherNetwork = this.getNetwork(mark.ip_address);
+      if (otherNetwork) {
+        counts.set(otherNetwork, (counts.get(otherNetwork) || 0) + 1);
+      }
+    }
+
+    const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+    if (total < this.networkMinMarks || counts.has(network)) {
+      return [];
+    }
+
+    // Without a usual network (say, everyone on mobile data) no network stands out
+    const [usualNetwork, usualCount] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+    if (usualCount * 2 < total) {
+      return [];
+    }
+
+    return [await this.flagModel.create({
+      sessionId: attendance.session_id,
+      attendanceId: attendance.id,
+      studentEmail: attendance.student_email,
+      reason: 'unusual_network',
+      details: {
+        ipAddress: attendance.ip_address,
+        network,
+        usualNetwork,
+        usualShare: Math.round((usualCount / total) * 100)
+      }
+    })];
+  }
+
+  /**
+   * Flag a mark made with a QR token that had already been used tokenUseLimit times
+   * @param {Object} attendance - New attendance row
+   * @param {Object[]} marks - All scanned marks in the session, including the new one
+   * @returns {Promise<Object[]>} Flags raised
+   */
+  async checkTokenReuse(attendance, marks) {
+    if (!attendance.token_hash) {
+      return [];
+    }
+
+    const uses = marks.filter(mark => mark.token_hash === attendance.token_hash).length;
+    if (uses <= this.tokenUseLimit) {
+      return [];
+    }
+
+    return [await this.flagModel.create({
+      sessionId: attendance.session_id,
+      attendanceId: attendance.id,
+      studentEmail: attendance.student_email,
+      reason: 'token_reuse',
+      details: { uses, limit: this.tokenUseLimit }
+    })];
+  }
+
+  /**
+   * Load a session and check that it belongs to the faculty member
+   * @param {string} sessionId - Session ID
+   * @param {string} facultyId - Faculty ID
+   * @returns {Promise<Object>} Session, or an error with its AppError code
+   */
+  async getOwnedSession(sessionId, facultyId) {
+    const session = await this.sessionModel.findById(sessionId);
+    if (!session) {
+      return { success: false, code: 'SESSION_NOT_FOUND', error: 'Session not found' };
+    }
+    if (session.faculty_id !== facultyId) {
+      return { success: false, code: 'SESSION_UNAUTHORIZED', error: 'Unauthorized: Session belongs to different faculty' };
+    }
+    return { success: true, session };
+  }
+
+  /**
+   * Get the flags raised in one of the faculty member's sessions
+   * @param {string} sessionId - Session ID
+   * @param {string} facultyId - Faculty ID
+   * @returns {Promise<Object>} Flags, oldest first, or an error with its AppError code
+   */
+  async getSessionFlags(sessionId, facultyId) {
+    try {
+      const sessionResult = await this.getOwnedSession(sessionId, facultyId);
+      if (!sessionResult.success) {
+        return sessionResult;
+      }
+
+      const flags = await this.flagModel.findBySession(sessionId);
+      return { success: true, flags };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+
+  /**
+   * Record a faculty decision on a flag. Confirming a flag does not change the mark;
+   * faculty remove it with a manual attendance change if they want to.
+   * @param {string} sessionId - Session ID
+   * @param {string} flagId - Flag ID
+   * @param {string} status - 'confirmed', 'dismissed' or 'open' to undo a decision
+   * @param {string} facultyId - Faculty making the decision
+   * @returns {Promise<Object>} Updated flag, or an error with its AppError code
+   */
+  async reviewFlag(sessionId, flagId, status, facultyId) {
+    try {
+      if (!REVIEW_STATUSES.includes(status)) {
+        return { success: false, code: 'INVALID_INPUT', error: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` };
+      }
+
+      const sessionResult = await this.getOwnedSession(sessionId, facultyId);
+      if (!sessionResult.success) {
+        return sessionResult;
+      }
+
+      const flag = await this.flagModel.findById(flagId);
+      if (!flag || flag.session_id !== sessionId) {
+        return { success: false, code: 'FLAG_NOT_FOUND', error: 'Flag not found' };
+      }
+
+      const updated = await this.flagModel.setReviewStatus(flagId, status, facultyId);
+      return { success: true, flag: updated };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+
+  /**
+   * Shape a flag row for API responses and WebSocket events
+   * @param {Object} flag - Flag row
+   * @returns {Object} Flag
+   */
+  formatFlag(flag) {
+    return {
+      id: flag.id,
+      sessionId: flag.session_id,
+      studentEmail: flag.student_email,
+      studentName: flag.student_name,
+      reason: flag.reason,
+      details: flag.details ? JSON.parse(flag.details) : {},
+      reviewStatus: flag.review_status,
+      reviewedBy: flag.reviewer_name || flag.reviewed_by,
+      reviewedAt: flag.reviewed_at,
+      createdAt: flag.created_at
+    };
+  }
+}
+
+module.exports = SuspiciousActivityService;
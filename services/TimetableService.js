@@ -0,0 +1,325 @@
+const Timetable = require('../models/Timetable');
+const LocalTimeService = require('./LocalTimeService');
+
+const { toMinutes } = LocalTimeService;
+
+// How session starts are checked against the timetable: 'slot' needs a timetabled class for the
+// course section right now, 'assignment' only needs the faculty to teach it, 'off' skips the check
+const VALIDATION_MODES = ['slot', 'assignment', 'off'];
+// How long a pulled timetable is used before it is pulled again when TIMETABLE_CACHE_TTL_MINUTES is not set
+const DEFAULT_CACHE_TTL_MINUTES = 60;
+// How early before a timetabled slot a session may be started when TIMETABLE_EARLY_START_MINUTES is not set
+const DEFAULT_EARLY_START_MINUTES = 10;
+// How long to wait for the timetable system before giving up
+const DEFAULT_REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Client for the institution's timetable system (TIMETABLE_SYSTEM_API_URL).
+ * Pulls faculty course assignments, class slots and course sections, caches them in SQLite
+ * and checks session starts against the faculty member's timetable.
+ *
+ * Endpoints used (all authenticated with the X-API-Key header):
+ *   GET /faculty/:facultyId/assignments -> { assignments: [{ courseCode, section, courseName }] }
+ *   GET /faculty/:facultyId/slots       -> { slots: [{ courseCode, section, weekday, startTime, durationMinutes, room }] }
+ *   GET /course-sections                -> { courseSections: [{ courseCode, section, courseName }] }
+ */
+class TimetableService {
+  /**
+   * @param {Object} database - Database wrapper
+   * @param {Object} [options] - Client options
+   * @param {string} [options.baseUrl] - Timetable API base URL (default: TIMETABLE_SYSTEM_API_URL; unset disables the client)
+   * @param {string} [options.apiKey] - API key (default: TIMETABLE_SYSTEM_API_KEY)
+   * @param {string} [options.validationMode] - 'slot', 'assignment' or 'off' (default: TIMETABLE_VALIDATION or 'slot')
+   * @param {number} [options.cacheTtlMs] - Cache lifetime (default: TIMETABLE_CACHE_TTL_MINUTES or 60 minutes)
+   * @param {number} [options.earlyStartMinutes] - Minutes before a slot a session may start
+   *   (default: TIMETABLE_EARLY_START_MINUTES or 10)
+   * @param {number} [options.requestTimeoutMs] - Request timeout (default: 5 seconds)
+   * @param {string} [options.timeZone] - Time zone slots are written in (default: SCHEDULE_TIMEZONE or the server's)
+   * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+   */
+  constructor(database, options = {}) {
+    this.timetableModel = new Timetable(database);
+    this.localTime = new LocalTimeService(options.timeZone);
+    this.fetch = options.fetch || global.fetch;
+
+    this.baseUrl = (options.baseUrl ?? process.env.TIMETABLE_SYSTEM_API_URL ?? '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey ?? process.env.TIMETABLE_SYSTEM_API_KEY ?? '';
+
+    const envMode = (process.env.TIMETABLE_VALIDATION || '').toLowerCase();
+    this.validationMode = options.validationMode || (VALIDATION_MODES.includes(envMode) ? envMode : 'slot');
+
+    const envTtl = parseInt(process.env.TIMETABLE_CACHE_TTL_MINUTES, 10);
+    this.cacheTtlMs = options.cacheTtlMs ?? (envTtl >= 0 ? envTtl : DEFAULT_CACHE_TTL_MINUTES) * 60 * 1000;
+
+    const envEarly = parseInt(process.env.TIMETABLE_EARLY_START_MINUTES, 10);
+    this.earlyStartMinutes = options.earlyStartMinutes ?? (envEarly >= 0 ? envEarly : DEFAULT_EARLY_START_MINUTES);
+
+    this.requestTimeoutMs = options.requestTimeoutMs || DEFAULT_REQUEST_TIMEOUT_MS;
+
+    // Concurrent syncs for the same faculty share one request
+    this.pendingSyncs = new Map();
+  }
+
+  /**
+   * Check whether the timetable system is configured
+   * @returns {boolean} True if a timetable API URL is set
+   */
+  isConfigured() {
+    return this.baseUrl !== '';
+  }
+
+  /**
+   * Call the timetable API
+   * @param {string} path - Path below the base URL
+   * @returns {Promise<Object|null>} Parsed JSON body, or null for 404
+   * @throws {Error} If the request fails or the timetable system returns an error
+   */
+  async request(path) {
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      headers: {
+        Accept: 'application/json',
+        'X-API-Key': this.apiKey
+      },
+      signal: AbortSignal.timeout(this.requestTimeoutMs)
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Timetable system responded with HTTP ${response.status}`);
+    }
+    return await response.json();
+  }
+
+  /**
+   * Keep the well-formed entries of a list from the timetable system
+   * @param {*} list - List from a response body
+   * @param {Function} isValid - Entry check
+   * @param {string} label - What the list holds, for the log
+   * @returns {Object[]} Valid entries
+   */
+  keepValid(list, isValid, label) {
+    if (!Array.isArray(list)) {
+      throw new Error(`Timetable system returned no ${label} list`);
+    }
+
+    const valid = list.filter(isValid);
+    if (valid.length < list.length) {
+      console.warn(`Ignored ${list.length - valid.length} malformed ${label} from the timetable system`);
+    }
+    return valid;
+  }
+
+  /**
+   * Check a course section entry
+   * @param {Object} entry - Entry from the timetable system
+   * @returns {boolean} True if it has a course code and section
+   */
+  isCourseSection(entry) {
+    return !!entry && typeof entry.courseCode === 'string' && entry.courseCode !== '' &&
+      typeof entry.section === 'string' && entry.section !== '';
+  }
+
+  /**
+   * Check a class slot entry
+   * @param {Object} entry - Entry from the timetable system
+   * @returns {boolean} True if it has a course section, weekday, HH:MM start time and duration
+   */
+  isSlot(entry) {
+    return this.isCourseSection(entry) &&
+      Number.isInteger(entry.weekday) && entry.weekday >= 0 && entry.weekday <= 6 &&
+      LocalTimeService.isTimeOfDay(entry.startTime) &&
+      Number.isInteger(entry.durationMinutes) && entry.durationMinutes > 0;
+  }
+
+  /**
+   * Pull a faculty member's assignments and slots from the timetable system into the cache
+   * @param {string} facultyId - Faculty ID (as known to the timetable system)
+   * @returns {Promise<Object>} Pulled timetable, or an error with its AppError code
+   */
+  async syncFaculty(facultyId) {
+    if (!this.isConfigured()) {
+      return { success: false, code: 'TIMETABLE_UNAVAILABLE', error: 'Timetable system is not configured' };
+    }
+
+    if (!this.pendingSyncs.has(facultyId)) {
+      const sync = this.pullFaculty(facultyId).finally(() => this.pendingSyncs.delete(facultyId));
+      this.pendingSyncs.set(facultyId, sync);
+    }
+    return this.pendingSyncs.get(facultyId);
+  }
+
+  /**
+   * Fetch and cache a faculty member's timetable (see syncFaculty)
+   * @param {string} facultyId - Faculty ID
+   * @returns {Promise<Object>} Pulled timetable, or an error with its AppError code
+   */
+  async pullFaculty(facultyId) {
+    try {
+      const id = encodeURIComponent(facultyId);
+      const [assignmentBody, slotBody] = await Promise.all([
+        this.request(`/faculty/${id}/assignments`),
+        this.request(`/faculty/${id}/slots`)
+      ]);
+
+      // A faculty member the timetable system does not know has an empty timetable
+      const assignments = assignmentBody
+        ? this.keepValid(assignmentBody.assignments, entry => this.isCourseSection(entry), 'assignments')
+        : [];
+      const slots = slotBody
+        ? this.keepValid(slotBody.slots, entry => this.isSlot(entry), 'slots')
+        : [];
+
+      const syncedAt = new Date().toISOString();
+      await this.timetableModel.replaceFacultyTimetable(facultyId, assignments, slots, syncedAt);
+
+      return { success: true, ...(await this.readCache(facultyId)), syncedAt, stale: false };
+    } catch (error) {
+      return {
+        success: false,
+        code: 'TIMETABLE_UNAVAILABLE',
+        error: `Could not load timetable: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Read a faculty member's cached timetable
+   * @param {string} facultyId - Faculty ID
+   * @returns {Promise<Object>} Assignments and slots
+   */
+  async readCache(facultyId) {
+    const [assignments, slots] = await Promise.all([
+      this.timetableModel.getAssignments(facultyId),
+      this.timetableModel.getSlots(facultyId)
+    ]);
+
+    return {
+      assignments: assignments.map(row => ({
+        courseCode: row.course_code,
+        section: row.section,
+        courseName: row.course_name
+      })),
+      slots: slots.map(row => ({
+        courseCode: row.course_code,
+        section: row.section,
+        weekday: row.weekday,
+        startTime: row.start_time,
+        durationMinutes: row.duration_minutes,
+        room: row.room
+      }))
+    };
+  }
+
+  /**
+   * Get a faculty member's timetable, pulling it again when the cache is older than its lifetime.
+   * If the timetable system cannot be reached, an older cached copy is returned with stale: true.
+   * @param {string} facultyId - Faculty ID
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.refresh] - Pull from the timetable system even if the cache is fresh
+   * @returns {Promise<Object>} Assignments, slots and when they were pulled, or an error with its AppError code
+   */
+  async getFacultyTimetable(facultyId, options = {}) {
+    try {
+      const syncedAt = await this.timetableModel.getSyncedAt(facultyId);
+      const isFresh = syncedAt && Date.now() - new Date(syncedAt).getTime() < this.cacheTtlMs;
+
+      if (isFresh && !options.refresh) {
+        return { success: true, ...(await this.readCache(facultyId)), syncedAt, stale: false };
+      }
+
+      const syncResult = await this.syncFaculty(facultyId);
+      if (syncResult.success || !syncedAt) {
+        return syncResult;
+      }
+
+      console.warn(`Using cached timetable for ${facultyId} from ${syncedAt}: ${syncResult.error}`);
+      return { success: true, ...(await this.readCache(facultyId)), syncedAt, stale: true };
+    } catch (error) {
+      return { success: false, code: 'INTERNAL_ERROR', error: error.message };
+    }
+  }
+
+  /**
+   * Pull every course section from the timetable system into the courses table,
+   * adding new sections and updating course names
+   * @returns {Promise<Object>} Number of course sections pulled, or an error with its AppError code
+   */
+  async syncCourseSections() {
+    if (!this.isConfigured()) {
+      return { success: false, code: 'TIMETABLE_UNAVAILABLE', error: 'Timetable system is not configured' };
+    }
+
+    try {
+      const body = await this.request('/course-sections');
+      const courseSections = this.keepValid(body && body.courseSections, entry => this.isCourseSection(entry), 'course sections');
+
+      for (const courseSection of courseSections) {
+        await this.timetableModel.upsertCourseSection(courseSection);
+      }
+      return { success: true, count: courseSections.length };
+    } catch (error) {
+      return {
+        success: false,
+        code: 'TIMETABLE_UNAVAILABLE',
+        error: `Could not load course sections: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Check that a session matches the faculty member's timetable before it starts.
+   * Passes when the timetable system is not configured or validation is off. If the timetable
+   * cannot be loaded at all the session is allowed with a warning, so an outage of the
+   * timetable system does not stop classes from taking attendance.
+   * @param {Object} sessionData - facultyId, courseCode and section of the session
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} allowed, plus the reason when refused or a warning when unchecked
+   */
+  async checkSessionStart(sessionData, now = new Date()) {
+    if (!this.isConfigured() || this.validationMode === 'off') {
+      return { allowed: true };
+    }
+
+    const { facultyId, courseCode, section } = sessionData;
+    const timetable = await this.getFacultyTimetable(facultyId);
+    if (!timetable.success) {
+      console.warn(`Starting session for ${facultyId} without a timetable check: ${timetable.error}`);
+      return { allowed: true, warning: timetable.error };
+    }
+
+    const isCourseSection = entry => entry.courseCode === courseCode && entry.section === section;
+
+    if (!timetable.assignments.some(isCourseSection)) {
+      return {
+        allowed: false,
+        reason: `Timetable: you are not assigned to teach ${courseCode} section ${section}`
+      };
+    }
+
+    if (this.validationMode === 'assignment') {
+      return { allowed: true };
+    }
+
+    const local = this.localTime.getLocalTime(now);
+    const slot = timetable.slots.find(entry => {
+      if (!isCourseSection(entry) || entry.weekday !== local.weekday) {
+        return false;
+      }
+      const start = toMinutes(entry.startTime);
+      return local.minutes >= start - this.earlyStartMinutes && local.minutes < start + entry.durationMinutes;
+    });
+
+    if (!slot) {
+      return {
+        allowed: false,
+        reason: `Timetable: ${courseCode} section ${section} has no class timetabled at this time`
+      };
+    }
+    return { allowed: true, slot };
+  }
+}
+
+module.exports = TimetableService;
+module.exports.VALIDATION_MODES = VALIDATION_MODES;
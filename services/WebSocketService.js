@@ -1,52 +1,187 @@
+const DisplayLinkService = require('./DisplayLinkService');
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_MS = 2147483647;
+
 class WebSocketService {
-  constructor(io) {
+  /**
+   * @param {Object} io - Socket.IO server, with the login session shared on its handshake requests (see server.js)
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.sessionModel] - Session model used to check who owns a session room
+   *   (default: the DatabaseService one, looked up on first use)
+   * @param {Object} [options.displayLinkService] - Used to check the tokens of projector display sockets
+   */
+  constructor(io, options = {}) {
     this.io = io;
+    this.sessionModel = options.sessionModel || null;
+    this.displayLinkService = options.displayLinkService || null;
+    this.setupAuthentication();
     this.setupEventHandlers();
   }
 
+  /**
+   * Only accept sockets opened by a signed-in faculty member, or by a display page
+   * holding a display link for an active session (sent as auth.displayToken).
+   * Refused connections get a connect_error with data.code set to UNAUTHORIZED,
+   * DISPLAY_LINK_INVALID or SESSION_INACTIVE.
+   */
+  setupAuthentication() {
+    this.io.use((socket, next) => {
+      const displayToken = socket.handshake.auth && socket.handshake.auth.displayToken;
+      if (displayToken) {
+        this.authenticateDisplay(socket, displayToken)
+          .then(() => next())
+          .catch(next);
+        return;
+      }
+
+      const user = socket.request.user;
+
+      if (!user || user.role !== 'faculty') {
+        const error = new Error('Faculty authentication required');
+        error.data = { code: 'UNAUTHORIZED' };
+        return next(error);
+      }
+
+      socket.data.user = user;
+      // Remembered so logging out can close the sockets opened under that login
+      socket.data.loginId = socket.request.session ? socket.request.session.id : null;
+      next();
+    });
+  }
+
+  /**
+   * Check a display socket's token and that its session is still running
+   * @param {Object} socket - Connecting socket
+   * @param {string} displayToken - Display link token
+   */
+  async authenticateDisplay(socket, displayToken) {
+    const link = this.getDisplayLinkService().verifyToken(displayToken);
+    if (!link) {
+      const error = new Error('Display link is invalid or has expired');
+      error.data = { code: 'DISPLAY_LINK_INVALID' };
+      throw error;
+    }
+
+    const session = await this.getSessionModel().findById(link.sessionId);
+    if (!session || session.is_active !== 1) {
+      const error = new Error('Session is not active');
+      error.data = { code: 'SESSION_INACTIVE' };
+      throw error;
+    }
+
+    socket.data.display = link;
+  }
+
+  /**
+   * Put a display socket in its session's rooms and close it when its link expires.
+   * Display sockets share the session room's QR and status events, and get a
+   * present count in their own display room instead of the attendance details.
+   * @param {Object} socket - Display socket
+   */
+  joinDisplayRooms(socket) {
+    const { sessionId, expiresAt } = socket.data.display;
+
+    socket.join(`session-${sessionId}`);
+    socket.join(`display-${sessionId}`);
+    console.log(`Display joined session room: session-${sessionId}`);
+
+    socket.emit('joined-room', {
+      room: `session-${sessionId}`,
+      message: 'Successfully joined session display'
+    });
+
+    const expiryTimer = setTimeout(() => {
+      socket.emit('display-expired', { sessionId });
+      socket.disconnect(true);
+    }, Math.min(expiresAt.getTime() - Date.now(), MAX_TIMER_MS));
+    expiryTimer.unref();
+    socket.on('disconnect', () => clearTimeout(expiryTimer));
+  }
+
   setupEventHandlers() {
     this.io.on('connection', (socket) => {
       console.log('Client connected:', socket.id);
 
-      // Handle faculty dashboard connection
-      socket.on('join-faculty-room', (data) => {
-        const { facultyId } = data;
-        if (facultyId) {
-          socket.join(`faculty-${facultyId}`);
-          console.log(`Faculty ${facultyId} joined room: faculty-${facultyId}`);
-          
-          socket.emit('joined-room', {
-            room: `faculty-${facultyId}`,
-            message: 'Successfully joined faculty dashboard room'
-          });
+      if (socket.data.display) {
+        this.joinDisplayRooms(socket);
+      }
+
+      // Handle faculty dashboard connection; faculty can only join their own room
+      socket.on('join-faculty-room', (data = {}) => {
+        if (!socket.data.user) {
+          this.rejectJoin(socket, `faculty-${data.facultyId}`, 'FORBIDDEN', 'Display links can only follow their own session');
+          return;
         }
+
+        const facultyId = socket.data.user.id;
+
+        if (data.facultyId && data.facultyId !== facultyId) {
+          this.rejectJoin(socket, `faculty-${data.facultyId}`, 'FORBIDDEN', 'You can only join your own faculty room');
+          return;
+        }
+
+        socket.join(`faculty-${facultyId}`);
+        console.log(`Faculty ${facultyId} joined room: faculty-${facultyId}`);
+
+        socket.emit('joined-room', {
+          room: `faculty-${facultyId}`,
+          message: 'Successfully joined faculty dashboard room'
+        });
       });
 
       // Handle leaving faculty room
-      socket.on('leave-faculty-room', (data) => {
-        const { facultyId } = data;
-        if (facultyId) {
-          socket.leave(`faculty-${facultyId}`);
-          console.log(`Faculty ${facultyId} left room: faculty-${facultyId}`);
+      socket.on('leave-faculty-room', () => {
+        if (!socket.data.user) {
+          return;
         }
+        socket.leave(`faculty-${socket.data.user.id}`);
+        console.log(`Faculty ${socket.data.user.id} left room: faculty-${socket.data.user.id}`);
       });
 
-      // Handle session room joining (for specific session updates)
-      socket.on('join-session-room', (data) => {
-        const { sessionId, facultyId } = data;
-        if (sessionId && facultyId) {
-          socket.join(`session-${sessionId}`);
-          console.log(`Faculty ${facultyId} joined session room: session-${sessionId}`);
-          
-          socket.emit('joined-room', {
-            room: `session-${sessionId}`,
-            message: 'Successfully joined session room'
-          });
+      // Handle session room joining (for specific session updates); only the session's own faculty may join
+      socket.on('join-session-room', async (data = {}) => {
+        const { sessionId } = data;
+
+        if (!socket.data.user) {
+          this.rejectJoin(socket, `session-${sessionId}`, 'FORBIDDEN', 'Display links can only follow their own session');
+          return;
+        }
+
+        const facultyId = socket.data.user.id;
+
+        if (!sessionId) {
+          this.rejectJoin(socket, null, 'MISSING_PARAMETERS', 'sessionId is required');
+          return;
+        }
+
+        try {
+          const session = await this.getSessionModel().findById(sessionId);
+          if (!session) {
+            this.rejectJoin(socket, `session-${sessionId}`, 'SESSION_NOT_FOUND', 'Session not found');
+            return;
+          }
+          if (session.faculty_id !== facultyId) {
+            this.rejectJoin(socket, `session-${sessionId}`, 'SESSION_UNAUTHORIZED', 'Session belongs to different faculty');
+            return;
+          }
+        } catch (error) {
+          console.error(`Failed to check session room ${sessionId}:`, error);
+          this.rejectJoin(socket, `session-${sessionId}`, 'INTERNAL_ERROR', 'Could not check the session');
+          return;
         }
+
+        socket.join(`session-${sessionId}`);
+        console.log(`Faculty ${facultyId} joined session room: session-${sessionId}`);
+
+        socket.emit('joined-room', {
+          room: `session-${sessionId}`,
+          message: 'Successfully joined session room'
+        });
       });
 
       // Handle leaving session room
-      socket.on('leave-session-room', (data) => {
+      socket.on('leave-session-room', (data = {}) => {
         const { sessionId } = data;
         if (sessionId) {
           socket.leave(`session-${sessionId}`);
@@ -66,6 +201,53 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Tell a socket it was not allowed into a room
+   * @param {Object} socket - Socket that asked to join
+   * @param {string|null} room - Room it asked for
+   * @param {string} code - AppError code
+   * @param {string} message - Why the join was refused
+   */
+  rejectJoin(socket, room, code, message) {
+    const client = socket.data.user ? `faculty ${socket.data.user.id}` : `display for session ${socket.data.display.sessionId}`;
+    console.warn(`Refused room join for ${client}: ${room || 'no room'} (${code})`);
+    socket.emit('join-error', { room, code, message });
+  }
+
+  /**
+   * Get the session model used for room ownership checks
+   * @returns {Object} Session model
+   */
+  getSessionModel() {
+    if (!this.sessionModel) {
+      this.sessionModel = require('./DatabaseService').getSessionModel();
+    }
+    return this.sessionModel;
+  }
+
+  /**
+   * Get the service used to check display tokens
+   * @returns {Object} Display link service
+   */
+  getDisplayLinkService() {
+    if (!this.displayLinkService) {
+      this.displayLinkService = new DisplayLinkService(require('./DatabaseService').getDatabase());
+    }
+    return this.displayLinkService;
+  }
+
+  /**
+   * Disconnect every socket opened under a login session, e.g. when it logs out
+   * @param {string} loginId - express-session ID
+   * @returns {Promise<number>} Number of sockets disconnected
+   */
+  async disconnectLogin(loginId) {
+    const sockets = await this.io.fetchSockets();
+    const loginSockets = sockets.filter(socket => loginId && socket.data.loginId === loginId);
+    loginSockets.forEach(socket => socket.disconnect(true));
+    return loginSockets.length;
+  }
+
   /**
    * Broadcast QR code update to faculty dashboard
    * @param {string} facultyId - Faculty ID
@@ -98,19 +280,51 @@ class WebSocketService {
       sessionId,
       // Unwrap to top-level for front-end compatibility
       newAttendance: attendanceData.newAttendance,
+      // Set when faculty change a mark's status or remove it by hand
+      updatedAttendance: attendanceData.updatedAttendance,
+      removedAttendance: attendanceData.removedAttendance,
+      // Who changed the record and why, for manual changes
+      override: attendanceData.override,
       summary: attendanceData.summary,
       timestamp: new Date().toISOString()
     };
 
     this.io.to(`faculty-${facultyId}`).emit('attendance-update', updateData);
-    this.io.to(`session-${sessionId}`).emit('attendance-update', updateData);
+    this.io.to(`session-${sessionId}`).except(`display-${sessionId}`).emit('attendance-update', updateData);
+
+    // Projector displays are shown to the class, so they only get the count
+    if (attendanceData.summary) {
+      this.io.to(`display-${sessionId}`).emit('present-count', {
+        sessionId,
+        presentCount: attendanceData.summary.presentCount,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Tell the faculty dashboard about scans the analyzer flagged as suspicious.
+   * Projector displays are shown to the class, so they are left out.
+   * @param {string} facultyId - Faculty ID
+   * @param {string} sessionId - Session ID
+   * @param {Object[]} flags - Flags raised
+   */
+  broadcastSuspiciousActivity(facultyId, sessionId, flags) {
+    const flagData = {
+      sessionId,
+      flags,
+      timestamp: new Date().toISOString()
+    };
+
+    this.io.to(`faculty-${facultyId}`).emit('suspicious-activity', flagData);
+    this.io.to(`session-${sessionId}`).except(`display-${sessionId}`).emit('suspicious-activity', flagData);
   }
 
   /**
    * Broadcast session status change
    * @param {string} facultyId - Faculty ID
    * @param {string} sessionId - Session ID
-   * @param {string} status - Session status (started, ended, etc.)
+   * @param {string} status - Session status ('paused' or 'resumed')
    * @param {Object} sessionData - Session data
    */
   broadcastSessionStatusChange(facultyId, sessionId, status, sessionData = {}) {
@@ -125,6 +339,67 @@ class WebSocketService {
     this.io.to(`session-${sessionId}`).emit('session-status-change', statusData);
   }
 
+  /**
+   * Tell the faculty dashboard a session was started for them (e.g. by the scheduler)
+   * @param {string} facultyId - Faculty ID
+   * @param {Object} session - Session row
+   * @param {Object} qrData - Initial QR code data
+   */
+  broadcastSessionStarted(facultyId, session, qrData) {
+    this.io.to(`faculty-${facultyId}`).emit('session-started', {
+      sessionId: session.id,
+      session: {
+        id: session.id,
+        courseName: session.course_name,
+        courseCode: session.course_code,
+        section: session.section,
+        startTime: session.start_time,
+        isActive: session.is_active === 1,
+        tokenMode: session.token_mode,
+        tokenExpirySeconds: session.token_expiry_seconds,
+        scheduleId: session.schedule_id,
+        scheduledEndTime: session.scheduled_end_time
+      },
+      qrData,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Tell the faculty dashboard and any projector displays that a session ended
+   * @param {string} facultyId - Faculty ID
+   * @param {Object} session - Ended session row
+   * @param {Object} details - Extra event fields, such as the reason it ended
+   */
+  broadcastSessionEnded(facultyId, session, details = {}) {
+    const endedData = {
+      sessionId: session.id,
+      endTime: session.end_time,
+      ...details
+    };
+
+    this.io.to(`faculty-${facultyId}`).emit('session-ended', endedData);
+    this.io.to(`display-${session.id}`).emit('session-ended', endedData);
+  }
+
+  /**
+   * Tell the faculty dashboard a scheduled slot could not start its session
+   * @param {string} facultyId - Faculty ID
+   * @param {Object} schedule - Schedule row
+   * @param {string} reason - Why the session was not started
+   */
+  broadcastScheduleSkipped(facultyId, schedule, reason) {
+    this.io.to(`faculty-${facultyId}`).emit('schedule-skipped', {
+      scheduleId: schedule.id,
+      courseName: schedule.course_name,
+      courseCode: schedule.course_code,
+      section: schedule.section,
+      startTime: schedule.start_time,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Broadcast error to specific faculty
    * @param {string} facultyId - Faculty ID
@@ -0,0 +1,282 @@
+const zlib = require('zlib');
+
+// CRC-32 lookup table for ZIP entries
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Excel limits sheet names to 31 characters and forbids a few symbols
+const INVALID_SHEET_NAME = /[\[\]:*?/\\]/;
+
+// Cell styles defined in styles.xml: 0 = default, 1 = bold header, 2 = number with two decimals
+const STYLE_HEADER = 1;
+const STYLE_DECIMAL = 2;
+
+/**
+ * Writes Office Open XML (.xlsx) workbooks without any external dependency.
+ * Cells hold inline strings or numbers; that is all attendance reports need.
+ */
+class XlsxService {
+  /**
+   * Build an .xlsx file
+   * @param {Object[]} sheets - Worksheets in tab order
+   * @param {string} sheets[].name - Sheet name
+   * @param {Array<Array<string|number|null>>} sheets[].rows - Rows of cell values; the first row is styled as a header
+   * @param {number[]} [sheets[].columnWidths] - Column widths in characters
+   * @param {number} [sheets[].freezeColumns=0] - Leading columns to keep visible while scrolling
+   * @returns {Buffer} Workbook file contents
+   */
+  createWorkbook(sheets) {
+    if (!Array.isArray(sheets) || sheets.length === 0) {
+      throw new Error('A workbook needs at least one sheet');
+    }
+    sheets.forEach(sheet => this.validateSheetName(sheet.name));
+
+    const files = [
+      { name: '[Content_Types].xml', data: this.buildContentTypes(sheets) },
+      { name: '_rels/.rels', data: this.buildRootRels() },
+      { name: 'xl/workbook.xml', data: this.buildWorkbookXml(sheets) },
+      { name: 'xl/_rels/workbook.xml.rels', data: this.buildWorkbookRels(sheets) },
+      { name: 'xl/styles.xml', data: this.buildStyles() },
+      ...sheets.map((sheet, index) => ({
+        name: `xl/worksheets/sheet${index + 1}.xml`,
+        data: this.buildSheetXml(sheet)
+      }))
+    ];
+
+    return this.zip(files);
+  }
+
+  /**
+   * Check a sheet name against Excel's rules
+   * @param {string} name - Sheet name
+   */
+  validateSheetName(name) {
+    if (typeof name !== 'string' || name.length === 0 || name.length > 31 || INVALID_SHEET_NAME.test(name)) {
+      throw new Error(`Invalid sheet name: ${name}`);
+    }
+  }
+
+  /**
+   * Convert a zero-based column index to its letter (0 -> A, 26 -> AA)
+   * @param {number} index - Column index
+   * @returns {string} Column letters
+   */
+  columnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+      const remainder = (n - 1) % 26;
+      name = String.fromCharCode(65 + remainder) + name;
+      n = Math.floor((n - 1) / 26);
+    }
+    return name;
+  }
+
+  /**
+   * Escape text for XML, dropping control characters XML cannot carry
+   * @param {*} value - Text
+   * @returns {string} Escaped text
+   */
+  escapeXml(value) {
+    return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  buildContentTypes(sheets) {
+    const sheetOverrides = sheets.map((sheet, index) =>
+      `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheetOverrides +
+      '</Types>';
+  }
+
+  buildRootRels() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>';
+  }
+
+  buildWorkbookXml(sheets) {
+    const sheetEntries = sheets.map((sheet, index) =>
+      `<sheet name="${this.escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets>${sheetEntries}</sheets>` +
+      '</workbook>';
+  }
+
+  buildWorkbookRels(sheets) {
+    const sheetRels = sheets.map((sheet, index) =>
+      `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheetRels +
+      `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>';
+  }
+
+  buildStyles() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="3">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+  }
+
+  buildSheetXml(sheet) {
+    const rows = sheet.rows || [];
+    const freezeColumns = sheet.freezeColumns || 0;
+
+    // Keep the header row (and any leading columns) in view while scrolling
+    const topLeftCell = `${this.columnName(freezeColumns)}2`;
+    const pane = freezeColumns > 0
+      ? `<pane xSplit="${freezeColumns}" ySplit="1" topLeftCell="${topLeftCell}" activePane="bottomRight" state="frozen"/>`
+      : `<pane ySplit="1" topLeftCell="${topLeftCell}" activePane="bottomLeft" state="frozen"/>`;
+
+    const columns = (sheet.columnWidths || []).length > 0
+      ? `<cols>${sheet.columnWidths.map((width, index) =>
+        `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+      : '';
+
+    // Empty rows are left out; row numbers keep the gap
+    const sheetData = rows.map((row, rowIndex) => {
+      const cells = row.map((value, columnIndex) =>
+        this.buildCell(value, `${this.columnName(columnIndex)}${rowIndex + 1}`, rowIndex === 0)
+      ).join('');
+      return cells ? `<row r="${rowIndex + 1}">${cells}</row>` : '';
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<sheetViews><sheetView workbookViewId="0">${rows.length > 1 ? pane : ''}</sheetView></sheetViews>` +
+      columns +
+      `<sheetData>${sheetData}</sheetData>` +
+      '</worksheet>';
+  }
+
+  buildCell(value, reference, isHeader) {
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      const style = isHeader ? ` s="${STYLE_HEADER}"` : (Number.isInteger(value) ? '' : ` s="${STYLE_DECIMAL}"`);
+      return `<c r="${reference}"${style}><v>${value}</v></c>`;
+    }
+
+    const style = isHeader ? ` s="${STYLE_HEADER}"` : '';
+    return `<c r="${reference}" t="inlineStr"${style}><is><t xml:space="preserve">${this.escapeXml(value)}</t></is></c>`;
+  }
+
+  /**
+   * Compute the CRC-32 of a buffer
+   * @param {Buffer} buffer - Data
+   * @returns {number} Unsigned CRC-32
+   */
+  crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Pack files into a ZIP archive using deflate
+   * @param {Object[]} files - Files with name and string data
+   * @returns {Buffer} ZIP archive
+   */
+  zip(files) {
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = Buffer.from(file.name, 'utf8');
+      const data = Buffer.from(file.data, 'utf8');
+      const compressed = zlib.deflateRawSync(data);
+      const crc = this.crc32(data);
+
+      const localHeader = Buffer.alloc(30);
+      localHeader.writeUInt32LE(0x04034B50, 0);
+      localHeader.writeUInt16LE(20, 4); // version needed to extract
+      localHeader.writeUInt16LE(0x0800, 6); // UTF-8 file names
+      localHeader.writeUInt16LE(8, 8); // deflate
+      localHeader.writeUInt16LE(dosTime, 10);
+      localHeader.writeUInt16LE(dosDate, 12);
+      localHeader.writeUInt32LE(crc, 14);
+      localHeader.writeUInt32LE(compressed.length, 18);
+      localHeader.writeUInt32LE(data.length, 22);
+      localHeader.writeUInt16LE(name.length, 26);
+      localHeader.writeUInt16LE(0, 28);
+
+      const centralHeader = Buffer.alloc(46);
+      centralHeader.writeUInt32LE(0x02014B50, 0);
+      centralHeader.writeUInt16LE(20, 4); // version made by
+      centralHeader.writeUInt16LE(20, 6);
+      centralHeader.writeUInt16LE(0x0800, 8);
+      centralHeader.writeUInt16LE(8, 10);
+      centralHeader.writeUInt16LE(dosTime, 12);
+      centralHeader.writeUInt16LE(dosDate, 14);
+      centralHeader.writeUInt32LE(crc, 16);
+      centralHeader.writeUInt32LE(compressed.length, 20);
+      centralHeader.writeUInt32LE(data.length, 24);
+      centralHeader.writeUInt16LE(name.length, 28);
+      centralHeader.writeUInt32LE(offset, 42);
+
+      localParts.push(localHeader, name, compressed);
+      centralParts.push(centralHeader, name);
+      offset += localHeader.length + name.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+}
+
+module.exports = XlsxService;
@@ -0,0 +1,121 @@
+const AttendanceExportService = require('../services/AttendanceExportService');
+
+describe('AttendanceExportService', () => {
+  const exportService = new AttendanceExportService();
+  const { UTF8_BOM } = AttendanceExportService;
+
+  describe('escapeCsvValue', () => {
+    test('should leave plain values alone', () => {
+      expect(exportService.escapeCsvValue('CSE/2028/045')).toBe('CSE/2028/045');
+      expect(exportService.escapeCsvValue(3)).toBe('3');
+      expect(exportService.escapeCsvValue(null)).toBe('');
+      expect(exportService.escapeCsvValue(undefined)).toBe('');
+    });
+
+    test('should quote commas, quotes and line breaks', () => {
+      expect(exportService.escapeCsvValue('Majumder, Shirsak')).toBe('"Majumder, Shirsak"');
+      expect(exportService.escapeCsvValue('Rohit "RK" Kumar')).toBe('"Rohit ""RK"" Kumar"');
+      expect(exportService.escapeCsvValue('line one\nline two')).toBe('"line one\nline two"');
+      expect(exportService.escapeCsvValue(' padded ')).toBe('" padded "');
+    });
+
+    test('should stop spreadsheets from running values as formulas', () => {
+      expect(exportService.escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(exportService.escapeCsvValue('+91 98300')).toBe('\'+91 98300');
+      expect(exportService.escapeCsvValue('@SUM(A1)')).toBe('\'@SUM(A1)');
+    });
+  });
+
+  test('should build CRLF CSV with a UTF-8 byte order mark', () => {
+    const csv = exportService.toCsv(
+      [{ header: 'Name', key: 'name' }, { header: 'Year', key: 'year' }],
+      [{ name: 'Débnath', year: 2028 }]
+    );
+
+    expect(csv.startsWith(UTF8_BOM)).toBe(true);
+    expect(csv).toBe(`${UTF8_BOM}Name,Year\r\nDébnath,2028\r\n`);
+    expect(exportService.toCsv([{ header: 'Name', key: 'name' }], [], { bom: false })).toBe('Name\r\n');
+  });
+
+  test('should list attended, excused, absent and unenrolled students in order', () => {
+    const csv = exportService.buildSessionCsv({
+      attendance: {
+        present: [{
+          email: 'a@heritageit.edu.in',
+          name: 'Student A',
+          rollNumber: 'CSE/1',
+          branch: 'CSE',
+          year: 2028,
+          status: 'late',
+          timestamp: '2026-01-05T09:12:00.000Z'
+        }],
+        excused: [{ email: 'b@heritageit.edu.in', name: 'Student B', status: 'excused' }],
+        absent: [{ email: 'c@heritageit.edu.in', name: 'Student C', rollNumber: 'CSE/3' }],
+        unenrolled: [{ email: 'd@heritageit.edu.in', name: 'Student D', status: 'present', timestamp: '2026-01-05T09:05:00.000Z' }]
+      }
+    });
+
+    const lines = csv.slice(UTF8_BOM.length).split('\r\n');
+
+    expect(lines[0]).toBe('Roll Number,Name,Email,Branch,Year,Status,Marked At (UTC),Enrolled');
+    expect(lines[1]).toBe('CSE/1,Student A,a@heritageit.edu.in,CSE,2028,late,2026-01-05T09:12:00.000Z,Yes');
+    expect(lines[2]).toBe(',Student B,b@heritageit.edu.in,,,excused,,Yes');
+    expect(lines[3]).toBe('CSE/3,Student C,c@heritageit.edu.in,,,absent,,Yes');
+    expect(lines[4]).toBe(',Student D,d@heritageit.edu.in,,,present,2026-01-05T09:05:00.000Z,No');
+    expect(lines[5]).toBe('');
+  });
+
+  test('should build the defaulter report CSV', () => {
+    const csv = exportService.buildDefaulterCsv({
+      students: [
+        { rollNumber: 'CSE/1', name: 'Student A', email: 'a@heritageit.edu.in', branch: 'CSE', year: 2028, attended: 3, total: 4, late: 1, excused: 0, percentage: 75, defaulter: false },
+        { rollNumber: 'CSE/2', name: 'Student B', email: 'b@heritageit.edu.in', branch: 'CSE', year: 2028, attended: 0, total: 0, late: 0, excused: 4, percentage: null, defaulter: false }
+      ]
+    });
+
+    const lines = csv.slice(UTF8_BOM.length).split('\r\n');
+    expect(lines[0]).toBe('Roll Number,Name,Email,Branch,Year,Attended,Total Sessions,Late,Excused,Attendance %,Defaulter');
+    expect(lines[1]).toBe('CSE/1,Student A,a@heritageit.edu.in,CSE,2028,3,4,1,0,75,No');
+    expect(lines[2]).toBe('CSE/2,Student B,b@heritageit.edu.in,CSE,2028,0,0,0,4,,No');
+  });
+
+  test('should format SQLite and ISO timestamps in UTC', () => {
+    expect(exportService.formatUtc('2026-01-05 09:12:30')).toBe('2026-01-05 09:12');
+    expect(exportService.formatUtc('2026-01-05T09:12:30.000Z', true)).toBe('2026-01-05 09:12:30');
+    expect(exportService.formatUtc(null)).toBe('');
+  });
+
+  test('should build a printable sheet with the session details and a signature line', () => {
+    const pdf = exportService.buildSessionPdf({
+      sessionInfo: {
+        id: 'session-1',
+        courseName: 'Data Structures',
+        courseCode: 'CSE201',
+        section: 'A',
+        startTime: '2026-01-05T09:00:00.000Z',
+        endTime: null
+      },
+      attendance: {
+        present: [{ email: 'a@heritageit.edu.in', name: 'Student A', rollNumber: 'CSE/1', status: 'late', timestamp: '2026-01-05 09:12:30' }],
+        excused: [{ email: 'b@heritageit.edu.in', name: 'Student B', rollNumber: 'CSE/2', status: 'excused', timestamp: '2026-01-05 09:20:00' }],
+        absent: [{ email: 'c@heritageit.edu.in', name: 'Student C', rollNumber: 'CSE/3', branch: 'CSE', year: '2028' }],
+        unenrolled: []
+      },
+      summary: { totalStudents: 3, presentCount: 1, absentCount: 1, attendancePercentage: 50, byStatus: { late: 1, excused: 1 } },
+      exportedAt: '2026-01-05T10:00:00.000Z'
+    }, { facultyName: 'Demo Faculty' });
+
+    const text = pdf.toString('latin1');
+    expect(text.startsWith('%PDF-')).toBe(true);
+    expect(text).toContain('(Data Structures \\(CSE201\\) - Section A) Tj');
+    expect(text).toContain('(Started: 2026-01-05 09:00 UTC) Tj');
+    expect(text).toContain('(Ended: In progress) Tj');
+    expect(text).toContain('(Attended: 1 of 2 \\(50%\\) - Late: 1, Excused: 1, Absent: 1) Tj');
+    expect(text).toContain('(Present \\(1\\)) Tj');
+    expect(text).toContain('(09:12:30) Tj');
+    expect(text).toContain('(Absent \\(1\\)) Tj');
+    expect(text).toContain('(Student C) Tj');
+    expect(text).toContain('(Faculty: Demo Faculty) Tj');
+    expect(text).toContain('(Faculty signature) Tj');
+  });
+});
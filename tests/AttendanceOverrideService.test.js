@@ -0,0 +1,199 @@
+const Database = require('../config/database');
+const Session = require('../models/Session');
+const Attendance = require('../models/Attendance');
+const AttendanceFlag = require('../models/AttendanceFlag');
+const AttendanceOverrideService = require('../services/AttendanceOverrideService');
+
+describe('AttendanceOverrideService', () => {
+  let db;
+  let sessionModel;
+  let attendanceModel;
+  let overrideService;
+  let session;
+
+  const studentEmail = 'shirsak.majumder.cse28@heritageit.edu.in';
+  const change = { facultyId: 'faculty123', reason: 'Phone battery died' };
+
+  beforeAll(async () => {
+    // Use in-memory database for testing
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+    await db.initializeSchema();
+    await db.insertHardcodedStudents();
+    sessionModel = new Session(db);
+    attendanceModel = new Attendance(db);
+    overrideService = new AttendanceOverrideService(db);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM attendance_audit');
+    await db.run('DELETE FROM attendance');
+    session = await sessionModel.create({
+      facultyId: 'faculty123',
+      courseName: 'Data Structures',
+      courseCode: 'CSE201',
+      section: 'A'
+    });
+  });
+
+  test('should mark a student present and record who did it and why', async () => {
+    const result = await overrideService.addAttendance(session.id, studentEmail, change);
+
+    expect(result.success).toBe(true);
+    expect(result.action).toBe('add');
+    expect(result.previousStatus).toBe('absent');
+    expect(result.attendance.marked_by).toBe('faculty123');
+    expect(result.audit).toMatchObject({
+      session_id: session.id,
+      student_email: studentEmail,
+      faculty_id: 'faculty123',
+      action: 'add',
+      previous_status: 'absent',
+      new_status: 'present',
+      reason: 'Phone battery died'
+    });
+    expect(result.audit.created_at).toBeTruthy();
+  });
+
+  test('should remove a scanned mark', async () => {
+    await attendanceModel.markAttendance(session.id, studentEmail, { ipAddress: '10.0.0.1' });
+
+    const result = await overrideService.removeAttendance(session.id, studentEmail, {
+      facultyId: 'faculty123',
+      reason: 'Scanned from outside the classroom'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.action).toBe('remove');
+    expect(await attendanceModel.hasMarkedAttendance(session.id, studentEmail)).toBe(false);
+  });
+
+  test('should keep the removed scan on the audit entry and confirm its open flags', async () => {
+    const mark = await attendanceModel.markAttendance(session.id, studentEmail, {
+      ipAddress: '10.0.0.1',
+      userAgent: 'Test Browser',
+      deviceId: 'phone-1'
+    });
+    const flagModel = new AttendanceFlag(db);
+    const flag = await flagModel.create({
+      sessionId: session.id,
+      attendanceId: mark.id,
+      studentEmail,
+      reason: 'shared_client'
+    });
+
+    const result = await overrideService.removeAttendance(session.id, studentEmail, {
+      facultyId: 'faculty123',
+      reason: 'Marked from a friend\'s phone'
+    });
+
+    expect(result.flagsConfirmed).toBe(1);
+    expect(JSON.parse(result.audit.removed_record)).toMatchObject({
+      id: mark.id,
+      ip_address: '10.0.0.1',
+      user_agent: 'Test Browser',
+      device_id: 'phone-1',
+      status: 'present'
+    });
+    expect(await flagModel.findById(flag.id)).toMatchObject({ review_status: 'confirmed', reviewed_by: 'faculty123' });
+  });
+
+  test('should change status through setStatus', async () => {
+    await overrideService.setStatus(session.id, studentEmail, 'present', change);
+    const result = await overrideService.setStatus(session.id, studentEmail, 'absent', change);
+
+    expect(result.success).toBe(true);
+    expect(result.previousStatus).toBe('present');
+    expect(result.status).toBe('absent');
+  });
+
+  test('should excuse a student with no mark', async () => {
+    const result = await overrideService.setStatus(session.id, studentEmail, 'excused', {
+      facultyId: 'faculty123',
+      reason: 'Medical certificate'
+    });
+
+    expect(result.action).toBe('add');
+    expect(result.attendance.status).toBe('excused');
+  });
+
+  test('should change the status of an existing mark in place', async () => {
+    await attendanceModel.markAttendance(session.id, studentEmail, { ipAddress: '10.0.0.1' });
+
+    const result = await overrideService.setStatus(session.id, studentEmail, 'excused', {
+      facultyId: 'faculty123',
+      reason: 'Left early for a university event'
+    });
+
+    expect(result.action).toBe('update');
+    expect(result.previousStatus).toBe('present');
+    expect(result.attendance.status).toBe('excused');
+    expect(result.attendance.ip_address).toBe('10.0.0.1');
+    expect(result.audit.new_status).toBe('excused');
+  });
+
+  test('should refuse changes that do nothing', async () => {
+    const removal = await overrideService.removeAttendance(session.id, studentEmail, change);
+    expect(removal.code).toBe('ATTENDANCE_NOT_FOUND');
+
+    await overrideService.addAttendance(session.id, studentEmail, change);
+    const duplicate = await overrideService.addAttendance(session.id, studentEmail, change);
+    expect(duplicate.code).toBe('ALREADY_MARKED');
+  });
+
+  test('should require a reason', async () => {
+    const result = await overrideService.addAttendance(session.id, studentEmail, { facultyId: 'faculty123', reason: '  ' });
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('MISSING_PARAMETERS');
+  });
+
+  test('should only let the session owner make changes', async () => {
+    const result = await overrideService.addAttendance(session.id, studentEmail, {
+      facultyId: 'other-faculty',
+      reason: 'Not my session'
+    });
+
+    expect(result.code).toBe('SESSION_UNAUTHORIZED');
+    expect(await attendanceModel.hasMarkedAttendance(session.id, studentEmail)).toBe(false);
+  });
+
+  test('should reject unknown students and sessions', async () => {
+    const student = await overrideService.addAttendance(session.id, 'nobody.here.cse28@heritageit.edu.in', change);
+    const missingSession = await overrideService.addAttendance('00000000-0000-4000-8000-000000000000', studentEmail, change);
+
+    expect(student.code).toBe('STUDENT_NOT_FOUND');
+    expect(missingSession.code).toBe('SESSION_NOT_FOUND');
+  });
+
+  test('should return the audit trail in order', async () => {
+    await overrideService.addAttendance(session.id, studentEmail, change);
+    await overrideService.removeAttendance(session.id, studentEmail, { facultyId: 'faculty123', reason: 'Wrong student' });
+
+    const result = await overrideService.getAuditTrail(session.id, 'faculty123');
+
+    expect(result.success).toBe(true);
+    expect(result.entries.map(entry => entry.action)).toEqual(['add', 'remove']);
+    expect(result.entries[0].student_name).toBeTruthy();
+
+    const unauthorized = await overrideService.getAuditTrail(session.id, 'other-faculty');
+    expect(unauthorized.code).toBe('SESSION_UNAUTHORIZED');
+  });
+});
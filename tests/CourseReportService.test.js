@@ -0,0 +1,234 @@
+const Database = require('../config/database');
+const Session = require('../models/Session');
+const Attendance = require('../models/Attendance');
+const CourseReportService = require('../services/CourseReportService');
+const AttendanceExportService = require('../services/AttendanceExportService');
+
+describe('CourseReportService', () => {
+  let db;
+  let sessionModel;
+  let attendanceModel;
+  let reportService;
+
+  const john = 'john.doe.cse28@heritageit.edu.in';
+  const anirban = 'anirban.roy.cse28@heritageit.edu.in';
+
+  const createSession = (overrides = {}) => sessionModel.create({
+    facultyId: 'faculty123',
+    courseName: 'Computer Science Fundamentals',
+    courseCode: 'CSE101',
+    section: 'A',
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    // Use in-memory database for testing
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+    await db.initializeSchema();
+    await db.insertHardcodedStudents();
+    await db.insertHardcodedCourses();
+    sessionModel = new Session(db);
+    attendanceModel = new Attendance(db);
+    reportService = new CourseReportService(db);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM attendance');
+    await db.run('DELETE FROM sessions');
+  });
+
+  test('should build one row per enrolled student with a status per session', async () => {
+    const first = await createSession();
+    const second = await createSession();
+    await attendanceModel.markAttendance(first.id, john, { status: 'present' });
+    await attendanceModel.markAttendance(second.id, john, { status: 'late' });
+    await attendanceModel.markAttendance(second.id, anirban, { status: 'excused' });
+    await Promise.all([first, second].map(session => sessionModel.endSession(session.id)));
+
+    const matrix = await reportService.getAttendanceMatrix('CSE101', 'A', 'faculty123');
+
+    expect(matrix.success).toBe(true);
+    expect(matrix.sessions.map(session => session.id)).toEqual([first.id, second.id]);
+
+    const johnRow = matrix.students.find(student => student.email === john);
+    const anirbanRow = matrix.students.find(student => student.email === anirban);
+
+    expect(johnRow.statuses).toEqual(['present', 'late']);
+    expect(johnRow.percentage).toBe(100);
+    expect(anirbanRow.statuses).toEqual(['absent', 'excused']);
+    expect(anirbanRow.counts).toEqual({ present: 0, late: 0, excused: 1, absent: 1 });
+    expect(anirbanRow.percentage).toBe(0);
+  });
+
+  test('should show a running session as open, not absent, and leave it out of the counts', async () => {
+    const ended = await createSession();
+    const running = await createSession();
+    await attendanceModel.markAttendance(ended.id, john);
+    await attendanceModel.markAttendance(running.id, john);
+    await attendanceModel.markAttendance(ended.id, anirban);
+    await sessionModel.endSession(ended.id);
+
+    const matrix = await reportService.getAttendanceMatrix('CSE101', 'A', 'faculty123');
+    const anirbanRow = matrix.students.find(student => student.email === anirban);
+
+    expect(matrix.students.find(student => student.email === john).statuses).toEqual(['present', 'present']);
+    expect(anirbanRow.statuses).toEqual(['present', 'open']);
+    expect(anirbanRow.counts).toEqual({ present: 1, late: 0, excused: 0, absent: 0 });
+    expect(anirbanRow.percentage).toBe(100);
+
+    const report = await reportService.getDefaulterReport('CSE101', 'A', 'faculty123');
+    expect(report.students.find(student => student.email === anirban))
+      .toMatchObject({ attended: 1, total: 1, percentage: 100, defaulter: false });
+  });
+
+  test('should leave excused sessions out of the percentage', () => {
+    expect(reportService.calculatePercentage({ present: 2, late: 1, excused: 1, absent: 1 })).toBe(75);
+    expect(reportService.calculatePercentage({ present: 0, late: 0, excused: 2, absent: 0 })).toBeNull();
+  });
+
+  test('should list unenrolled students without marking them absent', async () => {
+    const session = await createSession({ courseCode: 'CSE201', section: 'B' });
+    await attendanceModel.markAttendance(session.id, john);
+    const other = await createSession({ courseCode: 'CSE201', section: 'B' });
+
+    const matrix = await reportService.getAttendanceMatrix('CSE201', 'B', 'faculty123');
+
+    expect(matrix.students).toHaveLength(1);
+    expect(matrix.students[0]).toMatchObject({ email: john, enrolled: false, statuses: ['present', null] });
+    expect(matrix.sessions[1].id).toBe(other.id);
+  });
+
+  test('should only include the faculty member\'s own sessions', async () => {
+    await createSession({ facultyId: 'other-faculty' });
+
+    const matrix = await reportService.getAttendanceMatrix('CSE101', 'A', 'faculty123');
+
+    expect(matrix.success).toBe(false);
+    expect(matrix.code).toBe('COURSE_NOT_FOUND');
+  });
+
+  describe('getDefaulterReport', () => {
+    test('should flag enrolled students below the threshold', async () => {
+      const sessions = [];
+      for (let i = 0; i < 4; i++) {
+        sessions.push(await createSession());
+      }
+      // John attends three of four sessions (75%), Anirban one of three with one excused (33.33%)
+      await attendanceModel.markAttendance(sessions[0].id, john);
+      await attendanceModel.markAttendance(sessions[1].id, john, { status: 'late' });
+      await attendanceModel.markAttendance(sessions[2].id, john);
+      await attendanceModel.markAttendance(sessions[0].id, anirban);
+      await attendanceModel.markAttendance(sessions[1].id, anirban, { status: 'excused' });
+      await Promise.all(sessions.map(session => sessionModel.endSession(session.id)));
+
+      const report = await reportService.getDefaulterReport('CSE101', 'A', 'faculty123');
+
+      expect(report.success).toBe(true);
+      expect(report.threshold).toBe(75);
+      expect(report.totalSessions).toBe(4);
+
+      const johnEntry = report.students.find(student => student.email === john);
+      const anirbanEntry = report.students.find(student => student.email === anirban);
+
+      expect(johnEntry).toMatchObject({ attended: 3, total: 4, late: 1, percentage: 75, defaulter: false });
+      expect(anirbanEntry).toMatchObject({ attended: 1, total: 3, excused: 1, percentage: 33.33, defaulter: true });
+      expect(report.summary.defaulterCount).toBe(report.students.filter(student => student.percentage < 75).length);
+    });
+
+    test('should use a custom threshold and leave out unenrolled students', async () => {
+      const session = await createSession();
+      await attendanceModel.markAttendance(session.id, john);
+      await attendanceModel.markAttendance(session.id, 'jane.smith.ece27@heritageit.edu.in');
+
+      const report = await reportService.getDefaulterReport('CSE101', 'A', 'faculty123', { threshold: 0 });
+
+      expect(report.summary.defaulterCount).toBe(0);
+      expect(report.students.every(student => student.email !== 'jane.smith.ece27@heritageit.edu.in')).toBe(true);
+    });
+
+    test('should reject thresholds outside 0-100', async () => {
+      await createSession();
+
+      const report = await reportService.getDefaulterReport('CSE101', 'A', 'faculty123', { threshold: 120 });
+
+      expect(report.success).toBe(false);
+      expect(report.code).toBe('INVALID_INPUT');
+    });
+
+    test('should read the default threshold from options', () => {
+      expect(new CourseReportService(db, { defaulterThreshold: 60 }).defaulterThreshold).toBe(60);
+    });
+  });
+
+  describe('getStudentHistory', () => {
+    test('should group sessions by course with absences, percentage and standing', async () => {
+      const sessions = [];
+      for (let i = 0; i < 5; i++) {
+        sessions.push(await createSession());
+      }
+      await Promise.all(sessions.slice(0, 4).map(session => sessionModel.endSession(session.id)));
+      // Three of the four ended sessions attended (75%); the running session is not marked yet
+      await attendanceModel.markAttendance(sessions[0].id, john);
+      await attendanceModel.markAttendance(sessions[1].id, john, { status: 'late' });
+      await attendanceModel.markAttendance(sessions[2].id, john);
+
+      const history = await reportService.getStudentHistory(john);
+
+      expect(history.success).toBe(true);
+      expect(history.courses).toHaveLength(1);
+      const [course] = history.courses;
+      expect(course).toMatchObject({ courseCode: 'CSE101', section: 'A', enrolled: true, attended: 3, total: 4, percentage: 75 });
+      expect(course.sessions.map(session => session.status)).toEqual(['present', 'late', 'present', 'absent', 'open']);
+      expect(course.standing).toBe('warning');
+    });
+
+    test('should include marks from course sections the student is not enrolled in', async () => {
+      const session = await createSession({ courseCode: 'CSE201', section: 'B', courseName: 'Data Structures' });
+      await attendanceModel.markAttendance(session.id, john);
+
+      const history = await reportService.getStudentHistory(john);
+      const course = history.courses.find(entry => entry.courseCode === 'CSE201');
+
+      expect(course).toMatchObject({ enrolled: false, courseName: 'Data Structures', attended: 1, total: 1, percentage: 100, standing: 'ok' });
+    });
+
+    test('should classify standing against the threshold and warning margin', () => {
+      const service = new CourseReportService(db, { defaulterThreshold: 75, warningMargin: 5 });
+
+      expect(service.getStanding(74.99)).toBe('defaulter');
+      expect(service.getStanding(75)).toBe('warning');
+      expect(service.getStanding(80)).toBe('ok');
+      expect(service.getStanding(null)).toBe('ok');
+    });
+  });
+
+  test('should turn the matrix into an .xlsx workbook', async () => {
+    const session = await createSession();
+    await attendanceModel.markAttendance(session.id, john);
+
+    const matrix = await reportService.getAttendanceMatrix('CSE101', 'A', 'faculty123');
+    const workbook = new AttendanceExportService().buildCourseWorkbook(matrix);
+
+    expect(Buffer.isBuffer(workbook)).toBe(true);
+    expect(workbook.subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4B, 0x03, 0x04]));
+    expect(workbook.includes(Buffer.from('xl/worksheets/sheet2.xml'))).toBe(true);
+  });
+});
@@ -0,0 +1,106 @@
+const Database = require('../config/database');
+const Course = require('../models/Course');
+const CourseRosterService = require('../services/CourseRosterService');
+
+describe('CourseRosterService', () => {
+  let db;
+  let courseModel;
+  let rosterService;
+
+  const shirsak = 'shirsak.majumder.cse28@heritageit.edu.in';
+  const rohit = 'rohit.kumardebnath.cse28@heritageit.edu.in';
+  const shaista = 'shaista.meher.cse28@heritageit.edu.in';
+
+  const rosterEmails = async () => (await courseModel.getRoster('CSE301', 'B')).map(student => student.email).sort();
+
+  beforeAll(async () => {
+    // Use in-memory database for testing
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+    await db.initializeSchema();
+    await db.insertHardcodedStudents();
+
+    courseModel = new Course(db);
+    rosterService = new CourseRosterService(db);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await courseModel.delete('CSE301', 'B');
+  });
+
+  test('should create the course section and enroll students by email or roll number', async () => {
+    const csv = ['email,roll_number', `${shirsak},`, ',2451076'].join('\n');
+    const result = await rosterService.importCsv('CSE301', 'B', csv, { courseName: 'Operating Systems' });
+
+    expect(result.summary).toEqual({ totalRows: 2, enrolled: 2, alreadyEnrolled: 0, unenrolled: 0, failed: 0 });
+    expect((await courseModel.findByCodeAndSection('CSE301', 'B')).course_name).toBe('Operating Systems');
+    expect(await rosterEmails()).toEqual([rohit, shirsak]);
+  });
+
+  test('should accept a file with one email or roll number per line and no header', async () => {
+    const result = await rosterService.importCsv('CSE301', 'B', `${shirsak.toUpperCase()}\n2451076\n`);
+
+    expect(result.summary.enrolled).toBe(2);
+    expect(await rosterEmails()).toEqual([rohit, shirsak]);
+  });
+
+  test('should report unknown, mismatched and duplicate students per row', async () => {
+    const csv = [
+      'email,roll_number',
+      'nobody.here.cse28@heritageit.edu.in,',
+      `${shirsak},2451076`,
+      `${rohit},`,
+      `${rohit},`
+    ].join('\n');
+    const result = await rosterService.importCsv('CSE301', 'B', csv);
+
+    expect(result.summary).toEqual({ totalRows: 4, enrolled: 1, alreadyEnrolled: 0, unenrolled: 0, failed: 3 });
+    expect(result.errors.map(rowError => rowError.row)).toEqual([2, 3, 5]);
+    expect(result.errors[0].errors[0]).toContain('import the student first');
+    expect(result.errors[1].errors[0]).toContain('does not match');
+    expect(result.errors[2].errors[0]).toContain('Duplicate student');
+  });
+
+  test('should unenroll students missing from the file in replace mode', async () => {
+    await rosterService.importCsv('CSE301', 'B', `${shirsak}\n${rohit}\n`);
+    const result = await rosterService.importCsv('CSE301', 'B', `${rohit}\n${shaista}\n`, { replace: true });
+
+    expect(result.summary).toEqual({ totalRows: 2, enrolled: 1, alreadyEnrolled: 1, unenrolled: 1, failed: 0 });
+    expect(await rosterEmails()).toEqual([rohit, shaista]);
+  });
+
+  test('should not unenroll anyone when the file has errors', async () => {
+    await rosterService.importCsv('CSE301', 'B', `${shirsak}\n${rohit}\n`);
+    const result = await rosterService.importCsv('CSE301', 'B', `${rohit}\nnobody.here.cse28@heritageit.edu.in\n`, { replace: true });
+
+    expect(result.summary.failed).toBe(1);
+    expect(result.summary.unenrolled).toBe(0);
+    expect(await rosterEmails()).toEqual([rohit, shirsak]);
+  });
+
+  test('should report changes without writing in dry-run mode', async () => {
+    await rosterService.importCsv('CSE301', 'B', `${shirsak}\n`);
+    const result = await rosterService.importCsv('CSE301', 'B', `${rohit}\n`, { replace: true, dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.summary).toEqual({ totalRows: 1, enrolled: 1, alreadyEnrolled: 0, unenrolled: 1, failed: 0 });
+    expect(await rosterEmails()).toEqual([shirsak]);
+  });
+});
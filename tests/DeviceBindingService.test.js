@@ -0,0 +1,187 @@
+const Database = require('../config/database');
+const Attendance = require('../models/Attendance');
+const DeviceBindingService = require('../services/DeviceBindingService');
+
+describe('DeviceBindingService', () => {
+  let db;
+  let attendanceModel;
+
+  const studentA = 'shirsak.majumder.cse28@heritageit.edu.in';
+  const studentB = 'rohit.kumardebnath.cse28@heritageit.edu.in';
+
+  // Minimal request/response doubles carrying just the cookie handling the service needs
+  const requestWithCookie = (cookieValue) => ({
+    headers: cookieValue ? { cookie: `connect.sid=abc; ${DeviceBindingService.DEVICE_COOKIE_NAME}=${encodeURIComponent(cookieValue)}` } : {},
+    get: () => 'jest-agent'
+  });
+
+  const createResponse = () => {
+    const res = { cookies: {} };
+    res.cookie = (name, value, options) => {
+      res.cookies[name] = { value, options };
+    };
+    return res;
+  };
+
+  beforeAll(async () => {
+    // Use in-memory database for testing
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+    await db.initializeSchema();
+    await db.insertHardcodedStudents();
+    attendanceModel = new Attendance(db);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM student_devices');
+    await db.run('DELETE FROM attendance');
+  });
+
+  describe('device cookie', () => {
+    test('should issue a signed cookie and read the device ID back', () => {
+      const service = new DeviceBindingService(db, { secret: 'test-secret' });
+      const res = createResponse();
+
+      const deviceId = service.ensureDeviceId(requestWithCookie(null), res);
+      const cookie = res.cookies[DeviceBindingService.DEVICE_COOKIE_NAME];
+
+      expect(cookie.options.httpOnly).toBe(true);
+      expect(service.readDeviceId(requestWithCookie(cookie.value))).toBe(deviceId);
+    });
+
+    test('should keep an existing device ID', () => {
+      const service = new DeviceBindingService(db, { secret: 'test-secret' });
+      const res = createResponse();
+
+      const deviceId = service.ensureDeviceId(requestWithCookie(service.sign('device-1')), res);
+
+      expect(deviceId).toBe('device-1');
+      expect(res.cookies).toEqual({});
+    });
+
+    test('should ignore tampered or foreign cookies', () => {
+      const service = new DeviceBindingService(db, { secret: 'test-secret' });
+      const other = new DeviceBindingService(db, { secret: 'other-secret' });
+      const signed = service.sign('device-1');
+
+      expect(service.readDeviceId(requestWithCookie(signed.replace('device-1', 'device-2')))).toBeNull();
+      expect(service.readDeviceId(requestWithCookie(other.sign('device-1')))).toBeNull();
+      expect(service.readDeviceId(requestWithCookie('device-1'))).toBeNull();
+    });
+  });
+
+  describe('bindOnLogin', () => {
+    test('should bind the first device a student signs in with', async () => {
+      const service = new DeviceBindingService(db, { secret: 'test-secret' });
+
+      const first = await service.bindOnLogin(requestWithCookie(service.sign('phone')), createResponse(), studentA);
+      const second = await service.bindOnLogin(requestWithCookie(service.sign('friend-phone')), createResponse(), studentA);
+
+      expect(first).toEqual({ deviceId: 'phone', bound: true });
+      expect(second).toEqual({ deviceId: 'friend-phone', bound: false });
+      expect(await service.deviceModel.isBound('phone', studentA)).toBe(true);
+      expect(await service.deviceModel.isBound('friend-phone', studentA)).toBe(false);
+    });
+
+    test('should not bind a device that already belongs to another student', async () => {
+      const service = new DeviceBindingService(db, { secret: 'test-secret', mode: 'reject' });
+
+      await service.bindOnLogin(requestWithCookie(service.sign('lab-pc')), createResponse(), studentA);
+      const second = await service.bindOnLogin(requestWithCookie(service.sign('lab-pc')), createResponse(), studentB);
+
+      expect(second).toEqual({ deviceId: 'lab-pc', bound: false, boundToOther: studentA });
+      expect(await service.deviceModel.isBound('lab-pc', studentA)).toBe(true);
+      expect(await service.deviceModel.isBound('lab-pc', studentB)).toBe(false);
+
+      // Marks from the borrowed device count as unrecognised for the second student
+      const check = await service.checkDevice(requestWithCookie(service.sign('lab-pc')), 'session-1', studentB);
+      expect(check).toMatchObject({ allowed: false, flag: 'unbound' });
+
+      // Their own device still binds on a later login
+      const own = await service.bindOnLogin(requestWithCookie(service.sign('own-phone')), createResponse(), studentB);
+      expect(own).toEqual({ deviceId: 'own-phone', bound: true });
+    });
+  });
+
+  describe('checkDevice', () => {
+    test('should allow a bound device', async () => {
+      const service = new DeviceBindingService(db, { secret: 'test-secret', mode: 'reject' });
+      await service.deviceModel.bind('phone', studentA);
+
+      const result = await service.checkDevice(requestWithCookie(service.sign('phone')), 'session-1', studentA);
+
+      expect(result).toEqual({ allowed: true, flag: null, deviceId: 'phone' });
+    });
+
+    test('should flag an unbound or missing device', async () => {
+      const service = new DeviceBindingService(db, { secret: 'test-secret', mode: 'flag' });
+      await service.deviceModel.bind('phone', studentA);
+
+      const unbound = await service.checkDevice(requestWithCookie(service.sign('other')), 'session-1', studentA);
+      const missing = await service.checkDevice(requestWithCookie(null), 'session-1', studentA);
+
+      expect(unbound.allowed).toBe(true);
+      expect(unbound.flag).toBe('unbound');
+      expect(missing.flag).toBe('unbound');
+      expect(missing.deviceId).toBeNull();
+    });
+
+    test('should flag a device another student used in the same session', async () => {
+      const service = new DeviceBindingService(db, { secret: 'test-secret', mode: 'flag' });
+      await service.deviceModel.bind('lab-pc', studentA);
+      await service.deviceModel.bind('lab-pc', studentB);
+      await attendanceModel.markAttendance('session-1', studentA, { deviceId: 'lab-pc' });
+
+      const sameSession = await service.checkDevice(requestWithCookie(service.sign('lab-pc')), 'session-1', studentB);
+      const otherSession = await service.checkDevice(requestWithCookie(service.sign('lab-pc')), 'session-2', studentB);
+
+      expect(sameSession.allowed).toBe(true);
+      expect(sameSession.flag).toBe('shared');
+      expect(otherSession.flag).toBeNull();
+    });
+
+    test('should reject flagged marks in reject mode', async () => {
+      const service = new DeviceBindingService(db, { secret: 'test-secret', mode: 'reject' });
+
+      const result = await service.checkDevice(requestWithCookie(service.sign('other')), 'session-1', studentA);
+
+      expect(result.allowed).toBe(false);
+      expect(result.flag).toBe('unbound');
+    });
+
+    test('should skip the check when binding is off', async () => {
+      const service = new DeviceBindingService(db, { secret: 'test-secret', mode: 'off' });
+
+      const result = await service.checkDevice(requestWithCookie(service.sign('other')), 'session-1', studentA);
+
+      expect(result).toEqual({ allowed: true, flag: null, deviceId: 'other' });
+    });
+  });
+
+  test('should store the device on the attendance record', async () => {
+    const record = await attendanceModel.markAttendance('session-1', studentA, {
+      deviceId: 'phone',
+      deviceFlag: 'unbound'
+    });
+
+    expect(record.device_id).toBe('phone');
+    expect(record.device_flag).toBe('unbound');
+  });
+});
@@ -0,0 +1,139 @@
+const Database = require('../config/database');
+const Session = require('../models/Session');
+const SessionService = require('../services/SessionService');
+const DisplayLinkService = require('../services/DisplayLinkService');
+
+describe('DisplayLinkService', () => {
+  let db;
+  let sessionModel;
+  let displayLinkService;
+
+  const facultyId = 'faculty123';
+  const now = new Date('2026-01-05T12:00:00.000Z');
+  const minutesLater = minutes => new Date(now.getTime() + minutes * 60 * 1000);
+
+  const createSession = () => sessionModel.create({
+    facultyId,
+    courseName: 'Computer Science Fundamentals',
+    courseCode: 'CSE101',
+    section: 'A'
+  });
+
+  const tokenFromUrl = url => decodeURIComponent(url.split('#token=')[1]);
+
+  beforeAll(async () => {
+    // Use in-memory database for testing
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+    await db.initializeSchema();
+    sessionModel = new Session(db);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM attendance');
+    await db.run('DELETE FROM sessions');
+
+    displayLinkService = new DisplayLinkService(db, { secret: 'test-secret', ttlMinutes: 60 });
+  });
+
+  test('should issue a link that works until it expires', async () => {
+    const session = await createSession();
+
+    const link = await displayLinkService.createLink(session.id, facultyId, now);
+    expect(link.success).toBe(true);
+    expect(link.url).toMatch(/^\/display\.html#token=/);
+    expect(link.expiresAt).toBe(minutesLater(60).toISOString());
+
+    const token = tokenFromUrl(link.url);
+    expect(token).toBe(link.token);
+    expect(displayLinkService.verifyToken(token, minutesLater(59))).toEqual({
+      sessionId: session.id,
+      expiresAt: minutesLater(60)
+    });
+    expect(displayLinkService.verifyToken(token, minutesLater(60))).toBeNull();
+  });
+
+  test('should reject forged and tampered tokens', async () => {
+    const session = await createSession();
+    const { token } = await displayLinkService.createLink(session.id, facultyId, now);
+    const [, expiresAt, signature] = token.split('.');
+
+    const forger = new DisplayLinkService(db, { secret: 'other-secret' });
+    expect(displayLinkService.verifyToken(forger.sign(session.id, Number(expiresAt)), now)).toBeNull();
+    expect(displayLinkService.verifyToken(`other-session.${expiresAt}.${signature}`, now)).toBeNull();
+    expect(displayLinkService.verifyToken(`${session.id}.${Number(expiresAt) + 1}.${signature}`, now)).toBeNull();
+    expect(displayLinkService.verifyToken('not-a-token', now)).toBeNull();
+    expect(displayLinkService.verifyToken(undefined, now)).toBeNull();
+  });
+
+  test('should only issue links to the owning faculty for an active session', async () => {
+    const session = await createSession();
+
+    expect(await displayLinkService.createLink(session.id, 'faculty456', now))
+      .toMatchObject({ success: false, code: 'SESSION_UNAUTHORIZED' });
+    expect(await displayLinkService.createLink('missing', facultyId, now))
+      .toMatchObject({ success: false, code: 'SESSION_NOT_FOUND' });
+
+    await sessionModel.endSession(session.id);
+    expect(await displayLinkService.createLink(session.id, facultyId, now))
+      .toMatchObject({ success: false, code: 'SESSION_INACTIVE' });
+  });
+
+  test('should show the QR code and present count without student details', async () => {
+    const session = await createSession();
+    const { token } = await displayLinkService.createLink(session.id, facultyId);
+
+    const state = await displayLinkService.getDisplayState(token);
+
+    expect(state.success).toBe(true);
+    expect(state.display).toMatchObject({
+      sessionId: session.id,
+      courseName: 'Computer Science Fundamentals',
+      courseCode: 'CSE101',
+      section: 'A',
+      isPaused: false,
+      presentCount: 0
+    });
+    expect(state.qrData.qrCodeDataURL).toMatch(/^data:image\/png;base64,/);
+    expect(Object.keys(state)).toEqual(['success', 'display', 'qrData']);
+  });
+
+  test('should show no QR code while the session is paused', async () => {
+    const session = await createSession();
+    const { token } = await displayLinkService.createLink(session.id, facultyId);
+    await new SessionService(db).pauseSession(session.id, facultyId);
+
+    const state = await displayLinkService.getDisplayState(token);
+
+    expect(state.display.isPaused).toBe(true);
+    expect(state.qrData).toBeNull();
+  });
+
+  test('should stop working once the session ends', async () => {
+    const session = await createSession();
+    const { token } = await displayLinkService.createLink(session.id, facultyId);
+    await sessionModel.endSession(session.id);
+
+    expect(await displayLinkService.getDisplayState(token))
+      .toMatchObject({ success: false, code: 'SESSION_INACTIVE' });
+    expect(await displayLinkService.getDisplayState('forged'))
+      .toMatchObject({ success: false, code: 'DISPLAY_LINK_INVALID' });
+  });
+});
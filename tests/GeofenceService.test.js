@@ -0,0 +1,114 @@
+const GeofenceService = require('../services/GeofenceService');
+
+describe('GeofenceService', () => {
+  let geofenceService;
+
+  // Classroom at the campus main building with a 50m radius
+  const geofencedSession = {
+    location_latitude: 22.5167,
+    location_longitude: 88.4183,
+    location_radius_meters: 50,
+    geofence_action: 'reject'
+  };
+
+  beforeEach(() => {
+    geofenceService = new GeofenceService({ maxAccuracyMeters: 100 });
+  });
+
+  describe('hasGeofence', () => {
+    test('should detect sessions with a location and radius', () => {
+      expect(geofenceService.hasGeofence(geofencedSession)).toBe(true);
+    });
+
+    test('should ignore sessions without a location', () => {
+      expect(geofenceService.hasGeofence({ location_latitude: null, location_longitude: null })).toBe(false);
+    });
+  });
+
+  describe('parseLocation', () => {
+    test('should parse numeric strings from a query string', () => {
+      expect(geofenceService.parseLocation({ latitude: '22.5', longitude: '88.4', accuracy: '12' }))
+        .toEqual({ latitude: 22.5, longitude: 88.4, accuracy: 12 });
+    });
+
+    test('should allow a missing accuracy', () => {
+      expect(geofenceService.parseLocation({ latitude: 0, longitude: 0 }))
+        .toEqual({ latitude: 0, longitude: 0, accuracy: null });
+    });
+
+    test('should reject missing or out-of-range coordinates', () => {
+      expect(geofenceService.parseLocation({})).toBeNull();
+      expect(geofenceService.parseLocation({ latitude: '91', longitude: '0' })).toBeNull();
+      expect(geofenceService.parseLocation({ latitude: 'north', longitude: '0' })).toBeNull();
+    });
+  });
+
+  describe('distanceMeters', () => {
+    test('should compute great-circle distance', () => {
+      // One degree of latitude is roughly 111km
+      const distance = geofenceService.distanceMeters(0, 0, 1, 0);
+      expect(distance).toBeGreaterThan(111000);
+      expect(distance).toBeLessThan(111400);
+    });
+  });
+
+  describe('checkLocation', () => {
+    test('should allow any mark when the session has no geofence', () => {
+      const result = geofenceService.checkLocation({ location_latitude: null }, null);
+      expect(result).toEqual({ allowed: true, flagged: false, distanceMeters: null });
+    });
+
+    test('should allow a mark inside the radius', () => {
+      const result = geofenceService.checkLocation(geofencedSession, {
+        latitude: 22.5168,
+        longitude: 88.4183,
+        accuracy: 10
+      });
+
+      expect(result.allowed).toBe(true);
+      expect(result.flagged).toBe(false);
+      expect(result.distanceMeters).toBeLessThan(50);
+    });
+
+    test('should reject a mark outside the radius', () => {
+      const result = geofenceService.checkLocation(geofencedSession, {
+        latitude: 22.5267,
+        longitude: 88.4183,
+        accuracy: 10
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.code).toBe('OUTSIDE_GEOFENCE');
+      expect(result.distanceMeters).toBeGreaterThan(1000);
+    });
+
+    test('should reject a missing location', () => {
+      const result = geofenceService.checkLocation(geofencedSession, null);
+
+      expect(result.allowed).toBe(false);
+      expect(result.code).toBe('LOCATION_REQUIRED');
+    });
+
+    test('should reject a fix too coarse to place the student', () => {
+      const result = geofenceService.checkLocation(geofencedSession, {
+        latitude: 22.5167,
+        longitude: 88.4183,
+        accuracy: 2000
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toContain('accuracy');
+    });
+
+    test('should flag instead of rejecting when the session is set to flag', () => {
+      const result = geofenceService.checkLocation({ ...geofencedSession, geofence_action: 'flag' }, {
+        latitude: 22.5267,
+        longitude: 88.4183,
+        accuracy: 10
+      });
+
+      expect(result.allowed).toBe(true);
+      expect(result.flagged).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const LocalTimeService = require('../services/LocalTimeService');
+
+describe('LocalTimeService', () => {
+  test('should read the weekday, date and time in the time zone', () => {
+    // 2026-01-05 is a Monday
+    const utc = new LocalTimeService('UTC');
+    expect(utc.getLocalTime(new Date('2026-01-05T09:15:00.000Z'))).toEqual({ weekday: 1, date: '2026-01-05', minutes: 555 });
+    expect(utc.getTimeZone()).toBe('UTC');
+
+    const kolkata = new LocalTimeService('Asia/Kolkata');
+    expect(kolkata.getLocalTime(new Date('2026-01-04T20:00:00.000Z'))).toEqual({ weekday: 1, date: '2026-01-05', minutes: 90 });
+  });
+
+  test('should reject an unknown time zone', () => {
+    expect(() => new LocalTimeService('Mars/Olympus')).toThrow(RangeError);
+  });
+
+  test('should convert between HH:MM and minutes since midnight', () => {
+    expect(LocalTimeService.isTimeOfDay('09:05')).toBe(true);
+    expect(LocalTimeService.isTimeOfDay('9:05')).toBe(false);
+    expect(LocalTimeService.isTimeOfDay('24:00')).toBe(false);
+    expect(LocalTimeService.toMinutes('13:45')).toBe(825);
+    expect(LocalTimeService.formatMinutes(825)).toBe('13:45');
+    expect(LocalTimeService.formatMinutes(5)).toBe('00:05');
+  });
+});
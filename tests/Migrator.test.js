@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../config/database');
+const Migrator = require('../config/migrator');
+
+describe('Migrator', () => {
+  let db;
+
+  const tableNames = async () => (await db.all("SELECT name FROM sqlite_master WHERE type='table'")).map(table => table.name);
+  const columnNames = async table => (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+  beforeEach(async () => {
+    // Use a fresh in-memory database for each test
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should apply every migration to a new database and record it', async () => {
+    const migrator = new Migrator(db);
+
+    const applied = await migrator.migrate();
+
+    expect(applied.map(migration => migration.file)).toEqual(['001_initial_schema.js', '002_attendance_flags.js', '003_audit_removed_record.js']);
+    expect(await tableNames()).toEqual(expect.arrayContaining(['sessions', 'attendance', 'attendance_flags', 'schema_migrations']));
+    expect(await columnNames('attendance')).toContain('token_hash');
+    expect(await columnNames('attendance_audit')).toContain('removed_record');
+
+    const status = await migrator.status();
+    expect(status.currentVersion).toBe(3);
+    expect(status.migrations.every(migration => migration.applied && migration.appliedAt)).toBe(true);
+
+    expect(await migrator.migrate()).toEqual([]);
+  });
+
+  test('should bring a database from before migrations up to date without losing data', async () => {
+    await db.run(`CREATE TABLE attendance (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      student_email TEXT NOT NULL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      ip_address TEXT,
+      user_agent TEXT
+    )`);
+    await db.run("INSERT INTO attendance (id, session_id, student_email) VALUES ('a1', 's1', 'student@heritageit.edu.in')");
+
+    await db.initializeSchema();
+
+    expect(await columnNames('attendance')).toEqual(expect.arrayContaining(['status', 'device_id', 'token_hash']));
+    expect(await db.get('SELECT status FROM attendance WHERE id = ?', ['a1'])).toEqual({ status: 'present' });
+  });
+
+  test('should roll back to a version and apply the migrations again', async () => {
+    const migrator = new Migrator(db);
+    await migrator.migrate();
+
+    const rolledBack = await migrator.rollback(1);
+    expect(rolledBack.map(migration => migration.version)).toEqual([3, 2]);
+    expect(await tableNames()).not.toContain('attendance_flags');
+    expect(await columnNames('attendance')).not.toContain('token_hash');
+    expect((await migrator.status()).currentVersion).toBe(1);
+
+    expect((await migrator.migrate()).map(migration => migration.version)).toEqual([2, 3]);
+
+    await migrator.rollback(0);
+    expect(await tableNames()).toEqual(['schema_migrations']);
+    expect((await migrator.status()).currentVersion).toBe(0);
+  });
+
+  test('should stop at a target version', async () => {
+    const migrator = new Migrator(db);
+
+    expect((await migrator.migrate(1)).map(migration => migration.version)).toEqual([1]);
+    expect(await tableNames()).not.toContain('attendance_flags');
+    expect((await migrator.status()).migrations.map(migration => migration.applied)).toEqual([true, false, false]);
+  });
+
+  describe('with custom migrations', () => {
+    let directory;
+
+    const writeMigration = (file, body) => fs.writeFileSync(path.join(directory, file), body);
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'qtrack-migrations-'));
+      writeMigration('001_items.js', `
+        module.exports = {
+          up: db => db.run('CREATE TABLE items (id TEXT PRIMARY KEY)'),
+          down: db => db.run('DROP TABLE items')
+        };
+      `);
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should leave the schema at the last migration that succeeded', async () => {
+      writeMigration('002_broken.js', `
+        module.exports = {
+          up: async db => {
+            await db.run('CREATE TABLE half_done (id TEXT)');
+            await db.run('ALTER TABLE missing_table ADD COLUMN label TEXT');
+          },
+          down: db => db.run('DROP TABLE half_done')
+        };
+      `);
+      const migrator = new Migrator(db, { directory });
+
+      await expect(migrator.migrate()).rejects.toThrow('Migration 002_broken.js failed');
+
+      expect(await tableNames()).toContain('items');
+      expect(await tableNames()).not.toContain('half_done');
+      expect((await migrator.status()).currentVersion).toBe(1);
+    });
+
+    test('should refuse duplicate versions and rolling back migrations whose file is gone', async () => {
+      const migrator = new Migrator(db, { directory });
+      await migrator.migrate();
+      await db.run("INSERT INTO schema_migrations (version, name) VALUES (5, 'deleted')");
+
+      expect((await migrator.status()).migrations).toContainEqual(expect.objectContaining({ version: 5, missing: true }));
+      await expect(migrator.rollback(0)).rejects.toThrow('its file is missing');
+      expect(await tableNames()).toContain('items');
+
+      writeMigration('001_other.js', 'module.exports = { up: async () => {}, down: async () => {} };');
+      expect(() => migrator.loadMigrations()).toThrow('Duplicate migration version 1');
+    });
+  });
+});
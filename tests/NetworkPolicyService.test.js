@@ -0,0 +1,84 @@
+const NetworkPolicyService = require('../services/NetworkPolicyService');
+
+describe('NetworkPolicyService', () => {
+  describe('parseCidr', () => {
+    test('should parse IPv4 and IPv6 ranges', () => {
+      expect(NetworkPolicyService.parseCidr('10.20.0.0/16'))
+        .toEqual({ cidr: '10.20.0.0/16', address: '10.20.0.0', prefix: 16, family: 'ipv4' });
+      expect(NetworkPolicyService.parseCidr('2001:db8::/32'))
+        .toEqual({ cidr: '2001:db8::/32', address: '2001:db8::', prefix: 32, family: 'ipv6' });
+    });
+
+    test('should treat a bare address as a single host', () => {
+      expect(NetworkPolicyService.parseCidr('192.168.1.10').cidr).toBe('192.168.1.10/32');
+    });
+
+    test('should reject malformed ranges', () => {
+      expect(NetworkPolicyService.parseCidr('10.0.0.0/33')).toBeNull();
+      expect(NetworkPolicyService.parseCidr('10.0.0/8')).toBeNull();
+      expect(NetworkPolicyService.parseCidr('campus-wifi')).toBeNull();
+      expect(NetworkPolicyService.parseCidr('10.0.0.0/8/1')).toBeNull();
+    });
+  });
+
+  describe('parseNetworkList', () => {
+    test('should accept comma-separated strings and arrays', () => {
+      expect(NetworkPolicyService.parseNetworkList('10.0.0.0/8, 192.168.1.0/24'))
+        .toEqual(['10.0.0.0/8', '192.168.1.0/24']);
+      expect(NetworkPolicyService.parseNetworkList(['172.16.0.0/12'])).toEqual(['172.16.0.0/12']);
+      expect(NetworkPolicyService.parseNetworkList(null)).toEqual([]);
+    });
+
+    test('should throw on an invalid range', () => {
+      expect(() => NetworkPolicyService.parseNetworkList('10.0.0.0/8,not-a-range'))
+        .toThrow('Invalid network range: not-a-range');
+    });
+  });
+
+  describe('checkAddress', () => {
+    test('should allow any address when no allow-list is configured', () => {
+      const policy = new NetworkPolicyService({ allowedNetworks: '' });
+      expect(policy.checkAddress('203.0.113.5', {}).allowed).toBe(true);
+    });
+
+    test('should enforce the institution allow-list', () => {
+      const policy = new NetworkPolicyService({ allowedNetworks: '10.0.0.0/8' });
+
+      expect(policy.checkAddress('10.1.2.3', {}).allowed).toBe(true);
+      expect(policy.checkAddress('::ffff:10.1.2.3', {}).allowed).toBe(true);
+
+      const result = policy.checkAddress('203.0.113.5', {});
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toContain('institution network');
+    });
+
+    test('should let a session narrow the institution networks', () => {
+      const policy = new NetworkPolicyService({ allowedNetworks: '10.0.0.0/8' });
+      const session = { allowed_networks: '10.20.0.0/16' };
+
+      expect(policy.checkAddress('10.20.5.6', session).allowed).toBe(true);
+
+      const result = policy.checkAddress('10.30.5.6', session);
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toContain('allowed for this session');
+    });
+
+    test('should enforce a session allow-list on its own', () => {
+      const policy = new NetworkPolicyService({ allowedNetworks: '' });
+      const session = { allowed_networks: '2001:db8::/32' };
+
+      expect(policy.checkAddress('2001:db8::1', session).allowed).toBe(true);
+      expect(policy.checkAddress('192.0.2.1', session).allowed).toBe(false);
+    });
+
+    test('should reject requests without a usable address when restricted', () => {
+      const policy = new NetworkPolicyService({ allowedNetworks: '10.0.0.0/8' });
+      expect(policy.checkAddress(undefined, {}).allowed).toBe(false);
+    });
+  });
+
+  test('should fail loudly on a misconfigured institution allow-list', () => {
+    expect(() => new NetworkPolicyService({ allowedNetworks: '10.0.0.0/99' }))
+      .toThrow('Invalid network range: 10.0.0.0/99');
+  });
+});
@@ -0,0 +1,71 @@
+const PdfService = require('../services/PdfService');
+
+describe('PdfService', () => {
+  const pdfService = new PdfService();
+
+  // Check that every xref entry points at its object, as PDF readers expect
+  const expectValidXref = (pdf) => {
+    const text = pdf.toString('latin1');
+    const xrefOffset = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+    const [, countLine, , ...entries] = text.slice(xrefOffset).split('\n');
+    const count = Number(countLine.split(' ')[1]);
+    for (let objectNumber = 1; objectNumber < count; objectNumber++) {
+      const offset = Number(entries[objectNumber - 1].slice(0, 10));
+      expect(text.slice(offset).startsWith(`${objectNumber} 0 obj`)).toBe(true);
+    }
+  };
+
+  const pageCount = pdf => Number(pdf.toString('latin1').match(/\/Type \/Pages .* \/Count (\d+)/)[1]);
+
+  test('should render a valid single-page document', () => {
+    const pdf = pdfService.render([
+      { type: 'title', text: 'Attendance Sheet' },
+      { type: 'text', text: 'Data Structures (CSE201)' },
+      { type: 'signature', labels: ['Faculty signature', 'Date'] }
+    ], { title: 'Attendance', footer: 'Generated today' });
+
+    const text = pdf.toString('latin1');
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('(Attendance Sheet) Tj');
+    expect(text).toContain('(Faculty signature) Tj');
+    expect(text).toContain('(Page 1 of 1) Tj');
+    expect(pageCount(pdf)).toBe(1);
+    expectValidXref(pdf);
+  });
+
+  test('should break long tables across pages and repeat the header', () => {
+    const rows = Array.from({ length: 120 }, (item, index) => [index + 1, `Student ${index + 1}`]);
+    const pdf = pdfService.render([
+      { type: 'table', columns: [{ header: '#', width: 40 }, { header: 'Name', width: 200 }], rows }
+    ]);
+
+    const text = pdf.toString('latin1');
+    const pages = pageCount(pdf);
+    expect(pages).toBeGreaterThan(1);
+    expect(text.match(/\(Name\) Tj/g)).toHaveLength(pages);
+    expect(text).toContain('(Student 120) Tj');
+    expect(text).toContain(`(Page ${pages} of ${pages}) Tj`);
+    expectValidXref(pdf);
+  });
+
+  test('should escape PDF string delimiters and encode Latin-1 text', () => {
+    expect(pdfService.encodeText('Course (A) \\ B')).toBe('(Course \\(A\\) \\\\ B)');
+    expect(pdfService.encodeText('Debnáth')).toBe('(Debn\\341th)');
+    expect(pdfService.encodeText('नाम')).toBe('(???)');
+  });
+
+  test('should shorten text that does not fit its column', () => {
+    const email = 'rohit.kumardebnath.cse28@heritageit.edu.in';
+
+    expect(pdfService.fitText(email, 500, 9)).toBe(email);
+    const fitted = pdfService.fitText(email, 100, 9);
+    expect(fitted.endsWith('...')).toBe(true);
+    expect(pdfService.measureText(fitted, 9)).toBeLessThanOrEqual(100);
+  });
+
+  test('should reject unknown block types', () => {
+    expect(() => pdfService.render([{ type: 'image' }])).toThrow('Unsupported PDF block type: image');
+  });
+});
@@ -83,6 +83,14 @@ describe('QRCodeService', () => {
       expect(expiryTime).toBeGreaterThanOrEqual(expectedMinExpiry);
       expect(expiryTime).toBeLessThanOrEqual(expectedMaxExpiry);
     });
+
+    test('should report the expiry passed in by the session', async () => {
+      const expiresAt = new Date(Date.now() + 90000).toISOString();
+      const result = await qrService.generateQRCode(mockSessionId, mockToken, { expiresAt });
+
+      expect(result.success).toBe(true);
+      expect(result.qrData.expiresAt).toBe(expiresAt);
+    });
   });
 
   describe('startQRRotation', () => {
@@ -0,0 +1,202 @@
+const Database = require('../config/database');
+const Session = require('../models/Session');
+const QRCodeService = require('../services/QRCodeService');
+const SchedulerService = require('../services/SchedulerService');
+
+describe('SchedulerService', () => {
+  let db;
+  let sessionModel;
+  let webSocketService;
+  let scheduler;
+
+  const facultyId = 'faculty123';
+
+  // 2026-01-05 is a Monday
+  const at = time => new Date(`2026-01-05T${time}:00.000Z`);
+
+  const slot = (overrides = {}) => ({
+    courseName: 'Computer Science Fundamentals',
+    courseCode: 'CSE101',
+    section: 'A',
+    weekday: 1,
+    startTime: '09:00',
+    durationMinutes: 50,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    // Use in-memory database for testing
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+    await db.initializeSchema();
+    sessionModel = new Session(db);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM schedules');
+    await db.run('DELETE FROM sessions');
+
+    webSocketService = {
+      broadcastSessionStarted: jest.fn(),
+      broadcastSessionEnded: jest.fn(),
+      broadcastScheduleSkipped: jest.fn(),
+      broadcastQRUpdate: jest.fn()
+    };
+    scheduler = new SchedulerService(db, { webSocketService, timeZone: 'UTC' });
+  });
+
+  afterEach(() => {
+    // Scheduled sessions start real QR rotation timers
+    new QRCodeService().stopAllRotations();
+  });
+
+  test('should reject an unknown time zone', () => {
+    expect(() => new SchedulerService(db, { timeZone: 'Mars/Olympus' })).toThrow(RangeError);
+  });
+
+  test('should reject invalid slots', async () => {
+    const cases = [
+      [{ weekday: 7 }, 'Weekday must be'],
+      [{ startTime: '9:00' }, 'Start time must be'],
+      [{ durationMinutes: 2 }, 'Duration must be'],
+      [{ startTime: '23:30', durationMinutes: 60 }, 'must end by midnight'],
+      [{ courseCode: 'cs-1' }, 'Course code must be']
+    ];
+
+    for (const [overrides, message] of cases) {
+      const result = await scheduler.createSchedule(facultyId, slot(overrides));
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INVALID_INPUT');
+      expect(result.error).toContain(message);
+    }
+  });
+
+  test('should refuse overlapping slots for the same faculty', async () => {
+    expect((await scheduler.createSchedule(facultyId, slot())).success).toBe(true);
+
+    const overlapping = await scheduler.createSchedule(facultyId, slot({ startTime: '09:30', courseCode: 'CSE102' }));
+    expect(overlapping).toMatchObject({ success: false, code: 'SCHEDULE_CONFLICT' });
+    expect(overlapping.error).toContain('CSE101 section A on Monday at 09:00');
+
+    // Back-to-back, other days, other faculty and disabled slots do not conflict
+    expect((await scheduler.createSchedule(facultyId, slot({ startTime: '09:50' }))).success).toBe(true);
+    expect((await scheduler.createSchedule(facultyId, slot({ weekday: 2 }))).success).toBe(true);
+    expect((await scheduler.createSchedule('faculty456', slot())).success).toBe(true);
+    expect((await scheduler.createSchedule(facultyId, slot({ startTime: '09:10', enabled: false }))).success).toBe(true);
+  });
+
+  test('should only let the owner update or delete a slot', async () => {
+    const { schedule } = await scheduler.createSchedule(facultyId, slot());
+
+    expect(await scheduler.updateSchedule(schedule.id, 'faculty456', slot({ startTime: '10:00' })))
+      .toMatchObject({ success: false, code: 'SCHEDULE_UNAUTHORIZED' });
+    expect(await scheduler.deleteSchedule('missing', facultyId))
+      .toMatchObject({ success: false, code: 'SCHEDULE_NOT_FOUND' });
+
+    const updated = await scheduler.updateSchedule(schedule.id, facultyId, slot({ startTime: '10:00' }));
+    expect(updated.success).toBe(true);
+    expect(updated.schedule.start_time).toBe('10:00');
+
+    expect((await scheduler.deleteSchedule(schedule.id, facultyId)).success).toBe(true);
+    expect((await scheduler.listSchedules(facultyId)).schedules).toHaveLength(0);
+  });
+
+  test('should start a due slot once and end it when the slot finishes', async () => {
+    const { schedule } = await scheduler.createSchedule(facultyId, slot());
+
+    expect((await scheduler.tick(at('08:59'))).started).toHaveLength(0);
+
+    const startTick = await scheduler.tick(at('09:00'));
+    expect(startTick.started).toHaveLength(1);
+    const session = startTick.started[0];
+    expect(session).toMatchObject({
+      faculty_id: facultyId,
+      course_code: 'CSE101',
+      section: 'A',
+      schedule_id: schedule.id,
+      scheduled_end_time: '2026-01-05T09:50:00.000Z',
+      is_active: 1
+    });
+    expect(new QRCodeService().getRotationStatus(session.id).isActive).toBe(true);
+    expect(webSocketService.broadcastSessionStarted).toHaveBeenCalledWith(
+      facultyId,
+      expect.objectContaining({ id: session.id }),
+      expect.objectContaining({ sessionId: session.id })
+    );
+
+    // Later ticks in the same slot leave it alone
+    expect((await scheduler.tick(at('09:10'))).started).toHaveLength(0);
+    expect((await scheduler.tick(at('09:49'))).ended).toHaveLength(0);
+
+    const endTick = await scheduler.tick(at('09:50'));
+    expect(endTick.ended.map(ended => ended.id)).toEqual([session.id]);
+    expect((await sessionModel.findById(session.id)).is_active).toBe(0);
+    expect(new QRCodeService().getRotationStatus(session.id).isActive).toBe(false);
+    expect(webSocketService.broadcastSessionEnded).toHaveBeenCalledWith(
+      facultyId,
+      expect.objectContaining({ id: session.id }),
+      { reason: 'schedule' }
+    );
+
+    // The slot does not start again for the rest of the day
+    expect((await scheduler.tick(at('09:20'))).started).toHaveLength(0);
+  });
+
+  test('should start a slot late when the server comes up part-way through it', async () => {
+    await scheduler.createSchedule(facultyId, slot());
+
+    const { started } = await scheduler.tick(new Date('2026-01-05T09:30:25.000Z'));
+    expect(started).toHaveLength(1);
+    expect(started[0].scheduled_end_time).toBe('2026-01-05T09:50:00.000Z');
+  });
+
+  test('should skip a slot when the faculty already has a session running', async () => {
+    const manual = await sessionModel.create({
+      facultyId,
+      courseName: 'Data Structures',
+      courseCode: 'CSE201',
+      section: 'B'
+    });
+    const { schedule } = await scheduler.createSchedule(facultyId, slot());
+
+    const result = await scheduler.tick(at('09:05'));
+    expect(result.started).toHaveLength(0);
+    expect(result.skipped).toHaveLength(1);
+    expect(result.skipped[0].reason).toContain('already has an active session');
+    expect(webSocketService.broadcastScheduleSkipped).toHaveBeenCalledWith(
+      facultyId,
+      expect.objectContaining({ id: schedule.id }),
+      expect.stringContaining('already has an active session')
+    );
+
+    // Manual sessions are never ended by the scheduler
+    await scheduler.tick(at('10:00'));
+    expect((await sessionModel.findById(manual.id)).is_active).toBe(1);
+  });
+
+  test('should ignore disabled slots and slots on other days', async () => {
+    await scheduler.createSchedule(facultyId, slot({ enabled: false }));
+    await scheduler.createSchedule(facultyId, slot({ weekday: 2, startTime: '11:00' }));
+
+    const result = await scheduler.tick(at('09:05'));
+    expect(result.started).toHaveLength(0);
+    expect(result.skipped).toHaveLength(0);
+  });
+});
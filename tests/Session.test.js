@@ -433,6 +433,160 @@ describe('Session Management', () => {
     });
   });
 
+  describe('Token Lifetime', () => {
+    afterEach(() => {
+      delete process.env.QR_TOKEN_EXPIRY_SECONDS;
+    });
+
+    test('should store a per-session token lifetime', async () => {
+      const before = Date.now();
+      const session = await sessionModel.create({
+        facultyId: 'faculty450',
+        courseName: 'Lifetime Course',
+        courseCode: 'LIFE101',
+        section: 'A',
+        tokenExpirySeconds: 90
+      });
+
+      expect(session.token_expiry_seconds).toBe(90);
+      expect(new Date(session.token_expiry).getTime()).toBeGreaterThanOrEqual(before + 89000);
+      expect(sessionModel.getTokenLifetimeMs(session)).toBe(90000);
+
+      const rotated = await sessionModel.rotateToken(session.id);
+      expect(new Date(rotated.token_expiry).getTime()).toBeGreaterThanOrEqual(before + 89000);
+    });
+
+    test('should default to QR_TOKEN_EXPIRY_SECONDS', async () => {
+      process.env.QR_TOKEN_EXPIRY_SECONDS = '45';
+
+      const session = await sessionModel.create({
+        facultyId: 'faculty451',
+        courseName: 'Default Lifetime',
+        courseCode: 'LIFE102',
+        section: 'A'
+      });
+
+      expect(session.token_expiry_seconds).toBe(45);
+    });
+
+    test('should fall back to 30 seconds for an invalid configuration', () => {
+      process.env.QR_TOKEN_EXPIRY_SECONDS = 'soon';
+      expect(Session.getDefaultTokenExpirySeconds()).toBe(30);
+    });
+  });
+
+  describe('Time-based Tokens', () => {
+    let totpSession;
+
+    beforeEach(async () => {
+      totpSession = await sessionModel.create({
+        facultyId: 'faculty444',
+        courseName: 'Time Based Course',
+        courseCode: 'TOTP101',
+        section: 'A',
+        tokenMode: 'totp'
+      });
+    });
+
+    test('should create a session with a secret and no stored token', () => {
+      expect(totpSession.token_mode).toBe('totp');
+      expect(totpSession.token_secret).toMatch(/^[a-f0-9]{64}$/);
+      expect(totpSession.current_token).toBeNull();
+      expect(totpSession.token_expiry).toBeNull();
+    });
+
+    test('should default to random tokens', async () => {
+      const session = await sessionModel.create({
+        facultyId: 'faculty445',
+        courseName: 'Random Course',
+        courseCode: 'RAND101',
+        section: 'A'
+      });
+
+      expect(session.token_mode).toBe('random');
+      expect(session.token_secret).toBeNull();
+      expect(session.current_token).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    test('should reject an unknown token mode', async () => {
+      await expect(sessionModel.create({
+        facultyId: 'faculty446',
+        courseName: 'Bad Mode Course',
+        courseCode: 'BAD101',
+        section: 'A',
+        tokenMode: 'hotp'
+      })).rejects.toThrow('Unsupported token mode: hotp');
+    });
+
+    test('should derive the current token from the time step', () => {
+      const now = Date.now();
+      const step = sessionModel.getTimeStep(totpSession, now);
+      const { token, expiresAt } = sessionModel.getCurrentToken(totpSession, now);
+
+      expect(token).toBe(sessionModel.generateTimeBasedToken(totpSession, step));
+      expect(token).toMatch(/^[a-f0-9]{64}$/);
+      expect(new Date(expiresAt).getTime()).toBe((step + 1) * 30000);
+    });
+
+    test('should accept the current and previous step', async () => {
+      const step = sessionModel.getTimeStep(totpSession);
+      const current = sessionModel.generateTimeBasedToken(totpSession, step);
+      const previous = sessionModel.generateTimeBasedToken(totpSession, step - 1);
+
+      expect((await sessionModel.validateSessionToken(totpSession.id, current)).valid).toBe(true);
+      expect((await sessionModel.validateSessionToken(totpSession.id, previous)).valid).toBe(true);
+    });
+
+    test('should report older steps as expired', async () => {
+      const step = sessionModel.getTimeStep(totpSession);
+      const old = sessionModel.generateTimeBasedToken(totpSession, step - 2);
+
+      const result = await sessionModel.validateSessionToken(totpSession.id, old);
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Token expired');
+    });
+
+    test('should reject tokens from another session secret', async () => {
+      const other = await sessionModel.create({
+        facultyId: 'faculty447',
+        courseName: 'Other Course',
+        courseCode: 'OTH101',
+        section: 'A',
+        tokenMode: 'totp'
+      });
+      const { token } = sessionModel.getCurrentToken(other);
+
+      const result = await sessionModel.validateSessionToken(totpSession.id, token);
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Invalid token');
+    });
+
+    test('should use the session token lifetime as the time step', async () => {
+      const session = await sessionModel.create({
+        facultyId: 'faculty448',
+        courseName: 'Long Step Course',
+        courseCode: 'LONG101',
+        section: 'A',
+        tokenMode: 'totp',
+        tokenExpirySeconds: 60
+      });
+      const now = Date.now();
+
+      expect(sessionModel.getTimeStep(session, now)).toBe(Math.floor(now / 60000));
+      expect(new Date(sessionModel.getCurrentToken(session, now).expiresAt).getTime() % 60000).toBe(0);
+    });
+
+    test('should not write to the database on rotation', async () => {
+      const runSpy = jest.spyOn(db, 'run');
+
+      const rotated = await sessionModel.rotateToken(totpSession.id);
+
+      expect(runSpy).not.toHaveBeenCalled();
+      expect(rotated.id).toBe(totpSession.id);
+      runSpy.mockRestore();
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle updates to non-existent sessions', async () => {
       await expect(
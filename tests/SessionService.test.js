@@ -6,11 +6,12 @@ jest.mock('../services/QRCodeService', () => {
   let mockBaseUrl = 'http://localhost:3000';
   
   return jest.fn().mockImplementation(() => ({
-    generateQRCode: jest.fn().mockImplementation((sessionId, token) => Promise.resolve({
+    generateQRCode: jest.fn().mockImplementation((sessionId, token, options = {}) => Promise.resolve({
       success: true,
       qrData: {
         sessionId: sessionId,
         token: token,
+        presenceCode: options.presenceCode || null,
         url: `${mockBaseUrl}/attend/${sessionId}?token=${token}`,
         qrCodeDataUrl: 'data:image/png;base64,test-data',
         qrCodeSvg: '<svg>test</svg>',
@@ -92,6 +93,28 @@ describe('SessionService', () => {
       expect(result.qrData.expiresAt).toBeDefined();
     });
 
+    test('should start a time-based session whose QR token validates', async () => {
+      const result = await sessionService.startSession({
+        facultyId: 'faculty-totp',
+        courseName: 'Time Based',
+        courseCode: 'CSE205',
+        section: 'A',
+        tokenMode: 'totp'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.session.current_token).toBeNull();
+      expect(result.qrData.token).toMatch(/^[a-f0-9]{64}$/);
+
+      const validation = await sessionService.validateAttendanceToken(result.session.id, result.qrData.token);
+      expect(validation.success).toBe(true);
+
+      const rotation = await sessionService.rotateQRToken(result.session.id, 'faculty-totp');
+      expect(rotation.success).toBe(true);
+
+      await sessionService.endSession(result.session.id, 'faculty-totp');
+    });
+
     test('should validate required session data', async () => {
       const invalidData = {
         facultyId: 'faculty123',
@@ -485,6 +508,26 @@ describe('SessionService', () => {
       expect(rotationResult.sessionId).toBe(sessionResult.session.id);
     });
 
+    test('should rotate at the session token lifetime', async () => {
+      const sessionResult = await sessionService.startSession({
+        facultyId: 'faculty-qr-5',
+        courseName: 'QR Interval Test',
+        courseCode: 'CSE305',
+        section: 'A',
+        tokenExpirySeconds: 60
+      });
+
+      await sessionService.startQRRotation(sessionResult.session.id, 'faculty-qr-5', jest.fn());
+
+      expect(sessionService.qrCodeService.startQRRotation).toHaveBeenLastCalledWith(
+        sessionResult.session.id,
+        expect.any(Function),
+        expect.any(Function),
+        60000
+      );
+      await sessionService.endSession(sessionResult.session.id, 'faculty-qr-5');
+    });
+
     test('should stop QR rotation successfully', async () => {
       const sessionData = {
         facultyId: 'faculty-qr-2',
@@ -561,6 +604,258 @@ describe('SessionService', () => {
     });
   });
 
+  describe('Resuming Active Sessions', () => {
+    test('should resume recent sessions and end stale ones', async () => {
+      const recentResult = await sessionService.startSession({
+        facultyId: 'faculty-resume-1',
+        courseName: 'Resume Test',
+        courseCode: 'CSE401',
+        section: 'A'
+      });
+      const staleResult = await sessionService.startSession({
+        facultyId: 'faculty-resume-2',
+        courseName: 'Stale Test',
+        courseCode: 'CSE402',
+        section: 'A'
+      });
+
+      // Both started an hour ago and their tokens expired while the server was down;
+      // only the recent one still has its dashboard open
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const aMinuteAgo = new Date(Date.now() - 60 * 1000).toISOString();
+      await db.run('UPDATE sessions SET start_time = ?, token_expiry = ? WHERE id IN (?, ?)',
+        [anHourAgo, anHourAgo, recentResult.session.id, staleResult.session.id]);
+      await db.run('UPDATE sessions SET last_heartbeat_at = ? WHERE id = ?', [aMinuteAgo, recentResult.session.id]);
+
+      const qrUpdateCallback = jest.fn();
+      const createQRUpdateCallback = jest.fn().mockReturnValue(qrUpdateCallback);
+
+      const result = await sessionService.resumeActiveSessions(createQRUpdateCallback, {
+        staleAfterMs: 10 * 60 * 1000
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.resumed.map(session => session.id)).toContain(recentResult.session.id);
+      expect(result.ended.map(session => session.id)).toEqual([staleResult.session.id]);
+
+      // The broadcast callback is built for the session's own faculty and receives a fresh QR code
+      expect(createQRUpdateCallback).toHaveBeenCalledWith(
+        expect.objectContaining({ id: recentResult.session.id, faculty_id: 'faculty-resume-1' })
+      );
+      expect(qrUpdateCallback).toHaveBeenCalledWith(
+        recentResult.session.id,
+        expect.objectContaining({ sessionId: recentResult.session.id })
+      );
+
+      const staleSession = await db.get('SELECT is_active FROM sessions WHERE id = ?', [staleResult.session.id]);
+      expect(staleSession.is_active).toBe(0);
+    });
+
+    test('should end random-token sessions nobody has used even if their token rotated recently', async () => {
+      const { session } = await sessionService.startSession({
+        facultyId: 'faculty-resume-5',
+        courseName: 'Resume Test',
+        courseCode: 'CSE404',
+        section: 'A'
+      });
+
+      // The rotation kept moving the token expiry forward after the faculty left
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const aMinuteAgo = new Date(Date.now() - 60 * 1000).toISOString();
+      await db.run('UPDATE sessions SET start_time = ?, token_expiry = ? WHERE id = ?', [anHourAgo, aMinuteAgo, session.id]);
+
+      const result = await sessionService.resumeActiveSessions(() => jest.fn(), { staleAfterMs: 10 * 60 * 1000 });
+
+      expect(result.ended.map(ended => ended.id)).toContain(session.id);
+    });
+
+    test('should keep time-based sessions with an open dashboard but no recent scans', async () => {
+      const startTotp = facultyId => sessionService.startSession({
+        facultyId,
+        courseName: 'Resume Test',
+        courseCode: 'CSE403',
+        section: 'A',
+        tokenMode: 'totp'
+      });
+      const watched = (await startTotp('faculty-resume-3')).session;
+      const abandoned = (await startTotp('faculty-resume-4')).session;
+
+      // Both started an hour ago without a scan; only one still has its dashboard open
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const aMinuteAgo = new Date(Date.now() - 60 * 1000).toISOString();
+      await db.run('UPDATE sessions SET start_time = ? WHERE id IN (?, ?)', [anHourAgo, watched.id, abandoned.id]);
+      await db.run('UPDATE sessions SET last_heartbeat_at = ? WHERE id = ?', [aMinuteAgo, watched.id]);
+
+      const result = await sessionService.resumeActiveSessions(() => jest.fn(), { staleAfterMs: 10 * 60 * 1000 });
+
+      expect(result.resumed.map(session => session.id)).toContain(watched.id);
+      expect(result.ended.map(session => session.id)).toEqual([abandoned.id]);
+    });
+
+    test('should end every session left running when the threshold is zero', async () => {
+      const { session } = await sessionService.startSession({
+        facultyId: 'faculty-resume-6',
+        courseName: 'Resume Test',
+        courseCode: 'CSE405',
+        section: 'A'
+      });
+      await db.run('UPDATE sessions SET last_heartbeat_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), session.id]);
+
+      const result = await sessionService.resumeActiveSessions(() => jest.fn(), { staleAfterMs: 0 });
+
+      expect(result.resumed).toEqual([]);
+      expect(result.ended.map(ended => ended.id)).toContain(session.id);
+      // Ended through endSession, so the rotation is stopped like the sweeper's
+      expect(sessionService.qrCodeService.stopQRRotation).toHaveBeenCalledWith(session.id);
+    });
+  });
+
+  describe('Pausing Sessions', () => {
+    const startPausable = (facultyId, overrides = {}) => sessionService.startSession({
+      facultyId,
+      courseName: 'Pause Test',
+      courseCode: 'CSE501',
+      section: 'A',
+      ...overrides
+    });
+
+    test('should refuse scans while paused and issue a fresh token on resume', async () => {
+      const { session, qrData } = await startPausable('faculty-pause-1');
+
+      const pauseResult = await sessionService.pauseSession(session.id, 'faculty-pause-1');
+      expect(pauseResult.success).toBe(true);
+      expect(pauseResult.session.paused_at).toBeTruthy();
+      expect(pauseResult.session.current_token).toBeNull();
+
+      const pausedScan = await sessionService.validateAttendanceToken(session.id, qrData.token);
+      expect(pausedScan).toMatchObject({ success: false, error: 'Session is paused' });
+
+      const status = await sessionService.getSessionStatus(session.id, 'faculty-pause-1');
+      expect(status.session.isPaused).toBe(true);
+      expect(status.qrData).toBeUndefined();
+
+      expect((await sessionService.rotateQRToken(session.id, 'faculty-pause-1')).error)
+        .toBe('Cannot rotate token for paused session');
+
+      const resumeResult = await sessionService.resumeSession(session.id, 'faculty-pause-1');
+      expect(resumeResult.success).toBe(true);
+      expect(resumeResult.session.paused_at).toBeNull();
+      expect(resumeResult.qrData.token).not.toBe(qrData.token);
+
+      expect((await sessionService.validateAttendanceToken(session.id, qrData.token)).success).toBe(false);
+      expect((await sessionService.validateAttendanceToken(session.id, resumeResult.qrData.token)).success).toBe(true);
+    });
+
+    test('should retire time-based tokens from before the pause', async () => {
+      const { session, qrData } = await startPausable('faculty-pause-2', { tokenMode: 'totp' });
+
+      await sessionService.pauseSession(session.id, 'faculty-pause-2');
+      const resumeResult = await sessionService.resumeSession(session.id, 'faculty-pause-2');
+
+      expect(resumeResult.qrData.token).not.toBe(qrData.token);
+      expect((await sessionService.validateAttendanceToken(session.id, qrData.token)).error).toBe('Invalid token');
+      expect((await sessionService.validateAttendanceToken(session.id, resumeResult.qrData.token)).success).toBe(true);
+    });
+
+    test('should only pause running sessions and only resume paused ones', async () => {
+      const { session } = await startPausable('faculty-pause-3');
+
+      expect((await sessionService.resumeSession(session.id, 'faculty-pause-3')).error).toBe('Session is not paused');
+      expect((await sessionService.pauseSession(session.id, 'faculty-other')).error).toContain('Unauthorized');
+
+      await sessionService.pauseSession(session.id, 'faculty-pause-3');
+      expect((await sessionService.pauseSession(session.id, 'faculty-pause-3')).error).toBe('Session is already paused');
+
+      await sessionService.endSession(session.id, 'faculty-pause-3');
+      expect((await sessionService.resumeSession(session.id, 'faculty-pause-3')).error).toBe('Session is already ended');
+      expect((await db.get('SELECT paused_at FROM sessions WHERE id = ?', [session.id])).paused_at).toBeNull();
+    });
+
+    test('should leave paused sessions paused when the server restarts', async () => {
+      const { session } = await startPausable('faculty-pause-4');
+      await sessionService.pauseSession(session.id, 'faculty-pause-4');
+
+      const result = await sessionService.resumeActiveSessions(() => jest.fn(), { staleAfterMs: 10 * 60 * 1000 });
+
+      expect(result.resumed.map(resumed => resumed.id)).not.toContain(session.id);
+      expect(result.ended.map(ended => ended.id)).not.toContain(session.id);
+      expect((await db.get('SELECT paused_at, is_active FROM sessions WHERE id = ?', [session.id])))
+        .toMatchObject({ is_active: 1, paused_at: expect.any(String) });
+    });
+  });
+
+  describe('Presence Codes', () => {
+    const startWithCode = (facultyId, overrides = {}) => sessionService.startSession({
+      facultyId,
+      courseName: 'Presence Test',
+      courseCode: 'CSE601',
+      section: 'A',
+      requirePresenceCode: true,
+      ...overrides
+    });
+
+    test('should not ask for a code unless the session requires one', async () => {
+      const { session, qrData } = await startWithCode('faculty-presence-1', { requirePresenceCode: false });
+
+      expect(session.presence_secret).toBeNull();
+      expect(qrData.presenceCode).toBeNull();
+      expect((await sessionService.validateAttendanceToken(session.id, qrData.token)).success).toBe(true);
+    });
+
+    test('should require the code shown next to the QR code', async () => {
+      const { session, qrData } = await startWithCode('faculty-presence-2');
+
+      expect(qrData.presenceCode).toMatch(/^\d{6}$/);
+      expect(qrData.url).not.toContain(qrData.presenceCode);
+
+      const missing = await sessionService.validateAttendanceToken(session.id, qrData.token);
+      expect(missing).toMatchObject({ success: false, error: 'Presence code required', presenceCodeRequired: true });
+      expect(missing.session).toBeUndefined();
+
+      const wrongCode = String((Number(qrData.presenceCode) + 1) % 1000000).padStart(6, '0');
+      expect((await sessionService.validateAttendanceToken(session.id, qrData.token, wrongCode)).error)
+        .toBe('Invalid presence code');
+
+      const valid = await sessionService.validateAttendanceToken(session.id, qrData.token, ` ${qrData.presenceCode} `);
+      expect(valid.success).toBe(true);
+    });
+
+    test('should change the code with every rotation', async () => {
+      const { session, qrData } = await startWithCode('faculty-presence-3');
+
+      const rotated = await sessionService.rotateQRToken(session.id, 'faculty-presence-3');
+      expect(rotated.qrData.presenceCode).toMatch(/^\d{6}$/);
+      expect(rotated.qrData.presenceCode).not.toBe(qrData.presenceCode);
+
+      expect((await sessionService.validateAttendanceToken(session.id, rotated.qrData.token, qrData.presenceCode)).error)
+        .toBe('Invalid presence code');
+      expect((await sessionService.validateAttendanceToken(session.id, rotated.qrData.token, rotated.qrData.presenceCode)).success)
+        .toBe(true);
+    });
+
+    test('should accept the code on screen for a time-based token scanned before the rotation', async () => {
+      const { session, qrData } = await startWithCode('faculty-presence-5', { tokenMode: 'totp' });
+      const stored = await db.get('SELECT * FROM sessions WHERE id = ?', [session.id]);
+      const nextStep = sessionService.sessionModel.getTimeStep(stored) + 1;
+      const nextCode = sessionService.sessionModel.generatePresenceCode(
+        stored, sessionService.sessionModel.generateTimeBasedToken(stored, nextStep)
+      );
+
+      // The student typed the code shown after the rotation while holding the token scanned before it
+      expect(sessionService.sessionModel.presenceCodeMatches(stored, qrData.token, nextCode, nextStep * sessionService.sessionModel.getTokenLifetimeMs(stored)))
+        .toBe(true);
+      expect(sessionService.sessionModel.presenceCodeMatches(stored, qrData.token, qrData.presenceCode)).toBe(true);
+    });
+
+    test('should report the requirement in the session status', async () => {
+      const { session, qrData } = await startWithCode('faculty-presence-4');
+
+      const status = await sessionService.getSessionStatus(session.id, 'faculty-presence-4');
+      expect(status.session.requirePresenceCode).toBe(true);
+      expect(status.qrData.presenceCode).toBe(qrData.presenceCode);
+    });
+  });
+
   describe('QR Base URL Management', () => {
     test('should set and get QR base URL', () => {
       const newBaseUrl = 'https://example.com';
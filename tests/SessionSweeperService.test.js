@@ -0,0 +1,164 @@
+const Database = require('../config/database');
+const Session = require('../models/Session');
+const QRCodeService = require('../services/QRCodeService');
+const SessionSweeperService = require('../services/SessionSweeperService');
+
+describe('SessionSweeperService', () => {
+  let db;
+  let sessionModel;
+  let webSocketService;
+  let sweeper;
+
+  const facultyId = 'faculty123';
+  const now = new Date('2026-01-05T12:00:00.000Z');
+  const minutesAgo = minutes => new Date(now.getTime() - minutes * 60 * 1000);
+  // Attendance timestamps are stored the way SQLite's CURRENT_TIMESTAMP writes them
+  const toSqliteTime = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+  const createSession = async (overrides = {}, startedMinutesAgo = 0) => {
+    const session = await sessionModel.create({
+      facultyId,
+      courseName: 'Computer Science Fundamentals',
+      courseCode: 'CSE101',
+      section: 'A',
+      maxDurationMinutes: 120,
+      idleTimeoutMinutes: 20,
+      ...overrides
+    });
+    await db.run('UPDATE sessions SET start_time = ? WHERE id = ?', [minutesAgo(startedMinutesAgo).toISOString(), session.id]);
+    return sessionModel.findById(session.id);
+  };
+
+  const markAttendance = (sessionId, markedMinutesAgo) => db.run(
+    'INSERT INTO attendance (id, session_id, student_email, timestamp) VALUES (?, ?, ?, ?)',
+    [`att-${sessionId}`, sessionId, 'student@heritageit.edu.in', toSqliteTime(minutesAgo(markedMinutesAgo))]
+  );
+
+  beforeAll(async () => {
+    // Use in-memory database for testing
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+    await db.initializeSchema();
+    sessionModel = new Session(db);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM attendance');
+    await db.run('DELETE FROM sessions');
+
+    webSocketService = { broadcastSessionEnded: jest.fn() };
+    sweeper = new SessionSweeperService(db, { webSocketService });
+  });
+
+  afterEach(() => {
+    new QRCodeService().stopAllRotations();
+  });
+
+  describe('default limits', () => {
+    afterEach(() => {
+      delete process.env.SESSION_MAX_DURATION_MINUTES;
+      delete process.env.SESSION_IDLE_TIMEOUT_MINUTES;
+    });
+
+    test('should store the configured limits on sessions that do not set their own', async () => {
+      process.env.SESSION_MAX_DURATION_MINUTES = '90';
+      process.env.SESSION_IDLE_TIMEOUT_MINUTES = '0';
+
+      const session = await createSession({ maxDurationMinutes: undefined, idleTimeoutMinutes: undefined });
+      expect(session.max_duration_minutes).toBe(90);
+      expect(session.idle_timeout_minutes).toBe(0);
+    });
+
+    test('should fall back to the built-in limits for an invalid configuration', () => {
+      process.env.SESSION_MAX_DURATION_MINUTES = 'forever';
+      expect(Session.getDefaultMaxDurationMinutes()).toBe(180);
+      expect(Session.getDefaultIdleTimeoutMinutes()).toBe(30);
+    });
+  });
+
+  test('should end a session that has gone idle and stop its QR rotation', async () => {
+    const session = await createSession({}, 25);
+    new QRCodeService().startQRRotation(session.id, () => Promise.resolve({ success: false }), null);
+
+    const result = await sweeper.sweep(now);
+
+    expect(result.ended).toHaveLength(1);
+    expect(result.ended[0]).toMatchObject({ session: { id: session.id, is_active: 0 }, reason: 'idle' });
+    expect(new QRCodeService().getRotationStatus(session.id).isActive).toBe(false);
+    expect(webSocketService.broadcastSessionEnded).toHaveBeenCalledWith(
+      facultyId,
+      expect.objectContaining({ id: session.id }),
+      { reason: 'idle' }
+    );
+  });
+
+  test('should count scans and dashboard heartbeats as activity', async () => {
+    const scanned = await createSession({}, 25);
+    await markAttendance(scanned.id, 5);
+
+    const watched = await createSession({ facultyId: 'faculty456' }, 25);
+    await db.run('UPDATE sessions SET last_heartbeat_at = ? WHERE id = ?', [minutesAgo(1).toISOString(), watched.id]);
+
+    const result = await sweeper.sweep(now);
+
+    expect(result.ended).toHaveLength(0);
+    expect((await sessionModel.findById(scanned.id)).is_active).toBe(1);
+    expect((await sessionModel.findById(watched.id)).is_active).toBe(1);
+
+    // Once the activity is older than the timeout the session is ended
+    expect((await sweeper.sweep(minutesAgo(-16))).ended.map(ended => ended.session.id)).toEqual([scanned.id]);
+  });
+
+  test('should end a session that reaches its maximum duration however busy it is', async () => {
+    const session = await createSession({}, 120);
+    await db.run('UPDATE sessions SET last_heartbeat_at = ? WHERE id = ?', [now.toISOString(), session.id]);
+
+    const result = await sweeper.sweep(now);
+
+    expect(result.ended).toHaveLength(1);
+    expect(result.ended[0].reason).toBe('max-duration');
+    expect(webSocketService.broadcastSessionEnded).toHaveBeenCalledWith(
+      facultyId,
+      expect.objectContaining({ id: session.id }),
+      { reason: 'max-duration' }
+    );
+  });
+
+  test('should not idle out a paused session but still end it at its maximum duration', async () => {
+    const session = await createSession({}, 60);
+    await sessionModel.pause(session.id);
+
+    expect((await sweeper.sweep(now)).ended).toHaveLength(0);
+    expect((await sweeper.sweep(minutesAgo(-60))).ended[0].reason).toBe('max-duration');
+  });
+
+  test('should leave sessions alone when their limits are turned off', async () => {
+    const session = await createSession({}, 600);
+    await db.run('UPDATE sessions SET max_duration_minutes = 0, idle_timeout_minutes = 0 WHERE id = ?', [session.id]);
+
+    expect((await sweeper.sweep(now)).ended).toHaveLength(0);
+  });
+
+  test('should leave scheduled sessions to the scheduler', async () => {
+    await createSession({ scheduleId: 'schedule-1', scheduledEndTime: minutesAgo(-30).toISOString() }, 200);
+
+    expect((await sweeper.sweep(now)).ended).toHaveLength(0);
+  });
+});
@@ -0,0 +1,136 @@
+const Database = require('../config/database');
+const StudentImportService = require('../services/StudentImportService');
+
+describe('StudentImportService', () => {
+  let db;
+  let importService;
+
+  beforeAll(async () => {
+    // Use in-memory database for testing
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+    await db.initializeSchema();
+    await db.insertHardcodedStudents();
+
+    importService = new StudentImportService(db);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  describe('parseCsv', () => {
+    test('should parse quoted fields and skip blank lines', () => {
+      const rows = importService.parseCsv('a,"b, c","say ""hi"""\r\n\r\nd,e,f\n');
+
+      expect(rows).toEqual([
+        { line: 1, cells: ['a', 'b, c', 'say "hi"'] },
+        { line: 3, cells: ['d', 'e', 'f'] }
+      ]);
+    });
+
+    test('should strip a UTF-8 byte order mark', () => {
+      const rows = importService.parseCsv('\uFEFFroll_number,email\n1,x');
+      expect(rows[0].cells[0]).toBe('roll_number');
+    });
+  });
+
+  describe('validateRecord', () => {
+    test('should derive branch and year from the email when missing', () => {
+      const { student, errors } = importService.validateRecord({
+        rollNumber: '2551001',
+        email: 'Alice.Brown.ECE29@heritageit.edu.in',
+        name: 'Alice Brown'
+      });
+
+      expect(errors).toEqual([]);
+      expect(student).toEqual({
+        rollNumber: '2551001',
+        email: 'alice.brown.ece29@heritageit.edu.in',
+        name: 'Alice Brown',
+        branch: 'ECE',
+        year: '2029'
+      });
+    });
+
+    test('should reject branch and year that contradict the email', () => {
+      const { errors } = importService.validateRecord({
+        rollNumber: '2551002',
+        email: 'bob.stone.cse28@heritageit.edu.in',
+        name: 'Bob Stone',
+        branch: 'ME',
+        year: '2027'
+      });
+
+      expect(errors).toContain('Branch ME does not match email (CSE)');
+      expect(errors).toContain('Year 2027 does not match email (2028)');
+    });
+
+    test('should reject emails outside the institutional pattern', () => {
+      const { errors } = importService.validateRecord({
+        rollNumber: '2551003',
+        email: 'someone@gmail.com',
+        name: 'Someone'
+      });
+
+      expect(errors).toContain('Email must follow firstname.lastname.branchyear@heritageit.edu.in');
+    });
+  });
+
+  describe('importCsv', () => {
+    const csv = [
+      'roll_number,email,name,branch,year',
+      '2551010,carol.white.cse29@heritageit.edu.in,Carol White,CSE,2029',
+      '2451075,shirsak.majumder.cse28@heritageit.edu.in,Shirsak M.,CSE,2028',
+      '2551011,invalid@heritageit.edu.in,Invalid Row,CSE,2029',
+      '2551010,dave.green.cse29@heritageit.edu.in,Dave Green,CSE,2029'
+    ].join('\n');
+
+    test('should report changes without writing in dry-run mode', async () => {
+      const result = await importService.importCsv(csv, { dryRun: true });
+
+      expect(result.dryRun).toBe(true);
+      expect(result.summary).toEqual({ totalRows: 4, inserted: 1, updated: 1, failed: 2 });
+
+      const carol = await db.get('SELECT * FROM students WHERE roll_number = ?', ['2551010']);
+      expect(carol).toBeUndefined();
+    });
+
+    test('should upsert valid rows and report failed rows', async () => {
+      const result = await importService.importCsv(csv);
+
+      expect(result.dryRun).toBe(false);
+      expect(result.summary).toEqual({ totalRows: 4, inserted: 1, updated: 1, failed: 2 });
+      expect(result.errors.map(error => error.row)).toEqual([4, 5]);
+      expect(result.errors[1].errors).toContain('Duplicate roll number 2551010 in file');
+
+      const carol = await db.get('SELECT * FROM students WHERE roll_number = ?', ['2551010']);
+      expect(carol.email).toBe('carol.white.cse29@heritageit.edu.in');
+
+      const updated = await db.get('SELECT * FROM students WHERE roll_number = ?', ['2451075']);
+      expect(updated.name).toBe('Shirsak M.');
+    });
+
+    test('should reject an email that belongs to another roll number', async () => {
+      const result = await importService.importCsv(
+        '9990001,john.doe.cse28@heritageit.edu.in,John Doe,CSE,2028'
+      );
+
+      expect(result.summary.failed).toBe(1);
+      expect(result.errors[0].errors).toContain('Email is already registered to another roll number');
+    });
+  });
+});
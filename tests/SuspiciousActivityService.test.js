@@ -0,0 +1,180 @@
+const Database = require('../config/database');
+const Session = require('../models/Session');
+const Attendance = require('../models/Attendance');
+const SuspiciousActivityService = require('../services/SuspiciousActivityService');
+
+describe('SuspiciousActivityService', () => {
+  let db;
+  let sessionModel;
+  let attendanceModel;
+  let analyzer;
+  let session;
+
+  const students = [
+    'shirsak.majumder.cse28@heritageit.edu.in',
+    'rohit.kumardebnath.cse28@heritageit.edu.in',
+    'shaista.meher.cse28@heritageit.edu.in',
+    'anirban.roy.cse28@heritageit.edu.in',
+    'john.doe.cse28@heritageit.edu.in',
+    'jane.smith.ece27@heritageit.edu.in'
+  ];
+  const phone = 'Mozilla/5.0 (Linux; Android 14) Mobile Safari/537.36';
+
+  // Mark a student and run the analyzer on the new mark
+  const scan = async (studentEmail, metadata) => {
+    const record = await attendanceModel.markAttendance(session.id, studentEmail, metadata);
+    return analyzer.analyzeMark(record);
+  };
+
+  beforeAll(async () => {
+    // Use in-memory database for testing
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+    await db.initializeSchema();
+    await db.insertHardcodedStudents();
+    sessionModel = new Session(db);
+    attendanceModel = new Attendance(db);
+    analyzer = new SuspiciousActivityService(db, {
+      sharedClientWindowSeconds: 10,
+      tokenUseLimit: 3,
+      networkMinMarks: 3
+    });
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM attendance_flags');
+    await db.run('DELETE FROM attendance');
+    session = await sessionModel.create({
+      facultyId: 'faculty123',
+      courseName: 'Data Structures',
+      courseCode: 'CSE201',
+      section: 'A'
+    });
+  });
+
+  test('should flag every student marked from the same IP address and browser within seconds', async () => {
+    expect((await scan(students[0], { ipAddress: '10.0.0.5', userAgent: phone })).flags).toEqual([]);
+
+    const result = await scan(students[1], { ipAddress: '10.0.0.5', userAgent: phone });
+
+    expect(result.success).toBe(true);
+    expect(result.flags.map(flag => [flag.student_email, flag.reason])).toEqual([
+      [students[1], 'shared_client'],
+      [students[0], 'shared_client']
+    ]);
+    expect(analyzer.formatFlag(result.flags[0])).toMatchObject({
+      reason: 'shared_client',
+      reviewStatus: 'open',
+      details: { ipAddress: '10.0.0.5', otherStudents: [students[0]], windowSeconds: 10 }
+    });
+
+    // A third student in the group only adds their own flag
+    const third = await scan(students[2], { ipAddress: '10.0.0.5', userAgent: phone });
+    expect(third.flags.map(flag => flag.student_email)).toEqual([students[2]]);
+  });
+
+  test('should not flag shared IP addresses with different browsers or far apart in time', async () => {
+    await scan(students[0], { ipAddress: '10.0.0.5', userAgent: phone });
+    expect((await scan(students[1], { ipAddress: '10.0.0.5', userAgent: 'Mozilla/5.0 (iPhone)' })).flags).toEqual([]);
+
+    await db.run("UPDATE attendance SET timestamp = datetime('now', '-1 minute')");
+    expect((await scan(students[2], { ipAddress: '10.0.0.5', userAgent: phone })).flags).toEqual([]);
+  });
+
+  test('should flag a mark from a network the rest of the class did not use', async () => {
+    for (const [index, ipAddress] of ['10.20.1.11', '10.20.1.12', '10.20.1.13'].entries()) {
+      expect((await scan(students[index], { ipAddress })).flags).toEqual([]);
+    }
+
+    expect((await scan(students[3], { ipAddress: '::ffff:10.20.1.14' })).flags).toEqual([]);
+
+    const result = await scan(students[4], { ipAddress: '49.37.8.20' });
+    expect(result.flags).toHaveLength(1);
+    expect(analyzer.formatFlag(result.flags[0])).toMatchObject({
+      reason: 'unusual_network',
+      details: { network: '49.37.8.0/24', usualNetwork: '10.20.1.0/24', usualShare: 100 }
+    });
+  });
+
+  test('should not flag networks until the session has a usual one', async () => {
+    await scan(students[0], { ipAddress: '10.20.1.11' });
+    await scan(students[1], { ipAddress: '49.37.8.20' });
+    expect((await scan(students[2], { ipAddress: '100.64.3.9' })).flags).toEqual([]);
+
+    // Three marks spread over three networks: no network is usual
+    expect((await scan(students[3], { ipAddress: '172.16.5.5' })).flags).toEqual([]);
+  });
+
+  test('should flag marks made after a token was used too many times', async () => {
+    const tokenHash = SuspiciousActivityService.hashToken('token-1');
+
+    for (const studentEmail of students.slice(0, 3)) {
+      expect((await scan(studentEmail, { tokenHash })).flags).toEqual([]);
+    }
+
+    const result = await scan(students[3], { tokenHash });
+    expect(result.flags).toHaveLength(1);
+    expect(analyzer.formatFlag(result.flags[0])).toMatchObject({
+      reason: 'token_reuse',
+      details: { uses: 4, limit: 3 }
+    });
+
+    expect((await scan(students[4], { tokenHash: SuspiciousActivityService.hashToken('token-2') })).flags).toEqual([]);
+  });
+
+  test('should leave marks added by faculty out of the analysis', async () => {
+    await attendanceModel.markAttendance(session.id, students[0], { markedBy: 'faculty123', status: 'present' });
+    await attendanceModel.markAttendance(session.id, students[1], { markedBy: 'faculty123', status: 'present' });
+
+    const marks = await attendanceModel.getScannedMarks(session.id);
+    expect(marks).toEqual([]);
+  });
+
+  test('should group addresses into networks', () => {
+    expect(analyzer.getNetwork('10.20.30.40')).toBe('10.20.30.0/24');
+    expect(analyzer.getNetwork('::ffff:10.20.30.40')).toBe('10.20.30.0/24');
+    expect(analyzer.getNetwork('2001:db8:1:2:3::9')).toBe('2001:db8:1:2::/64');
+    expect(analyzer.getNetwork('2001:db8::1')).toBe('2001:db8:0:0::/64');
+    expect(analyzer.getNetwork('unknown')).toBeNull();
+    expect(new SuspiciousActivityService(db, { networkPrefix: 16 }).getNetwork('10.20.30.40')).toBe('10.20.0.0/16');
+  });
+
+  test('should let the session owner review flags', async () => {
+    await scan(students[0], { ipAddress: '10.0.0.5', userAgent: phone });
+    const { flags } = await scan(students[1], { ipAddress: '10.0.0.5', userAgent: phone });
+
+    const listed = await analyzer.getSessionFlags(session.id, 'faculty123');
+    expect(listed.flags.map(flag => flag.id)).toEqual(expect.arrayContaining(flags.map(flag => flag.id)));
+    expect(listed.flags[0].student_name).toBeTruthy();
+
+    const dismissed = await analyzer.reviewFlag(session.id, flags[0].id, 'dismissed', 'faculty123');
+    expect(dismissed.success).toBe(true);
+    expect(dismissed.flag).toMatchObject({ review_status: 'dismissed', reviewed_by: 'faculty123' });
+    expect(dismissed.flag.reviewed_at).toBeTruthy();
+
+    const reopened = await analyzer.reviewFlag(session.id, flags[0].id, 'open', 'faculty123');
+    expect(reopened.flag).toMatchObject({ review_status: 'open', reviewed_by: null, reviewed_at: null });
+
+    expect((await analyzer.reviewFlag(session.id, flags[0].id, 'ignored', 'faculty123')).code).toBe('INVALID_INPUT');
+    expect((await analyzer.reviewFlag(session.id, 'missing-flag', 'confirmed', 'faculty123')).code).toBe('FLAG_NOT_FOUND');
+    expect((await analyzer.getSessionFlags(session.id, 'faculty456')).code).toBe('SESSION_UNAUTHORIZED');
+    expect((await analyzer.reviewFlag(session.id, flags[0].id, 'confirmed', 'faculty456')).code).toBe('SESSION_UNAUTHORIZED');
+  });
+});
@@ -0,0 +1,223 @@
+const Database = require('../config/database');
+const Course = require('../models/Course');
+const SessionService = require('../services/SessionService');
+const TimetableService = require('../services/TimetableService');
+const { createMockTimetableApp } = require('../scripts/mock-timetable-server');
+
+describe('TimetableService', () => {
+  let db;
+  let server;
+  let baseUrl;
+  let requests;
+
+  const apiKey = 'test-timetable-key';
+  const facultyId = 'faculty123';
+
+  // 2026-01-05 is a Monday
+  const at = time => new Date(`2026-01-05T${time}:00.000Z`);
+
+  const data = {
+    courseSections: [
+      { courseCode: 'CSE101', section: 'A', courseName: 'Intro to Computing' },
+      { courseCode: 'CSE201', section: 'B', courseName: 'Data Structures' }
+    ],
+    faculty: {
+      [facultyId]: {
+        assignments: [
+          { courseCode: 'CSE101', section: 'A', courseName: 'Computer Science Fundamentals' },
+          { courseCode: 'CSE201' }
+        ],
+        slots: [
+          { courseCode: 'CSE101', section: 'A', weekday: 1, startTime: '09:00', durationMinutes: 50, room: 'Room 301' },
+          { courseCode: 'CSE101', section: 'A', weekday: 8, startTime: '09:00', durationMinutes: 50 }
+        ]
+      }
+    }
+  };
+
+  // Count requests so tests can tell cache hits from pulls
+  const countingFetch = (...args) => {
+    requests++;
+    return fetch(...args);
+  };
+
+  const createService = (options = {}) => new TimetableService(db, {
+    baseUrl,
+    apiKey,
+    timeZone: 'UTC',
+    earlyStartMinutes: 10,
+    fetch: countingFetch,
+    ...options
+  });
+
+  beforeAll(async () => {
+    // Use in-memory database for testing
+    db = new Database();
+    db.connect = () => {
+      return new Promise((resolve, reject) => {
+        const sqlite3 = require('sqlite3').verbose();
+        db.db = new sqlite3.Database(':memory:', (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    };
+
+    await db.connect();
+    await db.initializeSchema();
+    await db.insertHardcodedCourses();
+
+    await new Promise(resolve => {
+      server = createMockTimetableApp({ data, apiKey }).listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    requests = 0;
+    await db.run('DELETE FROM timetable_assignments');
+    await db.run('DELETE FROM timetable_slots');
+    await db.run('DELETE FROM timetable_sync');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should pull a faculty timetable into the cache and drop malformed entries', async () => {
+    const result = await createService().syncFaculty(facultyId);
+
+    expect(result.success).toBe(true);
+    expect(result.stale).toBe(false);
+    expect(result.assignments).toEqual([
+      { courseCode: 'CSE101', section: 'A', courseName: 'Computer Science Fundamentals' }
+    ]);
+    expect(result.slots).toEqual([
+      { courseCode: 'CSE101', section: 'A', weekday: 1, startTime: '09:00', durationMinutes: 50, room: 'Room 301' }
+    ]);
+    expect(console.warn).toHaveBeenCalledWith('Ignored 1 malformed assignments from the timetable system');
+  });
+
+  test('should treat a faculty member unknown to the timetable system as having no classes', async () => {
+    const result = await createService().syncFaculty('faculty456');
+
+    expect(result).toMatchObject({ success: true, assignments: [], slots: [] });
+  });
+
+  test('should serve the cache until it expires or a refresh is asked for', async () => {
+    const timetableService = createService();
+
+    await timetableService.getFacultyTimetable(facultyId);
+    expect(requests).toBe(2);
+
+    const cached = await timetableService.getFacultyTimetable(facultyId);
+    expect(requests).toBe(2);
+    expect(cached.assignments).toHaveLength(1);
+
+    await timetableService.getFacultyTimetable(facultyId, { refresh: true });
+    expect(requests).toBe(4);
+
+    await createService({ cacheTtlMs: 0 }).getFacultyTimetable(facultyId);
+    expect(requests).toBe(6);
+  });
+
+  test('should fall back to the cached copy when the timetable system cannot be reached', async () => {
+    await createService().syncFaculty(facultyId);
+
+    const result = await createService({ apiKey: 'wrong-key', cacheTtlMs: 0 }).getFacultyTimetable(facultyId);
+    expect(result.success).toBe(true);
+    expect(result.stale).toBe(true);
+    expect(result.slots).toHaveLength(1);
+  });
+
+  test('should report the timetable as unavailable when there is nothing cached', async () => {
+    const result = await createService({ apiKey: 'wrong-key' }).getFacultyTimetable(facultyId);
+
+    expect(result).toMatchObject({ success: false, code: 'TIMETABLE_UNAVAILABLE' });
+    expect(result.error).toContain('HTTP 401');
+  });
+
+  test('should add course sections and update their names', async () => {
+    const result = await createService().syncCourseSections();
+    expect(result).toEqual({ success: true, count: 2 });
+
+    const courseModel = new Course(db);
+    expect((await courseModel.findByCodeAndSection('CSE101', 'A')).course_name).toBe('Intro to Computing');
+    expect((await courseModel.findByCodeAndSection('CSE201', 'B')).course_name).toBe('Data Structures');
+  });
+
+  describe('checkSessionStart', () => {
+    const session = { facultyId, courseCode: 'CSE101', section: 'A' };
+
+    test('should allow any session when the timetable system is not configured', async () => {
+      const result = await createService({ baseUrl: '' }).checkSessionStart(session, at('03:00'));
+
+      expect(result).toEqual({ allowed: true });
+      expect(requests).toBe(0);
+    });
+
+    test('should allow a session during its slot or just before it', async () => {
+      const timetableService = createService();
+
+      expect((await timetableService.checkSessionStart(session, at('08:50'))).allowed).toBe(true);
+      expect((await timetableService.checkSessionStart(session, at('09:49'))).slot.room).toBe('Room 301');
+    });
+
+    test('should refuse a session outside its slot', async () => {
+      const timetableService = createService();
+
+      for (const time of ['08:49', '09:50']) {
+        const result = await timetableService.checkSessionStart(session, at(time));
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toBe('Timetable: CSE101 section A has no class timetabled at this time');
+      }
+    });
+
+    test('should refuse a course section the faculty does not teach', async () => {
+      const result = await createService().checkSessionStart({ ...session, section: 'B' }, at('09:00'));
+
+      expect(result).toEqual({
+        allowed: false,
+        reason: 'Timetable: you are not assigned to teach CSE101 section B'
+      });
+    });
+
+    test('should only check the assignment in assignment mode', async () => {
+      const timetableService = createService({ validationMode: 'assignment' });
+
+      expect((await timetableService.checkSessionStart(session, at('15:00'))).allowed).toBe(true);
+      expect((await timetableService.checkSessionStart({ ...session, section: 'B' }, at('15:00'))).allowed).toBe(false);
+    });
+
+    test('should allow the session with a warning when the timetable cannot be loaded', async () => {
+      const result = await createService({ apiKey: 'wrong-key' }).checkSessionStart(session, at('15:00'));
+
+      expect(result.allowed).toBe(true);
+      expect(result.warning).toContain('Could not load timetable');
+    });
+  });
+
+  test('should stop SessionService starting sessions that are not on the timetable', async () => {
+    const sessionService = new SessionService(db);
+    sessionService.timetableService = createService();
+
+    const result = await sessionService.startSession({
+      facultyId,
+      courseName: 'Computer Science Fundamentals',
+      courseCode: 'CSE101',
+      section: 'B'
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Timetable: you are not assigned to teach CSE101 section B');
+  });
+});
@@ -0,0 +1,87 @@
+const zlib = require('zlib');
+const XlsxService = require('../services/XlsxService');
+
+// Read the entries of a ZIP archive by walking its central directory
+const readZip = (buffer) => {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+    entries[name] = { crc, text: data.toString('utf8'), data };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+describe('XlsxService', () => {
+  const xlsxService = new XlsxService();
+
+  test('should package the parts of an Office Open XML workbook', () => {
+    const workbook = xlsxService.createWorkbook([
+      { name: 'Attendance', rows: [['Name', 'Score'], ['Student A', 1]] },
+      { name: 'Sessions', rows: [['#']] }
+    ]);
+
+    const entries = readZip(workbook);
+
+    expect(Object.keys(entries)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]);
+    expect(entries['xl/workbook.xml'].text).toContain('<sheet name="Sessions" sheetId="2" r:id="rId2"/>');
+    expect(entries['[Content_Types].xml'].text).toContain('/xl/worksheets/sheet2.xml');
+    Object.values(entries).forEach(entry => {
+      expect(xlsxService.crc32(entry.data)).toBe(entry.crc);
+    });
+  });
+
+  test('should write strings, numbers and blanks with cell references', () => {
+    const entries = readZip(xlsxService.createWorkbook([
+      { name: 'Sheet', rows: [['Name', 'Score'], ['Tom & "Jerry" <3', 83.33], [null, 2]] }
+    ]));
+    const sheet = entries['xl/worksheets/sheet1.xml'].text;
+
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Name</t></is></c>');
+    expect(sheet).toContain('<t xml:space="preserve">Tom &amp; &quot;Jerry&quot; &lt;3</t>');
+    expect(sheet).toContain('<c r="B2" s="2"><v>83.33</v></c>');
+    expect(sheet).toContain('<row r="3"><c r="B3"><v>2</v></c></row>');
+  });
+
+  test('should name columns past Z', () => {
+    expect(xlsxService.columnName(0)).toBe('A');
+    expect(xlsxService.columnName(25)).toBe('Z');
+    expect(xlsxService.columnName(26)).toBe('AA');
+    expect(xlsxService.columnName(701)).toBe('ZZ');
+    expect(xlsxService.columnName(702)).toBe('AAA');
+  });
+
+  test('should compute standard CRC-32 checksums', () => {
+    expect(xlsxService.crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+  });
+
+  test('should reject sheet names Excel cannot open', () => {
+    expect(() => xlsxService.createWorkbook([])).toThrow('at least one sheet');
+    expect(() => xlsxService.createWorkbook([{ name: 'Week 1/2', rows: [] }])).toThrow('Invalid sheet name');
+    expect(() => xlsxService.createWorkbook([{ name: 'x'.repeat(32), rows: [] }])).toThrow('Invalid sheet name');
+  });
+});
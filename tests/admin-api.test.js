@@ -0,0 +1,183 @@
+const request = require('supertest');
+const { app } = require('../server');
+const databaseService = require('../services/DatabaseService');
+
+describe('Admin API Endpoints', () => {
+  const adminFacultyId = 'test-admin-001';
+  const facultyId = 'test-faculty-not-admin';
+  let adminAgent;
+  let facultyAgent;
+
+  // Create a faculty account and return an agent logged in as that faculty
+  const loginAsFaculty = async (id) => {
+    const facultyModel = databaseService.getFacultyModel();
+    await facultyModel.delete(id);
+    await facultyModel.create({
+      id,
+      email: `${id}@heritageit.edu.in`,
+      name: 'Test Faculty',
+      password: 'test-password'
+    });
+
+    const agent = request.agent(app);
+    await agent
+      .post('/auth/faculty/login')
+      .send({ email: `${id}@heritageit.edu.in`, password: 'test-password' })
+      .expect(200);
+    return agent;
+  };
+
+  beforeAll(async () => {
+    process.env.ADMIN_FACULTY_IDS = adminFacultyId;
+    await databaseService.initialize();
+    // The server no longer seeds students at startup; these tests use the demo roster
+    await databaseService.getDatabase().insertHardcodedStudents();
+
+    adminAgent = await loginAsFaculty(adminFacultyId);
+    facultyAgent = await loginAsFaculty(facultyId);
+  });
+
+  afterAll(async () => {
+    delete process.env.ADMIN_FACULTY_IDS;
+    await databaseService.close();
+  });
+
+  describe('POST /api/admin/students/import', () => {
+    const csv = [
+      'roll_number,email,name,branch,year',
+      '2951001,admin.import.cse29@heritageit.edu.in,Admin Import,CSE,2029',
+      '2951002,not-an-institution-email@example.com,Bad Row,CSE,2029'
+    ].join('\n');
+
+    test('should return a per-row report in dry-run mode without writing', async () => {
+      const response = await adminAgent
+        .post('/api/admin/students/import?dryRun=true')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.summary).toEqual({ totalRows: 2, inserted: 1, updated: 0, failed: 1 });
+      expect(response.body.errors[0].row).toBe(3);
+
+      const student = await databaseService.getStudentModel().findByRollNumber('2951001');
+      expect(student).toBeUndefined();
+    });
+
+    test('should require a CSV body', async () => {
+      const response = await adminAgent
+        .post('/api/admin/students/import')
+        .set('Content-Type', 'text/csv')
+        .send('')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_PARAMETERS');
+    });
+
+    test('should reject faculty without admin rights', async () => {
+      const response = await facultyAgent
+        .post('/api/admin/students/import?dryRun=true')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+
+    test('should grant nobody admin rights when ADMIN_FACULTY_IDS is not set', async () => {
+      delete process.env.ADMIN_FACULTY_IDS;
+
+      try {
+        const response = await adminAgent
+          .post('/api/admin/students/import?dryRun=true')
+          .set('Content-Type', 'text/csv')
+          .send(csv)
+          .expect(403);
+
+        expect(response.body.error.code).toBe('FORBIDDEN');
+      } finally {
+        process.env.ADMIN_FACULTY_IDS = adminFacultyId;
+      }
+    });
+
+    test('should reject unauthenticated requests', async () => {
+      await request(app)
+        .post('/api/admin/students/import?dryRun=true')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(401);
+    });
+  });
+
+  describe('Course section rosters', () => {
+    const rosterPath = '/api/admin/courses/ADM101/sections/A/roster';
+    const shirsak = 'shirsak.majumder.cse28@heritageit.edu.in';
+    const rohit = 'rohit.kumardebnath.cse28@heritageit.edu.in';
+
+    beforeEach(async () => {
+      await databaseService.getCourseModel().delete('ADM101', 'A');
+    });
+
+    test('should import a roster, list it and replace it', async () => {
+      const imported = await adminAgent
+        .post(`${rosterPath}?courseName=Admin%20Course`)
+        .set('Content-Type', 'text/csv')
+        .send(`email\n${shirsak}\n${rohit}\n`)
+        .expect(200);
+
+      expect(imported.body.summary).toEqual({ totalRows: 2, enrolled: 2, alreadyEnrolled: 0, unenrolled: 0, failed: 0 });
+
+      const replaced = await adminAgent
+        .post(`${rosterPath}?replace=true`)
+        .set('Content-Type', 'text/csv')
+        .send('roll_number\n2451076\n')
+        .expect(200);
+
+      expect(replaced.body.summary).toEqual({ totalRows: 1, enrolled: 0, alreadyEnrolled: 1, unenrolled: 1, failed: 0 });
+
+      const roster = await adminAgent.get(rosterPath).expect(200);
+      expect(roster.body.courseName).toBe('Admin Course');
+      expect(roster.body.students.map(student => student.email)).toEqual([rohit]);
+    });
+
+    test('should unenroll a single student', async () => {
+      await adminAgent
+        .post(rosterPath)
+        .set('Content-Type', 'text/csv')
+        .send(`${shirsak}\n`)
+        .expect(200);
+
+      await adminAgent.delete(`${rosterPath}/${shirsak}`).expect(200);
+      expect(await databaseService.getCourseModel().isEnrolled('ADM101', 'A', shirsak)).toBe(false);
+
+      const response = await adminAgent.delete(`${rosterPath}/${shirsak}`).expect(404);
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+
+    test('should return 404 for a course section that does not exist', async () => {
+      const response = await adminAgent.get(rosterPath).expect(404);
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+
+    test('should reject an invalid course code', async () => {
+      const response = await adminAgent
+        .post('/api/admin/courses/bad!code/sections/A/roster')
+        .set('Content-Type', 'text/csv')
+        .send(`${shirsak}\n`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_COURSE_CODE');
+    });
+
+    test('should reject faculty without admin rights', async () => {
+      const response = await facultyAgent
+        .post(rosterPath)
+        .set('Content-Type', 'text/csv')
+        .send(`${shirsak}\n`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+  });
+});
@@ -1,18 +1,53 @@
 const request = require('supertest');
 const { app, server } = require('../server');
 const databaseService = require('../services/DatabaseService');
+const { AppError } = require('../middleware/errorHandler');
 
 describe('Attendance API Endpoints', () => {
   let testDb;
   let testSessionId;
   let testToken;
   let testFacultyId = 'test-faculty-123';
+  let facultyAgent;
   let testStudentEmail = 'shirsak.majumder.cse28@heritageit.edu.in';
+  let clientCount = 0;
+  let clientIp;
+
+  // Log a faculty agent in from an address of its own
+  const loginAsFaculty = async (address) => {
+    const agent = request.agent(app).set('X-Forwarded-For', address);
+    await agent
+      .post('/auth/faculty/login')
+      .send({ email: `${testFacultyId}@heritageit.edu.in`, password: 'test-password' })
+      .expect(200);
+    return agent;
+  };
+
+  // Student requests come from the current test's address, so the suite does not trip
+  // the rapid-request detection
+  const student = (address = clientIp) => request.agent(app).set('X-Forwarded-For', address);
 
   beforeAll(async () => {
     // Initialize test database
     await databaseService.initialize();
+    // The server no longer seeds students at startup; these tests use the demo roster
+    await databaseService.getDatabase().insertHardcodedStudents();
     testDb = databaseService.getDatabase();
+
+    // Faculty routes take the faculty ID from the login session
+    const facultyModel = databaseService.getFacultyModel();
+    await facultyModel.delete(testFacultyId);
+    await facultyModel.create({
+      id: testFacultyId,
+      email: `${testFacultyId}@heritageit.edu.in`,
+      name: 'Test Faculty',
+      password: 'test-password'
+    });
+
+    // Enroll the test student in the course section used by the tests
+    const courseModel = databaseService.getCourseModel();
+    await courseModel.create({ courseCode: 'TST101', section: 'A', courseName: 'Test Course' });
+    await courseModel.enrollStudent('TST101', 'A', testStudentEmail);
   });
 
   afterAll(async () => {
@@ -28,15 +63,18 @@ describe('Attendance API Endpoints', () => {
     await testDb.run('DELETE FROM sessions WHERE faculty_id = ?', [testFacultyId]);
     await testDb.run('DELETE FROM attendance WHERE session_id IN (SELECT id FROM sessions WHERE faculty_id = ?)', [testFacultyId]);
 
+    clientCount++;
+    clientIp = `10.50.${clientCount}.1`;
+    facultyAgent = await loginAsFaculty(`10.50.${clientCount}.2`);
+
     // Create a test session for each test
     const sessionData = {
-      facultyId: testFacultyId,
       courseName: 'Test Course',
       courseCode: 'TST101',
       section: 'A'
     };
 
-    const sessionResponse = await request(app)
+    const sessionResponse = await facultyAgent
       .post('/api/faculty/sessions/start')
       .send(sessionData)
       .expect(201);
@@ -57,7 +95,7 @@ describe('Attendance API Endpoints', () => {
         token: testToken
       };
 
-      const response = await request(app)
+      const response = await student()
         .post('/api/attendance/mark')
         .send(attendanceData)
         .expect(201);
@@ -77,7 +115,7 @@ describe('Attendance API Endpoints', () => {
         // Missing token
       };
 
-      const response = await request(app)
+      const response = await student()
         .post('/api/attendance/mark')
         .send(incompleteData)
         .expect(400);
@@ -93,7 +131,7 @@ describe('Attendance API Endpoints', () => {
         token: 'invalid-token'
       };
 
-      const response = await request(app)
+      const response = await student()
         .post('/api/attendance/mark')
         .send(attendanceData)
         .expect(400);
@@ -109,7 +147,7 @@ describe('Attendance API Endpoints', () => {
         token: testToken
       };
 
-      const response = await request(app)
+      const response = await student()
         .post('/api/attendance/mark')
         .send(attendanceData)
         .expect(400);
@@ -126,13 +164,13 @@ describe('Attendance API Endpoints', () => {
       };
 
       // Mark attendance first time
-      await request(app)
+      await student()
         .post('/api/attendance/mark')
         .send(attendanceData)
         .expect(201);
 
       // Try to mark attendance again
-      const response = await request(app)
+      const response = await student()
         .post('/api/attendance/mark')
         .send(attendanceData)
         .expect(409);
@@ -143,9 +181,9 @@ describe('Attendance API Endpoints', () => {
 
     test('should fail with expired token', async () => {
       // End the session to make token invalid
-      await request(app)
+      await facultyAgent
         .post(`/api/faculty/sessions/${testSessionId}/end`)
-        .send({ facultyId: testFacultyId });
+        .send({});
 
       const attendanceData = {
         sessionId: testSessionId,
@@ -153,7 +191,7 @@ describe('Attendance API Endpoints', () => {
         token: testToken
       };
 
-      const response = await request(app)
+      const response = await student()
         .post('/api/attendance/mark')
         .send(attendanceData)
         .expect(400);
@@ -169,7 +207,7 @@ describe('Attendance API Endpoints', () => {
         token: testToken
       };
 
-      const response = await request(app)
+      const response = await student()
         .post('/api/attendance/mark')
         .set('User-Agent', 'Test-Agent/1.0')
         .send(attendanceData)
@@ -197,13 +235,13 @@ describe('Attendance API Endpoints', () => {
         token: testToken
       };
 
-      await request(app)
+      await student()
         .post('/api/attendance/mark')
         .send(attendanceData);
     });
 
     test('should get session attendance summary with valid token', async () => {
-      const response = await request(app)
+      const response = await student()
         .get(`/api/attendance/session/${testSessionId}`)
         .query({ token: testToken })
         .expect(200);
@@ -217,7 +255,7 @@ describe('Attendance API Endpoints', () => {
     });
 
     test('should get session attendance summary without token', async () => {
-      const response = await request(app)
+      const response = await student()
         .get(`/api/attendance/session/${testSessionId}`)
         .expect(200);
 
@@ -229,7 +267,7 @@ describe('Attendance API Endpoints', () => {
     });
 
     test('should fail with invalid token', async () => {
-      const response = await request(app)
+      const response = await student()
         .get(`/api/attendance/session/${testSessionId}`)
         .query({ token: 'invalid-token' })
         .expect(400);
@@ -239,7 +277,7 @@ describe('Attendance API Endpoints', () => {
     });
 
     test('should fail with non-existent session', async () => {
-      const response = await request(app)
+      const response = await student()
         .get('/api/attendance/session/non-existent-session')
         .expect(500);
 
@@ -257,7 +295,7 @@ describe('Attendance API Endpoints', () => {
         token: testToken
       };
 
-      const response = await request(app)
+      const response = await student()
         .post('/api/attendance/mark')
         .send(attendanceData)
         .expect(201);
@@ -271,6 +309,84 @@ describe('Attendance API Endpoints', () => {
     });
   });
 
+  describe('Presence code attempts', () => {
+    const otherStudentEmail = 'rohit.kumardebnath.cse28@heritageit.edu.in';
+    let presenceCode;
+    let wrongCode;
+
+    beforeEach(async () => {
+      // Replace the default session with one that requires a presence code
+      await facultyAgent.post(`/api/faculty/sessions/${testSessionId}/end`).send({}).expect(200);
+      const sessionResponse = await facultyAgent
+        .post('/api/faculty/sessions/start')
+        .send({ courseName: 'Test Course', courseCode: 'TST101', section: 'A', requirePresenceCode: true })
+        .expect(201);
+
+      testSessionId = sessionResponse.body.session.id;
+      testToken = sessionResponse.body.qrData.token;
+      presenceCode = sessionResponse.body.qrData.presenceCode;
+      wrongCode = presenceCode === '000000' ? '111111' : '000000';
+    });
+
+    // Every guess comes from a new address, as a student rotating networks would,
+    // so only the per-student count can stop them
+    const guess = (path, studentEmail, code, attempt) => student(`10.60.${clientCount}.${attempt + 1}`)
+      .post(path)
+      .send({ sessionId: testSessionId, studentEmail, token: testToken, presenceCode: code });
+
+    test.each([
+      ['/attendance/mark-secure'],
+      ['/api/attendance/mark']
+    ])('should stop accepting codes for a student after too many wrong ones on %s', async (path) => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const response = await guess(path, testStudentEmail, wrongCode, attempt);
+        expect(response.status).toBe(400);
+      }
+
+      // Even the right code is refused once the attempts are used up
+      const refused = await guess(path, testStudentEmail, presenceCode, 5);
+      expect(refused.status).toBe(429);
+      expect(refused.body.success).toBe(false);
+
+      // Other students keep their own attempts
+      const marked = await guess(path, otherStudentEmail, presenceCode, 6);
+      expect(marked.status).toBe(201);
+    });
+
+    // Five wrong codes from one address, each sent with a different email
+    const guessAsNewStudents = async (address) => {
+      for (const name of ['alpha', 'bravo', 'charlie', 'delta', 'echo']) {
+        const response = await student(address)
+          .post('/api/attendance/mark')
+          .send({ sessionId: testSessionId, studentEmail: `guess.${name}.cse28@heritageit.edu.in`, token: testToken, presenceCode: wrongCode });
+        expect(response.status).toBe(400);
+      }
+    };
+
+    test('should keep counting wrong codes from one address when the email changes', async () => {
+      const address = `10.61.${clientCount}.1`;
+      await guessAsNewStudents(address);
+
+      const refused = await student(address)
+        .post('/api/attendance/mark')
+        .send({ sessionId: testSessionId, studentEmail: testStudentEmail, token: testToken, presenceCode });
+      expect(refused.status).toBe(429);
+      expect(refused.body.error).toBe(new AppError('PRESENCE_CODE_ATTEMPTS_EXCEEDED').message);
+    });
+
+    test('should refuse an address that used up its attempts on /attendance/mark-secure too', async () => {
+      // The strict rate limit allows only three requests per address there, so the guesses go to /api/attendance/mark
+      const address = `10.62.${clientCount}.1`;
+      await guessAsNewStudents(address);
+
+      const refused = await student(address)
+        .post('/attendance/mark-secure')
+        .send({ sessionId: testSessionId, studentEmail: testStudentEmail, token: testToken, presenceCode });
+      expect(refused.status).toBe(429);
+      expect(refused.body.error.code).toBe('PRESENCE_CODE_ATTEMPTS_EXCEEDED');
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle database errors gracefully', async () => {
       // Close the database to simulate an error
@@ -282,7 +398,7 @@ describe('Attendance API Endpoints', () => {
         token: testToken
       };
 
-      const response = await request(app)
+      const response = await student()
         .post('/api/attendance/mark')
         .send(attendanceData)
         .expect(500);
@@ -296,7 +412,7 @@ describe('Attendance API Endpoints', () => {
     });
 
     test('should handle malformed request data', async () => {
-      const response = await request(app)
+      const response = await student()
         .post('/api/attendance/mark')
         .send('invalid-json-data')
         .expect(400);
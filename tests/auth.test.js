@@ -79,6 +79,8 @@ describe('Authentication System', () => {
   beforeAll(async () => {
     // Initialize database for testing
     await databaseService.initialize();
+    // The server no longer seeds students at startup; these tests use the demo roster
+    await databaseService.getDatabase().insertHardcodedStudents();
     studentModel = new Student(databaseService.getDatabase());
     testApp = createTestApp();
   });
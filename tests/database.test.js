@@ -2,6 +2,8 @@ const Database = require('../config/database');
 const Session = require('../models/Session');
 const Student = require('../models/Student');
 const Attendance = require('../models/Attendance');
+const Course = require('../models/Course');
+const Faculty = require('../models/Faculty');
 const fs = require('fs');
 const path = require('path');
 
@@ -10,6 +12,7 @@ describe('Database Operations', () => {
   let sessionModel;
   let studentModel;
   let attendanceModel;
+  let courseModel;
 
   beforeAll(async () => {
     // Use in-memory database for testing
@@ -35,6 +38,7 @@ describe('Database Operations', () => {
     sessionModel = new Session(db);
     studentModel = new Student(db);
     attendanceModel = new Attendance(db);
+    courseModel = new Course(db);
   });
 
   afterAll(async () => {
@@ -53,6 +57,8 @@ describe('Database Operations', () => {
       expect(tableNames).toContain('sessions');
       expect(tableNames).toContain('students');
       expect(tableNames).toContain('attendance');
+      expect(tableNames).toContain('courses');
+      expect(tableNames).toContain('enrollments');
     });
 
     test('should insert hardcoded student data', async () => {
@@ -64,6 +70,38 @@ describe('Database Operations', () => {
       expect(testStudent).toBeDefined();
       expect(testStudent.name).toBe('Shirsak Majumder');
     });
+
+    test('should seed the default faculty account with a generated password', async () => {
+      const configuredPassword = process.env.FACULTY_DEFAULT_PASSWORD;
+      delete process.env.FACULTY_DEFAULT_PASSWORD;
+
+      try {
+        const seeded = await db.insertHardcodedFaculty();
+        expect(seeded.created).toBe(true);
+        expect(seeded.generatedPassword).toMatch(/^[\w-]{16}$/);
+
+        const faculty = await db.get('SELECT password_hash FROM faculty WHERE id = ?', ['faculty-001']);
+        expect(Faculty.verifyPassword(seeded.generatedPassword, faculty.password_hash)).toBe(true);
+        expect(Faculty.verifyPassword('faculty123', faculty.password_hash)).toBe(false);
+
+        // Seeding again leaves the account and its password alone
+        expect(await db.insertHardcodedFaculty()).toEqual({ created: false, generatedPassword: null });
+      } finally {
+        if (configuredPassword !== undefined) {
+          process.env.FACULTY_DEFAULT_PASSWORD = configuredPassword;
+        }
+      }
+    });
+
+    test('should add missing columns to an existing table', async () => {
+      await db.run('CREATE TABLE legacy_items (id TEXT PRIMARY KEY)');
+
+      await db.addColumnIfMissing('legacy_items', 'label', 'TEXT');
+      await db.addColumnIfMissing('legacy_items', 'label', 'TEXT');
+
+      const columns = await db.all('PRAGMA table_info(legacy_items)');
+      expect(columns.map(column => column.name)).toEqual(['id', 'label']);
+    });
   });
 
   describe('Student Model', () => {
@@ -177,11 +215,62 @@ describe('Database Operations', () => {
     });
   });
 
+  describe('Course Model', () => {
+    test('should create a course section', async () => {
+      const course = await courseModel.create({
+        courseCode: 'CSE201',
+        section: 'A',
+        courseName: 'Data Structures'
+      });
+
+      expect(course.course_code).toBe('CSE201');
+      expect(course.section).toBe('A');
+      expect(course.course_name).toBe('Data Structures');
+    });
+
+    test('should enroll students in a course section', async () => {
+      const enrolled = await courseModel.enrollStudent('CSE201', 'A', 'shirsak.majumder.cse28@heritageit.edu.in');
+      expect(enrolled).toBe(true);
+
+      // Enrolling twice is a no-op
+      const enrolledAgain = await courseModel.enrollStudent('CSE201', 'A', 'shirsak.majumder.cse28@heritageit.edu.in');
+      expect(enrolledAgain).toBe(false);
+
+      expect(await courseModel.isEnrolled('CSE201', 'A', 'shirsak.majumder.cse28@heritageit.edu.in')).toBe(true);
+      expect(await courseModel.isEnrolled('CSE201', 'B', 'shirsak.majumder.cse28@heritageit.edu.in')).toBe(false);
+    });
+
+    test('should reject enrollment in an unknown course section', async () => {
+      await expect(
+        courseModel.enrollStudent('XYZ999', 'A', 'shirsak.majumder.cse28@heritageit.edu.in')
+      ).rejects.toThrow('Course not found');
+    });
+
+    test('should get the roster of a course section', async () => {
+      const roster = await courseModel.getRoster('CSE201', 'A');
+      expect(roster.map(s => s.email)).toEqual(['shirsak.majumder.cse28@heritageit.edu.in']);
+      expect(await courseModel.getRosterCount('CSE201', 'A')).toBe(1);
+    });
+
+    test('should unenroll a student', async () => {
+      const removed = await courseModel.unenrollStudent('CSE201', 'A', 'shirsak.majumder.cse28@heritageit.edu.in');
+      expect(removed).toBe(true);
+      expect(await courseModel.getRosterCount('CSE201', 'A')).toBe(0);
+    });
+  });
+
   describe('Attendance Model', () => {
     let testSessionId;
     let testStudentEmail;
 
     beforeAll(async () => {
+      // Enroll the CSE students in the course section used by the test session
+      await courseModel.create({ courseCode: 'CSE401', section: 'A', courseName: 'Database Systems' });
+      const cseStudents = await studentModel.findByBranch('CSE');
+      for (const student of cseStudents) {
+        await courseModel.enrollStudent('CSE401', 'A', student.email);
+      }
+
       // Create a test session
       const sessionData = {
         facultyId: 'faculty789',
@@ -216,6 +305,32 @@ describe('Database Operations', () => {
       ).rejects.toThrow('Attendance already marked for this session');
     });
 
+    test('should store the reported location with a mark', async () => {
+      const geofencedSession = await sessionModel.create({
+        facultyId: 'faculty790',
+        courseName: 'Database Systems',
+        courseCode: 'CSE401',
+        section: 'A',
+        location: { latitude: 22.5167, longitude: 88.4183, radiusMeters: 50, action: 'flag' }
+      });
+
+      expect(geofencedSession.location_radius_meters).toBe(50);
+      expect(geofencedSession.geofence_action).toBe('flag');
+
+      const attendance = await attendanceModel.markAttendance(geofencedSession.id, testStudentEmail, {
+        ipAddress: '192.168.1.2',
+        location: { latitude: 22.5267, longitude: 88.4183, accuracy: 15 },
+        distanceMeters: 1112,
+        locationFlagged: true
+      });
+
+      expect(attendance.latitude).toBe(22.5267);
+      expect(attendance.longitude).toBe(88.4183);
+      expect(attendance.location_accuracy).toBe(15);
+      expect(attendance.distance_meters).toBe(1112);
+      expect(attendance.location_flagged).toBe(1);
+    });
+
     test('should check if student has marked attendance', async () => {
       const hasMarked = await attendanceModel.hasMarkedAttendance(testSessionId, testStudentEmail);
       expect(hasMarked).toBe(true);
@@ -258,6 +373,87 @@ describe('Database Operations', () => {
       expect(summary.summary.totalStudents).toBeGreaterThan(1);
       expect(summary.summary.attendancePercentage).toBeGreaterThan(0);
     });
+
+    test('should scope the summary to the course section roster', async () => {
+      // Students from other branches are not on the CSE401-A roster
+      const absentStudents = await attendanceModel.getAbsentStudents(testSessionId);
+      absentStudents.forEach(student => {
+        expect(student.branch).toBe('CSE');
+      });
+
+      const cseStudents = await studentModel.findByBranch('CSE');
+      const summary = await attendanceModel.getSessionSummary(testSessionId);
+      expect(summary.summary.totalStudents).toBe(cseStudents.length);
+      expect(summary.summary.absentCount).toBe(cseStudents.length - 1);
+    });
+
+    test('should report attendance from unenrolled students separately', async () => {
+      await attendanceModel.markAttendance(testSessionId, 'jane.smith.ece27@heritageit.edu.in');
+
+      const summary = await attendanceModel.getSessionSummary(testSessionId);
+      expect(summary.present.map(record => record.student_email)).not.toContain('jane.smith.ece27@heritageit.edu.in');
+      expect(summary.unenrolled.map(record => record.student_email)).toEqual(['jane.smith.ece27@heritageit.edu.in']);
+      expect(summary.summary.presentCount).toBe(1);
+      expect(summary.summary.unenrolledCount).toBe(1);
+    });
+
+    test('should classify marks after the late threshold as late', async () => {
+      const session = await sessionModel.create({
+        facultyId: 'faculty791',
+        courseName: 'Database Systems',
+        courseCode: 'CSE401',
+        section: 'A',
+        lateAfterMinutes: 10
+      });
+
+      expect(session.late_after_minutes).toBe(10);
+
+      const startTime = new Date(session.start_time).getTime();
+      expect(attendanceModel.classifyMark(session, startTime + 5 * 60 * 1000)).toBe('present');
+      expect(attendanceModel.classifyMark(session, startTime + 11 * 60 * 1000)).toBe('late');
+      expect(attendanceModel.classifyMark({ ...session, late_after_minutes: null }, startTime + 60 * 60 * 1000)).toBe('present');
+
+      // Move the start back so a scan now falls after the threshold
+      await db.run('UPDATE sessions SET start_time = ? WHERE id = ?', [new Date(Date.now() - 15 * 60 * 1000).toISOString(), session.id]);
+      const attendance = await attendanceModel.markAttendance(session.id, testStudentEmail);
+      expect(attendance.status).toBe('late');
+    });
+
+    test('should break the summary down by status', async () => {
+      const session = await sessionModel.create({
+        facultyId: 'faculty792',
+        courseName: 'Database Systems',
+        courseCode: 'CSE401',
+        section: 'A'
+      });
+      const cseStudents = await studentModel.findByBranch('CSE');
+      const [onTime, late, excused] = cseStudents.map(student => student.email);
+
+      await attendanceModel.markAttendance(session.id, onTime);
+      await attendanceModel.markAttendance(session.id, late, { status: 'late' });
+      await attendanceModel.markAttendance(session.id, excused);
+      await attendanceModel.updateStatus(session.id, excused, 'excused');
+
+      const summary = await attendanceModel.getSessionSummary(session.id);
+
+      expect(summary.present.map(record => record.student_email).sort()).toEqual([onTime, late].sort());
+      expect(summary.excused.map(record => record.student_email)).toEqual([excused]);
+      expect(summary.summary.presentCount).toBe(2);
+      // The excused student is left out of the percentage
+      expect(summary.summary.attendancePercentage).toBe(Math.round(2 / (cseStudents.length - 1) * 10000) / 100);
+      expect(summary.summary.byStatus).toEqual({
+        present: 1,
+        late: 1,
+        excused: 1,
+        absent: cseStudents.length - 3
+      });
+    });
+
+    test('should reject unknown statuses', async () => {
+      await expect(
+        attendanceModel.markAttendance(testSessionId, 'john.doe.cse28@heritageit.edu.in', { status: 'absent' })
+      ).rejects.toThrow('Unsupported attendance status: absent');
+    });
   });
 
   describe('Database Error Handling', () => {
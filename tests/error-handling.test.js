@@ -5,9 +5,27 @@ const { ValidationSchema, validators } = require('../middleware/validation');
 const databaseService = require('../services/DatabaseService');
 
 describe('Error Handling and Validation System', () => {
+  const testFacultyId = 'test-faculty-errors';
+  let facultyAgent;
+
   beforeAll(async () => {
     // Initialize database for testing
     await databaseService.initialize();
+
+    // Faculty routes take the faculty ID from the login session
+    const facultyModel = databaseService.getFacultyModel();
+    await facultyModel.delete(testFacultyId);
+    await facultyModel.create({
+      id: testFacultyId,
+      email: `${testFacultyId}@heritageit.edu.in`,
+      name: 'Test Faculty',
+      password: 'test-password'
+    });
+    facultyAgent = request.agent(app);
+    await facultyAgent
+      .post('/auth/faculty/login')
+      .send({ email: `${testFacultyId}@heritageit.edu.in`, password: 'test-password' })
+      .expect(200);
   });
 
   afterAll(async () => {
@@ -159,13 +177,12 @@ describe('Error Handling and Validation System', () => {
 
     test('should handle validation errors in faculty session creation', async () => {
       const invalidSessionData = {
-        facultyId: '', // Empty faculty ID
-        courseName: 'Test Course',
+        courseName: '', // Empty course name
         courseCode: 'TC101',
         section: 'A'
       };
 
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(invalidSessionData)
         .expect(400);
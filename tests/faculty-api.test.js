@@ -7,11 +7,42 @@ describe('Faculty API Endpoints', () => {
   let testDb;
   let testSessionId;
   let testFacultyId = 'test-faculty-123';
+  let otherFacultyId = 'test-faculty-456';
+  let facultyAgent;
+  let otherFacultyAgent;
+
+  let clientCount = 0;
+
+  // Create a faculty account that tests can log in as
+  const createFaculty = async (facultyId) => {
+    const facultyModel = databaseService.getFacultyModel();
+    await facultyModel.delete(facultyId);
+    await facultyModel.create({
+      id: facultyId,
+      email: `${facultyId}@heritageit.edu.in`,
+      name: 'Test Faculty',
+      password: 'test-password'
+    });
+  };
+
+  // Return an agent logged in as a faculty member. Each test gets its own client
+  // address so the suite does not trip the rapid-request detection.
+  const loginAsFaculty = async (facultyId, clientIp) => {
+    const agent = request.agent(app).set('X-Forwarded-For', clientIp);
+    await agent
+      .post('/auth/faculty/login')
+      .send({ email: `${facultyId}@heritageit.edu.in`, password: 'test-password' })
+      .expect(200);
+    return agent;
+  };
 
   beforeAll(async () => {
     // Initialize test database
     await databaseService.initialize();
     testDb = databaseService.getDatabase();
+
+    await createFaculty(testFacultyId);
+    await createFaculty(otherFacultyId);
   });
 
   afterAll(async () => {
@@ -24,8 +55,12 @@ describe('Faculty API Endpoints', () => {
 
   beforeEach(async () => {
     // Clean up test data before each test
-    await testDb.run('DELETE FROM sessions WHERE faculty_id = ?', [testFacultyId]);
     await testDb.run('DELETE FROM attendance WHERE session_id IN (SELECT id FROM sessions WHERE faculty_id = ?)', [testFacultyId]);
+    await testDb.run('DELETE FROM sessions WHERE faculty_id = ?', [testFacultyId]);
+
+    clientCount++;
+    facultyAgent = await loginAsFaculty(testFacultyId, `10.10.${clientCount}.1`);
+    otherFacultyAgent = await loginAsFaculty(otherFacultyId, `10.10.${clientCount}.2`);
   });
 
   afterEach(async () => {
@@ -38,13 +73,12 @@ describe('Faculty API Endpoints', () => {
   describe('POST /api/faculty/sessions/start', () => {
     test('should start a new attendance session successfully', async () => {
       const sessionData = {
-        facultyId: testFacultyId,
         courseName: 'Computer Science Fundamentals',
         courseCode: 'CSE101',
         section: 'A'
       };
 
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData)
         .expect(201);
@@ -57,70 +91,70 @@ describe('Faculty API Endpoints', () => {
       expect(response.body.session.isActive).toBe(true);
       expect(response.body.qrData).toHaveProperty('sessionId');
       expect(response.body.qrData).toHaveProperty('token');
-      expect(response.body.qrData).toHaveProperty('qrCodeDataUrl');
+      expect(response.body.qrData).toHaveProperty('qrCodeDataURL');
 
       testSessionId = response.body.session.id;
     });
 
     test('should fail with missing required fields', async () => {
       const incompleteData = {
-        facultyId: testFacultyId,
         courseName: 'Computer Science Fundamentals'
         // Missing courseCode and section
       };
 
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(incompleteData)
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Missing required fields');
+      expect(response.body.error.code).toBe('INVALID_INPUT');
+      expect(response.body.error.details).toContain('courseCode: is required');
+      expect(response.body.error.details).toContain('section: is required');
     });
 
     test('should fail when faculty already has an active session', async () => {
       const sessionData = {
-        facultyId: testFacultyId,
         courseName: 'Computer Science Fundamentals',
         courseCode: 'CSE101',
         section: 'A'
       };
 
       // Start first session
-      await request(app)
+      await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData)
         .expect(201);
 
       // Try to start second session
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send({
           ...sessionData,
           courseName: 'Different Course',
           courseCode: 'CSE102'
         })
-        .expect(400);
+        .expect(409);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('already has an active session');
+      expect(response.body.error.code).toBe('ACTIVE_SESSION_EXISTS');
     });
 
     test('should validate course code format', async () => {
       const sessionData = {
-        facultyId: testFacultyId,
         courseName: 'Computer Science Fundamentals',
         courseCode: 'invalid-code',
         section: 'A'
       };
 
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData)
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Course code must be in format');
+      expect(response.body.error.code).toBe('INVALID_INPUT');
+      expect(response.body.error.details).toContain('Course code must be in format');
     });
   });
 
@@ -128,13 +162,12 @@ describe('Faculty API Endpoints', () => {
     beforeEach(async () => {
       // Create a test session
       const sessionData = {
-        facultyId: testFacultyId,
         courseName: 'Test Course',
         courseCode: 'TST101',
         section: 'A'
       };
 
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData);
 
@@ -142,9 +175,9 @@ describe('Faculty API Endpoints', () => {
     });
 
     test('should end an active session successfully', async () => {
-      const response = await request(app)
+      const response = await facultyAgent
         .post(`/api/faculty/sessions/${testSessionId}/end`)
-        .send({ facultyId: testFacultyId })
+        .send({})
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -153,34 +186,43 @@ describe('Faculty API Endpoints', () => {
       expect(response.body.message).toContain('ended successfully');
     });
 
-    test('should fail with missing faculty ID', async () => {
+    test('should fail without faculty login', async () => {
       const response = await request(app)
         .post(`/api/faculty/sessions/${testSessionId}/end`)
         .send({})
-        .expect(400);
+        .expect(401);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Faculty ID is required');
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
     });
 
-    test('should fail with unauthorized faculty ID', async () => {
-      const response = await request(app)
+    test('should fail for another faculty member', async () => {
+      const response = await otherFacultyAgent
         .post(`/api/faculty/sessions/${testSessionId}/end`)
-        .send({ facultyId: 'unauthorized-faculty' })
-        .expect(400);
+        .send({})
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('SESSION_UNAUTHORIZED');
+    });
+
+    test('should ignore facultyId sent in the request body', async () => {
+      const response = await otherFacultyAgent
+        .post(`/api/faculty/sessions/${testSessionId}/end`)
+        .send({})
+        .expect(403);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Unauthorized');
     });
 
     test('should fail with non-existent session ID', async () => {
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/non-existent-id/end')
-        .send({ facultyId: testFacultyId })
+        .send({})
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Session not found');
+      expect(response.body.error.code).toBe('INVALID_SESSION_ID');
     });
   });
 
@@ -188,13 +230,12 @@ describe('Faculty API Endpoints', () => {
     beforeEach(async () => {
       // Create a test session
       const sessionData = {
-        facultyId: testFacultyId,
         courseName: 'Test Course',
         courseCode: 'TST101',
         section: 'A'
       };
 
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData);
 
@@ -202,9 +243,8 @@ describe('Faculty API Endpoints', () => {
     });
 
     test('should get session status successfully', async () => {
-      const response = await request(app)
+      const response = await facultyAgent
         .get(`/api/faculty/sessions/${testSessionId}/status`)
-        .query({ facultyId: testFacultyId })
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -215,23 +255,22 @@ describe('Faculty API Endpoints', () => {
       expect(response.body).toHaveProperty('qrData');
     });
 
-    test('should fail with missing faculty ID', async () => {
+    test('should fail without faculty login', async () => {
       const response = await request(app)
         .get(`/api/faculty/sessions/${testSessionId}/status`)
-        .expect(400);
+        .expect(401);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Faculty ID is required');
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
     });
 
-    test('should fail with unauthorized faculty ID', async () => {
-      const response = await request(app)
+    test('should fail for another faculty member', async () => {
+      const response = await otherFacultyAgent
         .get(`/api/faculty/sessions/${testSessionId}/status`)
-        .query({ facultyId: 'unauthorized-faculty' })
-        .expect(404);
+        .expect(403);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Unauthorized');
+      expect(response.body.error.code).toBe('SESSION_UNAUTHORIZED');
     });
   });
 
@@ -239,13 +278,12 @@ describe('Faculty API Endpoints', () => {
     beforeEach(async () => {
       // Create a test session
       const sessionData = {
-        facultyId: testFacultyId,
         courseName: 'Test Course',
         courseCode: 'TST101',
         section: 'A'
       };
 
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData);
 
@@ -253,9 +291,8 @@ describe('Faculty API Endpoints', () => {
     });
 
     test('should get attendance data successfully', async () => {
-      const response = await request(app)
+      const response = await facultyAgent
         .get(`/api/faculty/sessions/${testSessionId}/attendance`)
-        .query({ facultyId: testFacultyId })
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -268,13 +305,13 @@ describe('Faculty API Endpoints', () => {
       expect(response.body.attendance.summary).toHaveProperty('attendancePercentage');
     });
 
-    test('should fail with missing faculty ID', async () => {
+    test('should fail without faculty login', async () => {
       const response = await request(app)
         .get(`/api/faculty/sessions/${testSessionId}/attendance`)
-        .expect(400);
+        .expect(401);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Faculty ID is required');
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
     });
   });
 
@@ -282,13 +319,12 @@ describe('Faculty API Endpoints', () => {
     beforeEach(async () => {
       // Create a test session
       const sessionData = {
-        facultyId: testFacultyId,
         courseName: 'Test Course',
         courseCode: 'TST101',
         section: 'A'
       };
 
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData);
 
@@ -296,9 +332,8 @@ describe('Faculty API Endpoints', () => {
     });
 
     test('should export attendance data successfully', async () => {
-      const response = await request(app)
+      const response = await facultyAgent
         .get(`/api/faculty/sessions/${testSessionId}/export`)
-        .query({ facultyId: testFacultyId })
         .expect(200);
 
       expect(response.body).toHaveProperty('sessionInfo');
@@ -323,13 +358,13 @@ describe('Faculty API Endpoints', () => {
       expect(response.headers['content-disposition']).toContain('attachment');
     });
 
-    test('should fail with missing faculty ID', async () => {
+    test('should fail without faculty login', async () => {
       const response = await request(app)
         .get(`/api/faculty/sessions/${testSessionId}/export`)
-        .expect(400);
+        .expect(401);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Faculty ID is required');
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
     });
   });
 
@@ -337,29 +372,27 @@ describe('Faculty API Endpoints', () => {
     beforeEach(async () => {
       // Create multiple test sessions
       const sessionData1 = {
-        facultyId: testFacultyId,
         courseName: 'Course 1',
         courseCode: 'CSE101',
         section: 'A'
       };
 
-      const response1 = await request(app)
+      const response1 = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData1);
 
       // End the first session so we can create a second one
-      await request(app)
+      await facultyAgent
         .post(`/api/faculty/sessions/${response1.body.session.id}/end`)
-        .send({ facultyId: testFacultyId });
+        .send({});
 
       const sessionData2 = {
-        facultyId: testFacultyId,
         courseName: 'Course 2',
         courseCode: 'CSE102',
         section: 'B'
       };
 
-      const response2 = await request(app)
+      const response2 = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData2);
 
@@ -367,7 +400,7 @@ describe('Faculty API Endpoints', () => {
     });
 
     test('should get all faculty sessions', async () => {
-      const response = await request(app)
+      const response = await facultyAgent
         .get(`/api/faculty/${testFacultyId}/sessions`)
         .expect(200);
 
@@ -379,7 +412,7 @@ describe('Faculty API Endpoints', () => {
     });
 
     test('should get only active sessions when activeOnly=true', async () => {
-      const response = await request(app)
+      const response = await facultyAgent
         .get(`/api/faculty/${testFacultyId}/sessions`)
         .query({ activeOnly: 'true' })
         .expect(200);
@@ -389,8 +422,16 @@ describe('Faculty API Endpoints', () => {
       expect(response.body.sessions[0].isActive).toBe(true);
     });
 
+    test('should reject another faculty member\'s session history', async () => {
+      const response = await otherFacultyAgent
+        .get(`/api/faculty/${testFacultyId}/sessions`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
     test('should limit results when limit parameter is provided', async () => {
-      const response = await request(app)
+      const response = await facultyAgent
         .get(`/api/faculty/${testFacultyId}/sessions`)
         .query({ limit: '1' })
         .expect(200);
@@ -404,13 +445,12 @@ describe('Faculty API Endpoints', () => {
     beforeEach(async () => {
       // Create a test session
       const sessionData = {
-        facultyId: testFacultyId,
         courseName: 'Test Course',
         courseCode: 'TST101',
         section: 'A'
       };
 
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData);
 
@@ -418,31 +458,31 @@ describe('Faculty API Endpoints', () => {
     });
 
     test('should rotate QR code successfully', async () => {
-      const response = await request(app)
+      const response = await facultyAgent
         .post(`/api/faculty/sessions/${testSessionId}/qr/rotate`)
-        .send({ facultyId: testFacultyId })
+        .send({})
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.qrData).toHaveProperty('sessionId', testSessionId);
       expect(response.body.qrData).toHaveProperty('token');
-      expect(response.body.qrData).toHaveProperty('qrCodeDataUrl');
+      expect(response.body.qrData).toHaveProperty('qrCodeDataURL');
     });
 
-    test('should fail with missing faculty ID', async () => {
+    test('should fail without faculty login', async () => {
       const response = await request(app)
         .post(`/api/faculty/sessions/${testSessionId}/qr/rotate`)
         .send({})
-        .expect(400);
+        .expect(401);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('Faculty ID is required');
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
     });
 
-    test('should fail with unauthorized faculty ID', async () => {
-      const response = await request(app)
+    test('should fail for another faculty member', async () => {
+      const response = await otherFacultyAgent
         .post(`/api/faculty/sessions/${testSessionId}/qr/rotate`)
-        .send({ facultyId: 'unauthorized-faculty' })
+        .send({})
         .expect(400);
 
       expect(response.body.success).toBe(false);
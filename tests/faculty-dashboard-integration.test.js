@@ -8,24 +8,42 @@ const { app } = require('../server');
 const databaseService = require('../services/DatabaseService');
 
 describe('Faculty Dashboard Integration', () => {
+    const testFacultyId = 'test-faculty-001';
+    let facultyAgent;
+
+    // Create a faculty account and return an agent logged in as that faculty. Each agent
+    // gets its own client address so the suite does not trip the rapid-request detection.
+    const loginAsFaculty = async (facultyId, clientIp) => {
+        const facultyModel = databaseService.getFacultyModel();
+        await facultyModel.delete(facultyId);
+        await facultyModel.create({
+            id: facultyId,
+            email: `${facultyId}@heritageit.edu.in`,
+            name: 'Test Faculty',
+            password: 'test-password'
+        });
+
+        const agent = request.agent(app).set('X-Forwarded-For', clientIp);
+        await agent
+            .post('/auth/faculty/login')
+            .send({ email: `${facultyId}@heritageit.edu.in`, password: 'test-password' })
+            .expect(200);
+        return agent;
+    };
+
     beforeAll(async () => {
         // Set test environment
         process.env.NODE_ENV = 'test';
         
         // Initialize database for testing
         await databaseService.initialize();
+
+        facultyAgent = await loginAsFaculty(testFacultyId, '10.30.0.1');
     });
 
     afterAll(async () => {
         // Close database connections
-        if (databaseService.db) {
-            await new Promise((resolve) => {
-                databaseService.db.close((err) => {
-                    if (err) console.error('Error closing database:', err);
-                    resolve();
-                });
-            });
-        }
+        await databaseService.close();
     });
 
     describe('Faculty Dashboard API Endpoints', () => {
@@ -68,13 +86,12 @@ describe('Faculty Dashboard Integration', () => {
 
         test('should start a session via API', async () => {
             const sessionData = {
-                facultyId: 'test-faculty-001',
                 courseName: 'Test Course',
                 courseCode: 'TEST101',
                 section: 'A'
             };
 
-            const response = await request(app)
+            const response = await facultyAgent
                 .post('/api/faculty/sessions/start')
                 .send(sessionData)
                 .expect(201);
@@ -89,8 +106,8 @@ describe('Faculty Dashboard Integration', () => {
         });
 
         test('should get session status', async () => {
-            const response = await request(app)
-                .get(`/api/faculty/sessions/${sessionId}/status?facultyId=test-faculty-001`)
+            const response = await facultyAgent
+                .get(`/api/faculty/sessions/${sessionId}/status`)
                 .expect(200);
 
             expect(response.body.success).toBe(true);
@@ -99,8 +116,8 @@ describe('Faculty Dashboard Integration', () => {
         });
 
         test('should get attendance data', async () => {
-            const response = await request(app)
-                .get(`/api/faculty/sessions/${sessionId}/attendance?facultyId=test-faculty-001`)
+            const response = await facultyAgent
+                .get(`/api/faculty/sessions/${sessionId}/attendance`)
                 .expect(200);
 
             expect(response.body.success).toBe(true);
@@ -110,8 +127,8 @@ describe('Faculty Dashboard Integration', () => {
         });
 
         test('should export attendance data', async () => {
-            const response = await request(app)
-                .get(`/api/faculty/sessions/${sessionId}/export?facultyId=test-faculty-001`)
+            const response = await facultyAgent
+                .get(`/api/faculty/sessions/${sessionId}/export`)
                 .expect(200);
 
             expect(response.body.sessionInfo).toBeDefined();
@@ -121,9 +138,9 @@ describe('Faculty Dashboard Integration', () => {
         });
 
         test('should end session via API', async () => {
-            const response = await request(app)
+            const response = await facultyAgent
                 .post(`/api/faculty/sessions/${sessionId}/end`)
-                .send({ facultyId: 'test-faculty-001' })
+                .send({})
                 .expect(200);
 
             expect(response.body.success).toBe(true);
@@ -141,35 +158,45 @@ describe('Faculty Dashboard Integration', () => {
     describe('Error Handling', () => {
         test('should handle invalid session start', async () => {
             const invalidData = {
-                facultyId: 'test-faculty-001'
                 // Missing required fields
             };
 
-            const response = await request(app)
+            const response = await facultyAgent
                 .post('/api/faculty/sessions/start')
                 .send(invalidData)
                 .expect(400);
 
             expect(response.body.success).toBe(false);
-            expect(response.body.error).toContain('Missing required fields');
+            expect(response.body.error.code).toBe('INVALID_INPUT');
+            expect(response.body.error.details).toContain('courseName: is required');
         });
 
         test('should handle non-existent session', async () => {
-            const response = await request(app)
-                .get('/api/faculty/sessions/non-existent-session/status?facultyId=test-faculty-001')
+            const response = await facultyAgent
+                .get('/api/faculty/sessions/00000000-0000-4000-8000-000000000000/status')
                 .expect(404);
 
             expect(response.body.success).toBe(false);
+            expect(response.body.error.code).toBe('SESSION_NOT_FOUND');
+        });
+
+        test('should reject malformed session IDs', async () => {
+            const response = await facultyAgent
+                .get('/api/faculty/sessions/non-existent-session/status')
+                .expect(400);
+
+            expect(response.body.success).toBe(false);
+            expect(response.body.error.code).toBe('INVALID_SESSION_ID');
         });
 
         test('should handle unauthorized access', async () => {
-            // Try to access session without faculty ID
+            // Try to access session without logging in as faculty
             const response = await request(app)
                 .get('/api/faculty/sessions/some-session/status')
-                .expect(400);
+                .expect(401);
 
             expect(response.body.success).toBe(false);
-            expect(response.body.error).toContain('Faculty ID is required');
+            expect(response.body.error.code).toBe('UNAUTHORIZED');
         });
     });
 
@@ -185,10 +212,9 @@ describe('Faculty Dashboard Integration', () => {
         test('should handle rate limiting on API endpoints', async () => {
             // Make multiple rapid requests to test rate limiting
             const requests = Array(10).fill().map(() => 
-                request(app)
+                facultyAgent
                     .post('/api/faculty/sessions/start')
                     .send({
-                        facultyId: 'test-faculty-001',
                         courseName: 'Test',
                         courseCode: 'TEST',
                         section: 'A'
@@ -218,13 +244,17 @@ describe('Faculty Dashboard Integration', () => {
         });
 
         test('should handle concurrent session starts', async () => {
-            const concurrentRequests = Array(5).fill().map((_, index) => 
-                request(app)
+            const agents = [];
+            for (let index = 0; index < 5; index++) {
+                agents.push(await loginAsFaculty(`test-faculty-${index}`, `10.30.1.${index + 1}`));
+            }
+
+            const concurrentRequests = agents.map((agent, index) => 
+                agent
                     .post('/api/faculty/sessions/start')
                     .send({
-                        facultyId: `test-faculty-${index}`,
                         courseName: `Concurrent Course ${index}`,
-                        courseCode: `CONC${index}`,
+                        courseCode: `CON10${index}`,
                         section: 'A'
                     })
             );
@@ -238,13 +268,13 @@ describe('Faculty Dashboard Integration', () => {
             });
 
             // Clean up - end all sessions
-            const endRequests = responses.map(response => 
-                request(app)
+            const endRequests = responses.map((response, index) => 
+                agents[index]
                     .post(`/api/faculty/sessions/${response.body.session.id}/end`)
-                    .send({ facultyId: response.body.session.facultyId })
+                    .send({})
             );
 
             await Promise.all(endRequests);
-        });
+        }, 15000);
     });
 });
\ No newline at end of file
@@ -170,11 +170,13 @@ describe('Faculty Dashboard Simple Tests', () => {
     });
 
     describe('JavaScript Functionality', () => {
-        test('should have proper faculty ID configuration', () => {
+        test('should take faculty ID from the authenticated session', () => {
             const jsPath = path.join(__dirname, '../public/js/faculty-dashboard.js');
             const jsContent = fs.readFileSync(jsPath, 'utf8');
 
-            expect(jsContent).toContain('this.facultyId = \'faculty-001\'');
+            expect(jsContent).toContain('/auth/status');
+            expect(jsContent).toContain('this.facultyId = result.user.id');
+            expect(jsContent).not.toContain('this.facultyId = \'faculty-001\'');
         });
 
         test('should have proper API endpoints', () => {
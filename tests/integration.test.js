@@ -5,11 +5,34 @@ const databaseService = require('../services/DatabaseService');
 describe('Faculty Dashboard API Integration', () => {
   let testDb;
   let testFacultyId = 'integration-faculty-123';
+  let facultyAgent;
   let testStudentEmail = 'shirsak.majumder.cse28@heritageit.edu.in';
 
   beforeAll(async () => {
     await databaseService.initialize();
+    // The server no longer seeds students at startup; these tests use the demo roster
+    await databaseService.getDatabase().insertHardcodedStudents();
     testDb = databaseService.getDatabase();
+
+    // Faculty routes take the faculty ID from the login session
+    const facultyModel = databaseService.getFacultyModel();
+    await facultyModel.delete(testFacultyId);
+    await facultyModel.create({
+      id: testFacultyId,
+      email: `${testFacultyId}@heritageit.edu.in`,
+      name: 'Test Faculty',
+      password: 'test-password'
+    });
+    facultyAgent = request.agent(app);
+    await facultyAgent
+      .post('/auth/faculty/login')
+      .send({ email: `${testFacultyId}@heritageit.edu.in`, password: 'test-password' })
+      .expect(200);
+
+    // Enroll the test student in the course section used by the tests
+    const courseModel = databaseService.getCourseModel();
+    await courseModel.create({ courseCode: 'INT101', section: 'A', courseName: 'Integration Test Course' });
+    await courseModel.enrollStudent('INT101', 'A', testStudentEmail);
   });
 
   afterAll(async () => {
@@ -25,13 +48,12 @@ describe('Faculty Dashboard API Integration', () => {
   test('complete faculty dashboard workflow', async () => {
     // 1. Start a session
     const sessionData = {
-      facultyId: testFacultyId,
       courseName: 'Integration Test Course',
       courseCode: 'INT101',
       section: 'A'
     };
 
-    const startResponse = await request(app)
+    const startResponse = await facultyAgent
       .post('/api/faculty/sessions/start')
       .send(sessionData)
       .expect(201);
@@ -41,9 +63,8 @@ describe('Faculty Dashboard API Integration', () => {
     const token = startResponse.body.qrData.token;
 
     // 2. Check session status
-    const statusResponse = await request(app)
+    const statusResponse = await facultyAgent
       .get(`/api/faculty/sessions/${sessionId}/status`)
-      .query({ facultyId: testFacultyId })
       .expect(200);
 
     expect(statusResponse.body.success).toBe(true);
@@ -62,9 +83,8 @@ describe('Faculty Dashboard API Integration', () => {
     expect(attendanceResponse.body.success).toBe(true);
 
     // 4. Get attendance data
-    const attendanceDataResponse = await request(app)
+    const attendanceDataResponse = await facultyAgent
       .get(`/api/faculty/sessions/${sessionId}/attendance`)
-      .query({ facultyId: testFacultyId })
       .expect(200);
 
     expect(attendanceDataResponse.body.success).toBe(true);
@@ -72,9 +92,8 @@ describe('Faculty Dashboard API Integration', () => {
     expect(attendanceDataResponse.body.attendance.present[0].studentEmail).toBe(testStudentEmail);
 
     // 5. Export attendance data
-    const exportResponse = await request(app)
+    const exportResponse = await facultyAgent
       .get(`/api/faculty/sessions/${sessionId}/export`)
-      .query({ facultyId: testFacultyId })
       .expect(200);
 
     expect(exportResponse.body.sessionInfo.id).toBe(sessionId);
@@ -82,18 +101,17 @@ describe('Faculty Dashboard API Integration', () => {
     expect(exportResponse.body.summary.presentCount).toBe(1);
 
     // 6. End session
-    const endResponse = await request(app)
+    const endResponse = await facultyAgent
       .post(`/api/faculty/sessions/${sessionId}/end`)
-      .send({ facultyId: testFacultyId })
+      .send({})
       .expect(200);
 
     expect(endResponse.body.success).toBe(true);
     expect(endResponse.body.session.isActive).toBe(false);
 
     // 7. Verify session is ended
-    const finalStatusResponse = await request(app)
+    const finalStatusResponse = await facultyAgent
       .get(`/api/faculty/sessions/${sessionId}/status`)
-      .query({ facultyId: testFacultyId })
       .expect(200);
 
     expect(finalStatusResponse.body.session.isActive).toBe(false);
@@ -105,13 +123,12 @@ describe('Faculty Dashboard API Integration', () => {
     
     for (let i = 1; i <= 3; i++) {
       const sessionData = {
-        facultyId: testFacultyId,
         courseName: `Course ${i}`,
         courseCode: `TST10${i}`,
         section: 'A'
       };
 
-      const startResponse = await request(app)
+      const startResponse = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(sessionData)
         .expect(201);
@@ -119,14 +136,14 @@ describe('Faculty Dashboard API Integration', () => {
       sessions.push(startResponse.body.session.id);
 
       // End the session immediately
-      await request(app)
+      await facultyAgent
         .post(`/api/faculty/sessions/${startResponse.body.session.id}/end`)
-        .send({ facultyId: testFacultyId })
+        .send({})
         .expect(200);
     }
 
     // Get all sessions
-    const historyResponse = await request(app)
+    const historyResponse = await facultyAgent
       .get(`/api/faculty/${testFacultyId}/sessions`)
       .expect(200);
 
@@ -134,7 +151,7 @@ describe('Faculty Dashboard API Integration', () => {
     expect(historyResponse.body.sessions).toHaveLength(3);
 
     // Get with limit
-    const limitedResponse = await request(app)
+    const limitedResponse = await facultyAgent
       .get(`/api/faculty/${testFacultyId}/sessions`)
       .query({ limit: '2' })
       .expect(200);
@@ -142,7 +159,7 @@ describe('Faculty Dashboard API Integration', () => {
     expect(limitedResponse.body.sessions).toHaveLength(2);
 
     // Get only active sessions (should be 0)
-    const activeResponse = await request(app)
+    const activeResponse = await facultyAgent
       .get(`/api/faculty/${testFacultyId}/sessions`)
       .query({ activeOnly: 'true' })
       .expect(200);
@@ -152,9 +169,8 @@ describe('Faculty Dashboard API Integration', () => {
 
   test('error handling workflow', async () => {
     // Try to get status of non-existent session
-    await request(app)
+    await facultyAgent
       .get('/api/faculty/sessions/non-existent/status')
-      .query({ facultyId: testFacultyId })
       .expect(404);
 
     // Try to mark attendance with invalid token
@@ -168,9 +184,9 @@ describe('Faculty Dashboard API Integration', () => {
       .expect(400);
 
     // Try to end non-existent session
-    await request(app)
+    await facultyAgent
       .post('/api/faculty/sessions/non-existent/end')
-      .send({ facultyId: testFacultyId })
+      .send({})
       .expect(400);
   });
 });
\ No newline at end of file
@@ -46,7 +46,6 @@ describe('Security Implementation Verification', () => {
     test('should apply input sanitization', async () => {
       // Test that XSS attempts are sanitized
       const maliciousData = {
-        facultyId: 'test<script>alert("xss")</script>faculty',
         courseName: 'Computer<script>alert("xss")</script>Science',
         courseCode: 'CS101',
         section: 'A'
@@ -57,7 +56,7 @@ describe('Security Implementation Verification', () => {
         .send(maliciousData);
 
       // Should handle the request without crashing (accept various status codes)
-      expect([200, 201, 400, 403, 429, 500]).toContain(response.status);
+      expect([200, 201, 400, 401, 403, 429, 500]).toContain(response.status);
     });
   });
 
@@ -126,19 +125,19 @@ describe('Security Implementation Verification', () => {
       }
     });
 
-    test('should validate faculty input parameters', async () => {
-      const invalidFacultyInputs = [
-        {}, // Missing faculty ID
-        { facultyId: 'invalid@faculty' }, // Invalid faculty ID format
+    test('should require faculty login regardless of request parameters', async () => {
+      const facultyInputs = [
+        {}, // No faculty ID
+        { facultyId: 'faculty-001' }, // Faculty ID supplied by the client
       ];
 
-      for (const input of invalidFacultyInputs) {
+      for (const input of facultyInputs) {
         const response = await request(app)
           .post('/api/faculty/sessions/12345678-1234-5678-9012-123456789012/end')
           .send(input);
 
-        // Should return validation error or other expected status
-        expect([400, 403, 429, 500]).toContain(response.status);
+        // Should reject unauthenticated requests or rate limit them
+        expect([401, 403, 429]).toContain(response.status);
       }
     });
   });
@@ -157,14 +156,13 @@ describe('Security Implementation Verification', () => {
       const response = await request(app)
         .post('/api/faculty/sessions/start')
         .send({
-          facultyId: 'test-faculty',
           courseName: 'Computer Science',
           courseCode: 'CS101',
           section: 'A'
         });
 
-      // Should return CSRF error (403) or rate limit (429)
-      expect([403, 429, 500]).toContain(response.status);
+      // Should be refused: no faculty login (401), CSRF error (403) or rate limit (429)
+      expect([401, 403, 429, 500]).toContain(response.status);
     });
   });
 
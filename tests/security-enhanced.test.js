@@ -3,8 +3,32 @@ const { app } = require('../server');
 const databaseService = require('../services/DatabaseService');
 
 describe('Enhanced Security Features', () => {
+  const facultyId = 'security-test-faculty';
+  let facultyAgent;
+
   beforeAll(async () => {
     await databaseService.initialize();
+
+    // Session routes need a faculty login; sanitization runs on the logged-in requests
+    const facultyModel = databaseService.getFacultyModel();
+    await facultyModel.delete(facultyId);
+    await facultyModel.create({
+      id: facultyId,
+      email: `${facultyId}@heritageit.edu.in`,
+      name: 'Security Test Faculty',
+      password: 'test-password'
+    });
+
+    facultyAgent = request.agent(app).set('X-Forwarded-For', '10.20.0.1');
+    await facultyAgent
+      .post('/auth/faculty/login')
+      .send({ email: `${facultyId}@heritageit.edu.in`, password: 'test-password' })
+      .expect(200);
+  });
+
+  afterEach(async () => {
+    // End any session a test started so the next one can start its own
+    await databaseService.getDatabase().run('DELETE FROM sessions WHERE faculty_id = ?', [facultyId]);
   });
 
   afterAll(async () => {
@@ -69,10 +93,9 @@ describe('Enhanced Security Features', () => {
       ];
 
       for (const maliciousInput of maliciousInputs) {
-        const response = await request(app)
+        const response = await facultyAgent
           .post('/api/faculty/sessions/start')
           .send({
-            facultyId: 'test-faculty',
             courseName: maliciousInput,
             courseCode: 'CS101',
             section: 'A'
@@ -80,12 +103,15 @@ describe('Enhanced Security Features', () => {
 
         // Should handle the request without crashing
         expect([200, 201, 400, 403, 429, 500]).toContain(response.status);
+        if (response.status === 201) {
+          expect(response.body.session.courseName).not.toMatch(/<script|javascript:|vbscript:|on\w+=/i);
+          await databaseService.getDatabase().run('DELETE FROM sessions WHERE faculty_id = ?', [facultyId]);
+        }
       }
     });
 
     test('should sanitize nested object properties', async () => {
       const nestedMaliciousInput = {
-        facultyId: 'test-faculty',
         courseName: 'Computer Science',
         courseCode: 'CS101',
         section: 'A',
@@ -95,7 +121,7 @@ describe('Enhanced Security Features', () => {
         }
       };
 
-      const response = await request(app)
+      const response = await facultyAgent
         .post('/api/faculty/sessions/start')
         .send(nestedMaliciousInput);
 
@@ -216,8 +242,9 @@ describe('Enhanced Security Features', () => {
         const response = await request(app)[endpoint.method](endpoint.path)
           .send({ test: 'data' });
 
-        // Should return CSRF error or rate limit
-        expect([403, 429, 500]).toContain(response.status);
+        // Should be refused: faculty routes need a login before CSRF is checked,
+        // the others return a CSRF error or rate limit
+        expect([401, 403, 429, 500]).toContain(response.status);
       }
     });
   });
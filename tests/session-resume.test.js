@@ -0,0 +1,89 @@
+const { app, resumeActiveSessions } = require('../server');
+const databaseService = require('../services/DatabaseService');
+const SessionService = require('../services/SessionService');
+const Session = require('../models/Session');
+
+describe('Resuming sessions on server start', () => {
+  const minutesAgo = minutes => Date.now() - minutes * 60 * 1000;
+  const recentSession = { id: 'recent-session', faculty_id: 'resume-faculty', lastInteraction: minutesAgo(20) };
+  const staleSession = { id: 'stale-session', faculty_id: 'resume-faculty', lastInteraction: minutesAgo(40) };
+  let webSocketService;
+  let endSession;
+
+  beforeAll(async () => {
+    await databaseService.initialize();
+  });
+
+  afterAll(async () => {
+    await databaseService.close();
+  });
+
+  beforeEach(() => {
+    // Stand in for the stored sessions so the test does not resume or end other suites' sessions
+    jest.spyOn(Session.prototype, 'findActive').mockResolvedValue([recentSession, staleSession]);
+    jest.spyOn(Session.prototype, 'getLastInteraction').mockImplementation(async session => session.lastInteraction);
+    endSession = jest.spyOn(SessionService.prototype, 'endSession').mockImplementation(async sessionId => ({
+      success: true,
+      session: { id: sessionId, faculty_id: 'resume-faculty', end_time: '2026-01-05T10:00:00.000Z' }
+    }));
+    jest.spyOn(SessionService.prototype, 'rotateQRToken').mockImplementation(async sessionId => ({
+      success: true,
+      qrData: { sessionId, token: 'fresh' }
+    }));
+    jest.spyOn(SessionService.prototype, 'startQRRotation').mockResolvedValue({ success: true });
+
+    webSocketService = app.get('webSocketService');
+    jest.spyOn(webSocketService, 'broadcastSessionEnded').mockImplementation(() => {});
+    jest.spyOn(webSocketService, 'broadcastQRUpdate').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.SESSION_STALE_AFTER_MINUTES;
+    jest.restoreAllMocks();
+  });
+
+  test('should use SESSION_STALE_AFTER_MINUTES as the stale threshold', async () => {
+    process.env.SESSION_STALE_AFTER_MINUTES = '30';
+
+    const result = await resumeActiveSessions();
+
+    expect(result.resumed.map(session => session.id)).toEqual(['recent-session']);
+    expect(endSession.mock.calls).toEqual([['stale-session', 'resume-faculty']]);
+  });
+
+  test('should fall back to 10 minutes when the setting is missing or invalid', async () => {
+    process.env.SESSION_STALE_AFTER_MINUTES = 'soon';
+
+    const result = await resumeActiveSessions();
+
+    expect(result.resumed).toEqual([]);
+    expect(result.ended.map(session => session.id)).toEqual(['recent-session', 'stale-session']);
+  });
+
+  test('should end every session left running when the setting is 0', async () => {
+    process.env.SESSION_STALE_AFTER_MINUTES = '0';
+    Session.prototype.getLastInteraction.mockResolvedValue(Date.now() - 1000);
+
+    const result = await resumeActiveSessions();
+
+    expect(result.resumed).toEqual([]);
+    expect(result.ended).toHaveLength(2);
+  });
+
+  test('should announce ended sessions as stale and broadcast resumed QR codes', async () => {
+    process.env.SESSION_STALE_AFTER_MINUTES = '30';
+
+    await resumeActiveSessions();
+
+    expect(webSocketService.broadcastSessionEnded).toHaveBeenCalledWith(
+      'resume-faculty',
+      expect.objectContaining({ id: 'stale-session' }),
+      { reason: 'stale' }
+    );
+    expect(webSocketService.broadcastQRUpdate).toHaveBeenCalledWith(
+      'resume-faculty',
+      'recent-session',
+      { sessionId: 'recent-session', token: 'fresh' }
+    );
+  });
+});
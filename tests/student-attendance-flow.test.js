@@ -7,12 +7,28 @@ describe('Student Attendance Marking Flow Integration Tests', () => {
   let testSessionId;
   let testToken;
   let testFacultyId = 'test-faculty-student-flow';
+  let facultyAgent;
   let testStudentEmail = 'shirsak.majumder.cse28@heritageit.edu.in';
 
   beforeAll(async () => {
     // Initialize test database
     await databaseService.initialize();
     testDb = databaseService.getDatabase();
+
+    // Faculty routes take the faculty ID from the login session
+    const facultyModel = databaseService.getFacultyModel();
+    await facultyModel.delete(testFacultyId);
+    await facultyModel.create({
+      id: testFacultyId,
+      email: `${testFacultyId}@heritageit.edu.in`,
+      name: 'Test Faculty',
+      password: 'test-password'
+    });
+    facultyAgent = request.agent(app);
+    await facultyAgent
+      .post('/auth/faculty/login')
+      .send({ email: `${testFacultyId}@heritageit.edu.in`, password: 'test-password' })
+      .expect(200);
   });
 
   afterAll(async () => {
@@ -38,13 +54,12 @@ describe('Student Attendance Marking Flow Integration Tests', () => {
 
     // Create a test session for each test
     const sessionData = {
-      facultyId: testFacultyId,
       courseName: 'Student Flow Test Course',
       courseCode: 'SFT101',
       section: 'A'
     };
 
-    const sessionResponse = await request(app)
+    const sessionResponse = await facultyAgent
       .post('/api/faculty/sessions/start')
       .send(sessionData);
 
@@ -96,9 +111,9 @@ describe('Student Attendance Marking Flow Integration Tests', () => {
 
     test('should handle expired QR code gracefully', async () => {
       // End the session to make the token invalid
-      await request(app)
+      await facultyAgent
         .post(`/api/faculty/sessions/${testSessionId}/end`)
-        .send({ facultyId: testFacultyId });
+        .send({});
 
       // Try to access the QR code landing page
       const response = await request(app)
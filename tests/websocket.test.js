@@ -2,19 +2,53 @@ const { createServer } = require('http');
 const { Server } = require('socket.io');
 const Client = require('socket.io-client');
 const WebSocketService = require('../services/WebSocketService');
+const DisplayLinkService = require('../services/DisplayLinkService');
 
 describe('WebSocket Service', () => {
   let io, serverSocket, clientSocket, webSocketService;
   let httpServer;
+  let port;
+
+  const sessions = {
+    'test-session-456': { id: 'test-session-456', faculty_id: 'test-faculty-123', is_active: 1 },
+    'other-session-789': { id: 'other-session-789', faculty_id: 'other-faculty', is_active: 1 },
+    'ended-session-000': { id: 'ended-session-000', faculty_id: 'test-faculty-123', is_active: 0 }
+  };
+  const displayLinkService = new DisplayLinkService(null, { secret: 'test-secret' });
+
+  // Connect as a faculty member; the login headers stand in for the session cookie
+  const connectAs = (facultyId, loginId = 'login-1') => new Client(`http://localhost:${port}`, {
+    forceNew: true,
+    extraHeaders: facultyId ? { 'x-test-faculty': facultyId, 'x-test-login': loginId } : {}
+  });
+
+  // Connect as a projector display holding a display link for a session
+  const connectDisplay = (sessionId, expiresAtMs = Date.now() + 60 * 1000) => new Client(`http://localhost:${port}`, {
+    forceNew: true,
+    auth: { displayToken: displayLinkService.sign(sessionId, expiresAtMs) }
+  });
 
   beforeAll((done) => {
     httpServer = createServer();
     io = new Server(httpServer);
-    webSocketService = new WebSocketService(io);
+
+    // Stands in for the express-session and Passport middleware server.js shares with Socket.IO
+    io.engine.use((req, res, next) => {
+      if (req.headers['x-test-faculty']) {
+        req.user = { id: req.headers['x-test-faculty'], role: 'faculty' };
+        req.session = { id: req.headers['x-test-login'] };
+      }
+      next();
+    });
+
+    webSocketService = new WebSocketService(io, {
+      sessionModel: { findById: async (sessionId) => sessions[sessionId] || null },
+      displayLinkService
+    });
     
     httpServer.listen(() => {
-      const port = httpServer.address().port;
-      clientSocket = new Client(`http://localhost:${port}`);
+      port = httpServer.address().port;
+      clientSocket = connectAs('test-faculty-123');
       
       io.on('connection', (socket) => {
         serverSocket = socket;
@@ -142,6 +176,19 @@ describe('WebSocket Service', () => {
       webSocketService.broadcastAttendanceUpdate(facultyId, sessionId, attendanceData);
     });
 
+    test('should broadcast suspicious activity to faculty room', (done) => {
+      const flags = [{ id: 'flag-1', studentEmail: 'student@heritageit.edu.in', reason: 'unusual_network' }];
+
+      clientSocket.once('suspicious-activity', (data) => {
+        expect(data.sessionId).toBe('test-session-456');
+        expect(data.flags).toEqual(flags);
+        expect(data).toHaveProperty('timestamp');
+        done();
+      });
+
+      webSocketService.broadcastSuspiciousActivity('test-faculty-123', 'test-session-456', flags);
+    });
+
     test('should broadcast session status change', (done) => {
       const facultyId = 'test-faculty-123';
       const sessionId = 'test-session-456';
@@ -195,6 +242,133 @@ describe('WebSocket Service', () => {
     });
   });
 
+  describe('Authorization', () => {
+    const expectJoinError = (socket, event, data) => new Promise((resolve) => {
+      socket.once('join-error', resolve);
+      socket.emit(event, data);
+    });
+
+    test('should refuse a connection without a signed-in faculty member', (done) => {
+      const anonymous = connectAs(null);
+
+      anonymous.on('connect_error', (error) => {
+        expect(error.message).toBe('Faculty authentication required');
+        expect(error.data.code).toBe('UNAUTHORIZED');
+        anonymous.close();
+        done();
+      });
+    });
+
+    test('should refuse to join another faculty member\'s room', async () => {
+      const error = await expectJoinError(clientSocket, 'join-faculty-room', { facultyId: 'other-faculty' });
+
+      expect(error).toMatchObject({ room: 'faculty-other-faculty', code: 'FORBIDDEN' });
+    });
+
+    test('should only let the owning faculty join a session room', async () => {
+      const unauthorized = await expectJoinError(clientSocket, 'join-session-room', { sessionId: 'other-session-789' });
+      expect(unauthorized).toMatchObject({ room: 'session-other-session-789', code: 'SESSION_UNAUTHORIZED' });
+
+      const missing = await expectJoinError(clientSocket, 'join-session-room', { sessionId: 'missing-session' });
+      expect(missing.code).toBe('SESSION_NOT_FOUND');
+
+      const noSession = await expectJoinError(clientSocket, 'join-session-room', {});
+      expect(noSession.code).toBe('MISSING_PARAMETERS');
+
+      expect(webSocketService.getRoomClientCount('session-other-session-789')).toBe(0);
+    });
+
+    test('should disconnect the sockets of a login when it logs out', (done) => {
+      const otherLogin = connectAs('test-faculty-123', 'login-2');
+
+      otherLogin.on('connect', async () => {
+        otherLogin.on('disconnect', (reason) => {
+          expect(reason).toBe('io server disconnect');
+          expect(clientSocket.connected).toBe(true);
+          done();
+        });
+
+        expect(await webSocketService.disconnectLogin('login-2')).toBe(1);
+      });
+    });
+  });
+
+  describe('Projector Displays', () => {
+    let display;
+
+    const connected = socket => new Promise((resolve, reject) => {
+      socket.once('joined-room', resolve);
+      socket.once('connect_error', reject);
+    });
+
+    afterEach(() => {
+      if (display) {
+        display.close();
+        display = null;
+      }
+    });
+
+    test('should refuse an invalid or expired display link', (done) => {
+      display = connectDisplay('test-session-456', Date.now() - 1000);
+
+      display.on('connect_error', (error) => {
+        expect(error.data.code).toBe('DISPLAY_LINK_INVALID');
+        done();
+      });
+    });
+
+    test('should refuse a display link for an ended session', (done) => {
+      display = connectDisplay('ended-session-000');
+
+      display.on('connect_error', (error) => {
+        expect(error.data.code).toBe('SESSION_INACTIVE');
+        done();
+      });
+    });
+
+    test('should follow its session room but not join any other room', async () => {
+      display = connectDisplay('test-session-456');
+      const joined = await connected(display);
+      expect(joined.room).toBe('session-test-session-456');
+
+      const facultyRoom = new Promise(resolve => display.once('join-error', resolve));
+      display.emit('join-faculty-room', { facultyId: 'test-faculty-123' });
+      expect((await facultyRoom).code).toBe('FORBIDDEN');
+
+      const sessionRoom = new Promise(resolve => display.once('join-error', resolve));
+      display.emit('join-session-room', { sessionId: 'other-session-789' });
+      expect((await sessionRoom).code).toBe('FORBIDDEN');
+    });
+
+    test('should get QR updates and a present count but no student details', async () => {
+      display = connectDisplay('test-session-456');
+      await connected(display);
+
+      const attendanceUpdates = [];
+      display.on('attendance-update', data => attendanceUpdates.push(data));
+      display.on('suspicious-activity', data => attendanceUpdates.push(data));
+
+      const qrUpdate = new Promise(resolve => display.once('qr-update', resolve));
+      webSocketService.broadcastQRUpdate('test-faculty-123', 'test-session-456', { token: 'display-token' });
+      expect((await qrUpdate).qrData.token).toBe('display-token');
+
+      const presentCount = new Promise(resolve => display.once('present-count', resolve));
+      webSocketService.broadcastAttendanceUpdate('test-faculty-123', 'test-session-456', {
+        newAttendance: { studentEmail: 'student@heritageit.edu.in', ipAddress: '10.0.0.1' },
+        summary: { presentCount: 1 }
+      });
+      expect(await presentCount).toMatchObject({ sessionId: 'test-session-456', presentCount: 1 });
+      webSocketService.broadcastSuspiciousActivity('test-faculty-123', 'test-session-456', [
+        { studentEmail: 'student@heritageit.edu.in', reason: 'shared_client' }
+      ]);
+
+      const ended = new Promise(resolve => display.once('session-ended', resolve));
+      webSocketService.broadcastSessionEnded('test-faculty-123', { id: 'test-session-456', end_time: 'now' });
+      expect((await ended).sessionId).toBe('test-session-456');
+      expect(attendanceUpdates).toHaveLength(0);
+    });
+  });
+
   describe('Room Information', () => {
     test('should get room client count', () => {
       // This test depends on the current state, so we'll test the method exists